@@ -1,13 +1,23 @@
 // scripts/aggregate_weekly.js
+// Raw star timestamps -> data/derived/weekly/owner__repo.json:
+//   { repo, history, weekly, cumulative, activity }
+// `activity` (when fetch_activity.js has run) holds a weekly series per
+// ACTIVITY_METRICS entry (releases, issues_opened, issues_closed, prs_merged,
+// forks) in the same { week, total, start, end } shape as `weekly`, plus
+// `known_from`: per metric, the first date a truncated history covers.
 import fs from "fs";
 import path from "path";
 import { isoWeekKey, weeksToBounds } from "./utils/time.js";
+import { readStarHistory, missingOlderStars } from "./utils/stars.js";
+import { ACTIVITY_DIR, ACTIVITY_METRICS, readActivity, activityEvents, activityKnownFrom } from "./utils/activity.js";
+import { matchesOnly } from "./utils/candidates.js";
+import { writeJSON } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
 
 const RAW = "data/raw/stars";
 const OUT = "data/derived/weekly";
-fs.mkdirSync(OUT, { recursive: true });
 
-function toDaily(ts) {
+export function toDaily(ts) {
   const m = new Map();
   for (const iso of ts) {
     const d = iso.slice(0,10);
@@ -16,7 +26,7 @@ function toDaily(ts) {
   return [...m.entries()].sort(([a],[b])=>a.localeCompare(b))
     .map(([date, daily])=>({date, daily}));
 }
-function toWeekly(daily) {
+export function toWeekly(daily) {
   const m = new Map();
   for (const r of daily) {
     const wk = isoWeekKey(r.date);
@@ -25,19 +35,44 @@ function toWeekly(daily) {
   return [...m.entries()].sort(([a],[b])=>a.localeCompare(b))
     .map(([week, total]) => ({week, total, ...weeksToBounds(week)}));
 }
-function toCumulative(daily) {
-  let cum = 0;
+// `base` seeds the running total with stars older than the fetched history,
+// so truncated repos still report their true star count per day.
+export function toCumulative(daily, base=0) {
+  let cum = base;
   return daily.map(r => ({date:r.date, value:(cum += r.daily)}));
 }
 
-for (const f of fs.readdirSync(RAW)) {
-  if (!f.endsWith(".json")) continue;
-  const [owner, repo] = f.replace(".json","").split("__");
-  const ts = JSON.parse(fs.readFileSync(path.join(RAW,f),"utf8")).sort();
-  const daily = toDaily(ts);
-  const weekly = toWeekly(daily);
-  const cumulative = toCumulative(daily);
-  const payload = { repo: `${owner}/${repo}`, weekly, cumulative };
-  fs.writeFileSync(path.join(OUT, f), JSON.stringify(payload, null, 2));
-  console.log("weekly wrote", owner+"/"+repo);
+// Weekly series of every activity metric, or null without an activity file.
+export function activitySeries(a) {
+  if (!a?.exists) return null;
+  const events = activityEvents(a);
+  const out = { known_from: activityKnownFrom(a) };
+  for (const m of ACTIVITY_METRICS) out[m] = toWeekly(toDaily(events[m]));
+  return out;
+}
+
+export function aggregateWeekly({ only = null } = {}) {
+  for (const f of fs.readdirSync(RAW)) {
+    if (!f.endsWith(".json") || !matchesOnly(f, only)) continue;
+    const [owner, repo] = f.replace(".json","").split("__");
+    const h = readStarHistory(path.join(RAW,f), `${owner}/${repo}`);
+    const missing = missingOlderStars(h);
+    const daily = toDaily(h.stars);
+    const weekly = toWeekly(daily);
+    const cumulative = toCumulative(daily, missing);
+    // known_from: earliest date the cumulative series can be trusted from.
+    const history = {
+      status: h.history,
+      known_from: h.history === "truncated" ? (daily[0]?.date ?? null) : null,
+      missing_older: missing
+    };
+    const activity = activitySeries(readActivity(path.join(ACTIVITY_DIR, f), `${owner}/${repo}`));
+    const payload = { repo: `${owner}/${repo}`, history, weekly, cumulative, ...(activity ? { activity } : {}) };
+    writeJSON(path.join(OUT, f), payload);
+    console.log("weekly wrote", owner+"/"+repo);
+  }
+}
+
+if (isMain(import.meta.url)) {
+  aggregateWeekly();
 }
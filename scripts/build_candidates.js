@@ -1,105 +1,63 @@
 // scripts/build_candidates.js
-import fs from "fs";
+// Candidate repos for a quarter, gathered from the sources in
+// utils/candidate_sources.js:
+//   trending     daily/weekly/monthly snapshots from scrape_trending.js
+//   rising       search: created in the last 90 days with > 300 stars
+//   topics       search: topic:<t> with > 1000 stars, pushed this quarter
+//   watchlist    data/watchlist.txt, one owner/repo per line
+//   carry_over   every repo already in data/raw/stars
+// If they find nothing, the old per-language most-starred search
+// (language_search) is used instead.
+//
+// Usage: node scripts/build_candidates.js YEAR Qn [--sources trending,rising,...]
+// CANDIDATE_SOURCES=... does the same as --sources.
+//
+// Output: data/derived/YYYY-Qn/candidates.json
+//   [{ owner, repo, sources: ["trending", "rising"], trending: { appearances, best_position, score } }]
+// One row per repo however many sources found it. Repos that trended come
+// first, most-trended first; `trending` is only present for them.
 import path from "path";
-import fetch from "node-fetch";
+import { parseArgs } from "util";
+import { githubToken, logRequestStats } from "./utils/github.js";
+import { quarterBounds, now } from "./utils/time.js";
+import { SOURCES, parseSources, mergeCandidates } from "./utils/candidate_sources.js";
+import { parseYear, parseQuarter, quarterKey } from "./utils/args.js";
+import { writeJSON } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
 
-const TREND_DIR = "data/raw/weekly_trending";
 const OUT_DIR = "data/derived";
-fs.mkdirSync(OUT_DIR, { recursive: true });
 
-function parseArgs() {
-  const year = Number(process.argv[2]);
-  const qstr = process.argv[3];
-  if (!year || !qstr?.startsWith("Q")) {
-    throw new Error("Usage: node scripts/build_candidates.js YEAR Qn (e.g., 2025 Q4)");
-  }
-  const q = Number(qstr.replace("Q",""));
-  return { year, q };
-}
-function quarterBounds(year, q) {
-  const starts = ["01-01","04-01","07-01","10-01"];
-  const ends   = ["03-31","06-30","09-30","12-31"];
-  return { start: `${year}-${starts[q-1]}`, end: `${year}-${ends[q-1]}` };
-}
-function isoWeekKey(isoDate) {
-  const d = new Date(isoDate+"T00:00:00Z");
-  const day = (d.getUTCDay() + 6) % 7;
-  const thurs = new Date(d);
-  thurs.setUTCDate(d.getUTCDate() - day + 3);
-  const week1 = new Date(Date.UTC(thurs.getUTCFullYear(), 0, 4));
-  const week = 1 + Math.round((thurs - week1) / 604800000);
-  const year = thurs.getUTCFullYear();
-  return `${year}-W${String(week).padStart(2,'0')}`;
-}
-function isoWeeksInQuarter(year, q) {
-  const {start, end} = quarterBounds(year, q);
-  const weeks = new Set();
-  const s = new Date(start+"T00:00:00Z");
-  const e = new Date(end+"T00:00:00Z");
-  for (let d = new Date(s); d <= e; d.setUTCDate(d.getUTCDate()+7)) {
-    const day = (d.getUTCDay()+6)%7;
-    const monday = new Date(d); monday.setUTCDate(d.getUTCDate()-day);
-    weeks.add(isoWeekKey(monday.toISOString().slice(0,10)));
-  }
-  return [...weeks];
-}
-function fromTrendingSnapshots(year, q) {
-  const weeks = new Set(isoWeeksInQuarter(year, q));
-  const candidates = new Set();
-  if (!fs.existsSync(TREND_DIR)) return [];
-  for (const f of fs.readdirSync(TREND_DIR)) {
-    if (!f.endsWith(".json")) continue;
-    const wk = f.replace(".json","");
-    if (!weeks.has(wk)) continue;
-    const p = JSON.parse(fs.readFileSync(path.join(TREND_DIR,f),"utf8"));
-    for (const r of p.overall || []) candidates.add(`${r.owner}/${r.repo}`);
-    for (const lang of Object.keys(p.by_language||{})) {
-      for (const r of p.by_language[lang]||[]) candidates.add(`${r.owner}/${r.repo}`);
+async function runSources(names, ctx) {
+  const results = [];
+  for (const name of names) {
+    if (SOURCES[name].search && !githubToken()) {
+      console.warn(`candidates: skipping ${name} (GH_TOKEN or GITHUB_TOKEN is required for search)`);
+      continue;
     }
+    const rows = await SOURCES[name].fn(ctx);
+    console.log(`candidates: ${name} found ${rows.length}`);
+    results.push([name, rows]);
   }
-  return [...candidates].sort();
+  return results;
 }
 
-async function searchFallback(year, q, topN=5000) {
-  const GH_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN;
-  if (!GH_TOKEN) throw new Error("GH_TOKEN or GITHUB_TOKEN is required for search fallback");
-  const headers = {
-    "Authorization": `Bearer ${GH_TOKEN}`,
-    "Accept": "application/vnd.github+json",
-    "X-GitHub-Api-Version": "2022-11-28"
-  };
-  const { start } = quarterBounds(year, q);
-  const results = new Set();
-  const langs = ["javascript","typescript","python","go","rust","java","c%2B%2B","c","php","ruby","kotlin","shell","dart"];
-  for (const L of langs) {
-    let page = 1;
-    while (page <= 10 && results.size < topN) {
-      const url = `https://api.github.com/search/repositories?q=language:${L}+pushed:>${start}&sort=stars&order=desc&per_page=100&page=${page}`;
-      const res = await fetch(url, { headers });
-      const json = await res.json();
-      const items = json.items || [];
-      for (const it of items) results.add(`${it.owner.login}/${it.name}`);
-      if (items.length < 100) break;
-      page++;
-      await new Promise(r => setTimeout(r, 350));
-    }
-  }
-  return [...results].slice(0, topN).sort();
-}
-
-(async () => {
-  const { year, q } = parseArgs();
-  let list = fromTrendingSnapshots(year, q);
+export async function buildCandidates(year, q, { sources = parseSources(process.env.CANDIDATE_SOURCES) } = {}) {
+  const ctx = { year, q, ...quarterBounds(year, q), today: now().toISOString().slice(0, 10) };
+  let list = mergeCandidates(await runSources(sources, ctx));
   if (list.length === 0) {
-    console.log("No weekly trending snapshots found; using search fallback");
-    list = await searchFallback(year, q, 5000);
+    console.log("No candidates from any source; using search fallback");
+    if (!githubToken()) throw new Error("GH_TOKEN or GITHUB_TOKEN is required for search fallback");
+    list = mergeCandidates(await runSources(["language_search"], ctx));
   }
-  const outDir = path.join(OUT_DIR, `${year}-Q${q}`);
-  fs.mkdirSync(outDir, { recursive: true });
-  const outPath = path.join(outDir, "candidates.json");
-  fs.writeFileSync(outPath, JSON.stringify(list.map(x => {
-    const [owner, repo] = x.split("/");
-    return { owner, repo };
-  }), null, 2));
+  logRequestStats();
+  const outPath = path.join(OUT_DIR, quarterKey(year, q), "candidates.json");
+  writeJSON(outPath, list);
   console.log("candidate wrote", outPath, list.length);
-})();
+}
+
+if (isMain(import.meta.url)) {
+  const { values, positionals } = parseArgs({ allowPositionals: true, options: { sources: { type: "string" } } });
+  if (positionals.length < 2) throw new Error("Usage: node scripts/build_candidates.js YEAR Qn [--sources trending,rising,topics,watchlist,carry_over] (e.g., 2025 Q4)");
+  await buildCandidates(parseYear(positionals[0]), parseQuarter(positionals[1]).q,
+    values.sources ? { sources: parseSources(values.sources) } : {});
+}
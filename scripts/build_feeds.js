@@ -0,0 +1,87 @@
+// scripts/build_feeds.js
+// Atom and JSON Feed of breakout repos: one entry per repo the first time it
+// enters the ROSS top N of the period, or reaches the relative-gain threshold.
+// Runs after rank_ross_quarter.js and reads its board for the period.
+//
+// Usage: node scripts/build_feeds.js YEAR Q | --period P [--feed-top 25] [--min-gain 1]
+//                                    [--window N] [--min-start N] [--scoring MODE] [--anomalies MODE]
+//
+// Output (data/derived/feeds/, <name> = ross[__w60-min500-log-ratio][__exclude-flagged]):
+//   <name>.state.json               every entry issued so far: { entries: [...] }
+//   <name>.atom.xml, <name>.json    newest 50 entries
+//   lang/<language>/<name>.atom.xml|.json   the same, per repo language ("other" if none)
+// Entries are only ever added to the state file, never rewritten, and their id
+// is urn:ross-feed:<period>:<owner/repo>, so weekly reruns never show a reader
+// the same repo twice for a period. FEED_BASE_URL (where feeds/ is published)
+// and FEED_HOME_URL (the dashboard) add self and alternate links.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { rossParams, rossSuffix } from "./utils/ross.js";
+import { anomalySuffix } from "./utils/anomaly.js";
+import { ROSS_OPTIONS, PERIOD_OPTIONS, ANOMALY_OPTIONS, FEED_OPTIONS, parseRossOptions, parseAnomalyMode, parseFeedOptions,
+  periodFromArgs } from "./utils/args.js";
+import { FEED_DEFAULTS, FEED_MAX_ENTRIES, newEntries, languageSlug, atomFeed, jsonFeed } from "./utils/feed.js";
+import { readJSON, writeJSON, writeText, readLeaderboard, isDryRun, repoFile } from "./utils/io.js";
+import { currentNames } from "./utils/identity.js";
+import { isMain } from "./utils/main.js";
+
+const DERIVED = "data/derived";
+const OUT = "data/derived/feeds";
+
+// Newest first; entries found in the same run keep their board order.
+const byNewest = (a, b) => b.first_seen.localeCompare(a.first_seen) || a.rank - b.rank || a.id.localeCompare(b.id);
+
+function writeFeed(dir, name, title, entries) {
+  const base = process.env.FEED_BASE_URL?.replace(/\/$/, "");
+  const rel = path.relative(OUT, dir).split(path.sep).filter(Boolean).join("/");
+  const url = file => base ? `${base}/${rel ? `${rel}/` : ""}${file}` : null;
+  const feed = { id: `urn:ross-feed:${rel ? `${rel}/` : ""}${name}`, title, home: process.env.FEED_HOME_URL || null };
+  writeText(path.join(dir, `${name}.atom.xml`), atomFeed({ ...feed, self: url(`${name}.atom.xml`) }, entries));
+  writeJSON(path.join(dir, `${name}.json`), jsonFeed({ ...feed, self: url(`${name}.json`) }, entries));
+}
+
+export function buildFeeds(period, { params = {}, anomalies = "flag", top = FEED_DEFAULTS.top, min_gain = FEED_DEFAULTS.min_gain } = {}) {
+  const p = rossParams(params);
+  const suffix = `${rossSuffix(p)}${anomalySuffix(anomalies)}`;
+  const boardFile = path.join(DERIVED, "quarter-ross", `${period.key}${suffix}.json`);
+  if (!fs.existsSync(boardFile)) {
+    console.warn(`feeds: ${boardFile} not found; run rank_ross_quarter.js first`);
+    return null;
+  }
+  const board = currentNames(readLeaderboard(boardFile));
+  const name = `ross${suffix}`;
+  const statePath = path.join(OUT, `${name}.state.json`);
+  const issued = readJSON(statePath)?.entries ?? [];
+  const known = new Set(issued.map(e => e.id));
+  const meta = new Map(board.rows.map(r => [r.repo, readJSON(path.join(DERIVED, "meta", repoFile(r.repo))) ?? {}]));
+  const added = newEntries(period.key, board.rows, known, meta, { top, min_gain });
+  const entries = [...issued, ...added].sort(byNewest);
+  if (added.length || !issued.length) writeJSON(statePath, { entries });
+
+  writeFeed(OUT, name, "ROSS breakout repos", entries.slice(0, FEED_MAX_ENTRIES));
+  const langDir = path.join(OUT, "lang");
+  if (!isDryRun()) fs.rmSync(langDir, { recursive: true, force: true });
+  const byLang = new Map();
+  for (const e of entries) {
+    const slug = languageSlug(e.language);
+    if (!byLang.has(slug)) byLang.set(slug, { label: e.language ?? "Other", entries: [] });
+    byLang.get(slug).entries.push(e);
+  }
+  for (const [slug, { label, entries: list }] of byLang) {
+    writeFeed(path.join(langDir, slug), name, `ROSS breakout repos: ${label}`, list.slice(0, FEED_MAX_ENTRIES));
+  }
+  console.log(`feeds ${period.key}: ${added.length} new, ${entries.length} total, ${byLang.size} languages -> ${OUT}/`);
+  return { added, entries };
+}
+
+if (isMain(import.meta.url)) {
+  const { values, positionals } = parseArgs({ allowPositionals: true, options: { ...ROSS_OPTIONS, ...PERIOD_OPTIONS, ...ANOMALY_OPTIONS, ...FEED_OPTIONS } });
+  if (!values.period && positionals.length < 1) {
+    console.error("Usage: node scripts/build_feeds.js YEAR Q | --period P [--feed-top N] [--min-gain R] [--window N] [--min-start N] [--scoring MODE]");
+    process.exit(1);
+  }
+  buildFeeds(periodFromArgs(values, positionals), {
+    params: parseRossOptions(values), anomalies: parseAnomalyMode(values.anomalies), ...parseFeedOptions(values)
+  });
+}
@@ -0,0 +1,287 @@
+// scripts/build_report.js
+// Static report pages for newsletters and GitHub Pages, from data/derived.
+//
+// Usage: node scripts/build_report.js [--top 25]
+//
+// Output (reports/, self-contained: inline CSS and SVG, relative links):
+//   index.html                   periods and digests
+//   periods/<key>.html|.md       ROSS and delta leaderboards (default config)
+//   repos/owner__repo.html|.md   key stats, sparklines, rank history, forecast
+//   digest/<key>.md              "Top N ROSS movers" for every quarter, ready to paste into email
+// Pages carry no generation timestamp, only the date of the newest data, so an
+// unchanged data/ regenerates byte-identical files. periods/, repos/ and digest/
+// are cleared first so repos that left every board lose their page.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { listPeriods } from "./build_site_index.js";
+import { denseWeekly } from "./forecast.js";
+import { cumAt } from "./utils/ross.js";
+import { addDays } from "./utils/time.js";
+import { parseTop } from "./utils/args.js";
+import { esc, fmtInt, fmtPct, fmtMove, sparkline, mdTable } from "./utils/report.js";
+import { readJSON, readLeaderboard, writeText, isDryRun, repoFile } from "./utils/io.js";
+import { currentNames } from "./utils/identity.js";
+import { isMain } from "./utils/main.js";
+
+const DERIVED = "data/derived";
+const OUT = "reports";
+
+const CSS = `body{font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;margin:24px auto;max-width:1100px;padding:0 16px;color:#111}
+a{color:#2563eb;text-decoration:none}a:hover{text-decoration:underline}
+table{border-collapse:collapse;width:100%;font-size:14px;margin:8px 0 24px}th,td{border-bottom:1px solid #e5e5e5;padding:5px 8px;text-align:left}
+th{background:#f5f5f5}td.n{text-align:right;font-variant-numeric:tabular-nums}.muted{color:#777;font-size:13px}
+dl{display:grid;grid-template-columns:max-content 1fr;gap:3px 16px;font-size:14px}dt{color:#666}dd{margin:0}.flag{color:#c2410c}`;
+
+const pageName = repo => repoFile(repo).replace(/\.json$/, "");
+const gh = repo => `https://github.com/${repo}`;
+// Legacy ROSS rows name their gains *_90d.
+const absGain = r => r.abs_gain ?? r.abs_gain_90d;
+const relGain = r => r.rel_gain ?? r.rel_gain_90d;
+
+function page(title, body, depth, asOf) {
+  const up = depth ? "../".repeat(depth) : "";
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${esc(title)}</title><style>${CSS}</style></head>
+<body>
+<p class="muted"><a href="${up}index.html">Reports</a>${asOf ? ` · data as of ${asOf}` : ""}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+function loadBoard(entry) {
+  if (!entry) return null;
+  const board = currentNames(readLeaderboard(path.join(DERIVED, entry.file)));
+  const diff = readJSON(path.join(DERIVED, entry.file.replace(/\.json$/, ".diff.json")));
+  const moves = new Map((diff?.rows ?? []).map(r => [r.repo, r]));
+  return { ...board, file: entry.file, moves };
+}
+
+// Rank change to show: against last week's run, else the previous period.
+const moveOf = (board, repo) => {
+  const d = board?.moves.get(repo);
+  return d ? d.previous_run ?? d.previous_period : null;
+};
+
+function loadData() {
+  const periods = listPeriods().map(p => ({
+    ...p,
+    deltaBoard: loadBoard(p.delta.find(b => b.variant === "")),
+    rossBoard: loadBoard(p.ross.find(b => b.variant === ""))
+  })).filter(p => p.deltaBoard || p.rossBoard);
+
+  const names = new Set();
+  for (const p of periods) for (const b of [p.deltaBoard, p.rossBoard]) for (const r of b?.rows ?? []) names.add(r.repo);
+  const repos = new Map();
+  for (const repo of [...names].sort((a, b) => a.localeCompare(b))) {
+    const file = repoFile(repo);
+    repos.set(repo, {
+      repo,
+      meta: readJSON(path.join(DERIVED, "meta", file)),
+      owner: readJSON(path.join(DERIVED, "owner", file)),
+      weekly: readJSON(path.join(DERIVED, "weekly", file)),
+      forecast: readJSON(path.join(DERIVED, "forecast", file))
+    });
+  }
+  // Newest star in any weekly series stands in for "today".
+  let asOf = "";
+  for (const r of repos.values()) {
+    const last = r.weekly?.cumulative?.at(-1)?.date ?? "";
+    if (last > asOf) asOf = last;
+  }
+  return { periods, repos, asOf: asOf || null };
+}
+
+function weeklySpark(r, asOf, weeks = 26, opts = {}) {
+  if (!r?.weekly?.weekly?.length || !asOf) return "";
+  return sparkline(denseWeekly(r.weekly.weekly, addDays(asOf, 7)).series.slice(-weeks), { kind: "bars", ...opts });
+}
+
+function cumulativeSpark(r, asOf, weeks = 52, opts = {}) {
+  const cum = r?.weekly?.cumulative;
+  if (!cum?.length || !asOf) return "";
+  const values = [];
+  for (let i = weeks - 1; i >= 0; i--) values.push(cumAt(cum, addDays(asOf, -7 * i)));
+  return sparkline(values, opts);
+}
+
+function quarterEnd(fc) {
+  const q = fc?.quarter_end;
+  if (!q) return "–";
+  return q.interval?.["80"] ? `${fmtInt(q.pred)} (${fmtInt(q.interval["80"][0])}–${fmtInt(q.interval["80"][1])})` : fmtInt(q.pred);
+}
+
+function rossParamsLine(board) {
+  const p = board?.params ?? { window_days: 90, min_start_stars: 1000, scoring: "relative" };
+  return `best ${p.window_days}-day window, ≥ ${fmtInt(p.min_start_stars)} stars at window start, scored by ${p.scoring} gain`;
+}
+
+// --- period pages ---
+
+function periodHTML(p, data) {
+  const link = repo => `<a href="../repos/${esc(pageName(repo))}.html">${esc(repo)}</a>`;
+  const flag = r => r.anomaly?.flagged ? ` <span class="flag" title="${esc(r.anomaly.flags.join(", "))}">⚠</span>` : "";
+  let body = `<h1>${esc(p.key)}</h1>\n<p class="muted">${esc(p.start ?? "")} – ${esc(p.end ?? "")}</p>\n`;
+  if (p.rossBoard) {
+    body += `<h2>ROSS</h2>\n<p class="muted">${esc(rossParamsLine(p.rossBoard))}</p>\n<table>\n<tr><th>#</th><th>Move</th><th>Repo</th><th>Window</th><th>Gain</th><th>Growth</th><th>Stars</th><th>Weekly stars (26w)</th><th>Quarter-end forecast (80%)</th></tr>\n`;
+    for (const r of p.rossBoard.rows) {
+      const info = data.repos.get(r.repo);
+      body += `<tr><td class="n">${r.rank}</td><td>${esc(fmtMove(moveOf(p.rossBoard, r.repo)))}</td><td>${link(r.repo)}${flag(r)}</td>` +
+        `<td>${esc(r.best_window_start ?? "")} – ${esc(r.best_window_end ?? "")}</td><td class="n">${fmtInt(absGain(r))}</td><td class="n">${fmtPct(relGain(r))}</td>` +
+        `<td class="n">${fmtInt(r.stars_now ?? info?.meta?.stars_now)}</td><td>${weeklySpark(info, data.asOf)}</td><td class="n">${quarterEnd(info?.forecast)}</td></tr>\n`;
+    }
+    body += `</table>\n`;
+  }
+  if (p.deltaBoard) {
+    body += `<h2>Stars gained</h2>\n<table>\n<tr><th>#</th><th>Move</th><th>Repo</th><th>Gained</th><th>Stars at end</th><th>Weekly stars (26w)</th></tr>\n`;
+    for (const r of p.deltaBoard.rows) {
+      const info = data.repos.get(r.repo);
+      body += `<tr><td class="n">${r.rank}</td><td>${esc(fmtMove(moveOf(p.deltaBoard, r.repo)))}</td><td>${link(r.repo)}${flag(r)}</td>` +
+        `<td class="n">${fmtInt(r.delta)}</td><td class="n">${fmtInt(r.cumulative_end)}</td><td>${weeklySpark(info, data.asOf)}</td></tr>\n`;
+    }
+    body += `</table>\n`;
+  }
+  return page(`${p.key} leaderboards`, body, 1, data.asOf);
+}
+
+function periodMD(p, data) {
+  const out = [`# ${p.key} leaderboards`, "", `${p.start ?? ""} – ${p.end ?? ""}${data.asOf ? ` · data as of ${data.asOf}` : ""}`];
+  if (p.rossBoard) {
+    out.push("", "## ROSS", "", rossParamsLine(p.rossBoard), "", mdTable(
+      ["#", "Move", "Repo", "Window", "Gain", "Growth", "Stars"],
+      p.rossBoard.rows.map(r => [r.rank, fmtMove(moveOf(p.rossBoard, r.repo)), `[${r.repo}](${gh(r.repo)})`,
+        `${r.best_window_start ?? ""} – ${r.best_window_end ?? ""}`, fmtInt(absGain(r)), fmtPct(relGain(r)), fmtInt(r.stars_now)])));
+  }
+  if (p.deltaBoard) {
+    out.push("", "## Stars gained", "", mdTable(
+      ["#", "Move", "Repo", "Gained", "Stars at end"],
+      p.deltaBoard.rows.map(r => [r.rank, fmtMove(moveOf(p.deltaBoard, r.repo)), `[${r.repo}](${gh(r.repo)})`, fmtInt(r.delta), fmtInt(r.cumulative_end)])));
+  }
+  return out.join("\n") + "\n";
+}
+
+// --- repo pages ---
+
+// [{ period, start, end, ross, delta, weeks }] oldest first, for periods the repo is on.
+function rankHistory(repo, periods) {
+  return periods.map(p => {
+    const ross = p.rossBoard?.rows.find(r => r.repo === repo);
+    const delta = p.deltaBoard?.rows.find(r => r.repo === repo);
+    if (!ross && !delta) return null;
+    return { period: p.key, start: p.start, end: p.end, ross: ross?.rank ?? null, delta: delta?.rank ?? null, weeks: p.rossBoard?.moves.get(repo)?.weeks_on_chart ?? null };
+  }).filter(Boolean).sort((a, b) => (a.end ?? "").localeCompare(b.end ?? "") || a.period.localeCompare(b.period));
+}
+
+function repoStats(info) {
+  const m = info.meta ?? {};
+  const o = info.owner ?? {};
+  return [
+    ["Stars", fmtInt(m.stars_now)], ["Forks", fmtInt(m.forks)], ["Open issues", fmtInt(m.open_issues)], ["Watchers", fmtInt(m.subscribers)],
+    ["Language", m.language ?? "–"], ["License", m.license ?? "–"], ["Created", m.created_at?.slice(0, 10) ?? "–"], ["Last push", m.pushed_at?.slice(0, 10) ?? "–"],
+    ["Owner", o.owner_type ? `${o.owner ?? info.repo.split("/")[0]} (${o.owner_type})` : info.repo.split("/")[0]],
+    ...(o.location ? [["Owner location", o.location]] : []),
+    ...(o.website ? [["Owner website", o.website]] : [])
+  ];
+}
+
+function repoHTML(info, data) {
+  const fc = info.forecast;
+  const history = rankHistory(info.repo, data.periods);
+  let body = `<h1><a href="${esc(gh(info.repo))}">${esc(info.repo)}</a></h1>\n`;
+  if (info.meta?.description) body += `<p>${esc(info.meta.description)}</p>\n`;
+  body += `<dl>${repoStats(info).map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v)}</dd>`).join("")}</dl>\n`;
+  body += `<h2>Stars</h2>\n<p>Total, last 52 weeks<br>${cumulativeSpark(info, data.asOf, 52, { width: 480, height: 60 })}</p>\n`;
+  body += `<p>Per week, last 52 weeks<br>${weeklySpark(info, data.asOf, 52, { width: 480, height: 60 })}</p>\n`;
+  body += `<h2>Rank history</h2>\n`;
+  body += history.length ? `<table>\n<tr><th>Period</th><th>ROSS</th><th>Stars gained</th><th>Weeks on ROSS chart</th></tr>\n` +
+    history.map(h => `<tr><td><a href="../periods/${esc(h.period)}.html">${esc(h.period)}</a></td><td class="n">${h.ross ?? "–"}</td><td class="n">${h.delta ?? "–"}</td><td class="n">${h.weeks ?? "–"}</td></tr>`).join("\n") + `\n</table>\n` : `<p class="muted">Not on any leaderboard.</p>\n`;
+  body += `<h2>Forecast</h2>\n`;
+  if (!fc) {
+    body += `<p class="muted">No forecast.</p>\n`;
+  } else {
+    body += `<p>Model ${esc(fc.model ?? "holt-winters")}${fc.backtest?.error ? `, backtest MAE ${fmtInt(fc.backtest.error.mae)} stars/week` : ""}. ` +
+      `${fc.quarter_end ? `Projected stars on ${esc(fc.quarter_end.date)}: ${quarterEnd(fc)}.` : ""}</p>\n`;
+    const ms = (fc.milestones ?? []).filter(m => m.week);
+    if (ms.length) body += `<p>${ms.map(m => `${fmtInt(m.stars)} stars around week ${esc(m.week)} (${esc(m.date)})${m.probability != null ? `, ${fmtPct(m.probability)} chance within ${fc.horizon_weeks} weeks` : ""}`).join("; ")}.</p>\n`;
+    body += `<table>\n<tr><th>Week</th><th>Dates</th><th>Stars</th><th>80% range</th><th>Total</th></tr>\n` +
+      fc.forecast.map(f => `<tr><td>${esc(f.week)}</td><td>${esc(f.start)} – ${esc(f.end)}</td><td class="n">${fmtInt(f.pred)}</td>` +
+        `<td class="n">${f.interval?.["80"] ? `${fmtInt(f.interval["80"][0])}–${fmtInt(f.interval["80"][1])}` : "–"}</td><td class="n">${fmtInt(f.cumulative?.pred)}</td></tr>`).join("\n") + `\n</table>\n`;
+  }
+  return page(info.repo, body, 1, data.asOf);
+}
+
+function repoMD(info, data) {
+  const fc = info.forecast;
+  const history = rankHistory(info.repo, data.periods);
+  const out = [`# [${info.repo}](${gh(info.repo)})`, ""];
+  if (info.meta?.description) out.push(info.meta.description, "");
+  out.push(mdTable(["", ""], repoStats(info)), "");
+  if (history.length) out.push("## Rank history", "", mdTable(["Period", "ROSS", "Stars gained", "Weeks on ROSS chart"], history.map(h => [h.period, h.ross ?? "–", h.delta ?? "–", h.weeks ?? "–"])), "");
+  if (fc?.quarter_end) out.push("## Forecast", "", `Projected stars on ${fc.quarter_end.date}: ${quarterEnd(fc)} (model ${fc.model ?? "holt-winters"}).`, "");
+  return out.join("\n");
+}
+
+// --- digest ---
+
+export function digestMD(p, data, top = 25) {
+  const rows = (p.rossBoard?.rows ?? []).slice(0, top);
+  const out = [
+    `# Top ${top} ROSS movers: ${p.key}`,
+    "",
+    `${p.start} – ${p.end} · ${rossParamsLine(p.rossBoard)}${data.asOf ? ` · data as of ${data.asOf}` : ""}`,
+    ""
+  ];
+  if (!rows.length) return out.concat("No ROSS leaderboard for this period yet.", "").join("\n");
+  out.push(mdTable(
+    ["#", "Move", "Repo", "Window", "Stars gained", "Growth", "Stars now", "Quarter-end forecast (80%)"],
+    rows.map(r => {
+      const info = data.repos.get(r.repo);
+      return [r.rank, fmtMove(moveOf(p.rossBoard, r.repo)), `[${r.repo}](${gh(r.repo)})${r.anomaly?.flagged ? " ⚠" : ""}`,
+        `${r.best_window_start} – ${r.best_window_end}`, fmtInt(absGain(r)), fmtPct(relGain(r)), fmtInt(r.stars_now ?? info?.meta?.stars_now), quarterEnd(info?.forecast)];
+    })));
+  const flagged = rows.some(r => r.anomaly?.flagged);
+  out.push("", "Move: rank change since last week's run (or the previous quarter). ▲ climbed, ▼ fell, new = not ranked before." +
+    (flagged ? " ⚠ = star pattern flagged as possibly inflated." : ""), "");
+  return out.join("\n");
+}
+
+function indexHTML(data) {
+  const quarters = data.periods.filter(p => p.kind === "quarter" && p.rossBoard);
+  const body = `<h1>Open source repo leaderboards</h1>
+<h2>Leaderboards</h2>
+<table>
+<tr><th>Period</th><th>Dates</th><th>ROSS</th><th>Stars gained</th></tr>
+${data.periods.map(p => `<tr><td><a href="periods/${esc(p.key)}.html">${esc(p.key)}</a> <a class="muted" href="periods/${esc(p.key)}.md">md</a></td><td>${esc(p.start ?? "")} – ${esc(p.end ?? "")}</td><td class="n">${p.rossBoard?.rows.length ?? "–"}</td><td class="n">${p.deltaBoard?.rows.length ?? "–"}</td></tr>`).join("\n")}
+</table>
+<h2>Digests</h2>
+<ul>
+${quarters.map(p => `<li><a href="digest/${esc(p.key)}.md">Top ROSS movers ${esc(p.key)}</a></li>`).join("\n")}
+</ul>
+<p class="muted">${data.repos.size} repos have a page; follow a repo from any leaderboard.</p>
+`;
+  return page("Open source repo leaderboards", body, 0, data.asOf);
+}
+
+export function buildReport({ top = 25 } = {}) {
+  const data = loadData();
+  if (!isDryRun()) for (const d of ["periods", "repos", "digest"]) fs.rmSync(path.join(OUT, d), { recursive: true, force: true });
+  for (const p of data.periods) {
+    writeText(path.join(OUT, "periods", `${p.key}.html`), periodHTML(p, data));
+    writeText(path.join(OUT, "periods", `${p.key}.md`), periodMD(p, data));
+    if (p.kind === "quarter" && p.rossBoard) writeText(path.join(OUT, "digest", `${p.key}.md`), digestMD(p, data, top));
+  }
+  for (const info of data.repos.values()) {
+    writeText(path.join(OUT, "repos", `${pageName(info.repo)}.html`), repoHTML(info, data));
+    writeText(path.join(OUT, "repos", `${pageName(info.repo)}.md`), repoMD(info, data));
+  }
+  writeText(path.join(OUT, "index.html"), indexHTML(data));
+  console.log(`report: ${data.periods.length} periods, ${data.repos.size} repos -> ${OUT}/`);
+}
+
+if (isMain(import.meta.url)) {
+  const { values } = parseArgs({ options: { top: { type: "string" } } });
+  buildReport({ top: values.top == null ? 25 : parseTop(values.top) });
+}
@@ -0,0 +1,114 @@
+// scripts/build_site_index.js
+// Manifest for the static dashboard in site/: which leaderboards exist and the
+// per-repo fields its filters need, so the page never has to list directories
+// or open every meta file.
+//
+// Usage: node scripts/build_site_index.js
+//
+// Output: data/derived/index.json
+// {
+//   "generated_at": "...",
+//   "periods": [{ key, kind, start, end,
+//                 delta: [{ file, variant }], ross: [{ file, variant, params }] }],
+//   "repos": { "owner/repo": { description, language, license, stars_now, forks,
+//                              owner_type, archived, forecast, tombstone,
+//                              community_country, community_region, located_share } },
+//   "aliases": { "old-owner/old-name": "owner/repo" },
+//   "countries": { "CN": "China" }
+// }
+// `variant` is what follows the period key in the file name ("" for the default
+// board, "__w60-min500-log-ratio", "__exclude-flagged", ...). Periods are
+// newest first by end date. Boards list repos under the name they had when
+// ranked; `aliases` (lowercased former name -> current) maps them forward.
+// community_* is where most geocoded contributors are (geocode_locations.js);
+// `countries` names the codes that appear there.
+import fs from "fs";
+import path from "path";
+import { now, parsePeriod } from "./utils/time.js";
+import { readJSON, writeJSON, readLeaderboard } from "./utils/io.js";
+import { loadIdentity } from "./utils/identity.js";
+import { topCountry } from "./utils/geocode.js";
+import { COUNTRIES } from "./utils/gazetteer.js";
+import { isMain } from "./utils/main.js";
+
+const DERIVED = "data/derived";
+const BOARD_DIRS = { delta: "quarter", ross: "quarter-ross" };
+const OUT = "data/derived/index.json";
+
+function boardFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith(".json") && !f.endsWith(".diff.json")).sort();
+}
+
+// Period fields from the board itself; legacy boards (bare arrays) only have
+// their file name to go on.
+function periodInfo(key, board) {
+  if (board.start && board.end) return { key, kind: board.kind ?? null, start: board.start, end: board.end };
+  try {
+    const p = parsePeriod(key);
+    return { key, kind: p.kind, start: p.start, end: p.end };
+  } catch {
+    return { key, kind: null, start: null, end: null };
+  }
+}
+
+function repoSummary(file, idn) {
+  const meta = readJSON(path.join(DERIVED, "meta", file));
+  if (!meta) return null;
+  const owner = readJSON(path.join(DERIVED, "owner", file));
+  return {
+    repo: meta.repo ?? file.replace(/\.json$/, "").replace("__", "/"),
+    description: meta.description ?? null,
+    language: meta.language ?? null,
+    license: meta.license ?? null,
+    stars_now: meta.stars_now ?? null,
+    forks: meta.forks ?? null,
+    owner_type: owner?.owner_type ?? null,
+    archived: !!meta.archived,
+    forecast: fs.existsSync(path.join(DERIVED, "forecast", file)),
+    tombstone: idn.tombstones[meta.repo]?.status ?? null,
+    community_country: topCountry(meta.contributor_countries),
+    community_region: Object.keys(meta.contributor_regions ?? {})[0] ?? null,
+    located_share: meta.contributor_located_share ?? null
+  };
+}
+
+// Every period with a leaderboard, newest first, with its delta and ROSS files
+// (paths relative to data/derived).
+export function listPeriods() {
+  const periods = new Map();
+  for (const [kind, dir] of Object.entries(BOARD_DIRS)) {
+    for (const f of boardFiles(path.join(DERIVED, dir))) {
+      const name = f.replace(/\.json$/, "");
+      const key = name.split("__")[0];
+      const board = readLeaderboard(path.join(DERIVED, dir, f));
+      if (!periods.has(key)) periods.set(key, { ...periodInfo(key, board), delta: [], ross: [] });
+      const entry = { file: `${dir}/${f}`, variant: name.slice(key.length) };
+      if (kind === "ross") entry.params = board.params ?? null;
+      periods.get(key)[kind].push(entry);
+    }
+  }
+  return [...periods.values()].sort((a, b) => (b.end ?? "").localeCompare(a.end ?? "") || a.key.localeCompare(b.key));
+}
+
+export function buildSiteIndex() {
+  const list = listPeriods();
+  const repos = {};
+  const idn = loadIdentity();
+  const metaDir = path.join(DERIVED, "meta");
+  for (const f of fs.existsSync(metaDir) ? fs.readdirSync(metaDir).sort() : []) {
+    if (!f.endsWith(".json")) continue;
+    const s = repoSummary(f, idn);
+    if (!s) continue;
+    const { repo, ...rest } = s;
+    repos[repo] = rest;
+  }
+  const used = new Set(Object.values(repos).map(r => r.community_country));
+  const countries = Object.fromEntries(COUNTRIES.filter(c => used.has(c.code)).map(c => [c.code, c.name]));
+  writeJSON(OUT, { generated_at: now().toISOString(), periods: list, repos, aliases: idn.aliases, countries });
+  console.log(`site index: ${list.length} periods, ${Object.keys(repos).length} repos`);
+}
+
+if (isMain(import.meta.url)) {
+  buildSiteIndex();
+}
@@ -0,0 +1,213 @@
+// scripts/cli.js
+// Single entry point for every pipeline stage.
+//
+// Usage: node scripts/cli.js <command> [options]
+//
+// Commands:
+//   scrape       scrape github.com/trending (weekly snapshot)
+//   candidates   build data/derived/YYYY-Qn/candidates.json
+//   stars        fetch stargazer timestamps for candidates
+//   activity     fetch release, issue, merged-PR and fork history for candidates
+//   meta         fetch repo metadata for candidates (records renames and tombstones)
+//   identity     move files filed under a repo's former name to its current name
+//   enrich       owner info + contributor locations + contributor activity / bus factor
+//                + README / homepage signals
+//   geocode      contributor locations -> country/region distributions (offline)
+//   aggregate    raw stars -> weekly/cumulative series
+//   anomalies    spike-day / clustered-burst / suspicious-account checks per repo
+//   store-import copy data/ JSON into the SQLite store (pipeline: only with STORE=sqlite)
+//   store-export write the SQLite store back out as data/ JSON
+//   rank         delta leaderboard for a period (pipeline: every quarter of --year + rolling boards)
+//   ross         ROSS leaderboard for a period (same periods as rank in pipeline)
+//   feeds        Atom/JSON Feed of repos breaking into the period's ROSS board
+//   diff         rank movement for the period's rank/ross boards (+ weekly history snapshot)
+//   forecast     weekly forecasts for the period's delta and ROSS leaderboards
+//   site         data/derived/index.json, the manifest site/ reads
+//   report       static HTML/Markdown pages and ROSS digests under reports/
+//   pipeline     all of the above in workflow order
+//
+// Options:
+//   --year YYYY          default: current UTC year
+//   --quarter Q          Q1..Q4, 1..4 or YYYY-Qn; default: current UTC quarter
+//   --period P           rank/ross/forecast: YYYY-MM, YYYY-Qn, YYYY-Hn, YYYY, [YYYY-]YTD,
+//                        rolling-Nd or START..END instead of --year/--quarter
+//                        (pipeline: ranked in addition to its usual periods)
+//   --top N              rank/ross: leaderboard size (default 100)
+//   --anomalies MODE     rank/ross/diff: flag (default) | exclude | downweight flagged repos;
+//                        exclude/downweight write <key>__<mode>-flagged.json
+//   --sample-accounts N  anomalies: sample up to N stargazer accounts per spiking repo
+//   --only owner/repo    process a single repo (rank/ross print its row instead of writing)
+//   --dry-run            run the stages but write nothing under data/
+//   --window N           ross: window length in days, 30/60/90/180 (default 90)
+//   --min-start N        ross: stars required at window start (default 1000)
+//   --scoring MODE       ross: relative | absolute | log-ratio | blended (default relative)
+//                        non-default configs write YYYY-Qn__w<N>-min<N>-<mode>.json
+//   --entity LABELS      ross: keep only startup-backed, big-tech, foundation, individual and/or
+//                        unknown repos (comma-separated); writes <key>__entity-<labels>.json
+//   --feed-top N         feeds: ROSS rank that counts as a breakout (default 25)
+//   --min-gain R         feeds: relative gain that counts as a breakout (default 1 = +100%)
+//   -h, --help
+import { parseArgs } from "util";
+import { resolveQuarter, quarterKey, parseRepo, ROSS_OPTIONS, PERIOD_OPTIONS, ANOMALY_OPTIONS, FEED_OPTIONS, ENTITY_OPTIONS,
+  parseRossOptions, parseTop, parseAnomalyMode, parseFeedOptions, parseEntityFilter } from "./utils/args.js";
+import { parsePeriod } from "./utils/time.js";
+import { setDryRun } from "./utils/io.js";
+import { scrapeTrending } from "./scrape_trending.js";
+import { buildCandidates } from "./build_candidates.js";
+import { fetchStars } from "./fetch_stars.js";
+import { fetchActivity } from "./fetch_activity.js";
+import { fetchRepoMeta } from "./fetch_repo_meta.js";
+import { migrateIdentity } from "./migrate_identity.js";
+import { enrichOwners } from "./enrich_owner.js";
+import { enrichContributorLocations } from "./enrich_contributor_locations.js";
+import { enrichContributorActivity } from "./enrich_contributor_activity.js";
+import { enrichWebSignals } from "./enrich_web_signals.js";
+import { geocodeLocations } from "./geocode_locations.js";
+import { aggregateWeekly } from "./aggregate_weekly.js";
+import { detectAnomalies } from "./detect_anomalies.js";
+import { importStore } from "./store_import.js";
+import { exportStore } from "./store_export.js";
+import { useStore } from "./utils/store.js";
+import { rankPeriod } from "./rank_quarter.js";
+import { rankRossPeriod } from "./rank_ross_quarter.js";
+import { diffLeaderboards } from "./diff_leaderboards.js";
+import { buildFeeds } from "./build_feeds.js";
+import { forecastTop } from "./forecast.js";
+import { buildSiteIndex } from "./build_site_index.js";
+import { buildReport } from "./build_report.js";
+import { isMain } from "./utils/main.js";
+
+const USAGE = `Usage: node scripts/cli.js <command> [--year YYYY] [--quarter Qn] [--period P] [--top N] [--only owner/repo] [--dry-run]
+       [--window 30|60|90|180] [--min-start N] [--scoring relative|absolute|log-ratio|blended]
+       [--anomalies flag|exclude|downweight] [--sample-accounts N] [--feed-top N] [--min-gain R] [--entity LABELS]
+Commands: scrape, candidates, stars, activity, meta, identity, enrich, geocode, aggregate, anomalies, store-import, store-export, rank, ross, feeds, diff, forecast, site, report, pipeline`;
+
+export const COMMANDS = {
+  scrape: () => scrapeTrending(),
+  candidates: ({ year, q }) => buildCandidates(year, q),
+  stars: ({ only }) => fetchStars({ only }),
+  activity: ({ only }) => fetchActivity({ only }),
+  meta: ({ only }) => fetchRepoMeta({ only }),
+  identity: () => migrateIdentity(),
+  enrich: async ({ only }) => {
+    await enrichOwners({ only });
+    await enrichContributorLocations({ only });
+    await enrichContributorActivity({ only });
+    await enrichWebSignals({ only });
+  },
+  aggregate: ({ only }) => aggregateWeekly({ only }),
+  geocode: ({ only }) => geocodeLocations({ only }),
+  anomalies: ({ only, sampleAccounts }) => detectAnomalies({ only, sampleAccounts }),
+  "store-import": ({ only }) => importStore({ only }),
+  "store-export": ({ only }) => exportStore({ only }),
+  rank: ({ period, only, top, anomalies }) => rankPeriod(period, { only, top, anomalies }),
+  ross: ({ period, only, ross, top, anomalies, entity }) => rankRossPeriod(period, { only, params: ross, top, anomalies, entity }),
+  feeds: ({ period, ross, anomalies, feed }) => buildFeeds(period, { params: ross, anomalies, ...feed }),
+  diff: ({ period, only, ross, anomalies }) => diffLeaderboards(period, { only, params: ross, anomalies }),
+  forecast: ({ period, only }) => forecastTop(period, 12, { only }),
+  site: () => buildSiteIndex(),
+  report: () => buildReport(),
+  pipeline: runPipeline
+};
+
+// Boards the pipeline refreshes besides the four quarters of the selected year;
+// all of them are relative to today, so they move every run.
+export const ROLLING_PERIODS = ["YTD", "rolling-30d", "rolling-90d"];
+
+// Periods ranked by the pipeline: every quarter of `year`, the rolling
+// boards, and `extra` (--period) if given.
+export function pipelinePeriods(year, extra = null) {
+  const periods = [1, 2, 3, 4].map(qq => parsePeriod(quarterKey(year, qq)));
+  for (const p of ROLLING_PERIODS) periods.push(parsePeriod(p));
+  if (extra && !periods.some(p => p.key === extra.key)) periods.push(extra);
+  return periods;
+}
+
+// Mirrors .github/workflows/trending-and-ross.yml: candidates for the selected
+// quarter, leaderboards for every period from pipelinePeriods().
+export async function runPipeline(ctx) {
+  const { year, q, only, ross, top, anomalies, sampleAccounts, feed } = ctx;
+  const periods = pipelinePeriods(year, ctx.explicitPeriod ? ctx.period : null);
+  const steps = [
+    ["scrape", () => scrapeTrending()],
+    ["candidates", () => buildCandidates(year, q)],
+    ["stars", () => fetchStars({ only })],
+    ["activity", () => fetchActivity({ only })],
+    ["meta", () => fetchRepoMeta({ only })],
+    ["identity", () => migrateIdentity()],
+    ["aggregate", () => aggregateWeekly({ only })],
+    ["enrich", () => COMMANDS.enrich({ only })],
+    ["geocode", () => geocodeLocations({ only })],
+    ["anomalies", () => detectAnomalies({ only, sampleAccounts })],
+    // With STORE=sqlite the rankers read the store, so it has to be current first.
+    ...(useStore() ? [["store-import", () => importStore({ only })]] : []),
+    ...periods.map(p => [`rank ${p.key}`, () => rankPeriod(p, { only, top, anomalies })]),
+    ...periods.map(p => [`ross ${p.key}`, () => rankRossPeriod(p, { only, params: ross, top, anomalies })]),
+    ["feeds", () => buildFeeds(parsePeriod(quarterKey(year, q)), { params: ross, anomalies, ...feed })],
+    ...periods.map(p => [`diff ${p.key}`, () => diffLeaderboards(p, { only, params: ross, anomalies })]),
+    ["forecast", () => forecastTop(parsePeriod(quarterKey(year, q)), 12, { only })],
+    ["site", () => buildSiteIndex()],
+    ["report", () => buildReport()]
+  ];
+  // A single repo has no business rewriting the trending snapshot, candidate list or feeds.
+  const selected = only ? steps.filter(([name]) => !["scrape", "candidates", "feeds"].includes(name)) : steps;
+  for (const [name, fn] of selected) {
+    console.log(`\n== ${name}`);
+    await fn();
+  }
+}
+
+export function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      year: { type: "string" },
+      quarter: { type: "string" },
+      only: { type: "string" },
+      ...PERIOD_OPTIONS,
+      ...ANOMALY_OPTIONS,
+      "sample-accounts": { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      ...ROSS_OPTIONS,
+      ...FEED_OPTIONS,
+      ...ENTITY_OPTIONS,
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  if (values.help) return { help: true };
+  const [command, ...rest] = positionals;
+  if (!command) throw new Error(USAGE);
+  if (!COMMANDS[command]) throw new Error(`Unknown command "${command}"\n${USAGE}`);
+  if (rest.length) throw new Error(`Unexpected arguments: ${rest.join(" ")}\n${USAGE}`);
+  const { year, q } = resolveQuarter(values.year, values.quarter);
+  const only = values.only != null ? values.only.trim() : null;
+  if (only != null) parseRepo(only);
+  const ross = parseRossOptions(values);
+  const explicitPeriod = values.period != null;
+  const period = parsePeriod(explicitPeriod ? values.period : quarterKey(year, q));
+  const sample = values["sample-accounts"];
+  if (sample != null && !/^\d+$/.test(sample.trim())) throw new Error(`Invalid --sample-accounts "${sample}" (expected a whole number)`);
+  return {
+    command, year, q, period, explicitPeriod, top: parseTop(values.top), only, ross,
+    anomalies: parseAnomalyMode(values.anomalies), sampleAccounts: Number(sample || 0),
+    feed: parseFeedOptions(values), entity: parseEntityFilter(values.entity), dryRun: values["dry-run"]
+  };
+}
+
+if (isMain(import.meta.url)) {
+  let ctx;
+  try {
+    ctx = parseCli(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (ctx.help) {
+    console.log(USAGE);
+  } else {
+    setDryRun(ctx.dryRun);
+    console.log(`${ctx.command} ${ctx.explicitPeriod ? ctx.period.key : quarterKey(ctx.year, ctx.q)}${ctx.only ? ` only=${ctx.only}` : ""}${ctx.dryRun ? " (dry run)" : ""}`);
+    await COMMANDS[ctx.command](ctx);
+  }
+}
@@ -0,0 +1,128 @@
+// scripts/detect_anomalies.js
+// Star-inflation / bot-star checks run between aggregate and rank
+// (heuristics in scripts/utils/anomaly.js).
+//
+// Usage: node scripts/detect_anomalies.js [--sample-accounts N]
+//
+// Output: data/derived/anomalies/owner__repo.json
+// {
+//   "repo": "owner/repo", "checked_at": "...",
+//   "spikes": [{ date, stars, baseline, z, excess }],
+//   "bursts": [{ date, start, end, stars, share }],
+//   "accounts": { sampled, suspicious, share, dates } | null,
+//   "flags": ["clustered_spike", "suspicious_accounts"],
+//   "flagged": true,
+//   "excess_stars": 4200            // sum of spike-day excess, what downweight removes
+// }
+// --sample-accounts N: for repos with spike days in the last SAMPLE_LOOKBACK_DAYS,
+// look at up to N accounts that starred on those days (GraphQL, newest-first,
+// at most SAMPLE_MAX_PAGES pages). Off by default; each page costs one GraphQL request.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { now, addDays } from "./utils/time.js";
+import { readStarHistory } from "./utils/stars.js";
+import { toDaily } from "./aggregate_weekly.js";
+import { spikeDays, clusteredBursts, scoreAccounts, anomalyFlags } from "./utils/anomaly.js";
+import { githubGraphQL, githubToken, isBudgetError, logRequestStats } from "./utils/github.js";
+import { matchesOnly } from "./utils/candidates.js";
+import { writeJSON, readJSON } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
+
+const RAW = "data/raw/stars";
+const OUT = "data/derived/anomalies";
+const SAMPLE_MAX_PAGES = Number(process.env.ANOMALY_SAMPLE_MAX_PAGES || 10);
+const SAMPLE_LOOKBACK_DAYS = 180;
+
+const SAMPLE_QUERY = `
+query($owner: String!, $name: String!, $first: Int!, $cursor: String) {
+  repository(owner: $owner, name: $name) {
+    stargazers(first: $first, after: $cursor, orderBy: {field: STARRED_AT, direction: DESC}) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        starredAt
+        node { createdAt followers { totalCount } repositories(privacy: PUBLIC) { totalCount } }
+      }
+    }
+  }
+}`;
+
+// Accounts that starred on one of `dates`, walking newest-first until `limit`
+// accounts are collected or the walk passes the earliest date.
+async function sampleAccounts(owner, repo, dates, limit) {
+  const wanted = new Set(dates);
+  const earliest = dates.slice().sort()[0];
+  const accounts = [];
+  let cursor = null;
+  for (let page = 0; page < SAMPLE_MAX_PAGES && accounts.length < limit; page++) {
+    const { ok, status, data, errors } = await githubGraphQL(SAMPLE_QUERY, { owner, name: repo, first: 100, cursor });
+    if (errors?.length) throw new Error(errors.map(e => e.message).join("; "));
+    if (!ok) throw new Error(`graphql ${status}`);
+    const sg = data?.repository?.stargazers;
+    if (!sg) break;
+    for (const e of sg.edges) {
+      const day = e.starredAt.slice(0, 10);
+      if (day < earliest) return accounts;
+      if (!wanted.has(day) || !e.node) continue;
+      accounts.push({
+        starred_at: e.starredAt,
+        created_at: e.node.createdAt,
+        followers: e.node.followers?.totalCount ?? 0,
+        public_repos: e.node.repositories?.totalCount ?? 0
+      });
+      if (accounts.length >= limit) break;
+    }
+    if (!sg.pageInfo.hasNextPage) break;
+    cursor = sg.pageInfo.endCursor;
+  }
+  return accounts;
+}
+
+export async function detectAnomalies({ only = null, sampleAccounts: sampleLimit = 0 } = {}) {
+  let sampling = sampleLimit > 0;
+  if (sampling && !githubToken()) {
+    console.warn("no GH_TOKEN/GITHUB_TOKEN; skipping account sampling");
+    sampling = false;
+  }
+  for (const f of fs.readdirSync(RAW)) {
+    if (!f.endsWith(".json") || !matchesOnly(f, only)) continue;
+    const [owner, repo] = f.replace(".json", "").split("__");
+    const h = readStarHistory(path.join(RAW, f), `${owner}/${repo}`);
+    const daily = toDaily(h.stars);
+    const spikes = spikeDays(daily);
+    const bursts = clusteredBursts(h.stars, spikes);
+
+    // Keep the last sample when this run does not take a new one.
+    const prev = readJSON(path.join(OUT, f));
+    let accounts = prev?.accounts ?? null;
+    const recent = addDays(now().toISOString().slice(0, 10), -SAMPLE_LOOKBACK_DAYS);
+    const dates = spikes.map(s => s.date).filter(d => d >= recent);
+    if (sampling && dates.length) {
+      try {
+        accounts = { ...scoreAccounts(await sampleAccounts(owner, repo, dates, sampleLimit)), dates, sampled_at: now().toISOString() };
+      } catch (e) {
+        console.error("account sample failed", `${owner}/${repo}`, e.message);
+        if (isBudgetError(e)) sampling = false;
+      }
+    }
+
+    const flags = anomalyFlags({ bursts, accounts });
+    writeJSON(path.join(OUT, f), {
+      repo: `${owner}/${repo}`,
+      checked_at: now().toISOString(),
+      spikes,
+      bursts,
+      accounts,
+      flags,
+      flagged: flags.length > 0,
+      excess_stars: spikes.reduce((a, s) => a + s.excess, 0)
+    });
+    if (flags.length) console.log("flagged", `${owner}/${repo}`, flags.join(","), `(${spikes.length} spike days, ${bursts.length} bursts)`);
+  }
+  if (sampleLimit > 0) logRequestStats();
+}
+
+if (isMain(import.meta.url)) {
+  const { values } = parseArgs({ options: { "sample-accounts": { type: "string" } } });
+  await detectAnomalies({ sampleAccounts: Number(values["sample-accounts"] || 0) });
+}
@@ -0,0 +1,331 @@
+// scripts/dev/fake_github.js
+// Local stand-in for api.github.com and github.com/trending, driven by a seed file.
+// Used to record deterministic fixtures (see scripts/run_offline.js) and to
+// exercise the retry paths in scripts/utils/github.js without a token.
+//
+// Usage:
+//   node scripts/dev/fake_github.js [--port 4010] [--seed fixtures/fake_github/seed.json] [--faults faults.json]
+// Then point the scripts at it:
+//   GITHUB_API_URL=http://127.0.0.1:4010 GITHUB_WEB_URL=http://127.0.0.1:4010 node scripts/fetch_repo_meta.js
+//
+// Faults file: [{ "match": "^/repos/acme/rocket$", "status": 403, "retry_after": 1, "times": 2 }, ...]
+// - status 403 + retry_after   -> secondary rate limit
+// - status 403 + "exhaust": true -> primary limit (remaining 0, reset in "reset_in" seconds, default 1)
+// - status 5xx                 -> server error
+// - status 404                 -> renamed/deleted repo
+// Repos listed under "missing" in the seed always answer 404 / GraphQL NOT_FOUND.
+// JSON answers carry an ETag; a GET sending it back in If-None-Match gets a 304.
+import fs from "fs";
+import http from "http";
+import { isMain } from "../utils/main.js";
+
+function mulberry32(seed) {
+  return function() {
+    seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+function hashString(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+  return h >>> 0;
+}
+
+// Deterministic ascending star timestamps from { start, end, per_day, bursts: [{ date, days, per_day }] }.
+export function generateStars(fullName, spec) {
+  const rand = mulberry32(hashString(fullName));
+  const out = [];
+  const end = new Date(spec.end + "T00:00:00Z");
+  for (let d = new Date(spec.start + "T00:00:00Z"); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    const iso = d.toISOString().slice(0, 10);
+    let n = spec.per_day || 0;
+    for (const b of spec.bursts || []) {
+      const bs = new Date(b.date + "T00:00:00Z");
+      const be = new Date(bs); be.setUTCDate(bs.getUTCDate() + (b.days || 1) - 1);
+      if (d >= bs && d <= be) n += b.per_day;
+    }
+    const secs = Array.from({ length: n }, () => Math.floor(rand() * 86400)).sort((a, b) => a - b);
+    for (const s of secs) out.push(new Date(Date.parse(iso + "T00:00:00Z") + s * 1000).toISOString().replace(".000Z", "Z"));
+  }
+  return out;
+}
+
+function loadSeed(seedPath) {
+  const seed = JSON.parse(fs.readFileSync(seedPath, "utf8"));
+  const repos = {};
+  for (const [full, r] of Object.entries(seed.repos || {})) {
+    repos[full.toLowerCase()] = { ...r, full_name: full, stars: generateStars(full, r.stars) };
+  }
+  return { ...seed, repos, missing: new Set((seed.missing || []).map(s => s.toLowerCase())) };
+}
+
+const SINCE_DAYS = { daily: 1, weekly: 7, monthly: 30 };
+const SINCE_LABEL = { daily: "today", weekly: "this week", monthly: "this month" };
+
+// Same structure as github.com/trending rows (see utils/trending.js), with the
+// counts taken from the seed as of seed.now.
+function trendingHTML(list, seed, since = "weekly") {
+  const from = new Date(Date.parse(seed.now) - SINCE_DAYS[since] * 86400000).toISOString();
+  const rows = list.map(full => {
+    const r = seed.repos[full.toLowerCase()] || { stars: [], contributors: [] };
+    const [owner, name] = full.split("/");
+    const recent = r.stars.filter(t => t >= from && t <= seed.now).length;
+    const builtBy = (r.contributors || []).slice(0, 5).map(c =>
+      `<a class="d-inline-block" data-hovercard-type="user" href="/${c.login}"><img class="avatar mb-1 avatar-user" src="/${c.login}.png" width="20" height="20" alt="@${c.login}" /></a>`).join("\n        ");
+    return `
+  <article class="Box-row">
+    <h2 class="h3 lh-condensed">
+      <a href="/${full}" data-view-component="true" class="Link"><span class="text-normal">${owner} /</span> ${name}</a>
+    </h2>
+    ${r.description ? `<p class="col-9 color-fg-muted my-1 pr-4">\n      ${r.description.replace(/&/g, "&amp;").replace(/</g, "&lt;")}\n    </p>` : ""}
+    <div class="f6 color-fg-muted mt-2">
+      ${r.language ? `<span class="d-inline-block ml-0 mr-3"><span class="repo-language-color"></span> <span itemprop="programmingLanguage">${r.language}</span></span>` : ""}
+      <a href="/${full}/stargazers" class="Link Link--muted d-inline-block mr-3"><svg aria-label="star"></svg> ${r.stars.length.toLocaleString("en-US")}</a>
+      <a href="/${full}/forks" class="Link Link--muted d-inline-block mr-3"><svg aria-label="fork"></svg> ${(r.forks ?? 0).toLocaleString("en-US")}</a>
+      <span class="d-inline-block mr-3">
+        Built by
+        ${builtBy}
+      </span>
+      <span class="d-inline-block float-sm-right"><svg class="octicon octicon-star"></svg> ${recent.toLocaleString("en-US")} stars ${SINCE_LABEL[since]}</span>
+    </div>
+  </article>`;
+  }).join("");
+  const empty = `<div class="blankslate"><h3>It looks like we don’t have any trending repositories for your choices.</h3></div>`;
+  return `<!DOCTYPE html><html><body><div class="Box">${rows || empty}\n</div></body></html>`;
+}
+
+function repoJSON(r, base) {
+  const [owner, name] = r.full_name.split("/");
+  return {
+    id: r.id ?? hashString(r.full_name),
+    name,
+    full_name: r.full_name,
+    owner: { login: owner, type: r.owner?.type || "User" },
+    html_url: `https://github.com/${r.full_name}`,
+    url: `${base}/repos/${r.full_name}`,
+    description: r.description ?? null,
+    homepage: r.homepage ?? null,
+    language: r.language ?? null,
+    license: r.license ? { spdx_id: r.license } : null,
+    topics: r.topics || [],
+    default_branch: r.default_branch || "main",
+    archived: !!r.archived,
+    disabled: !!r.disabled,
+    created_at: r.created_at ?? null,
+    pushed_at: r.pushed_at ?? null,
+    size: r.size ?? 1000,
+    stargazers_count: r.stars.length,
+    watchers_count: r.stars.length,
+    forks_count: r.forks ?? 0,
+    open_issues_count: r.open_issues ?? 0,
+    subscribers_count: r.subscribers ?? 0
+  };
+}
+
+// Nodes of a release / fork / issue / merged-PR connection, newest first by the
+// connection's sort key. Counts come from the seed: "releases" (dates, tagged
+// v1, v2, ... in seed order), "forks", "issues" ({ open, closed }) and
+// "merged_prs", spread from created_at to seed.now.
+function activityNodes(r, kind, seed) {
+  const rand = mulberry32(hashString(`${r.full_name}:${kind}`));
+  const from = Date.parse(r.created_at || seed.now), to = Date.parse(seed.now);
+  const at = (lo = from) => new Date(lo + Math.floor(rand() * (to - lo))).toISOString().replace(/\.\d{3}Z$/, "Z");
+  const byKey = (nodes, k) => nodes.sort((a, b) => b[k].localeCompare(a[k]));
+  if (kind === "releases") return byKey((r.releases || []).map((d, i) => ({ tagName: `v${i + 1}`, createdAt: `${d}T12:00:00Z`, publishedAt: `${d}T12:00:00Z`, isDraft: false })), "createdAt");
+  if (kind === "forks") return byKey(Array.from({ length: r.forks ?? 0 }, (_, i) => ({ nameWithOwner: `fork${i + 1}/${r.full_name.split("/")[1]}`, createdAt: at() })), "createdAt");
+  if (kind === "issues") {
+    const { open = r.open_issues ?? 0, closed = 0 } = r.issues || {};
+    const nodes = Array.from({ length: open + closed }, (_, i) => {
+      const createdAt = at();
+      const closedAt = i < closed ? at(Date.parse(createdAt)) : null;
+      return { number: i + 1, createdAt, closedAt, updatedAt: closedAt ?? createdAt };
+    });
+    return byKey(nodes, "updatedAt");
+  }
+  if (kind === "pullRequests") {
+    return byKey(Array.from({ length: r.merged_prs ?? 0 }, (_, i) => {
+      const mergedAt = at();
+      return { number: 1000 + i, mergedAt, updatedAt: mergedAt };
+    }), "updatedAt");
+  }
+  return [];
+}
+
+const WEEK_SEC = 7 * 86400;
+
+// /stats/contributors: each seed contributor's commits spread over the weeks
+// from their "first_commit" (default: the repo's created_at) to seed.now.
+function contributorStats(r, seed) {
+  const sunday = iso => { const d = new Date(iso); d.setUTCHours(0, 0, 0, 0); d.setUTCDate(d.getUTCDate() - d.getUTCDay()); return d.getTime() / 1000; };
+  const first = sunday(r.created_at || seed.now), last = sunday(seed.now);
+  return (r.contributors || []).map(c => {
+    const rand = mulberry32(hashString(`${r.full_name}:${c.login}`));
+    const from = Math.max(first, sunday(c.first_commit || r.created_at || seed.now));
+    const weeks = [];
+    for (let w = first; w <= last; w += WEEK_SEC) weeks.push({ w, a: 0, d: 0, c: 0 });
+    const active = weeks.filter(x => x.w >= from);
+    if (active.length) {
+      active[0].c = 1;
+      for (let i = 1; i < (c.contributions || 0); i++) active[Math.floor(rand() * active.length)].c++;
+    }
+    return { author: { login: c.login }, total: c.contributions || 0, weeks };
+  });
+}
+
+export function startFakeGitHub({ seed: seedPath = "fixtures/fake_github/seed.json", faults = [], port = 0 } = {}) {
+  const seed = loadSeed(seedPath);
+  const nowSec = Math.floor(Date.parse(seed.now || "2025-01-01T00:00:00Z") / 1000);
+  const quota = { core: 5000, search: 30, graphql: 5000 };
+  const pending = faults.map(f => ({ ...f, re: new RegExp(f.match), left: f.times ?? Infinity }));
+
+  function send(res, status, body, { resource = "core", headers = {} } = {}) {
+    const limit = resource === "search" ? 30 : 5000;
+    const text = typeof body === "string" ? body : JSON.stringify(body);
+    const etag = status === 200 && typeof body !== "string" ? `"${hashString(text).toString(16)}"` : null;
+    if (etag && res.req.method === "GET" && res.req.headers["if-none-match"] === etag) status = 304;
+    if (status !== 304) quota[resource] = Math.max(0, quota[resource] - 1);
+    res.writeHead(status, {
+      "content-type": typeof body === "string" ? "text/html; charset=utf-8" : "application/json; charset=utf-8",
+      "x-ratelimit-limit": String(limit),
+      "x-ratelimit-remaining": String(quota[resource]),
+      "x-ratelimit-reset": String(nowSec + 3600),
+      "x-ratelimit-resource": resource,
+      ...(etag ? { "etag": etag } : {}),
+      ...headers
+    });
+    res.end(status === 304 ? undefined : text);
+  }
+  const notFound = (res, resource) => send(res, 404, { message: "Not Found" }, { resource });
+
+  function graphql(res, body) {
+    const { query, variables } = body;
+    const { owner, name, first = 100, cursor = null } = variables || {};
+    const key = `${owner}/${name}`.toLowerCase();
+    const r = seed.repos[key];
+    if (!r || seed.missing.has(key)) {
+      return send(res, 200, { data: { repository: null }, errors: [{ type: "NOT_FOUND", message: `Could not resolve to a Repository with the name '${owner}/${name}'.` }] }, { resource: "graphql" });
+    }
+    // Release / fork / issue / merged-PR connections (fetch_activity.js).
+    const conn = (query || "").match(/conn:\s*(\w+)/);
+    if (conn) {
+      const all = activityNodes(r, conn[1], seed);
+      const offset = cursor ? Number(Buffer.from(cursor, "base64").toString("utf8").split(":")[1]) : 0;
+      const nodes = all.slice(offset, offset + first);
+      const next = offset + nodes.length;
+      return send(res, 200, { data: { repository: { conn: {
+        pageInfo: { hasNextPage: next < all.length, endCursor: nodes.length ? Buffer.from(`cursor:${next}`).toString("base64") : cursor },
+        nodes
+      } } } }, { resource: "graphql" });
+    }
+    const desc = r.stars.slice().reverse();
+    const offset = cursor ? Number(Buffer.from(cursor, "base64").toString("utf8").split(":")[1]) : 0;
+    const page = desc.slice(offset, offset + first);
+    const next = offset + page.length;
+    // Stargazer accounts only when the query asks for them (detect_anomalies.js sampling).
+    const withNodes = /node\s*\{/.test(query || "");
+    const node = (starredAt, i) => {
+      const rand = mulberry32(hashString(`${key}:${offset + i}`));
+      return {
+        createdAt: new Date(Date.parse(starredAt) - Math.floor(rand() * 3000 + 1) * 86400000).toISOString().replace(".000Z", "Z"),
+        followers: { totalCount: Math.floor(rand() * 50) },
+        repositories: { totalCount: Math.floor(rand() * 30) }
+      };
+    };
+    send(res, 200, { data: { repository: {
+      stargazerCount: r.stars.length,
+      stargazers: {
+        pageInfo: { hasNextPage: next < desc.length, endCursor: page.length ? Buffer.from(`cursor:${next}`).toString("base64") : cursor },
+        edges: page.map((starredAt, i) => withNodes ? { starredAt, node: node(starredAt, i) } : { starredAt })
+      }
+    } } }, { resource: "graphql" });
+  }
+
+  function route(req, res, body) {
+    const u = new URL(req.url, "http://localhost");
+    const p = u.pathname.replace(/\/+$/, "");
+    const base = `http://${req.headers.host}`;
+    const resource = p === "/graphql" ? "graphql" : p.startsWith("/search/") ? "search" : "core";
+
+    for (const f of pending) {
+      if (f.left <= 0 || !f.re.test(p) || (f.method && f.method !== req.method)) continue;
+      f.left--;
+      const headers = {};
+      if (f.retry_after) headers["retry-after"] = String(f.retry_after);
+      if (f.exhaust) {
+        quota[resource] = 1;
+        headers["x-ratelimit-reset"] = String(Math.floor(Date.now() / 1000) + (f.reset_in ?? 1));
+      }
+      return send(res, f.status, { message: f.message || `fake fault ${f.status}` }, { resource, headers });
+    }
+
+    if (p === "/graphql" && req.method === "POST") return graphql(res, JSON.parse(body || "{}"));
+
+    let m;
+    if ((m = p.match(/^\/trending(?:\/([^/]+))?$/))) {
+      const lang = m[1] ? decodeURIComponent(m[1]) : null;
+      const list = lang ? (seed.trending?.by_language?.[lang] || []) : (seed.trending?.overall || []);
+      return send(res, 200, trendingHTML(list, seed, u.searchParams.get("since") || "weekly"));
+    }
+    if (p === "/search/repositories") {
+      const items = Object.values(seed.repos).map(r => repoJSON(r, base)).sort((a, b) => b.stargazers_count - a.stargazers_count);
+      return send(res, 200, { total_count: items.length, incomplete_results: false, items }, { resource });
+    }
+    if ((m = p.match(/^\/repos\/([^/]+)\/([^/]+)(\/.*)?$/))) {
+      const key = `${m[1]}/${m[2]}`.toLowerCase();
+      const r = seed.repos[key];
+      if (!r || seed.missing.has(key)) return notFound(res);
+      if (!m[3]) return send(res, 200, repoJSON(r, base));
+      if (m[3] === "/contributors") {
+        const page = Number(u.searchParams.get("page") || 1);
+        const perPage = Number(u.searchParams.get("per_page") || 30);
+        const all = r.contributors || [];
+        return send(res, 200, all.slice((page - 1) * perPage, page * perPage));
+      }
+      // README and FUNDING.yml from the seed's "readme" / "funding" text.
+      const file = m[3] === "/readme" ? r.readme : m[3] === "/contents/.github/FUNDING.yml" ? r.funding : undefined;
+      if (file != null) return send(res, 200, { type: "file", encoding: "base64", content: Buffer.from(file).toString("base64") });
+      if (m[3] === "/stats/contributors") return send(res, 200, contributorStats(r, seed));
+      if (m[3] === "/stats/commit_activity") {
+        const weeks = new Map();
+        for (const s of contributorStats(r, seed)) for (const w of s.weeks) weeks.set(w.w, (weeks.get(w.w) || 0) + w.c);
+        return send(res, 200, [...weeks].slice(-52).map(([week, total]) => ({ week, total, days: [0, 0, 0, 0, 0, 0, 0] })));
+      }
+      return notFound(res);
+    }
+    if ((m = p.match(/^\/(users|orgs)\/([^/]+)$/))) {
+      const login = m[2].toLowerCase();
+      const entry = Object.entries(seed.accounts || {}).find(([k]) => k.toLowerCase() === login);
+      if (!entry) return notFound(res);
+      const [name, a] = entry;
+      const isOrg = a.type === "Organization";
+      if ((m[1] === "orgs") !== isOrg) return notFound(res);
+      return send(res, 200, { login: name, type: a.type || "User", created_at: "2015-01-01T00:00:00Z", public_repos: 10, followers: 0, ...a });
+    }
+    return notFound(res);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      try { route(req, res, body); }
+      catch (e) { send(res, 500, { message: e.message }); }
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(port, "127.0.0.1", () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ url, close: () => new Promise(r => server.close(r)) });
+    });
+  });
+}
+
+if (isMain(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const opt = name => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : undefined; };
+  const faults = opt("--faults") ? JSON.parse(fs.readFileSync(opt("--faults"), "utf8")) : [];
+  const { url } = await startFakeGitHub({ seed: opt("--seed"), faults, port: Number(opt("--port") || 4010) });
+  console.log(`fake github listening on ${url}`);
+}
@@ -0,0 +1,113 @@
+// scripts/diff_leaderboards.js
+// Rank movement for the delta and ROSS leaderboards of a period.
+//
+// Usage: node scripts/diff_leaderboards.js PERIOD [--window N] [--min-start N] [--scoring MODE] [--anomalies MODE]
+//
+// For data/derived/quarter/<key>.json and data/derived/quarter-ross/<key>[__config].json:
+// - while the period is in progress (started, and not over or rolling), the board is snapshotted once per ISO week to
+//   data/derived/history/<board dir>/<board name>/YYYY-Www.json (committed with data/, so the
+//   week-to-week record survives between workflow runs)
+// - <board name>.diff.json is written next to the board:
+//   { period, week, against: { previous_run, previous_period },
+//     rows: [{ repo, rank, weeks_on_chart, previous_run, previous_period }],
+//     dropped: { previous_run: [...], previous_period: [...] } }
+//   previous_run compares with the latest snapshot from an earlier week,
+//   previous_period with the board of the period before (2025-Q3 for 2025-Q4).
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { now, isoWeekKey, previousPeriod } from "./utils/time.js";
+import { rossSuffix } from "./utils/ross.js";
+import { anomalySuffix } from "./utils/anomaly.js";
+import { diffRows, weeksOnChart } from "./utils/leaderboard.js";
+import { ROSS_OPTIONS, PERIOD_OPTIONS, ANOMALY_OPTIONS, parseRossOptions, parseAnomalyMode, periodFromArgs } from "./utils/args.js";
+import { readJSON, writeJSON, readLeaderboard } from "./utils/io.js";
+import { loadIdentity, currentNames } from "./utils/identity.js";
+import { isMain } from "./utils/main.js";
+
+const DERIVED = "data/derived";
+const HISTORY_DIR = "data/derived/history";
+
+// Snapshots and older boards list repos under the name they had then.
+function loadSnapshots(dir, idn) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => /^\d{4}-W\d{2}\.json$/.test(f))
+    .sort()
+    .map(f => readJSON(path.join(dir, f)))
+    .filter(Boolean)
+    .map(s => currentNames(s, idn));
+}
+
+function movement(prevRows, curRows) {
+  if (!prevRows) return { rows: new Map(), dropped: null };
+  const { rows, dropped } = diffRows(prevRows, curRows);
+  return {
+    rows: new Map(rows.map(r => [r.repo.toLowerCase(), { prev_rank: r.prev_rank, rank_change: r.rank_change, new_entry: r.new_entry }])),
+    dropped
+  };
+}
+
+// Diffs one board (e.g. boardDir "quarter-ross", name "2025-Q4__w30-min500-blended").
+export function diffBoard(boardDir, name, period, { only = null } = {}) {
+  const file = path.join(DERIVED, boardDir, `${name}.json`);
+  if (!fs.existsSync(file)) { console.warn(`no ${file}; skipping diff`); return null; }
+  const idn = loadIdentity();
+  const cur = currentNames(readLeaderboard(file), idn).rows;
+  const today = now().toISOString().slice(0, 10);
+  const week = isoWeekKey(today);
+
+  const historyDir = path.join(HISTORY_DIR, boardDir, name);
+  const snapshots = loadSnapshots(historyDir, idn).filter(s => s.week !== week);
+  const lastRun = snapshots.filter(s => s.week < week).at(-1) ?? null;
+  // Periods that have not started yet have nothing worth a weekly snapshot.
+  const inProgress = period.start <= today && (period.kind === "rolling" || period.end >= today);
+  const snapshot = { period: period.key, week, captured_at: now().toISOString(), rows: cur.map(r => ({ repo: r.repo, rank: r.rank })) };
+  const counts = weeksOnChart(inProgress ? [...snapshots, snapshot] : snapshots);
+
+  const prev = previousPeriod(period);
+  const prevFile = prev && path.join(DERIVED, boardDir, `${prev.key}${name.slice(period.key.length)}.json`);
+  const prevPeriodRows = prevFile && fs.existsSync(prevFile) ? currentNames(readLeaderboard(prevFile), idn).rows : null;
+
+  const vsRun = movement(lastRun?.rows ?? null, cur);
+  const vsPeriod = movement(prevPeriodRows, cur);
+  const out = {
+    period: period.key,
+    week,
+    against: { previous_run: lastRun?.week ?? null, previous_period: prevPeriodRows ? prev.key : null },
+    rows: cur.map(r => {
+      const k = r.repo.toLowerCase();
+      return {
+        repo: r.repo,
+        rank: r.rank,
+        weeks_on_chart: counts.get(k) ?? 0,
+        previous_run: vsRun.rows.get(k) ?? null,
+        previous_period: vsPeriod.rows.get(k) ?? null
+      };
+    }),
+    dropped: { previous_run: vsRun.dropped, previous_period: vsPeriod.dropped }
+  };
+
+  if (only) {
+    const row = out.rows.find(r => r.repo.toLowerCase() === only.toLowerCase());
+    console.log(`diff ${boardDir}/${name} ${only}:`, row ? JSON.stringify(row) : "not ranked");
+    return out;
+  }
+  if (inProgress) writeJSON(path.join(historyDir, `${week}.json`), snapshot);
+  writeJSON(path.join(DERIVED, boardDir, `${name}.diff.json`), out);
+  const entrants = out.rows.filter(r => r.previous_run?.new_entry).length;
+  console.log(`diffed ${boardDir}/${name} (vs run ${out.against.previous_run ?? "-"}, vs period ${out.against.previous_period ?? "-"}; ${entrants} new since last run)`);
+  return out;
+}
+
+// Both leaderboards of `period`; `params` and `anomalies` pick the files.
+export function diffLeaderboards(period, { only = null, params = {}, anomalies = "flag" } = {}) {
+  diffBoard("quarter", `${period.key}${anomalySuffix(anomalies)}`, period, { only });
+  diffBoard("quarter-ross", `${period.key}${rossSuffix(params)}${anomalySuffix(anomalies)}`, period, { only });
+}
+
+if (isMain(import.meta.url)) {
+  const { values, positionals } = parseArgs({ allowPositionals: true, options: { ...ROSS_OPTIONS, ...PERIOD_OPTIONS, ...ANOMALY_OPTIONS } });
+  if (!values.period && !positionals.length) { console.error("Usage: node scripts/diff_leaderboards.js PERIOD [--window N] [--min-start N] [--scoring MODE]"); process.exit(1); }
+  diffLeaderboards(periodFromArgs(values, positionals), { params: parseRossOptions(values), anomalies: parseAnomalyMode(values.anomalies) });
+}
@@ -0,0 +1,68 @@
+// scripts/enrich_contributor_activity.js
+// Contributor activity and bus-factor enrichment. For each repo in
+// data/derived/weekly, it:
+// 1) Lists contributors with their commit counts (listContributors in
+//    enrich_contributor_locations.js, same LOCN_MAX_PAGES cap)
+// 2) Reads /repos/{owner}/{repo}/stats/contributors for each author's first commit week
+// 3) Reads /repos/{owner}/{repo}/stats/commit_activity for the last 52 weeks of commits
+// 4) Appends a "contributor_activity" section to the meta history
+//    (utils/meta_history.js), so data/derived/meta/owner__repo.json gains:
+// {
+//   "contributors_total": 3,
+//   "top_contributor_share": 0.7955,      // commits by the top contributor / all
+//   "top3_contributor_share": 1,
+//   "bus_factor": 1,                       // fewest contributors covering half the commits
+//   "commits_per_week": 4.8077,            // mean over the last 52 weeks
+//   "active_week_share": 0.6538,           // weeks with at least one commit
+//   "contributor_activity": { "capped": false, "first_commit_weeks": ["2024-01-07", ...],
+//                             "commit_weeks": [{ "week": "2024-11-17", "commits": 3 }, ...], "updated_at": "..." }
+// }
+// The stats endpoints answer 202 while GitHub computes them; they are polled
+// ACTIVITY_STATS_TRIES times, after which their fields are left null for this run.
+// rank_ross_quarter.js turns these into per-window columns (utils/contributors.js).
+import { now } from "./utils/time.js";
+import { githubRequest, isBudgetError, logRequestStats } from "./utils/github.js";
+import { sleep } from "./utils/http.js";
+import { activitySummary } from "./utils/contributors.js";
+import { appendSnapshot } from "./utils/meta_history.js";
+import { listRepos, listContributors } from "./enrich_contributor_locations.js";
+import { isMain } from "./utils/main.js";
+
+const STATS_TRIES = Number(process.env.ACTIVITY_STATS_TRIES || 4);
+const STATS_WAIT_MS = Number(process.env.ACTIVITY_STATS_WAIT_MS || 3000);
+
+// The stats array, or null when it is still being computed or the request failed.
+async function fetchStats(owner, repo, kind) {
+  for (let attempt = 1; attempt <= STATS_TRIES; attempt++) {
+    const { ok, status, json } = await githubRequest(`/repos/${owner}/${repo}/stats/${kind}`);
+    if (!ok) return null;
+    if (status === 204) return [];
+    if (status !== 202) return Array.isArray(json) ? json : null;
+    if (attempt < STATS_TRIES) await sleep(STATS_WAIT_MS * attempt);
+  }
+  console.log(`stats/${kind} ${owner}/${repo}: still computing after ${STATS_TRIES} tries`);
+  return null;
+}
+
+export async function enrichContributorActivity({ only = null } = {}) {
+  for (const { owner, repo } of listRepos(only)) {
+    try {
+      const { contributors, capped } = await listContributors(owner, repo);
+      const stats = await fetchStats(owner, repo, "contributors");
+      const activity = await fetchStats(owner, repo, "commit_activity");
+      const at = now().toISOString();
+      const summary = activitySummary({ contributions: contributors.map(c => c.contributions), stats, activity, capped });
+      summary.contributor_activity.updated_at = at;
+      appendSnapshot(`${owner}/${repo}`, "contributor_activity", summary, at);
+      console.log(`activity ${owner}/${repo}: ${summary.contributors_total} contributors, bus factor ${summary.bus_factor}`);
+    } catch (e) {
+      console.error("activity enrich error", `${owner}/${repo}`, e.message);
+      if (isBudgetError(e)) break;
+    }
+  }
+  logRequestStats();
+}
+
+if (isMain(import.meta.url)) {
+  await enrichContributorActivity();
+}
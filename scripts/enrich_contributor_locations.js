@@ -4,19 +4,23 @@
 // 1) Lists contributors via /repos/{owner}/{repo}/contributors (paginated)
 // 2) Fetches each contributor's user profile via /users/{login}, reads "location"
 // 3) Normalizes and aggregates into a map: { "<location>": count, ... }
-// 4) Merges the map into data/derived/meta/owner__repo.json as "contributor_locations"
-// Rate-limit handling:
-// - On 403 with Retry-After or X-RateLimit-Reset, sleep then retry the same request
-// - Exponential backoff on 5xx
+// 4) Appends the map as the "contributor_locations" section of the repo's meta
+//    history (utils/meta_history.js), which data/derived/meta/owner__repo.json shows
+// Rate-limit handling: shared client in scripts/utils/github.js (Retry-After,
+// reset waits, capped 5xx backoff, per-run budget)
 // Caching:
 // - Caches user locations by login in data/cache/user_locations.json with 7-day TTL
 
 import fs from "fs";
 import path from "path";
-import fetch from "node-fetch";
+import { now } from "./utils/time.js";
+import { githubRequest, isBudgetError, logRequestStats } from "./utils/github.js";
+import { matchesOnly } from "./utils/candidates.js";
+import { appendSnapshot } from "./utils/meta_history.js";
+import { writeJSON } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
 
 const WEEKLY_DIR = "data/derived/weekly";
-const META_DIR = "data/derived/meta";
 const CACHE_DIR = "data/cache";
 const USER_CACHE_FILE = path.join(CACHE_DIR, "user_locations.json");
 
@@ -25,8 +29,6 @@ const MAX_PAGES_PER_REPO = Number(process.env.LOCN_MAX_PAGES || 10);   // defaul
 const MAX_RUN_MS = Number(process.env.LOCN_MAX_RUN_MS || 0);           // 0 = unlimited
 const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;                          // 7 days
 
-fs.mkdirSync(CACHE_DIR, { recursive: true });
-
 function loadUserCache() {
   try {
     if (fs.existsSync(USER_CACHE_FILE)) {
@@ -36,15 +38,13 @@ function loadUserCache() {
   return {};
 }
 function saveUserCache(cache) {
-  try {
-    fs.writeFileSync(USER_CACHE_FILE, JSON.stringify(cache, null, 2));
-  } catch {}
+  writeJSON(USER_CACHE_FILE, cache);
 }
 
-function listRepos() {
+export function listRepos(only = null) {
   if (!fs.existsSync(WEEKLY_DIR)) return [];
   return fs.readdirSync(WEEKLY_DIR)
-    .filter(f => f.endsWith(".json"))
+    .filter(f => f.endsWith(".json") && matchesOnly(f, only))
     .map(f => {
       const p = JSON.parse(fs.readFileSync(path.join(WEEKLY_DIR, f), "utf8"));
       const full = p.repo || f.replace(".json","").replace("__","/");
@@ -70,105 +70,46 @@ function normalizeLocation(loc) {
   return aliases[s] || s;
 }
 
-function msUntil(resetEpochSec) {
-  const now = Date.now();
-  return Math.max(0, resetEpochSec * 1000 - now) + 2000; // +2s cushion
-}
-async function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-async function githubRequest(url, GH_TOKEN, attempt = 1) {
-  const headers = {
-    "Accept": "application/vnd.github+json",
-    "X-GitHub-Api-Version": "2022-11-28",
-    ...(GH_TOKEN ? { "Authorization": `Bearer ${GH_TOKEN}` } : {})
-  };
-  const res = await fetch(url, { headers });
-
-  const remaining = Number(res.headers.get("x-ratelimit-remaining") || "0");
-  const reset = Number(res.headers.get("x-ratelimit-reset") || "0");
-  const retryAfter = Number(res.headers.get("retry-after") || "0");
-
-  if (res.status === 403 && retryAfter) {
-    const waitMs = retryAfter * 1000 + 1000;
-    console.log(`403 secondary limit; sleeping ${waitMs}ms -> ${url}`);
-    await sleep(waitMs);
-    return githubRequest(url, GH_TOKEN, attempt + 1);
-  }
-
-  if (res.status === 403 && reset) {
-    const waitMs = msUntil(reset);
-    console.log(`403 primary limit; remaining=${remaining}; sleeping ${waitMs}ms -> ${url}`);
-    await sleep(waitMs);
-    return githubRequest(url, GH_TOKEN, attempt + 1);
-  }
-
-  if (res.status >= 500 && attempt <= 6) {
-    const backoff = Math.min(120000, 1000 * Math.pow(2, attempt));
-    console.log(`5xx=${res.status}; backoff ${backoff}ms -> ${url}`);
-    await sleep(backoff);
-    return githubRequest(url, GH_TOKEN, attempt + 1);
-  }
-
-  if (!res.ok) {
-    let json = null;
-    try { json = await res.json(); } catch {}
-    return { ok: false, status: res.status, json, headers: { remaining, reset } };
-  }
-
-  let json = null;
-  try { json = await res.json(); } catch {}
-  await sleep(150); // gentle pacing
-  return { ok: true, status: res.status, json, headers: { remaining, reset } };
-}
-
-async function listContributors(owner, repo, GH_TOKEN) {
-  const logins = [];
+// { contributors: [{ login, contributions }], capped }, most commits first as
+// GitHub lists them; `capped` when MAX_PAGES_PER_REPO cut the list short.
+export async function listContributors(owner, repo) {
+  const byLogin = new Map();
+  let capped = false;
   for (let page = 1; page <= MAX_PAGES_PER_REPO; page++) {
-    const url = `https://api.github.com/repos/${owner}/${repo}/contributors?per_page=${PER_PAGE}&page=${page}`;
-    const { ok, json } = await githubRequest(url, GH_TOKEN);
+    const { ok, json } = await githubRequest(`/repos/${owner}/${repo}/contributors?per_page=${PER_PAGE}&page=${page}`);
     if (!ok || !Array.isArray(json) || json.length === 0) break;
-    for (const c of json) if (c?.login) logins.push(c.login);
+    for (const c of json) if (c?.login && !byLogin.has(c.login)) byLogin.set(c.login, { login: c.login, contributions: c.contributions ?? 0 });
     if (json.length < PER_PAGE) break;
+    if (page === MAX_PAGES_PER_REPO) capped = true;
   }
-  return [...new Set(logins)];
+  return { contributors: [...byLogin.values()], capped };
 }
 
-async function fetchUserLocation(login, GH_TOKEN, cache) {
+async function fetchUserLocation(login, cache) {
   const cached = cache[login];
   if (cached && cached.value && cached.fetched_at) {
-    const age = Date.now() - new Date(cached.fetched_at).getTime();
+    const age = now().getTime() - new Date(cached.fetched_at).getTime();
     if (age < CACHE_TTL_MS) return cached.value;
   }
-  const url = `https://api.github.com/users/${login}`;
-  const resp = await githubRequest(url, GH_TOKEN);
+  const resp = await githubRequest(`/users/${login}`, { conditional: true });
   let loc = "unknown";
   if (resp.ok && resp.json) {
     loc = normalizeLocation(resp.json.location || "");
   }
-  cache[login] = { value: loc, fetched_at: new Date().toISOString() };
+  cache[login] = { value: loc, fetched_at: now().toISOString() };
   return loc;
 }
 
 function mergeIntoMeta(owner, repo, distribution) {
-  const metaPath = path.join(META_DIR, `${owner}__${repo}.json`);
-  let current = {};
-  if (fs.existsSync(metaPath)) {
-    try { current = JSON.parse(fs.readFileSync(metaPath, "utf8")); } catch {}
-  } else {
-    current = { owner, repo: `${owner}/${repo}` };
-  }
-  current.contributor_locations = distribution;
-  current.contributor_locations_updated_at = new Date().toISOString();
-  fs.mkdirSync(META_DIR, { recursive: true });
-  fs.writeFileSync(metaPath, JSON.stringify(current, null, 2));
+  const at = now().toISOString();
+  appendSnapshot(`${owner}/${repo}`, "contributor_locations", { contributor_locations: distribution, contributor_locations_updated_at: at }, at);
 }
 
-(async () => {
-  const GH_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN || "";
+export async function enrichContributorLocations({ only = null } = {}) {
   const START_TS = Date.now();
   const cache = loadUserCache();
 
-  const repos = listRepos();
+  const repos = listRepos(only);
   for (const { owner, repo } of repos) {
     if (MAX_RUN_MS && Date.now() - START_TS > MAX_RUN_MS) {
       console.log(`Max run time reached (${MAX_RUN_MS}ms); stopping for this run.`);
@@ -176,12 +117,12 @@ function mergeIntoMeta(owner, repo, distribution) {
     }
 
     try {
-      const logins = await listContributors(owner, repo, GH_TOKEN);
+      const logins = (await listContributors(owner, repo)).contributors.map(c => c.login);
       const counts = Object.create(null);
 
       for (const login of logins) {
         if (MAX_RUN_MS && Date.now() - START_TS > MAX_RUN_MS) break;
-        const loc = await fetchUserLocation(login, GH_TOKEN, cache);
+        const loc = await fetchUserLocation(login, cache);
         counts[loc] = (counts[loc] || 0) + 1;
       }
 
@@ -189,8 +130,14 @@ function mergeIntoMeta(owner, repo, distribution) {
       console.log(`locations ${owner}/${repo}: ${Object.keys(counts).length} regions from ${logins.length} users`);
     } catch (e) {
       console.error("location enrich error", `${owner}/${repo}`, e.message);
+      if (isBudgetError(e)) break;
     }
   }
 
   saveUserCache(cache);
-})();
+  logRequestStats();
+}
+
+if (isMain(import.meta.url)) {
+  await enrichContributorLocations();
+}
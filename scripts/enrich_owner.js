@@ -1,15 +1,18 @@
 import fs from "fs";
 import path from "path";
-import fetch from "node-fetch";
+import { now } from "./utils/time.js";
+import { githubRequest, isBudgetError, logRequestStats } from "./utils/github.js";
+import { matchesOnly } from "./utils/candidates.js";
+import { writeJSON } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
 
 const WEEKLY_DIR = "data/derived/weekly";
 const OUT_DIR = "data/derived/owner";
-fs.mkdirSync(OUT_DIR, { recursive: true });
 
-function listReposFromWeekly() {
+function listReposFromWeekly(only=null) {
   const list = [];
   for (const f of fs.readdirSync(WEEKLY_DIR)) {
-    if (!f.endsWith(".json")) continue;
+    if (!f.endsWith(".json") || !matchesOnly(f, only)) continue;
     const p = JSON.parse(fs.readFileSync(path.join(WEEKLY_DIR, f), "utf8"));
     if (!p?.repo) continue;
     const [owner, repo] = p.repo.split("/");
@@ -23,33 +26,36 @@ function normalizeURL(u) {
   if (!/^https?:\/\//i.test(s)) s = "https://" + s;
   try { new URL(s); return s; } catch { return null; }
 }
-async function respectfulSleep(ms=200){ await new Promise(r=>setTimeout(r,ms)); }
-async function fetchOwner(owner, GH_TOKEN) {
-  const headers = { "Accept":"application/vnd.github+json","X-GitHub-Api-Version":"2022-11-28", ...(GH_TOKEN?{"Authorization":`Bearer ${GH_TOKEN}`}:{}) };
-  let res = await fetch(`https://api.github.com/orgs/${owner}`, { headers });
-  if (res.status === 200) {
-    const j = await res.json(); await respectfulSleep();
+async function fetchOwner(owner) {
+  let res = await githubRequest(`/orgs/${owner}`, { conditional: true });
+  if (res.ok) {
+    const j = res.json;
     return { owner_login:j.login, owner_type:"Organization", name:j.name??null, company:null, bio:j.description??null, location:j.location??null, website:normalizeURL(j.blog??null), created_at:j.created_at??null, followers:null, public_repos:j.public_repos??null };
   }
-  if (res.status !== 404) await respectfulSleep();
-  res = await fetch(`https://api.github.com/users/${owner}`, { headers });
-  if (res.status === 200) {
-    const j = await res.json(); await respectfulSleep();
+  res = await githubRequest(`/users/${owner}`, { conditional: true });
+  if (res.ok) {
+    const j = res.json;
     return { owner_login:j.login, owner_type:"User", name:j.name??null, company:j.company??null, bio:j.bio??null, location:j.location??null, website:normalizeURL(j.blog??null), created_at:j.created_at??null, followers:j.followers??null, public_repos:j.public_repos??null };
   }
-  await respectfulSleep();
   return null;
 }
-(async () => {
-  const GH_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN || "";
-  const repos = listReposFromWeekly();
+export async function enrichOwners({ only = null } = {}) {
+  const repos = listReposFromWeekly(only);
   for (const { owner, repo } of repos) {
     const out = path.join(OUT_DIR, `${owner}__${repo}.json`);
     try {
-      const info = await fetchOwner(owner, GH_TOKEN);
-      const payload = { repo:`${owner}/${repo}`, owner:info?.owner_login??owner, owner_type:info?.owner_type??null, name:info?.name??null, company:info?.company??null, bio:info?.bio??null, location:info?.location??null, website:info?.website??null, created_at:info?.created_at??null, followers:info?.followers??null, public_repos:info?.public_repos??null, enriched_at:new Date().toISOString() };
-      fs.writeFileSync(out, JSON.stringify(payload, null, 2));
+      const info = await fetchOwner(owner);
+      const payload = { repo:`${owner}/${repo}`, owner:info?.owner_login??owner, owner_type:info?.owner_type??null, name:info?.name??null, company:info?.company??null, bio:info?.bio??null, location:info?.location??null, website:info?.website??null, created_at:info?.created_at??null, followers:info?.followers??null, public_repos:info?.public_repos??null, enriched_at:now().toISOString() };
+      writeJSON(out, payload);
       console.log("owner", payload.repo, "->", payload.owner_type || "unknown", payload.location || "");
-    } catch(e) { console.error("owner enrich error", `${owner}/${repo}`, e.message); }
+    } catch(e) {
+      console.error("owner enrich error", `${owner}/${repo}`, e.message);
+      if (isBudgetError(e)) break;
+    }
   }
-})();
+  logRequestStats();
+}
+
+if (isMain(import.meta.url)) {
+  await enrichOwners();
+}
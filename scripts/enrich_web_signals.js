@@ -0,0 +1,134 @@
+// scripts/enrich_web_signals.js
+// README, FUNDING.yml and homepage signal enrichment. For each repo in
+// data/derived/weekly, it:
+// 1) Fetches the README (/repos/{owner}/{repo}/readme) and .github/FUNDING.yml
+//    through the contents API, and the HTML of the repo's homepage (meta) and
+//    the owner's website (data/derived/owner) when they are not github.com
+// 2) Caches every response under data/cache/web/owner__repo/ (readme.md,
+//    funding.yml, homepage.html, website.html and index.json with each one's
+//    url, status and fetched_at); cached files younger than WEB_CACHE_TTL_DAYS
+//    (default 7) are not fetched again
+// 3) Extracts pricing/demo links, hosted-offering mentions, Discord/Slack
+//    links, funding and a summary (utils/web_signals.js)
+// 4) Appends them as the "web_signals" section of the meta history when they
+//    changed, so data/derived/meta/owner__repo.json gains
+//    web_signals: { summary, pricing, demo, hosted, community, funding, sources, updated_at }
+//
+// Usage: node scripts/enrich_web_signals.js [--only owner/repo] [--offline]
+// --offline makes no requests and re-parses whatever is in the cache, e.g.
+// after the extraction rules changed.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { now } from "./utils/time.js";
+import { githubRequest, isBudgetError, logRequestStats } from "./utils/github.js";
+import { httpFetch } from "./utils/http.js";
+import { extractWebSignals } from "./utils/web_signals.js";
+import { META_DIR, readHistory, latestSection, appendSnapshot } from "./utils/meta_history.js";
+import { readJSON, writeJSON, writeText, repoFile, isDryRun } from "./utils/io.js";
+import { hostOf } from "./utils/entity.js";
+import { listRepos } from "./enrich_contributor_locations.js";
+import { isMain } from "./utils/main.js";
+
+const OWNER_DIR = "data/derived/owner";
+const CACHE_DIR = "data/cache/web";
+const TTL_MS = Number(process.env.WEB_CACHE_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+const PAGE_TIMEOUT_MS = 15000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+const pageURL = url => {
+  const host = hostOf(url);
+  return host && host !== "github.com" && !host.endsWith(".github.com") ? url : null;
+};
+
+async function fetchContents(apiPath) {
+  const { ok, status, json } = await githubRequest(apiPath, { conditional: true });
+  if (!ok || typeof json?.content !== "string") return { status, body: null };
+  return { status, body: Buffer.from(json.content, json.encoding || "base64").toString("utf8") };
+}
+
+async function fetchPage(url) {
+  try {
+    const res = await httpFetch(url, {
+      headers: { "User-Agent": "ross-web-signals", "Accept": "text/html" },
+      timeout: PAGE_TIMEOUT_MS,
+      size: MAX_PAGE_BYTES
+    });
+    const html = res.ok && /html/i.test(res.headers.get("content-type") || "") ? await res.text() : null;
+    return { status: res.status, body: html };
+  } catch (e) {
+    return { status: null, body: null, error: e.message };
+  }
+}
+
+// Text of every source, from the cache when fresh (or --offline), else fetched.
+async function loadSources(owner, repo, { offline }) {
+  const name = `${owner}/${repo}`;
+  const dir = path.join(CACHE_DIR, repoFile(name).replace(/\.json$/, ""));
+  const indexFile = path.join(dir, "index.json");
+  const index = readJSON(indexFile, {});
+  const meta = readJSON(path.join(META_DIR, repoFile(name)));
+  const ownerInfo = readJSON(path.join(OWNER_DIR, repoFile(name)));
+  const homepage = pageURL(meta?.homepage);
+  const website = pageURL(ownerInfo?.website);
+  const sources = [
+    { file: "readme.md", url: `/repos/${name}/readme`, get: () => fetchContents(`/repos/${name}/readme`) },
+    { file: "funding.yml", url: `/repos/${name}/contents/.github/FUNDING.yml`, get: () => fetchContents(`/repos/${name}/contents/.github/FUNDING.yml`) },
+    homepage && { file: "homepage.html", url: homepage, get: () => fetchPage(homepage) },
+    website && hostOf(website) !== hostOf(homepage) && { file: "website.html", url: website, get: () => fetchPage(website) }
+  ].filter(Boolean);
+
+  let changed = false;
+  const out = {};
+  for (const s of sources) {
+    const file = path.join(dir, s.file);
+    const cached = index[s.file];
+    const fresh = cached?.url === s.url && now().getTime() - Date.parse(cached.fetched_at) < TTL_MS;
+    if (!offline && !fresh) {
+      const { status, body, error } = await s.get();
+      index[s.file] = { url: s.url, status, fetched_at: now().toISOString(), ...(error ? { error } : {}) };
+      if (body != null) writeText(file, body);
+      else if (!isDryRun() && fs.existsSync(file)) fs.rmSync(file);
+      changed = true;
+    }
+    out[s.file] = index[s.file]?.url === s.url && fs.existsSync(file) ? { url: s.url, text: fs.readFileSync(file, "utf8") } : null;
+  }
+  if (changed) writeJSON(indexFile, index);
+  return out;
+}
+
+const sameSignals = (a, b) => a != null && JSON.stringify({ ...a, updated_at: null }) === JSON.stringify({ ...b, updated_at: null });
+
+export async function enrichWebSignals({ only = null, offline = false } = {}) {
+  let updated = 0, current = 0;
+  for (const { owner, repo } of listRepos(only)) {
+    const name = `${owner}/${repo}`;
+    try {
+      const src = await loadSources(owner, repo, { offline });
+      const pages = ["homepage.html", "website.html"].map(f => src[f]).filter(Boolean).map(p => ({ url: p.url, html: p.text }));
+      const at = now().toISOString();
+      const signals = {
+        ...extractWebSignals({ readme: src["readme.md"]?.text ?? null, funding: src["funding.yml"]?.text ?? null, pages }),
+        sources: { readme: !!src["readme.md"], funding: !!src["funding.yml"], pages: pages.map(p => p.url) },
+        updated_at: at
+      };
+      if (sameSignals(latestSection(readHistory(name), "web_signals")?.web_signals, signals)) {
+        current++;
+        continue;
+      }
+      appendSnapshot(name, "web_signals", { web_signals: signals }, at);
+      updated++;
+      console.log(`web signals ${name}: ${signals.pricing.length} pricing, ${signals.demo.length} demo, ${signals.funding.length} funding links`);
+    } catch (e) {
+      console.error("web signals error", name, e.message);
+      if (isBudgetError(e)) break;
+    }
+  }
+  console.log(`web signals: ${updated} repos updated, ${current} unchanged`);
+  if (!offline) logRequestStats();
+}
+
+if (isMain(import.meta.url)) {
+  const { values } = parseArgs({ options: { only: { type: "string" }, offline: { type: "boolean", default: false } } });
+  await enrichWebSignals({ only: values.only ?? null, offline: values.offline });
+}
@@ -0,0 +1,167 @@
+// scripts/fetch_activity.js
+// Incremental release, issue, merged-PR and fork history via GraphQL, walked
+// newest-first with a stored cursor like fetch_stars.js does for stargazers:
+// 1) Catch-up: from the newest node down to the `newest` sort key already on disk.
+// 2) Backfill: for connections not yet walked to the end, resume from the stored
+//    cursor for at most ACTIVITY_MAX_PAGES pages per run.
+// Issues and merged PRs are ordered by updatedAt, so closing an old issue or
+// merging an old PR brings it back to the top and the catch-up records it.
+// Output: data/raw/activity/owner__repo.json (layout in utils/activity.js);
+// aggregate_weekly.js turns it into weekly series.
+// Tombstoned repos are skipped; a repo GraphQL cannot find is left for
+// fetch_stars.js and fetch_repo_meta.js to tombstone.
+import path from "path";
+import { now } from "./utils/time.js";
+import { githubGraphQL, githubToken, isBudgetError, logRequestStats } from "./utils/github.js";
+import { ACTIVITY_DIR, CONNECTIONS, readActivity, writeActivity } from "./utils/activity.js";
+import { loadCandidates } from "./utils/candidates.js";
+import { repoFile } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
+
+const PER_PAGE = 100;
+const MAX_PAGES = Number(process.env.ACTIVITY_MAX_PAGES || 50);   // per connection per repo per run for older history
+
+// Per connection: the GraphQL field, the node's sort key, and how nodes merge
+// into `items`. Items are keyed by tag, fork, issue or PR, so a node read twice
+// only overwrites itself.
+const QUERIES = {
+  releases: {
+    field: "releases(first: $first, after: $cursor, orderBy: {field: CREATED_AT, direction: DESC})",
+    nodes: "tagName createdAt publishedAt isDraft",
+    key: n => n.createdAt,
+    merge: (items, nodes) => {
+      const out = { ...items };
+      for (const n of nodes) if (!n.isDraft && n.publishedAt) out[n.tagName] = n.publishedAt;
+      return out;
+    }
+  },
+  forks: {
+    field: "forks(first: $first, after: $cursor, orderBy: {field: CREATED_AT, direction: DESC})",
+    nodes: "nameWithOwner createdAt",
+    key: n => n.createdAt,
+    merge: (items, nodes) => {
+      const out = { ...items };
+      for (const n of nodes) out[n.nameWithOwner] = n.createdAt;
+      return out;
+    }
+  },
+  issues: {
+    field: "issues(first: $first, after: $cursor, orderBy: {field: UPDATED_AT, direction: DESC})",
+    nodes: "number createdAt closedAt updatedAt",
+    key: n => n.updatedAt,
+    merge: (items, nodes) => {
+      const out = { ...items };
+      for (const n of nodes) out[n.number] = [n.createdAt, n.closedAt ?? null];
+      return out;
+    }
+  },
+  pull_requests: {
+    field: "pullRequests(first: $first, after: $cursor, states: MERGED, orderBy: {field: UPDATED_AT, direction: DESC})",
+    nodes: "number mergedAt updatedAt",
+    key: n => n.updatedAt,
+    merge: (items, nodes) => {
+      const out = { ...items };
+      for (const n of nodes) out[n.number] = n.mergedAt;
+      return out;
+    }
+  }
+};
+
+const queryFor = q => `
+query($owner: String!, $name: String!, $first: Int!, $cursor: String) {
+  repository(owner: $owner, name: $name) {
+    conn: ${q.field} {
+      pageInfo { hasNextPage endCursor }
+      nodes { ${q.nodes} }
+    }
+  }
+}`;
+
+async function fetchPage(owner, repo, q, cursor) {
+  if (!githubToken()) throw new Error("Missing GH_TOKEN or GITHUB_TOKEN");
+  const { ok, status, data, errors } = await githubGraphQL(queryFor(q), { owner, name: repo, first: PER_PAGE, cursor });
+  if (errors?.some(e => e.type === "NOT_FOUND")) return null;
+  if (errors?.length) throw new Error(errors.map(e => e.message).join("; "));
+  if (!ok) throw new Error(`graphql ${status}`);
+  const conn = data?.repository?.conn;
+  if (!conn) return null;
+  return { nodes: conn.nodes.filter(Boolean), hasNextPage: conn.pageInfo.hasNextPage, endCursor: conn.pageInfo.endCursor };
+}
+
+// Walks newest-first from `cursor`, collecting nodes whose sort key is at or
+// after `stopAt`, for at most `maxPages` pages. Same contract as
+// walkStargazers in fetch_stars.js: resumeCursor is null once the walk
+// reached `stopAt` or the last node. Nodes sharing the `stopAt` second are
+// read again rather than missed; the keyed merge drops the ones on disk.
+export async function walk(owner, repo, q, { cursor = null, stopAt = null, maxPages = Infinity } = {}) {
+  const acc = [];
+  for (let page = 0; page < maxPages; page++) {
+    const res = await fetchPage(owner, repo, q, cursor);
+    if (!res) return { notFound: true, nodes: acc, resumeCursor: null };
+    for (const n of res.nodes) {
+      if (stopAt && q.key(n) < stopAt) return { nodes: acc, resumeCursor: null };
+      acc.push(n);
+    }
+    if (!res.hasNextPage) return { nodes: acc, resumeCursor: null };
+    cursor = res.endCursor;
+  }
+  return { nodes: acc, resumeCursor: cursor };
+}
+
+// One connection's next state: catch-up to `newest`, then backfill from the
+// stored cursor. `added` counts the nodes read, including re-read boundary ones.
+export async function updateConnection(owner, repo, name, c) {
+  const q = QUERIES[name];
+  const first = c.history === "unknown";
+  const fresh = await walk(owner, repo, q, first ? { maxPages: MAX_PAGES } : { stopAt: c.newest });
+  if (fresh.notFound) return null;
+  let cursor = first ? fresh.resumeCursor : c.backfill_cursor;
+  let older = [];
+  if (!first && cursor) {
+    const w = await walk(owner, repo, q, { cursor, maxPages: MAX_PAGES });
+    older = w.nodes;
+    cursor = w.resumeCursor;
+  }
+  const keys = [...fresh.nodes, ...older].map(q.key).filter(Boolean).sort();
+  return {
+    history: cursor ? "truncated" : "complete",
+    newest: [c.newest, keys.at(-1)].filter(Boolean).sort().at(-1) ?? null,
+    oldest: cursor ? [c.oldest, keys[0]].filter(Boolean).sort()[0] ?? null : null,
+    backfill_cursor: cursor,
+    items: q.merge(q.merge(c.items, older), fresh.nodes),
+    added: fresh.nodes.length + older.length
+  };
+}
+
+export async function fetchActivity({ only = null } = {}) {
+  for (const { owner, repo } of loadCandidates({ only })) {
+    const name = `${owner}/${repo}`;
+    const fpath = path.join(ACTIVITY_DIR, repoFile(name));
+    const a = readActivity(fpath, name);
+    try {
+      const added = [];
+      let missing = false;
+      for (const conn of CONNECTIONS) {
+        const res = await updateConnection(owner, repo, conn, a[conn]);
+        if (!res) { missing = true; break; }
+        const { added: n, ...rest } = res;
+        a[conn] = rest;
+        added.push(`${conn} +${n}`);
+      }
+      if (missing) {
+        console.log("not found", name, "(skipped)");
+        continue;
+      }
+      writeActivity(fpath, { ...a, repo: name, fetched_at: now().toISOString() });
+      console.log("activity", name, added.join(", "));
+    } catch (e) {
+      console.error("activity error", name, e.message);
+      if (isBudgetError(e)) break;
+    }
+  }
+  logRequestStats();
+}
+
+if (isMain(import.meta.url)) {
+  await fetchActivity();
+}
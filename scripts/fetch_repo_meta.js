@@ -1,58 +1,45 @@
 // scripts/fetch_repo_meta.js
 // Enrich and store repo metadata only in meta files to keep downstream outputs lean.
-// Writes data/derived/meta/owner__repo.json with expanded fields.
+// Appends a `repo` snapshot to data/raw/meta/owner__repo.jsonl, which rebuilds
+// data/derived/meta/owner__repo.json (utils/meta_history.js); sections other
+// stages append, like contributor_locations, are kept.
+//
+// The snapshot is written under the name GitHub answers with, so a renamed or
+// transferred repo lands under its new name; the numeric id and the old name
+// go to data/derived/identity.json (utils/identity.js) for migrate_identity.js.
+// A 404/410 (deleted or made private), 451 or blocked 403, or `disabled: true`
+// tombstones the repo and adds a `tombstone` section to its history.
 
-import fs from "fs";
-import path from "path";
-import fetch from "node-fetch";
+import { now } from "./utils/time.js";
+import { githubRequest, isBudgetError, logRequestStats } from "./utils/github.js";
+import { loadCandidates } from "./utils/candidates.js";
+import { loadIdentity, saveIdentity, recordRepo, tombstone, clearTombstone } from "./utils/identity.js";
+import { hasMeta, readHistory, appendSnapshot, latestSection } from "./utils/meta_history.js";
+import { isMain } from "./utils/main.js";
 
-const DERIVED_DIR = "data/derived";
-const META_DIR = "data/derived/meta";
-fs.mkdirSync(META_DIR, { recursive: true });
-
-function listQuarterDirs() {
-  if (!fs.existsSync(DERIVED_DIR)) return [];
-  return fs.readdirSync(DERIVED_DIR).filter(d => /^\d{4}-Q[1-4]$/.test(d));
-}
-
-function loadCandidates() {
-  const chunk = process.env.CANDIDATES_CHUNK;
-  if (chunk && fs.existsSync(chunk)) {
-    return JSON.parse(fs.readFileSync(chunk, "utf8"));
-  }
-  const dirs = listQuarterDirs().sort().reverse();
-  for (const d of dirs) {
-    const f = path.join(DERIVED_DIR, d, "candidates.json");
-    if (fs.existsSync(f)) return JSON.parse(fs.readFileSync(f, "utf8"));
-  }
-  return [];
+// HTTP status of a repo that is gone -> tombstone status.
+function goneStatus(res) {
+  if (res.status === 404 || res.status === 410) return "deleted";
+  if (res.status === 451 || (res.status === 403 && /blocked/i.test(res.json?.message ?? ""))) return "blocked";
+  return null;
 }
 
-async function respectfulSleep(ms=200){ await new Promise(r=>setTimeout(r,ms)); }
-
 async function fetchRepo(owner, repo) {
-  const GH_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN || "";
-  const headers = {
-    "Accept": "application/vnd.github+json",
-    "X-GitHub-Api-Version": "2022-11-28",
-    ...(GH_TOKEN ? { "Authorization": `Bearer ${GH_TOKEN}` } : {})
-  };
-  const url = `https://api.github.com/repos/${owner}/${repo}`;
-  const res = await fetch(url, { headers });
-  if (!res.ok) {
-    await respectfulSleep();
-    throw new Error(`repo ${owner}/${repo} ${res.status}`);
-  }
-  const j = await res.json();
-  await respectfulSleep();
+  const res = await githubRequest(`/repos/${owner}/${repo}`, { conditional: true });
+  const gone = res.ok ? null : goneStatus(res);
+  if (gone) return { gone, status: res.status };
+  if (!res.ok) throw new Error(`repo ${owner}/${repo} ${res.status}`);
+  const j = res.json;
+  const full = j.full_name ?? `${owner}/${repo}`;
 
   // Normalize and select useful fields
   return {
     // identification
-    owner,
-    repo: `${owner}/${repo}`,
+    id: j.id ?? null,
+    owner: full.split("/")[0],
+    repo: full,
     name: j.name ?? repo,
-    full_name: j.full_name ?? `${owner}/${repo}`,
+    full_name: full,
 
     // descriptive
     description: j.description ?? null,
@@ -80,23 +67,51 @@ async function fetchRepo(owner, repo) {
 
     // URLs
     html_url: j.html_url ?? `https://github.com/${owner}/${repo}`,
-    api_url: j.url ?? url,
+    api_url: j.url ?? `https://api.github.com/repos/${owner}/${repo}`,
 
     // fetch meta
-    fetched_at: new Date().toISOString()
+    fetched_at: now().toISOString()
   };
 }
 
-(async () => {
-  const candidates = loadCandidates();
+function markTombstone(idn, name, status, httpStatus = null) {
+  const t = tombstone(idn, name, { status, http_status: httpStatus });
+  if (hasMeta(name)) appendSnapshot(name, "tombstone", { tombstone: t });
+  console.log("tombstone", name, status, httpStatus ?? "");
+}
+
+// A repo that came back gets an empty tombstone section, once.
+function unmarkTombstone(idn, name) {
+  clearTombstone(idn, name);
+  if (latestSection(readHistory(name), "tombstone")?.tombstone) appendSnapshot(name, "tombstone", {});
+}
+
+export async function fetchRepoMeta({ only = null } = {}) {
+  const candidates = loadCandidates({ only, tombstoned: true });
+  const idn = loadIdentity();
   for (const { owner, repo } of candidates) {
-    const outPath = path.join(META_DIR, `${owner}__${repo}.json`);
+    const requested = `${owner}/${repo}`;
     try {
       const meta = await fetchRepo(owner, repo);
-      fs.writeFileSync(outPath, JSON.stringify(meta, null, 2));
+      if (meta.gone) {
+        markTombstone(idn, requested, meta.gone, meta.status);
+        continue;
+      }
+      const former = recordRepo(idn, { id: meta.id, requested, full_name: meta.repo });
+      if (former.length) console.log("renamed", former.join(", "), "->", meta.repo);
+      appendSnapshot(meta.repo, "repo", meta, meta.fetched_at);
+      if (meta.disabled) markTombstone(idn, meta.repo, "disabled");
+      else unmarkTombstone(idn, meta.repo);
       console.log("meta", meta.repo, "stars:", meta.stars_now, "lang:", meta.language, "license:", meta.license);
     } catch (e) {
-      console.error("meta error", `${owner}/${repo}`, e.message);
+      console.error("meta error", requested, e.message);
+      if (isBudgetError(e)) break;
     }
   }
-})();
+  saveIdentity(idn);
+  logRequestStats();
+}
+
+if (isMain(import.meta.url)) {
+  await fetchRepoMeta();
+}
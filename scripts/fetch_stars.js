@@ -1,91 +1,151 @@
 // scripts/fetch_stars.js
-import fs from "fs";
+// Incremental stargazer history via GraphQL, newest-first.
+//
+// The REST /stargazers endpoint only pages oldest-first and stops at ~40k stars,
+// so we walk `stargazers(orderBy: STARRED_AT DESC)` instead:
+// 1) Catch-up: from the newest star down to the newest timestamp already on disk.
+// 2) Backfill: for histories we could not walk to the first star, resume from the
+//    stored cursor for at most STARS_MAX_PAGES pages per run.
+// Each raw file records whether its history is "complete" or "truncated"
+// (see scripts/utils/stars.js for the layout).
+// Tombstoned repos (utils/identity.js) are skipped; a repo GraphQL cannot find
+// is tombstoned as deleted until fetch_repo_meta.js sees it again.
 import path from "path";
-import fetch from "node-fetch";
+import { now } from "./utils/time.js";
+import { githubGraphQL, githubToken, isBudgetError, logRequestStats } from "./utils/github.js";
+import { readStarHistory, writeStarHistory, newSinceStored } from "./utils/stars.js";
+import { loadCandidates } from "./utils/candidates.js";
+import { loadIdentity, saveIdentity, tombstone } from "./utils/identity.js";
+import { repoFile } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
 
 const RAW_DIR = "data/raw/stars";
-const DERIVED_DIR = "data/derived";
-fs.mkdirSync(RAW_DIR, { recursive: true });
+const PER_PAGE = 100;
+const MAX_PAGES = Number(process.env.STARS_MAX_PAGES || 400);   // per repo per run for older history
 
-function listQuarterDirs() {
-  if (!fs.existsSync(DERIVED_DIR)) return [];
-  return fs.readdirSync(DERIVED_DIR).filter(d => /^\d{4}-Q[1-4]$/.test(d));
-}
-function loadCandidates() {
-  const chunk = process.env.CANDIDATES_CHUNK;
-  if (chunk && fs.existsSync(chunk)) return JSON.parse(fs.readFileSync(chunk, "utf8"));
-  const dirs = listQuarterDirs().sort().reverse();
-  for (const d of dirs) {
-    const f = path.join(DERIVED_DIR, d, "candidates.json");
-    if (fs.existsSync(f)) return JSON.parse(fs.readFileSync(f, "utf8"));
+const STARGAZERS_QUERY = `
+query($owner: String!, $name: String!, $first: Int!, $cursor: String) {
+  repository(owner: $owner, name: $name) {
+    stargazerCount
+    stargazers(first: $first, after: $cursor, orderBy: {field: STARRED_AT, direction: DESC}) {
+      pageInfo { hasNextPage endCursor }
+      edges { starredAt }
+    }
   }
-  return [];
-}
+}`;
 
-async function respectfulSleep(res, base=250) {
-  const remaining = Number(res.headers.get("x-ratelimit-remaining") || "0");
-  const reset = Number(res.headers.get("x-ratelimit-reset") || "0");
-  if (res.status === 403 && reset) {
-    const waitMs = Math.max(0, reset * 1000 - Date.now()) + 5000;
-    console.log("rate-limited; sleeping", waitMs, "ms");
-    await new Promise(r => setTimeout(r, waitMs));
-  } else {
-    const extra = remaining > 0 && remaining < 50 ? 2000 : 0;
-    await new Promise(r => setTimeout(r, base + extra));
-  }
+async function fetchStargazerPage(owner, repo, cursor) {
+  if (!githubToken()) throw new Error("Missing GH_TOKEN or GITHUB_TOKEN");
+  const { ok, status, data, errors } = await githubGraphQL(STARGAZERS_QUERY, { owner, name: repo, first: PER_PAGE, cursor });
+  if (errors?.some(e => e.type === "NOT_FOUND")) return null;
+  if (errors?.length) throw new Error(errors.map(e => e.message).join("; "));
+  if (!ok) throw new Error(`graphql ${status}`);
+  const r = data?.repository;
+  if (!r) return null;
+  return {
+    stargazerCount: r.stargazerCount,
+    stars: r.stargazers.edges.map(e => e.starredAt).filter(Boolean),
+    hasNextPage: r.stargazers.pageInfo.hasNextPage,
+    endCursor: r.stargazers.pageInfo.endCursor
+  };
 }
 
-async function fetchStargazerTimestamps(owner, repo, knownNewest) {
-  const GH_TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN;
-  if (!GH_TOKEN) throw new Error("Missing GH_TOKEN or GITHUB_TOKEN");
-  const headers = {
-    "Authorization": `Bearer ${GH_TOKEN}`,
-    "Accept": "application/vnd.github.v3.star+json",
-    "X-GitHub-Api-Version": "2022-11-28"
-  };
+// Walks newest-first from `cursor`, collecting timestamps at or after `stopAt`
+// (all of them when stopAt is null), for at most `maxPages` pages; the stars
+// at `stopAt` itself are sorted out by newSinceStored.
+// Returns the collected stars and the cursor to resume from (null once the walk
+// reached either `stopAt` or the first star).
+async function walkStargazers(owner, repo, { cursor = null, stopAt = null, maxPages = Infinity } = {}) {
   const acc = [];
-  let page = 1;
-  const per_page = 100;
-  while (true) {
-    const url = `https://api.github.com/repos/${owner}/${repo}/stargazers?per_page=${per_page}&page=${page}`;
-    const res = await fetch(url, { headers });
-    if (res.status === 404) { await respectfulSleep(res); break; }
-    if (res.status === 403) { await respectfulSleep(res); continue; }
-    const items = await res.json();
-    await respectfulSleep(res);
-    if (!Array.isArray(items) || items.length === 0) break;
-    let overlap = false;
-    for (const it of items) {
-      const ts = it.starred_at;
-      if (!ts) continue;
-      if (knownNewest && ts <= knownNewest) { overlap = true; break; }
+  let stargazerCount = null;
+  for (let page = 0; page < maxPages; page++) {
+    const res = await fetchStargazerPage(owner, repo, cursor);
+    if (!res) return { notFound: true, stars: acc, resumeCursor: null, stargazerCount };
+    stargazerCount = res.stargazerCount;
+    for (const ts of res.stars) {
+      if (stopAt && ts < stopAt) return { stars: acc, resumeCursor: null, stargazerCount };
       acc.push(ts);
     }
-    if (overlap || items.length < per_page) break;
-    page++;
+    if (!res.hasNextPage) return { stars: acc, resumeCursor: null, stargazerCount };
+    cursor = res.endCursor;
   }
-  return acc.sort();
+  return { stars: acc, resumeCursor: cursor, stargazerCount };
 }
 
-(async () => {
-  const candidates = loadCandidates();
+async function fetchStargazerTimestamps(owner, repo, existing) {
+  const known = existing.stars;
+  const knownNewest = known.length ? known[known.length - 1] : null;
+
+  // Nothing on disk yet: one bounded walk from the newest star.
+  if (!knownNewest) {
+    const w = await walkStargazers(owner, repo, { maxPages: MAX_PAGES });
+    if (w.notFound) return { notFound: true };
+    return {
+      added: w.stars.length,
+      stars: w.stars.sort(),
+      stargazer_count: w.stargazerCount,
+      backfill_cursor: w.resumeCursor,
+      history: w.resumeCursor ? "truncated" : "complete"
+    };
+  }
+
+  // Catch up on new stars until we reach what we already have.
+  const fresh = await walkStargazers(owner, repo, { stopAt: knownNewest });
+  if (fresh.notFound) return { notFound: true };
+  const added = newSinceStored(fresh.stars, known);
+
+  // Legacy files were fetched oldest-first, so once caught up they are contiguous.
+  let backfillCursor = existing.legacy ? null : existing.backfill_cursor;
+  let older = [];
+  if (backfillCursor) {
+    const w = await walkStargazers(owner, repo, { cursor: backfillCursor, maxPages: MAX_PAGES });
+    older = w.stars;
+    backfillCursor = w.resumeCursor;
+  }
+  const merged = [...older, ...known, ...added].sort();
+  return {
+    added: merged.length - known.length,
+    stars: merged,
+    stargazer_count: fresh.stargazerCount,
+    backfill_cursor: backfillCursor,
+    history: backfillCursor ? "truncated" : "complete"
+  };
+}
+
+export async function fetchStars({ only = null } = {}) {
+  const candidates = loadCandidates({ only });
+  const idn = loadIdentity();
+  let tombstoned = 0;
   for (const { owner, repo } of candidates) {
-    const fname = `${owner}__${repo}.json`;
-    const fpath = path.join(RAW_DIR, fname);
-    let existing = [];
-    if (fs.existsSync(fpath)) existing = JSON.parse(fs.readFileSync(fpath, "utf8"));
-    const knownNewest = existing.length ? existing[existing.length - 1] : null;
+    const fpath = path.join(RAW_DIR, repoFile(`${owner}/${repo}`));
+    const existing = readStarHistory(fpath, `${owner}/${repo}`);
     try {
-      const newest = await fetchStargazerTimestamps(owner, repo, knownNewest);
-      if (newest.length > 0) {
-        const merged = [...existing, ...newest].sort();
-        fs.writeFileSync(fpath, JSON.stringify(merged, null, 2));
-        console.log("updated", owner+"/"+repo, `+${newest.length}`);
-      } else {
-        console.log("no new stars", owner+"/"+repo);
+      const res = await fetchStargazerTimestamps(owner, repo, existing);
+      if (res.notFound) {
+        console.log("not found", owner+"/"+repo, "(tombstoned)");
+        tombstone(idn, `${owner}/${repo}`, { status: "deleted" });
+        tombstoned++;
+        continue;
       }
+      writeStarHistory(fpath, {
+        repo: `${owner}/${repo}`,
+        history: res.history,
+        stargazer_count: res.stargazer_count,
+        backfill_cursor: res.backfill_cursor,
+        fetched_at: now().toISOString(),
+        stars: res.stars
+      });
+      if (res.added > 0) console.log("updated", owner+"/"+repo, `+${res.added}`, res.history);
+      else console.log("no new stars", owner+"/"+repo, res.history);
     } catch (e) {
       console.error("error", owner+"/"+repo, e.message);
+      if (isBudgetError(e)) break;
     }
   }
-})();
+  if (tombstoned) saveIdentity(idn);
+  logRequestStats();
+}
+
+if (isMain(import.meta.url)) {
+  await fetchStars();
+}
@@ -1,61 +1,170 @@
 // scripts/forecast.js
+// Weekly star forecasts for the repos of a period's delta and ROSS leaderboards.
+//
+// Usage: node scripts/forecast.js PERIOD [--metric mae|mape|smape]
+//
+// Each repo's weekly totals (gaps filled with 0, up to the last complete week,
+// at most HISTORY_WEEKS back) are backtested with every model in
+// scripts/utils/forecast_models.js (scripts/utils/backtest.js); the model with
+// the lowest backtest error forecasts the next `horizon` weeks. Intervals come
+// from resampling that model's backtest errors (scripts/utils/forecast_intervals.js)
+// and are projected onto the `cumulative` series from aggregate_weekly.js.
+//
+// Output: data/derived/forecast/owner__repo.json
+// {
+//   "repo": "owner/repo", "horizon_weeks": 12, "last_week": "2025-W44",
+//   "model": "damped_holt", "params": { alpha, beta, phi },
+//   "backtest": { metric, origins, horizon, error: { mae, mape, smape, points },
+//                 scores: { naive: {...}, drift: {...}, ... } },
+//   "levels": [0.8, 0.95], "interval_method": "...", "stars_at_last_week": 41200,
+//   "forecast": [{ week: "+1", start, end, pred, interval: { "80": [lo, hi], "95": [lo, hi] },
+//                  cumulative: { pred, interval } }],
+//   "milestones": [{ stars: 50000, week: "+7", date, probability, earliest: "+5", latest: "+11" }],
+//   "quarter_end": { date: "2025-12-31", pred, interval }   // stars at the end of the period
+// }
+// `quarter_end` projects to the period's last day; YTD and rolling periods end
+// today, so they project to the end of the current quarter instead.
+// Intervals, probability, earliest and latest are null when the history is too
+// short to backtest.
 import fs from "fs";
 import path from "path";
+import { parseArgs } from "util";
+import { MODELS } from "./utils/forecast_models.js";
+import { BACKTEST_DEFAULTS, backtestOrigins, selectModel } from "./utils/backtest.js";
+import { LEVELS, simulatePaths, cumulativePaths, intervalsOf, milestoneCrossings } from "./utils/forecast_intervals.js";
+import { cumAt } from "./utils/ross.js";
+import { now, addDays, isoWeekKey, weeksToBounds, quarterBounds, parsePeriod } from "./utils/time.js";
+import { writeJSON, readJSON, readLeaderboard, repoFile } from "./utils/io.js";
+import { loadIdentity, currentNames } from "./utils/identity.js";
+import { isMain } from "./utils/main.js";
 
 const WEEKLY_DIR = "data/derived/weekly";
 const QUARTER_DIR = "data/derived/quarter";
+const ROSS_DIR = "data/derived/quarter-ross";
 const OUT_DIR = "data/derived/forecast";
-fs.mkdirSync(OUT_DIR, { recursive: true });
-
-function holtWintersAdditive(series, seasonLen=52, alpha=0.3, beta=0.1, gamma=0.3, horizon=12) {
-  if (series.length < seasonLen + 2) return { forecast: Array(horizon).fill(0) };
-  let level = series[0];
-  let trend = series[1] - series[0];
-  const season = series.slice(0, seasonLen).map((y)=>y - level);
-  for (let t=0; t<series.length; t++) {
-    const y = series[t];
-    const sIdx = (t % seasonLen);
-    const lastLevel = level;
-    level = alpha * (y - season[sIdx]) + (1 - alpha) * (level + trend);
-    trend = beta  * (level - lastLevel) + (1 - beta) * trend;
-    season[sIdx] = gamma * (y - level) + (1 - gamma) * season[sIdx];
+const HISTORY_WEEKS = 156;
+
+const round = x => x == null ? null : Number(x.toFixed(4));
+
+// Sparse weekly rows ([{ week, total, start, end }]) as a dense series ending
+// with the last week that is over by `today`.
+export function denseWeekly(weekly, today, maxWeeks = HISTORY_WEEKS) {
+  if (!weekly.length) return { series: [], last: null };
+  const totals = new Map(weekly.map(w => [w.week, w.total]));
+  const lastEnd = weeksToBounds(isoWeekKey(addDays(today, -7))).end;
+  const series = [];
+  let last = null;
+  for (let d = weekly[0].start; d <= lastEnd; d = addDays(d, 7)) {
+    const week = isoWeekKey(d);
+    series.push(totals.get(week) || 0);
+    last = { week, ...weeksToBounds(week) };
   }
-  const fc = [];
-  const lastIdx = series.length - 1;
-  for (let h=1; h<=horizon; h++) {
-    const sIdx = ((lastIdx + h) % seasonLen);
-    fc.push((level + h * trend) + season[sIdx]);
+  return { series: series.slice(-maxWeeks), last };
+}
+
+// Weeks after `lastEnd` up to the one holding `date`, and how many days of
+// that last week fall on or before `date`.
+function weeksUntil(lastEnd, date) {
+  const days = Math.round((Date.parse(date) - Date.parse(lastEnd)) / 86400000);
+  if (days <= 0) return { weeks: 0, days: 0 };
+  return { weeks: Math.ceil(days / 7), days: days - 7 * (Math.ceil(days / 7) - 1) };
+}
+
+// Stars at `date` along one weekly path, counting the last week pro rata.
+function totalAt(base, path, { weeks, days }) {
+  let t = base;
+  for (let i = 0; i < weeks; i++) t += i === weeks - 1 ? path[i] * days / 7 : path[i];
+  return t;
+}
+
+// Repos of the delta and (default) ROSS leaderboards of `key`, delta first.
+function boardRepos(key) {
+  const seen = new Set();
+  const repos = [];
+  const idn = loadIdentity();
+  for (const file of [path.join(QUARTER_DIR, `${key}.json`), path.join(ROSS_DIR, `${key}.json`)]) {
+    if (!fs.existsSync(file)) { console.warn(`no ${file}; forecasting without it`); continue; }
+    for (const r of currentNames(readLeaderboard(file), idn).rows) {
+      if (seen.has(r.repo.toLowerCase())) continue;
+      seen.add(r.repo.toLowerCase());
+      repos.push(r.repo);
+    }
   }
-  return { forecast: fc.map(x => Math.max(0, Math.round(x))) };
+  return repos;
 }
 
-function iso(d) { return d.toISOString().slice(0,10); }
+// Forecasts every repo in the delta and ROSS leaderboards of a period
+// (from parsePeriod), or just `only` ("owner/repo"). `metric` picks the model
+// (see backtest.js).
+export function forecastTop(period, horizon=12, { only = null, metric = BACKTEST_DEFAULTS.metric, levels = LEVELS } = {}) {
+  const today = now().toISOString().slice(0, 10);
+  const qEnd = ["ytd", "rolling"].includes(period.kind)
+    ? quarterBounds(Number(today.slice(0, 4)), Math.floor((Number(today.slice(5, 7)) - 1) / 3) + 1).end
+    : period.end;
+  const bt = { ...BACKTEST_DEFAULTS, horizon, metric };
+  const picked = {};
+  const repos = only ? [only] : boardRepos(period.key);
+  for (const repo of repos) {
+    const fname = repoFile(repo);
+    const w = readJSON(path.join(WEEKLY_DIR, fname));
+    if (!w) { console.warn("no weekly file for", repo); continue; }
+    const { series, last } = denseWeekly(w.weekly ?? [], today);
+    if (!last) { console.warn("no weekly history for", repo); continue; }
+    const sel = selectModel(series, bt);
+    const toQuarterEnd = weeksUntil(last.end, qEnd);
+    const steps = Math.max(horizon, toQuarterEnd.weeks);
+    const { forecast, params } = MODELS[sel.model].fn(series, steps);
+    const point = forecast.map(v => Math.max(0, Math.round(v)));
+    picked[sel.model] = (picked[sel.model] || 0) + 1;
 
-function forecastTop(quarterKey, horizon=12) {
-  const top = JSON.parse(fs.readFileSync(path.join(QUARTER_DIR, `${quarterKey}.json`),"utf8"));
-  for (const r of top) {
-    const fname = r.repo.replace("/","__") + ".json";
-    const w = JSON.parse(fs.readFileSync(path.join(WEEKLY_DIR, fname),"utf8"));
-    const series = w.weekly.map(x => x.total);
-    const { forecast } = holtWintersAdditive(series, 52, 0.3, 0.1, 0.3, horizon);
+    const base = cumAt(w.cumulative ?? [], last.end);
+    const paths = simulatePaths(point, sel.error?.residuals);
+    const cumPaths = paths && cumulativePaths(paths, base);
+    let c = base;
+    const cumPoint = point.map(v => (c += v));
+    const weekEnd = i => addDays(last.end, 7 * (i + 1));
+    const milestones = milestoneCrossings(base, cumPoint.slice(0, horizon), cumPaths?.map(p => p.slice(0, horizon)), { levels })
+      .map(m => ({ ...m, date: m.week && weekEnd(m.week - 1), week: m.week && `+${m.week}`, earliest: m.earliest && `+${m.earliest}`, latest: m.latest && `+${m.latest}` }));
 
-    const last = w.weekly.at(-1);
-    const start = new Date(last.end + "T00:00:00Z");
     const out = {
-      repo: r.repo,
+      repo,
       horizon_weeks: horizon,
-      last_week: last?.week,
-      forecast: forecast.map((pred, i) => {
-        const weekStart = new Date(start);
-        weekStart.setUTCDate(start.getUTCDate() + 1 + i*7);
-        const weekEnd = new Date(weekStart);
-        weekEnd.setUTCDate(weekStart.getUTCDate() + 6);
-        return { week: `+${i+1}`, start: iso(weekStart), end: iso(weekEnd), pred };
-      })
+      last_week: last.week,
+      model: sel.model,
+      params,
+      backtest: {
+        metric: sel.metric,
+        origins: backtestOrigins(series.length, bt).length,
+        horizon,
+        error: sel.error && { mae: round(sel.error.mae), mape: round(sel.error.mape), smape: round(sel.error.smape), points: sel.error.points },
+        scores: Object.fromEntries(Object.entries(sel.scores).map(([m, s]) => [m, { mae: round(s.mae), mape: round(s.mape), smape: round(s.smape) }]))
+      },
+      levels,
+      interval_method: paths ? `bootstrap of backtest errors, ${paths.length} paths` : null,
+      stars_at_last_week: base,
+      forecast: point.slice(0, horizon).map((pred, i) => ({
+        week: `+${i+1}`,
+        start: addDays(last.end, 7 * i + 1),
+        end: weekEnd(i),
+        pred,
+        interval: paths && intervalsOf(paths.map(p => p[i]), levels),
+        cumulative: { pred: cumPoint[i], interval: cumPaths && intervalsOf(cumPaths.map(p => p[i]), levels) }
+      })),
+      milestones,
+      quarter_end: {
+        date: qEnd,
+        pred: Math.round(totalAt(base, point, toQuarterEnd)),
+        interval: paths && intervalsOf(paths.map(p => totalAt(base, p, toQuarterEnd)), levels)
+      }
     };
-    fs.writeFileSync(path.join(OUT_DIR, fname), JSON.stringify(out, null, 2));
-    console.log("forecasted", r.repo);
+    writeJSON(path.join(OUT_DIR, fname), out);
+    console.log("forecasted", repo, `(${sel.model})`);
   }
+  console.log("models picked:", Object.entries(picked).map(([m, n]) => `${m} ${n}`).join(", ") || "-");
 }
 
-forecastTop(process.argv[2], 12);
+if (isMain(import.meta.url)) {
+  const { values, positionals } = parseArgs({ allowPositionals: true, options: { metric: { type: "string" } } });
+  if (!positionals[0]) throw new Error("Usage: node scripts/forecast.js PERIOD (e.g. 2025-Q4) [--metric mae|mape|smape]");
+  forecastTop(parsePeriod(positionals[0]), 12, { metric: values.metric });
+}
@@ -0,0 +1,65 @@
+// scripts/geocode_locations.js
+// Resolves the contributor_locations collected by enrich_contributor_locations.js
+// to countries and regions, offline (utils/geocode.js, utils/gazetteer.js).
+//
+// Usage: node scripts/geocode_locations.js [--only owner/repo] [--min-confidence X]
+//
+// Appends a "contributor_geo" section to the repo's meta history, so
+// data/derived/meta/owner__repo.json gains:
+// {
+//   "contributor_countries": { "CN": 34, "TW": 1 },       // ISO 3166-1 alpha-2, most first
+//   "contributor_regions": { "East Asia": 36, "Europe": 1 },
+//   "contributor_located_share": 0.43,                     // contributors placed in a country / all
+//   "contributor_geo": { "located": 38, "total": 89, "min_confidence": 0.5, "gazetteer": 1,
+//                        "locations_updated_at": "...", "updated_at": "..." }
+// }
+// A repo is skipped while its contributor_locations, the gazetteer version and
+// --min-confidence are the ones its last section was computed from.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { now } from "./utils/time.js";
+import { locationDistribution, MIN_CONFIDENCE } from "./utils/geocode.js";
+import { GAZETTEER_VERSION } from "./utils/gazetteer.js";
+import { META_DIR, readHistory, latestSection, appendSnapshot } from "./utils/meta_history.js";
+import { matchesOnly } from "./utils/candidates.js";
+import { readJSON } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
+
+const upToDate = (geo, meta, minConfidence) => geo != null &&
+  geo.gazetteer === GAZETTEER_VERSION && geo.min_confidence === minConfidence &&
+  geo.locations_updated_at === (meta.contributor_locations_updated_at ?? null);
+
+export function geocodeLocations({ only = null, minConfidence = MIN_CONFIDENCE } = {}) {
+  if (!fs.existsSync(META_DIR)) return;
+  let updated = 0, current = 0;
+  for (const f of fs.readdirSync(META_DIR).filter(f => f.endsWith(".json") && matchesOnly(f, only)).sort()) {
+    const meta = readJSON(path.join(META_DIR, f));
+    if (!meta?.contributor_locations) continue;
+    const name = meta.repo ?? f.replace(/\.json$/, "").replace("__", "/");
+    if (upToDate(latestSection(readHistory(name), "contributor_geo")?.contributor_geo, meta, minConfidence)) {
+      current++;
+      continue;
+    }
+    const { countries, regions, located, total, located_share } = locationDistribution(meta.contributor_locations, { minConfidence });
+    const at = now().toISOString();
+    appendSnapshot(name, "contributor_geo", {
+      contributor_countries: countries,
+      contributor_regions: regions,
+      contributor_located_share: located_share,
+      contributor_geo: {
+        located, total, min_confidence: minConfidence, gazetteer: GAZETTEER_VERSION,
+        locations_updated_at: meta.contributor_locations_updated_at ?? null, updated_at: at
+      }
+    }, at);
+    updated++;
+  }
+  console.log(`geocode: ${updated} repos updated, ${current} up to date`);
+}
+
+if (isMain(import.meta.url)) {
+  const { values } = parseArgs({ options: { only: { type: "string" }, "min-confidence": { type: "string" } } });
+  const minConfidence = values["min-confidence"] != null ? Number(values["min-confidence"]) : MIN_CONFIDENCE;
+  if (!(minConfidence >= 0 && minConfidence <= 1)) throw new Error(`Invalid --min-confidence "${values["min-confidence"]}" (expected 0..1)`);
+  geocodeLocations({ only: values.only ?? null, minConfidence });
+}
@@ -0,0 +1,126 @@
+// scripts/migrate_identity.js
+// Moves per-repo files still filed under a former name (an alias in
+// data/derived/identity.json, recorded by fetch_repo_meta.js when GitHub
+// answers with a new full_name) to the repo's current name.
+//
+// Usage: node scripts/migrate_identity.js
+//
+// For every store in REPO_STORES, owner__repo.json under a former name is
+// - raw star history: merged into the current file (timestamps de-duplicated),
+// - meta history (.jsonl): merged by snapshot time, and the meta view rebuilt,
+// - anything else: moved if the current name has no file yet, otherwise
+//   dropped, since the current file was written after the rename;
+// `repo` / `owner` fields inside moved files are updated too. Stages after
+// this one (aggregate, anomalies, ranks) then only ever see the current name.
+import fs from "fs";
+import path from "path";
+import { loadIdentity, canonicalName } from "./utils/identity.js";
+import { readStarHistory, writeStarHistory } from "./utils/stars.js";
+import { HISTORY_DIR, META_DIR, historyFile, readHistory, metaView } from "./utils/meta_history.js";
+import { ACTIVITY_DIR } from "./utils/activity.js";
+import { readJSON, writeJSON, writeText, isDryRun, repoFile } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
+
+const STARS_DIR = "data/raw/stars";
+export const REPO_STORES = [
+  STARS_DIR,
+  HISTORY_DIR,
+  ACTIVITY_DIR,
+  "data/derived/weekly",
+  META_DIR,
+  "data/derived/owner",
+  "data/derived/anomalies",
+  "data/derived/forecast"
+];
+
+// Union of two histories of the same repo. Stars sharing a second are real,
+// so each timestamp keeps the larger of its two counts. The result is only
+// "complete" when the complete one reaches the other without a gap.
+export function mergeStarHistories(a, b) {
+  const [older, newer] = (a.fetched_at ?? "") <= (b.fetched_at ?? "") ? [a, b] : [b, a];
+  const counts = new Map();
+  for (const h of [older, newer]) {
+    const own = new Map();
+    for (const ts of h.stars) own.set(ts, (own.get(ts) ?? 0) + 1);
+    for (const [ts, n] of own) counts.set(ts, Math.max(counts.get(ts) ?? 0, n));
+  }
+  const stars = [...counts].flatMap(([ts, n]) => Array(n).fill(ts)).sort();
+  const covers = (h, other) => h.history === "complete" && (!other.stars.length || !h.stars.length || other.stars[0] <= h.stars.at(-1));
+  const complete = (older.history === "complete" && newer.history === "complete") || covers(older, newer) || covers(newer, older);
+  const truncated = [newer, older].find(h => h.history === "truncated");
+  return {
+    repo: newer.repo,
+    history: complete ? "complete" : truncated ? "truncated" : "unknown",
+    stargazer_count: newer.stargazer_count ?? older.stargazer_count ?? null,
+    backfill_cursor: complete ? null : truncated?.backfill_cursor ?? null,
+    fetched_at: newer.fetched_at ?? older.fetched_at ?? null,
+    stars
+  };
+}
+
+function remove(file) {
+  if (isDryRun()) console.log("[dry-run] would remove", file);
+  else fs.rmSync(file, { force: true });
+}
+
+function renameFields(data, from, to) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return data;
+  const out = { ...data };
+  if (out.repo === from) out.repo = to;
+  if (out.full_name === from) out.full_name = to;
+  if (out.owner === from.split("/")[0]) out.owner = to.split("/")[0];
+  return out;
+}
+
+// Moves one store's file for `from` to `to`; returns what happened.
+export function migrateFile(dir, from, to) {
+  const file = dir === HISTORY_DIR ? historyFile : name => path.join(dir, repoFile(name));
+  const src = file(from);
+  const dst = file(to);
+  if (!fs.existsSync(src) || src === dst) return null;
+  const dstExists = fs.existsSync(dst) && fs.realpathSync(dst) !== fs.realpathSync(src);
+  if (dir === STARS_DIR) {
+    const old = { ...readStarHistory(src, from), repo: to };
+    writeStarHistory(dst, dstExists ? mergeStarHistories(old, readStarHistory(dst, to)) : old);
+    remove(src);
+    return dstExists ? "merged" : "moved";
+  }
+  if (dir === HISTORY_DIR) {
+    // Stable sort: same-time snapshots keep their order within each file.
+    const records = [...readHistory(from, src), ...(dstExists ? readHistory(to, dst) : [])].sort((a, b) => a.at.localeCompare(b.at));
+    writeText(dst, records.map(r => JSON.stringify(r) + "\n").join(""));
+    remove(src);
+    writeJSON(path.join(META_DIR, repoFile(to)), metaView(records));
+    return dstExists ? "merged" : "moved";
+  }
+  if (dstExists) {
+    remove(src);
+    return "dropped";
+  }
+  const data = readJSON(src);
+  remove(src);
+  writeJSON(dst, renameFields(data, from, to));
+  return "moved";
+}
+
+export function migrateIdentity({ idn = loadIdentity(), stores = REPO_STORES } = {}) {
+  const moves = [];
+  for (const dir of stores) {
+    if (!fs.existsSync(dir)) continue;
+    for (const f of fs.readdirSync(dir).sort()) {
+      if (!/\.jsonl?$/.test(f) || !f.includes("__")) continue;
+      const from = f.replace(/\.jsonl?$/, "").replace("__", "/");
+      const to = canonicalName(idn, from);
+      if (to === from) continue;
+      const action = migrateFile(dir, from, to);
+      if (action) moves.push({ dir, from, to, action });
+    }
+  }
+  for (const m of moves) console.log(`identity: ${m.dir} ${m.from} -> ${m.to} (${m.action})`);
+  console.log(`identity: ${moves.length} files migrated, ${Object.keys(idn.aliases).length} aliases, ${Object.keys(idn.tombstones).length} tombstones`);
+  return moves;
+}
+
+if (isMain(import.meta.url)) {
+  migrateIdentity();
+}
@@ -1,47 +1,97 @@
 // scripts/rank_quarter.js
+// Star-delta leaderboard for a period: stars at period end minus stars at period start.
+//
+// Usage: node scripts/rank_quarter.js YEAR Q [--top 100] [--anomalies flag|exclude|downweight]
+//        node scripts/rank_quarter.js --period 2025-10|2025-H2|2025|2025-YTD|rolling-30d|START..END [...]
+//
+// Output: data/derived/quarter/<period key>[__exclude-flagged|__downweight-flagged].json
+//   { period, kind, start, end, anomalies, rows: [...] }
+// Rows carry `anomaly` from data/derived/anomalies (null when the period is
+// clean). With --anomalies exclude, repos flagged inside the period are left
+// out; with downweight they are ranked on stars minus their spike-day excess.
+// With STORE=sqlite the start/end totals come from the SQLite store
+// (utils/store.js) instead of the weekly files.
 import fs from "fs";
 import path from "path";
-import { quarterBounds } from "./utils/time.js";
+import { parseArgs } from "util";
+import { parsePeriod } from "./utils/time.js";
+import { cumAt } from "./utils/ross.js";
+import { deflateCumulative, anomalySuffix, anomalySummary, flaggedIn } from "./utils/anomaly.js";
+import { quarterKey, PERIOD_OPTIONS, ANOMALY_OPTIONS, parseTop, parseAnomalyMode, periodFromArgs } from "./utils/args.js";
+import { writeJSON, readJSON, repoFile } from "./utils/io.js";
+import { useStore, openStore } from "./utils/store.js";
+import { cumulativeOn, cumulativeSeries } from "./utils/store_query.js";
+import { loadIdentity, canonicalName } from "./utils/identity.js";
+import { isMain } from "./utils/main.js";
 
 const WEEKLY_DIR = "data/derived/weekly";
+const ANOMALY_DIR = "data/derived/anomalies";
 const OUT_DIR = "data/derived/quarter";
-fs.mkdirSync(OUT_DIR, { recursive: true });
 
-function cumAt(cumulative, date) {
-  let last = 0;
-  for (const r of cumulative) {
-    if (r.date <= date) last = r.value;
-    else break;
+// { file, repo, start, end, cumulative() } per repo, `start`/`end` being the
+// cumulative stars on those dates.
+function* periodTotals(start, end) {
+  if (!useStore()) {
+    for (const f of fs.readdirSync(WEEKLY_DIR)) {
+      if (!f.endsWith(".json")) continue;
+      const p = JSON.parse(fs.readFileSync(path.join(WEEKLY_DIR,f),"utf8"));
+      yield { file: f, repo: p.repo, start: cumAt(p.cumulative, start), end: cumAt(p.cumulative, end), cumulative: () => p.cumulative };
+    }
+    return;
+  }
+  const db = openStore({ readonly: true });
+  try {
+    const startVals = cumulativeOn(db, start);
+    for (const [repo, endVal] of cumulativeOn(db, end)) {
+      yield { file: repoFile(repo), repo, start: startVals.get(repo), end: endVal, cumulative: () => cumulativeSeries(db, repo) };
+    }
+  } finally {
+    db.close();
   }
-  return last;
 }
 
-function rankQuarter(year, q) {
-  const {start, end} = quarterBounds(year, q);
+// With `only` ("owner/repo") the full ranking is computed but only that
+// repo's row is printed; the leaderboard file is left untouched.
+export function rankPeriod(period, { only = null, top = 100, anomalies = "flag" } = {}) {
+  const { key, kind, start, end } = period;
+  const name = `${key}${anomalySuffix(anomalies)}`;
   const rows = [];
+  const idn = loadIdentity();
 
-  for (const f of fs.readdirSync(WEEKLY_DIR)) {
-    if (!f.endsWith(".json")) continue;
-    const p = JSON.parse(fs.readFileSync(path.join(WEEKLY_DIR,f),"utf8"));
-    const startVal = cumAt(p.cumulative, start);
-    const endVal   = cumAt(p.cumulative, end);
+  for (const p of periodTotals(start, end)) {
+    const a = readJSON(path.join(ANOMALY_DIR, p.file));
+    const flagged = flaggedIn(a, start, end);
+    if (anomalies === "exclude" && flagged) continue;
+    const deflated = anomalies === "downweight" && flagged ? deflateCumulative(p.cumulative(), a.spikes.filter(s => s.date >= start)) : null;
+    const startVal = deflated ? cumAt(deflated, start) : p.start;
+    const endVal   = deflated ? cumAt(deflated, end) : p.end;
+    const repo = canonicalName(idn, p.repo);
     rows.push({
-      repo: p.repo,
+      repo,
       cumulative_start: startVal,
       cumulative_end: endVal,
-      delta: endVal - startVal
+      delta: endVal - startVal,
+      anomaly: anomalySummary(a, start, end),
+      ...(idn.tombstones[repo] ? { tombstone: idn.tombstones[repo].status } : {})
     });
   }
 
   rows.sort((a,b)=>b.delta - a.delta);
-  const top100 = rows.slice(0,100).map((r,i)=>({...r, rank:i+1}));
-  fs.writeFileSync(
-    path.join(OUT_DIR, `${year}-Q${q}.json`),
-    JSON.stringify(top100, null, 2)
-  );
-  console.log(`ranked ${year}-Q${q}`);
+  const ranked = rows.map((r,i)=>({...r, rank:i+1}));
+  if (only) {
+    const row = ranked.find(r => r.repo.toLowerCase() === only.toLowerCase());
+    console.log(`${name} ${only}:`, row ? JSON.stringify(row) : "not ranked");
+    return;
+  }
+  writeJSON(path.join(OUT_DIR, `${name}.json`), { period: key, kind, start, end, anomalies, rows: ranked.slice(0, top) });
+  console.log(`ranked ${name}`);
 }
 
-const year = Number(process.argv[2]);
-const q = Number(process.argv[3]);
-rankQuarter(year, q);
+export function rankQuarter(year, q, opts = {}) {
+  return rankPeriod(parsePeriod(quarterKey(year, q)), opts);
+}
+
+if (isMain(import.meta.url)) {
+  const { values, positionals } = parseArgs({ allowPositionals: true, options: { ...PERIOD_OPTIONS, ...ANOMALY_OPTIONS } });
+  rankPeriod(periodFromArgs(values, positionals), { top: parseTop(values.top), anomalies: parseAnomalyMode(values.anomalies) });
+}
@@ -1,99 +1,140 @@
 // scripts/rank_ross_quarter.js
 // ROSS-style ranking with repo meta embedded in output rows.
-// For a given quarter, compute maximum relative 90-day star growth among windows ending inside the quarter,
-// require window start stars >= 1000, and attach stars_now, forks, open_issues, subscribers (from meta).
+// For a given period (quarter, month, year, rolling-Nd, ...; see parsePeriod in utils/time.js),
+// find the best-scoring star-growth window ending inside the period
+// (default: relative gain over 90 days, >= 1000 stars at window start; see utils/ross.js),
+// and attach stars_now, forks, open_issues, subscribers (from meta) and how much
+// forks, open issues and watchers grew over the same window (from the meta history).
 //
-// Usage: node scripts/rank_ross_quarter.js YEAR Q
+// Usage: node scripts/rank_ross_quarter.js YEAR Q [--window 90] [--min-start 1000] [--scoring relative] [--top 100]
+//                                          [--anomalies flag|exclude|downweight] [--entity startup-backed,individual]
+//        node scripts/rank_ross_quarter.js --period 2025-10 [...]
+//
+// Output: data/derived/quarter-ross/<period key>[__w60-min500-log-ratio][__exclude-flagged][__entity-startup-backed].json
+//   { period, kind, start, end, params: { window_days, min_start_stars, scoring }, anomalies, entity, rows: [...] }
+// Rows carry `meta_growth: { from, to, forks, open_issues, subscribers }`, the
+// change between the meta snapshots closest to the window's start and end
+// (utils/meta_history.js metaGrowth; null until there are two to compare).
+// Contributor columns come from enrich_contributor_activity.js (utils/contributors.js
+// contributorColumns): contributors, top_contributor_share, top3_contributor_share and
+// bus_factor as of the last enrichment, new_contributors and commits_per_week over the
+// best window. All null until the repo has been enriched.
+// `engagement: { releases, issues_opened, issues_closed, prs_merged, forks, per_star }`
+// counts the repo's activity (fetch_activity.js) over the best window; per_star is
+// issues opened + closed, PRs merged and forks per star gained (utils/activity.js).
+// The default config keeps the bare <period key>.json name; every other config gets its own file.
+// Anomaly handling is the same as in rank_quarter.js, over the period plus the window lookback.
+// Rows carry `entity: { label, score, signals }` (utils/entity.js: startup-backed, big-tech,
+// foundation, individual or unknown, from owner and meta); --entity keeps only the listed
+// labels, ranks them among themselves and writes its own __entity-<labels> file.
 //
 // Inputs:
 // - data/derived/weekly/owner__repo.json (must include 'cumulative' series)
-// - data/derived/meta/owner__repo.json (provides stars_now, forks, open_issues, subscribers)
+// - data/derived/meta/owner__repo.json (provides stars_now, forks, open_issues, subscribers,
+//   contributor activity)
 // Optional attach (owner context):
 // - data/derived/owner/owner__repo.json (location, website, etc.)
+// - data/raw/meta/owner__repo.jsonl (meta history, for meta_growth)
+// - data/raw/activity/owner__repo.json (releases, issues, PRs, forks, for engagement)
+// With STORE=sqlite weekly, meta and owner come from the SQLite store (utils/store.js).
 
 import fs from "fs";
 import path from "path";
-import { quarterBounds } from "./utils/time.js";
+import { parsePeriod, addDays } from "./utils/time.js";
+import { bestRossWindow, cumIndex, rossParams, rossSuffix } from "./utils/ross.js";
+import { deflateCumulative, anomalySuffix, anomalySummary, flaggedIn } from "./utils/anomaly.js";
+import { quarterKey, ROSS_OPTIONS, PERIOD_OPTIONS, ANOMALY_OPTIONS, ENTITY_OPTIONS, parseRossOptions, parseTop, parseAnomalyMode,
+  parseEntityFilter, periodFromArgs } from "./utils/args.js";
+import { writeJSON, readJSON, repoFile } from "./utils/io.js";
+import { readHistory, metaGrowth } from "./utils/meta_history.js";
+import { contributorColumns } from "./utils/contributors.js";
+import { ACTIVITY_DIR, readActivity, engagementColumns } from "./utils/activity.js";
+import { classifyEntity, entitySuffix } from "./utils/entity.js";
+import { useStore, openStore } from "./utils/store.js";
+import { listRepos, cumulativeSeries, latestMeta, ownerOf } from "./utils/store_query.js";
+import { loadIdentity, canonicalName } from "./utils/identity.js";
+import { isMain } from "./utils/main.js";
+import { parseArgs } from "util";
 
 const WEEKLY_DIR = "data/derived/weekly";
 const META_DIR = "data/derived/meta";
 const OWNER_DIR = "data/derived/owner";
+const ANOMALY_DIR = "data/derived/anomalies";
 const OUT_DIR = "data/derived/quarter-ross";
 
-fs.mkdirSync(OUT_DIR, { recursive: true });
-
-function cumAt(cumulative, dateISO) {
-  let last = 0;
-  for (const r of cumulative) {
-    if (r.date <= dateISO) last = r.value;
-    else break;
-  }
-  return last;
+function metaFields(m) {
+  if (!m) return null;
+  return {
+    stars_now: m.stargazers_count ?? m.stars_now ?? null,
+    forks: m.forks_count ?? m.forks ?? null,
+    open_issues: m.open_issues_count ?? m.open_issues ?? null,
+    subscribers: m.subscribers_count ?? m.subscribers ?? null
+  };
 }
-function addDays(iso, days) {
-  const d = new Date(iso + "T00:00:00Z");
-  d.setUTCDate(d.getUTCDate() + days);
-  return d.toISOString().slice(0,10);
+function ownerFields(o) {
+  if (!o) return null;
+  return {
+    owner: o.owner ?? null,
+    owner_type: o.owner_type ?? null,
+    location: o.location ?? null,
+    website: o.website ?? null
+  };
 }
-function maxRossWindowForQuarter(cumulative, quarterStart, quarterEnd) {
-  if (!Array.isArray(cumulative) || cumulative.length === 0) {
-    return { rel_gain: 0, abs_gain: 0, start: null, end: null, start_val: 0, end_val: 0 };
-  }
-  let best = { rel_gain: 0, abs_gain: 0, start: null, end: null, start_val: 0, end_val: 0 };
-  for (let end = new Date(quarterStart + "T00:00:00Z"); end <= new Date(quarterEnd + "T00:00:00Z"); end.setUTCDate(end.getUTCDate() + 1)) {
-    const endISO = end.toISOString().slice(0,10);
-    const startISO = addDays(endISO, -89);
-    const startVal = cumAt(cumulative, startISO);
-    const endVal = cumAt(cumulative, endISO);
-    const gain = endVal - startVal;
-    if (startVal < 1000) continue;
-    const rel = startVal > 0 ? gain / startVal : 0;
-    if (rel > best.rel_gain) best = { rel_gain: rel, abs_gain: gain, start: startISO, end: endISO, start_val: startVal, end_val: endVal };
+
+// { file, weekly: { repo, history, cumulative }, meta, owner } per repo, from
+// the JSON files or (STORE=sqlite) the store.
+function* repoInputs() {
+  if (!useStore()) {
+    for (const f of fs.readdirSync(WEEKLY_DIR)) {
+      if (!f.endsWith(".json")) continue;
+      yield {
+        file: f,
+        weekly: JSON.parse(fs.readFileSync(path.join(WEEKLY_DIR, f), "utf8")),
+        meta: readJSON(path.join(META_DIR, f)),
+        owner: readJSON(path.join(OWNER_DIR, f))
+      };
+    }
+    return;
   }
-  return best;
-}
-function loadMeta(metaFile) {
-  try {
-    if (!fs.existsSync(metaFile)) return null;
-    const m = JSON.parse(fs.readFileSync(metaFile, "utf8"));
-    return {
-      stars_now: m.stargazers_count ?? m.stars_now ?? null,
-      forks: m.forks_count ?? m.forks ?? null,
-      open_issues: m.open_issues_count ?? m.open_issues ?? null,
-      subscribers: m.subscribers_count ?? m.subscribers ?? null
-    };
-  } catch { return null; }
-}
-function loadOwner(ownerFile) {
+  const db = openStore({ readonly: true });
   try {
-    if (!fs.existsSync(ownerFile)) return null;
-    const o = JSON.parse(fs.readFileSync(ownerFile, "utf8"));
-    return {
-      owner: o.owner ?? null,
-      owner_type: o.owner_type ?? null,
-      location: o.location ?? null,
-      website: o.website ?? null
-    };
-  } catch { return null; }
+    for (const { repo, history } of listRepos(db)) {
+      yield { file: repoFile(repo), weekly: { repo, history, cumulative: cumulativeSeries(db, repo) }, meta: latestMeta(db, repo), owner: ownerOf(db, repo) };
+    }
+  } finally {
+    db.close();
+  }
 }
 
-function rankRossQuarter(year, q) {
-  const { start: quarterStart, end: quarterEnd } = quarterBounds(year, q);
+// With `only` ("owner/repo") the full ranking is computed but only that
+// repo's row is printed; the leaderboard file is left untouched.
+export function rankRossPeriod(period, { only = null, params = {}, top = 100, anomalies = "flag", entity = [] } = {}) {
+  const { key, kind, start, end } = period;
+  const p = rossParams(params);
+  const name = `${key}${rossSuffix(p)}${anomalySuffix(anomalies)}${entitySuffix(entity)}`;
+  // Windows ending in the period can start this early; anomalies from then on count.
+  const lookback = addDays(start, -(p.window_days - 1));
   const rows = [];
+  const idn = loadIdentity();
 
-  for (const f of fs.readdirSync(WEEKLY_DIR)) {
-    if (!f.endsWith(".json")) continue;
-    const weekly = JSON.parse(fs.readFileSync(path.join(WEEKLY_DIR, f), "utf8"));
-
-    const meta = loadMeta(path.join(META_DIR, f));           // repo meta (stars_now + counts)
-    const ownerInfo = loadOwner(path.join(OWNER_DIR, f));    // optional owner context
+  for (const input of repoInputs()) {
+    const { weekly } = input;
+    const meta = metaFields(input.meta);         // repo meta (stars_now + counts)
+    const ownerInfo = ownerFields(input.owner);  // optional owner context
 
-    const best = maxRossWindowForQuarter(weekly.cumulative, quarterStart, quarterEnd);
-    if (!best.start || best.rel_gain <= 0) continue;
+    const a = readJSON(path.join(ANOMALY_DIR, input.file));
+    const flagged = flaggedIn(a, lookback, end);
+    if (anomalies === "exclude" && flagged) continue;
+    const cumulative = anomalies === "downweight" && flagged ? deflateCumulative(weekly.cumulative || [], a.spikes.filter(s => s.date >= lookback)) : (weekly.cumulative || []);
+    const best = bestRossWindow(cumIndex(cumulative), start, end, p, weekly.history?.known_from);
+    if (!best.start) continue;
+    const ent = classifyEntity(input.meta, input.owner);
+    if (entity.length && !entity.includes(ent.label)) continue;
 
+    const repo = canonicalName(idn, weekly.repo);
     rows.push({
-      repo: weekly.repo,
-      quarter: `${year}-Q${q}`,
+      repo,
+      period: key,
       // Embedded repo meta
       stars_now: meta?.stars_now ?? null,
       forks: meta?.forks ?? null,
@@ -104,22 +145,50 @@ function rankRossQuarter(year, q) {
       best_window_end: best.end,
       window_start_stars: best.start_val,
       window_end_stars: best.end_val,
-      abs_gain_90d: best.abs_gain,
-      rel_gain_90d: Number(best.rel_gain.toFixed(6)),
+      abs_gain: best.abs_gain,
+      rel_gain: Number(best.rel_gain.toFixed(6)),
+      log_ratio: Number(best.log_ratio.toFixed(6)),
+      score: Number(best.score.toFixed(6)),
+      meta_growth: metaGrowth(readHistory(weekly.repo), best.start, best.end),
+      engagement: engagementColumns(readActivity(path.join(ACTIVITY_DIR, input.file)), best.start, best.end, best.abs_gain),
+      // Contributor activity (bus factor, new contributors in the window)
+      ...contributorColumns(input.meta, best.start, best.end),
+      history: weekly.history?.status ?? "unknown",
+      anomaly: anomalySummary(a, lookback, end),
+      ...(idn.tombstones[repo] ? { tombstone: idn.tombstones[repo].status } : {}),
+      // Who stands behind the repo, and why
+      entity: ent,
       // Optional owner context (non-blocking)
       owner: ownerInfo ?? null
     });
   }
 
-  rows.sort((a, b) => b.rel_gain_90d - a.rel_gain_90d);
-  const top100 = rows.slice(0, 100).map((r, i) => ({ ...r, rank: i + 1 }));
+  rows.sort((a, b) => b.score - a.score);
+  const ranked = rows.map((r, i) => ({ ...r, rank: i + 1 }));
+  if (only) {
+    const row = ranked.find(r => r.repo.toLowerCase() === only.toLowerCase());
+    console.log(`ROSS ${name} ${only}:`, row ? JSON.stringify(row) : "not ranked");
+    return;
+  }
+  const kept = ranked.slice(0, top);
 
-  const outPath = path.join(OUT_DIR, `${year}-Q${q}.json`);
-  fs.writeFileSync(outPath, JSON.stringify(top100, null, 2));
-  console.log(`ROSS ranked ${year}-Q${q} -> ${outPath} (${top100.length} rows)`);
+  const outPath = path.join(OUT_DIR, `${name}.json`);
+  writeJSON(outPath, { period: key, kind, start, end, params: p, anomalies, entity, rows: kept });
+  console.log(`ROSS ranked ${key} -> ${outPath} (${kept.length} rows)`);
 }
 
-const year = Number(process.argv[2]);
-const q = Number(process.argv[3]);
-if (!year || !q) { console.error("Usage: node scripts/rank_ross_quarter.js YEAR Q"); process.exit(1); }
-rankRossQuarter(year, q);
+export function rankRossQuarter(year, q, opts = {}) {
+  return rankRossPeriod(parsePeriod(quarterKey(year, q)), opts);
+}
+
+if (isMain(import.meta.url)) {
+  const { values, positionals } = parseArgs({ allowPositionals: true, options: { ...ROSS_OPTIONS, ...PERIOD_OPTIONS, ...ANOMALY_OPTIONS, ...ENTITY_OPTIONS } });
+  if (!values.period && positionals.length < 2) {
+    console.error("Usage: node scripts/rank_ross_quarter.js YEAR Q | --period P [--window N] [--min-start N] [--scoring MODE] [--top N] [--entity LABELS]");
+    process.exit(1);
+  }
+  rankRossPeriod(periodFromArgs(values, positionals), {
+    params: parseRossOptions(values), top: parseTop(values.top), anomalies: parseAnomalyMode(values.anomalies),
+    entity: parseEntityFilter(values.entity)
+  });
+}
@@ -0,0 +1,117 @@
+// scripts/run_offline.js
+// Runs the pipeline against recorded HTTP fixtures, fully offline and reproducibly.
+//
+// Usage:
+//   node scripts/run_offline.js [--fixtures fixtures/pipeline] [--out .offline]
+//   node scripts/run_offline.js --record [--fake] [--fixtures DIR] [--year 2025 --quarter 4]
+//
+// Replay (default): every stage runs with HTTP_MODE=replay inside --out, the
+// clock pinned to the fixtures' recorded_at, so the same fixtures always give
+// the same data/ tree.
+// Record: runs the same stages live with HTTP_MODE=record, writing responses
+// (including rate-limit headers and the trending HTML) into --fixtures.
+// With --fake it records against scripts/dev/fake_github.js and its seed
+// instead of GitHub (no token needed).
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { startFakeGitHub } from "./dev/fake_github.js";
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const MARKER = ".offline-run";
+
+const args = process.argv.slice(2);
+const flag = name => args.includes(name);
+const opt = (name, dflt) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : dflt; };
+
+function stages(year, q) {
+  return [
+    ["scrape_trending.js"],
+    ["build_candidates.js", String(year), `Q${q}`],
+    ["fetch_stars.js"],
+    ["fetch_activity.js"],
+    ["fetch_repo_meta.js"],
+    ["migrate_identity.js"],
+    ["aggregate_weekly.js"],
+    ["enrich_owner.js"],
+    ["geocode_locations.js"],
+    ["detect_anomalies.js"],
+    ["rank_quarter.js", String(year), String(q)],
+    ["rank_ross_quarter.js", String(year), String(q)],
+    ["build_feeds.js", String(year), String(q)],
+    ["forecast.js", `${year}-Q${q}`],
+    ["build_site_index.js"],
+    ["build_report.js"]
+  ];
+}
+
+// Async on purpose: with --fake the stand-in server lives in this process.
+function runStage(script, scriptArgs, { cwd, env }) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [path.join(SCRIPTS_DIR, script), ...scriptArgs], { cwd, env, stdio: "inherit" });
+    child.on("close", code => resolve(code));
+  });
+}
+
+function prepareOut(out) {
+  if (fs.existsSync(out) && fs.readdirSync(out).length && !fs.existsSync(path.join(out, MARKER))) {
+    throw new Error(`${out} is not empty and was not created by run_offline.js; refusing to clear it`);
+  }
+  fs.rmSync(path.join(out, "data"), { recursive: true, force: true });
+  fs.mkdirSync(out, { recursive: true });
+  fs.writeFileSync(path.join(out, MARKER), "");
+}
+
+(async () => {
+  const record = flag("--record");
+  const fixtures = path.resolve(opt("--fixtures", "fixtures/pipeline"));
+  const out = path.resolve(opt("--out", ".offline"));
+  const manifestPath = path.join(fixtures, "manifest.json");
+
+  let manifest;
+  let fake = null;
+  const env = { ...process.env, HTTP_MODE: record ? "record" : "replay", HTTP_FIXTURES: fixtures };
+
+  if (record) {
+    if (fs.existsSync(fixtures) && fs.readdirSync(fixtures).length) {
+      throw new Error(`${fixtures} already has fixtures; remove it before recording a new set`);
+    }
+    if (flag("--fake")) {
+      const seed = path.resolve(opt("--seed", "fixtures/fake_github/seed.json"));
+      fake = await startFakeGitHub({ seed });
+      env.GITHUB_API_URL = fake.url;
+      env.GITHUB_WEB_URL = fake.url;
+      env.GH_TOKEN = env.GH_TOKEN || "fake";
+      manifest = { recorded_at: JSON.parse(fs.readFileSync(seed, "utf8")).now, source: "fake_github" };
+    } else {
+      manifest = { recorded_at: new Date().toISOString(), source: "github" };
+    }
+    const d = new Date(manifest.recorded_at);
+    manifest.year = Number(opt("--year", d.getUTCFullYear()));
+    manifest.quarter = Number(opt("--quarter", Math.floor(d.getUTCMonth() / 3) + 1));
+    fs.mkdirSync(fixtures, { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  } else {
+    if (!fs.existsSync(manifestPath)) throw new Error(`No ${manifestPath}; record fixtures first with --record`);
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    env.GH_TOKEN = env.GH_TOKEN || "replay";
+    delete env.GITHUB_API_URL;
+    delete env.GITHUB_WEB_URL;
+  }
+  env.PIPELINE_NOW = manifest.recorded_at;
+
+  prepareOut(out);
+  let failed = null;
+  for (const [script, ...scriptArgs] of stages(manifest.year, manifest.quarter)) {
+    console.log(`\n== ${script} ${scriptArgs.join(" ")}`);
+    const code = await runStage(script, scriptArgs, { cwd: out, env });
+    if (code !== 0) { failed = script; break; }
+  }
+  if (fake) await fake.close();
+  if (failed) {
+    console.error(`stage ${failed} failed`);
+    process.exit(1);
+  }
+  console.log(`\noffline run (${record ? "record" : "replay"}) wrote ${path.join(out, "data")}`);
+})();
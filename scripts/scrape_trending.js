@@ -1,70 +1,118 @@
 // scripts/scrape_trending.js
-// Scrapes github.com/trending (overall + languages) weekly snapshot.
+// Scrapes github.com/trending (overall, per language, per spoken language) for
+// the daily, weekly and monthly ranges.
 // Note: There is no official Trending API; scraping HTML is the path. [web:30]
-import fs from "fs";
+//
+// Usage: node scripts/scrape_trending.js [--since daily,weekly,monthly] [--languages python,rust,c++]
+//                                        [--spoken zh,es]
+// Languages and spoken-language codes can also come from TRENDING_LANGUAGES /
+// TRENDING_SPOKEN (comma-separated); the defaults are LANGUAGES below and none.
+//
+// Output, one snapshot per range and day/week/month (a rerun overwrites it):
+//   data/raw/daily_trending/YYYY-MM-DD.json
+//   data/raw/weekly_trending/YYYY-Www.json
+//   data/raw/monthly_trending/YYYY-MM.json
+//   { since, key, week, captured_at, overall: [row], by_language: { python: [row] },
+//     by_spoken_language: { zh: [row] }, errors: { python: "HTTP 503" } }
+// Rows are described in utils/trending.js. A page whose markup the parser does
+// not recognise aborts the whole scrape before anything is written; a page that
+// fails to load only leaves its list out (and in `errors`).
 import path from "path";
-import fetch from "node-fetch";
+import { parseArgs } from "util";
+import { httpFetch, sleep } from "./utils/http.js";
+import { now, isoWeekKey } from "./utils/time.js";
+import { SINCE, parseTrending } from "./utils/trending.js";
+import { writeJSON } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
 
-const OUT_DIR = "data/raw/weekly_trending";
-fs.mkdirSync(OUT_DIR, { recursive: true });
+export const LANGUAGES = ["javascript", "typescript", "python", "go", "rust", "java", "c++", "c", "php", "ruby", "kotlin"];
 
-const LANGS = [
-  "javascript","typescript","python","go","rust","java","c%2B%2B","c","php","ruby","kotlin"
-];
+const OUT_DIRS = { daily: "data/raw/daily_trending", weekly: "data/raw/weekly_trending", monthly: "data/raw/monthly_trending" };
 
-function isoWeekKeyUTC(date=new Date()) {
-  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
-  const day = (d.getUTCDay() + 6) % 7;
-  const thurs = new Date(d);
-  thurs.setUTCDate(d.getUTCDate() - day + 3);
-  const week1 = new Date(Date.UTC(thurs.getUTCFullYear(), 0, 4));
-  const week = 1 + Math.round((thurs - week1) / 604800000);
-  const year = thurs.getUTCFullYear();
-  return `${year}-W${String(week).padStart(2, "0")}`;
+function snapshotKey(since, date) {
+  if (since === "daily") return date;
+  if (since === "monthly") return date.slice(0, 7);
+  return isoWeekKey(date);
 }
 
-async function fetchTrending(lang=null) {
-  const base = "https://github.com/trending";
-  const url = lang ? `${base}/${lang}?since=weekly` : `${base}?since=weekly`;
-  const res = await fetch(url, {
+const list = s => s == null ? null : String(s).split(",").map(x => x.trim()).filter(Boolean);
+
+async function fetchTrending({ since = "weekly", lang = null, spoken = null } = {}) {
+  const base = `${process.env.GITHUB_WEB_URL || "https://github.com"}/trending`;
+  const url = `${base}${lang ? `/${encodeURIComponent(lang)}` : ""}?since=${since}${spoken ? `&spoken_language_code=${encodeURIComponent(spoken)}` : ""}`;
+  const res = await httpFetch(url, {
     headers: {
       "User-Agent": "trending-scraper",
       "Accept": "text/html"
     }
   });
-  const html = await res.text();
-  // Heuristic parse: look for <h2 class="h3 lh-condensed"> <a href="/owner/repo">
-  // Keep robust: extract /owner/repo from hrefs under trending list.
-  const repos = [];
-  const re = /<h2[^>]*>\s*<a[^>]*href="\/([^\/]+)\/([^"\/]+)"/g;
-  let m;
-  while ((m = re.exec(html)) !== null) {
-    const owner = m[1];
-    const repo = m[2];
-    repos.push({ owner, repo });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  try {
+    return parseTrending(await res.text(), since);
+  } catch (e) {
+    e.message = `${e.message} (${url})`;
+    e.markup = true;
+    throw e;
+  }
+}
+
+// Markup errors propagate; anything else only costs the one list.
+async function tryList(opts, errors, label) {
+  try {
+    return await fetchTrending(opts);
+  } catch (e) {
+    if (e.markup) throw e;
+    errors[label] = e.message;
+    console.warn(`trending ${opts.since} ${label}: ${e.message}`);
+    return null;
+  } finally {
+    await sleep(400);
   }
-  return repos;
 }
 
-(async () => {
-  const ww = isoWeekKeyUTC();
-  const outPath = path.join(OUT_DIR, `${ww}.json`);
-  const overall = await fetchTrending();
+async function scrapeRange(since, { languages, spoken }) {
+  const errors = {};
+  const overall = await fetchTrending({ since });
+  if (!overall.length) throw new Error(`trending: the overall ${since} page has no repositories; refusing to write an empty snapshot`);
   const byLang = {};
-  for (const L of LANGS) {
-    try {
-      byLang[decodeURIComponent(L)] = await fetchTrending(L);
-    } catch (e) {
-      byLang[decodeURIComponent(L)] = [];
-    }
-    await new Promise(r => setTimeout(r, 400));
+  for (const lang of languages) {
+    const rows = await tryList({ since, lang }, errors, lang);
+    if (rows) byLang[lang] = rows;
+  }
+  const bySpoken = {};
+  for (const code of spoken) {
+    const rows = await tryList({ since, spoken: code }, errors, `spoken:${code}`);
+    if (rows) bySpoken[code] = rows;
+  }
+  return { overall, by_language: byLang, by_spoken_language: bySpoken, errors };
+}
+
+export async function scrapeTrending({
+  since = SINCE,
+  languages = list(process.env.TRENDING_LANGUAGES) ?? LANGUAGES,
+  spoken = list(process.env.TRENDING_SPOKEN) ?? []
+} = {}) {
+  for (const s of since) if (!SINCE.includes(s)) throw new Error(`Invalid trending range "${s}" (expected ${SINCE.join("|")})`);
+  const capturedAt = now().toISOString();
+  const date = capturedAt.slice(0, 10);
+  // Everything is fetched (and checked) before the first snapshot is written.
+  const snapshots = [];
+  for (const s of since) {
+    const lists = await scrapeRange(s, { languages, spoken });
+    snapshots.push({ since: s, key: snapshotKey(s, date), week: isoWeekKey(date), captured_at: capturedAt, ...lists });
   }
-  const payload = {
-    week: ww,
-    captured_at: new Date().toISOString(),
-    overall,
-    by_language: byLang
-  };
-  fs.writeFileSync(outPath, JSON.stringify(payload, null, 2));
-  console.log("wrote weekly trending", ww, outPath);
-})();
+  for (const snap of snapshots) {
+    const outPath = path.join(OUT_DIRS[snap.since], `${snap.key}.json`);
+    writeJSON(outPath, snap);
+    console.log(`wrote ${snap.since} trending ${snap.key}: ${snap.overall.length} overall, ${Object.keys(snap.by_language).length} languages -> ${outPath}`);
+  }
+}
+
+if (isMain(import.meta.url)) {
+  const { values } = parseArgs({ options: { since: { type: "string" }, languages: { type: "string" }, spoken: { type: "string" } } });
+  await scrapeTrending({
+    ...(values.since ? { since: list(values.since) } : {}),
+    ...(values.languages ? { languages: list(values.languages) } : {}),
+    ...(values.spoken ? { spoken: list(values.spoken) } : {})
+  });
+}
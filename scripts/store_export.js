@@ -0,0 +1,83 @@
+// scripts/store_export.js
+// Writes the SQLite store (utils/store.js) back out as the JSON data tree, so
+// site/, the reports and every stage that reads files keep working.
+//
+// Usage: node scripts/store_export.js [--out data] [--only owner/repo] [--store data/store.sqlite]
+//
+// Output (under --out, default data/):
+//   raw/stars/owner__repo.json          star history (bare array for legacy files)
+//   derived/weekly/owner__repo.json     weekly + cumulative, as aggregate_weekly.js writes it
+//   derived/meta/owner__repo.json       the newest meta snapshot
+//   derived/owner/owner__repo.json
+//   raw/{daily,weekly,monthly}_trending/<key>.json
+//   derived/quarter/*.json, derived/quarter-ross/*.json
+// Trending snapshots and leaderboards are skipped with --only.
+import path from "path";
+import { parseArgs } from "util";
+import { openStore, STORE_FILE } from "./utils/store.js";
+import { weeklyPayload, latestMeta, ownerOf } from "./utils/store_query.js";
+import { writeStarHistory } from "./utils/stars.js";
+import { STARS_DIR, META_DIR, OWNER_DIR, TREND_DIRS, BOARD_DIRS } from "./store_import.js";
+import { writeJSON, repoFile } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
+
+const WEEKLY_DIR = "data/derived/weekly";
+
+function exportRepos(db, at, only) {
+  const repos = db.prepare("SELECT * FROM repos ORDER BY name").all()
+    .filter(r => !only || r.name.toLowerCase() === only.toLowerCase());
+  const stars = db.prepare("SELECT starred_at FROM stars WHERE repo_id = ? ORDER BY starred_at").pluck();
+  let n = 0;
+  for (const r of repos) {
+    const f = repoFile(r.name);
+    // Repos only known from a meta or owner file have no star history to write.
+    if (r.source != null) {
+      const ts = stars.all(r.id);
+      if (r.legacy) writeJSON(at(STARS_DIR, f), ts);
+      else writeStarHistory(at(STARS_DIR, f), { ...r, repo: r.name, stars: ts });
+      writeJSON(at(WEEKLY_DIR, f), weeklyPayload(db, r.name));
+      n++;
+    }
+    const meta = latestMeta(db, r.name);
+    if (meta) writeJSON(at(META_DIR, f), meta);
+    const owner = ownerOf(db, r.name);
+    if (owner) writeJSON(at(OWNER_DIR, f), owner);
+  }
+  console.log(`store: exported ${n} star histories of ${repos.length} repos`);
+}
+
+function exportTrending(db, at) {
+  const snaps = db.prepare("SELECT since, key, json FROM trending_snapshots ORDER BY since, key").all();
+  for (const s of snaps) writeJSON(at(TREND_DIRS[s.since], `${s.key}.json`), JSON.parse(s.json));
+  console.log(`store: exported ${snaps.length} trending snapshots`);
+}
+
+function exportLeaderboards(db, at) {
+  const boards = db.prepare("SELECT board, name, json FROM leaderboards ORDER BY board, name").all();
+  const rows = db.prepare("SELECT json FROM leaderboard_rows WHERE board = ? AND name = ? ORDER BY pos").pluck();
+  for (const b of boards) {
+    const list = rows.all(b.board, b.name).map(r => JSON.parse(r));
+    writeJSON(at(BOARD_DIRS[b.board], `${b.name}.json`), b.json == null ? list : { ...JSON.parse(b.json), rows: list });
+  }
+  console.log(`store: exported ${boards.length} leaderboards`);
+}
+
+export function exportStore({ out = "data", only = null, file = STORE_FILE } = {}) {
+  const db = openStore({ file, readonly: true });
+  // data/raw/stars -> <out>/raw/stars
+  const at = (dir, f) => path.join(out, path.relative("data", dir), f);
+  try {
+    exportRepos(db, at, only);
+    if (!only) {
+      exportTrending(db, at);
+      exportLeaderboards(db, at);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+if (isMain(import.meta.url)) {
+  const { values } = parseArgs({ options: { out: { type: "string" }, only: { type: "string" }, store: { type: "string" } } });
+  exportStore({ out: values.out ?? "data", only: values.only ?? null, ...(values.store ? { file: values.store } : {}) });
+}
@@ -0,0 +1,201 @@
+// scripts/store_import.js
+// Copies the JSON data tree into the SQLite store (utils/store.js).
+//
+// Usage: node scripts/store_import.js [--only owner/repo] [--store data/store.sqlite]
+//
+// - data/raw/stars: re-read only when the file changed since the last import
+//   (size and mtime, kept in repos.source); daily counts and the cumulative
+//   series are derived the way aggregate_weekly.js derives them.
+// - data/raw/meta + data/derived/meta: the meta view as of every snapshot in
+//   the history and the current view, one row per fetched_at, so the store
+//   keeps every meta file it has seen.
+// - data/derived/owner, trending snapshots, leaderboards: replaced.
+// Repos with no star, meta or owner file left (renamed, see migrate_identity.js)
+// are dropped. With --only just that repo's files are imported.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { openStore, repoId, STORE_FILE } from "./utils/store.js";
+import { readStarHistory, missingOlderStars } from "./utils/stars.js";
+import { toDaily, toCumulative } from "./aggregate_weekly.js";
+import { snapshotLists } from "./utils/trending.js";
+import { HISTORY_DIR, readHistory, metaView } from "./utils/meta_history.js";
+import { matchesOnly } from "./utils/candidates.js";
+import { readJSON, isDryRun } from "./utils/io.js";
+import { isMain } from "./utils/main.js";
+
+export const STARS_DIR = "data/raw/stars";
+export const META_DIR = "data/derived/meta";
+export const OWNER_DIR = "data/derived/owner";
+export const TREND_DIRS = { daily: "data/raw/daily_trending", weekly: "data/raw/weekly_trending", monthly: "data/raw/monthly_trending" };
+export const BOARD_DIRS = { quarter: "data/derived/quarter", "quarter-ross": "data/derived/quarter-ross" };
+
+const repoFiles = (dir, only) => fs.existsSync(dir)
+  ? fs.readdirSync(dir).filter(f => /\.jsonl?$/.test(f) && f.includes("__") && matchesOnly(f.replace(/l$/, ""), only)).sort()
+  : [];
+const nameOf = f => f.replace(/\.jsonl?$/, "").replace("__", "/");
+
+function importStars(db, only) {
+  const known = new Map(db.prepare("SELECT name, source FROM repos").all().map(r => [r.name, r.source]));
+  const update = db.prepare(`UPDATE repos SET history = ?, known_from = ?, missing_older = ?, stargazer_count = ?,
+    backfill_cursor = ?, fetched_at = ?, legacy = ?, source = ? WHERE id = ?`);
+  const insertStar = db.prepare("INSERT INTO stars (repo_id, starred_at) VALUES (?, ?)");
+  const insertDay = db.prepare("INSERT INTO daily (repo_id, date, count, cumulative) VALUES (?, ?, ?, ?)");
+  const write = db.transaction((name, h, source) => {
+    const id = repoId(db, name);
+    const missing = missingOlderStars(h);
+    const daily = toDaily(h.stars);
+    const cumulative = toCumulative(daily, missing);
+    update.run(h.history, h.history === "truncated" ? (daily[0]?.date ?? null) : null, missing, h.stargazer_count,
+      h.backfill_cursor, h.fetched_at, h.legacy ? 1 : 0, source, id);
+    db.prepare("DELETE FROM stars WHERE repo_id = ?").run(id);
+    db.prepare("DELETE FROM daily WHERE repo_id = ?").run(id);
+    for (const ts of h.stars) insertStar.run(id, ts);
+    daily.forEach((d, i) => insertDay.run(id, d.date, d.daily, cumulative[i].value));
+  });
+  const names = [];
+  let changed = 0;
+  for (const f of repoFiles(STARS_DIR, only)) {
+    const name = nameOf(f);
+    names.push(name);
+    const file = path.join(STARS_DIR, f);
+    const st = fs.statSync(file);
+    const source = `${st.size}:${Math.round(st.mtimeMs)}`;
+    if (known.get(name) === source) continue;
+    write(name, readStarHistory(file, name), source);
+    changed++;
+  }
+  console.log(`store: ${changed} of ${names.length} star histories imported`);
+  return names;
+}
+
+function importRepoJSON(db, dir, only, insert) {
+  const names = [];
+  db.transaction(() => {
+    for (const f of repoFiles(dir, only)) {
+      const data = readJSON(path.join(dir, f));
+      if (data == null) continue;
+      names.push(nameOf(f));
+      insert(repoId(db, nameOf(f)), data);
+    }
+  })();
+  return names;
+}
+
+// The meta view as of every `repo` snapshot in the history, then the current
+// view (which may carry newer enrichment sections).
+function importMeta(db, only) {
+  const insert = db.prepare("INSERT OR REPLACE INTO meta_snapshots (repo_id, fetched_at, json) VALUES (?, ?, ?)");
+  db.transaction(() => {
+    for (const f of repoFiles(HISTORY_DIR, only)) {
+      const name = nameOf(f);
+      const records = readHistory(name, path.join(HISTORY_DIR, f));
+      const id = repoId(db, name);
+      records.forEach((r, i) => {
+        if (r.section === "repo") insert.run(id, r.data.fetched_at ?? r.at, JSON.stringify(metaView(records.slice(0, i + 1))));
+      });
+    }
+  })();
+  const names = importRepoJSON(db, META_DIR, only, (id, m) => insert.run(id, m.fetched_at ?? "", JSON.stringify(m)));
+  console.log(`store: ${names.length} meta views`);
+  return names;
+}
+
+function importOwners(db, only) {
+  const insert = db.prepare("INSERT OR REPLACE INTO owners (repo_id, json) VALUES (?, ?)");
+  const names = importRepoJSON(db, OWNER_DIR, only, (id, o) => insert.run(id, JSON.stringify(o)));
+  console.log(`store: ${names.length} owners`);
+  return names;
+}
+
+// Lists are "overall", "language:<lang>" and "spoken:<code>".
+function listNames(snap) {
+  return [
+    "overall",
+    ...Object.keys(snap.by_language || {}).map(l => `language:${l}`),
+    ...Object.keys(snap.by_spoken_language || {}).map(c => `spoken:${c}`)
+  ];
+}
+
+function importTrending(db) {
+  const insertSnap = db.prepare("INSERT INTO trending_snapshots (since, key, captured_at, json) VALUES (?, ?, ?, ?)");
+  const insertRow = db.prepare("INSERT INTO trending (since, key, list, position, repo, stars, period_stars) VALUES (?, ?, ?, ?, ?, ?, ?)");
+  let n = 0;
+  db.transaction(() => {
+    db.exec("DELETE FROM trending; DELETE FROM trending_snapshots;");
+    for (const [since, dir] of Object.entries(TREND_DIRS)) {
+      if (!fs.existsSync(dir)) continue;
+      // <board>.diff.json files (diff_leaderboards.js) sit next to the boards.
+      for (const f of fs.readdirSync(dir).filter(f => f.endsWith(".json") && !f.endsWith(".diff.json")).sort()) {
+        const snap = readJSON(path.join(dir, f));
+        if (!snap) continue;
+        const key = f.replace(/\.json$/, "");
+        insertSnap.run(since, key, snap.captured_at ?? null, JSON.stringify(snap));
+        const names = listNames(snap);
+        snapshotLists(snap).forEach((list, li) => list.forEach((r, i) =>
+          insertRow.run(since, key, names[li], r.position ?? i + 1, `${r.owner}/${r.repo}`, r.stars ?? null, r.period_stars ?? null)));
+        n++;
+      }
+    }
+  })();
+  console.log(`store: ${n} trending snapshots`);
+}
+
+// Bare-array leaderboards (written before periods existed) keep json = NULL.
+function importLeaderboards(db) {
+  const insertBoard = db.prepare("INSERT INTO leaderboards (board, name, period, start, end, json) VALUES (?, ?, ?, ?, ?, ?)");
+  const insertRow = db.prepare("INSERT INTO leaderboard_rows (board, name, pos, rank, repo, json) VALUES (?, ?, ?, ?, ?, ?)");
+  let n = 0;
+  db.transaction(() => {
+    db.exec("DELETE FROM leaderboard_rows; DELETE FROM leaderboards;");
+    for (const [board, dir] of Object.entries(BOARD_DIRS)) {
+      if (!fs.existsSync(dir)) continue;
+      // <board>.diff.json files (diff_leaderboards.js) sit next to the boards.
+      for (const f of fs.readdirSync(dir).filter(f => f.endsWith(".json") && !f.endsWith(".diff.json")).sort()) {
+        const data = readJSON(path.join(dir, f));
+        if (!data) continue;
+        const name = f.replace(/\.json$/, "");
+        const { rows, ...header } = Array.isArray(data) ? { rows: data } : data;
+        insertBoard.run(board, name, header.period ?? null, header.start ?? null, header.end ?? null, Array.isArray(data) ? null : JSON.stringify(header));
+        (rows || []).forEach((r, i) => insertRow.run(board, name, i, r.rank ?? null, r.repo ?? null, JSON.stringify(r)));
+        n++;
+      }
+    }
+  })();
+  console.log(`store: ${n} leaderboards`);
+}
+
+function pruneRepos(db, keep) {
+  const gone = db.prepare("SELECT id, name FROM repos").all().filter(r => !keep.has(r.name));
+  db.transaction(() => {
+    for (const { id } of gone) {
+      for (const table of ["stars", "daily", "meta_snapshots", "owners"]) db.prepare(`DELETE FROM ${table} WHERE repo_id = ?`).run(id);
+      db.prepare("DELETE FROM repos WHERE id = ?").run(id);
+    }
+  })();
+  for (const { name } of gone) console.log(`store: dropped ${name} (no files left)`);
+}
+
+export function importStore({ only = null, file = STORE_FILE } = {}) {
+  if (isDryRun()) {
+    console.log("[dry-run] would write", file);
+    return;
+  }
+  const db = openStore({ file });
+  try {
+    const keep = new Set([...importStars(db, only), ...importMeta(db, only), ...importOwners(db, only)]);
+    if (!only) {
+      importTrending(db);
+      importLeaderboards(db);
+      pruneRepos(db, keep);
+    }
+  } finally {
+    db.close();
+  }
+  console.log(`store: wrote ${file}`);
+}
+
+if (isMain(import.meta.url)) {
+  const { values } = parseArgs({ options: { only: { type: "string" }, store: { type: "string" } } });
+  importStore({ only: values.only ?? null, ...(values.store ? { file: values.store } : {}) });
+}
@@ -0,0 +1,86 @@
+// scripts/utils/activity.js
+// Read/write helpers for data/raw/activity/owner__repo.json (written by
+// scripts/fetch_activity.js) and the per-window counts the ROSS ranker reports.
+//
+// Layout, one entry per GraphQL connection, each walked newest-first like the
+// star history (utils/stars.js):
+// {
+//   "repo": "owner/repo",
+//   "fetched_at": "...",
+//   "releases":      { "history": "complete" | "truncated", "newest": "...", "oldest": "...",
+//                      "backfill_cursor": "..." | null, "items": { "<tagName>": "<publishedAt>" } },
+//   "forks":         { ..., "items": { "<owner/fork>": "<createdAt>" } },
+//   "issues":        { ..., "items": { "<number>": ["<createdAt>", "<closedAt>" | null] } },
+//   "pull_requests": { ..., "items": { "<number>": "<mergedAt>" } }
+// }
+// `newest` / `oldest` are the sort keys (createdAt for releases and forks,
+// updatedAt for issues and merged PRs) of the newest and oldest node seen; the
+// next run catches up down to `newest`. A truncated connection is only known
+// from `oldest` on: anything created after it has been updated after it too.
+import fs from "fs";
+import { writeJSON } from "./io.js";
+
+export const ACTIVITY_DIR = "data/raw/activity";
+export const CONNECTIONS = ["releases", "forks", "issues", "pull_requests"];
+export const ACTIVITY_METRICS = ["releases", "issues_opened", "issues_closed", "prs_merged", "forks"];
+// Metrics that count as people engaging with the repo, for engagement per star.
+const ENGAGEMENT = ["issues_opened", "issues_closed", "prs_merged", "forks"];
+const SOURCE = { releases: "releases", issues_opened: "issues", issues_closed: "issues", prs_merged: "pull_requests", forks: "forks" };
+
+const emptyConnection = () => ({ history: "unknown", newest: null, oldest: null, backfill_cursor: null, items: {} });
+
+export function readActivity(fpath, fullName = null) {
+  const raw = fs.existsSync(fpath) ? JSON.parse(fs.readFileSync(fpath, "utf8")) : {};
+  const out = { repo: raw.repo ?? fullName, fetched_at: raw.fetched_at ?? null, exists: fs.existsSync(fpath) };
+  for (const c of CONNECTIONS) out[c] = { ...emptyConnection(), ...(raw[c] ?? {}) };
+  return out;
+}
+
+export function writeActivity(fpath, a) {
+  const payload = { repo: a.repo, fetched_at: a.fetched_at };
+  for (const c of CONNECTIONS) payload[c] = a[c];
+  writeJSON(fpath, payload);
+}
+
+// { metric: [timestamp, ...] } ascending, for every ACTIVITY_METRICS entry.
+export function activityEvents(a) {
+  const issues = Object.values(a.issues?.items ?? {});
+  const events = {
+    releases: Object.values(a.releases?.items ?? {}).filter(Boolean),
+    issues_opened: issues.map(i => i[0]).filter(Boolean),
+    issues_closed: issues.map(i => i[1]).filter(Boolean),
+    prs_merged: Object.values(a.pull_requests?.items ?? {}).filter(Boolean),
+    forks: Object.values(a.forks?.items ?? {}).filter(Boolean)
+  };
+  for (const k of ACTIVITY_METRICS) events[k].sort();
+  return events;
+}
+
+// Earliest date each metric can be trusted from; null when its connection was
+// walked to the end (or never fetched, in which case the metric has no events).
+export function activityKnownFrom(a) {
+  const out = {};
+  for (const m of ACTIVITY_METRICS) {
+    const c = a[SOURCE[m]];
+    out[m] = c?.history === "truncated" && c.oldest ? c.oldest.slice(0, 10) : null;
+  }
+  return out;
+}
+
+// Counts of every metric between start and end (YYYY-MM-DD, inclusive), and
+// issues/PRs/forks per star gained. A metric whose history does not reach back
+// to `start`, or was never fetched, is null, and so is per_star then. null
+// without an activity file.
+export function engagementColumns(a, start, end, starGain) {
+  if (!a?.exists) return null;
+  const events = activityEvents(a);
+  const known = activityKnownFrom(a);
+  const out = {};
+  for (const m of ACTIVITY_METRICS) {
+    const unknown = a[SOURCE[m]].history === "unknown" || (known[m] && known[m] > start);
+    out[m] = unknown ? null : events[m].filter(t => t.slice(0, 10) >= start && t.slice(0, 10) <= end).length;
+  }
+  const engaged = ENGAGEMENT.map(m => out[m]);
+  out.per_star = starGain > 0 && engaged.every(n => n != null) ? Number((engaged.reduce((s, n) => s + n, 0) / starGain).toFixed(4)) : null;
+  return out;
+}
@@ -0,0 +1,147 @@
+// scripts/utils/anomaly.js
+// Star-inflation heuristics over a repo's own history. Pure functions; the
+// stage that reads data/raw/stars and writes data/derived/anomalies is
+// scripts/detect_anomalies.js.
+//
+// - spike day: stars far above the median of the previous `baseline_days` days
+//   (robust z-score, MAD with a Poisson floor). Days without a full baseline
+//   behind them (launch weeks, the ragged start of a truncated history) are
+//   not scored.
+// - burst: on a spike day, the densest `burst_window_sec` window holding at
+//   least `burst_min_stars` stars and `burst_share` of the day's stars. Organic
+//   spikes (front page, newsletters) spread over many hours, their busiest hour
+//   rarely carries more than a third of the day; bought stars arrive in one go.
+// - suspicious account: starred within `new_account_days` of creation, or has
+//   no followers and no public repos.
+export const ANOMALY_DEFAULTS = {
+  baseline_days: 28,
+  spike_z: 8,
+  spike_min_stars: 50,
+  spike_factor: 5,
+  burst_window_sec: 3600,
+  burst_min_stars: 40,
+  burst_share: 0.6,
+  new_account_days: 30,
+  suspicious_share: 0.5,
+  min_sampled: 20
+};
+
+// How rankers treat flagged repos: keep and annotate, drop, or rank on stars
+// minus the excess of their spike days.
+export const ANOMALY_MODES = ["flag", "exclude", "downweight"];
+
+export function anomalySuffix(mode = "flag") {
+  if (!ANOMALY_MODES.includes(mode)) throw new RangeError(`Invalid anomaly mode "${mode}" (expected ${ANOMALY_MODES.join("|")})`);
+  return mode === "flag" ? "" : `__${mode}-flagged`;
+}
+
+const DAY_MS = 86400000;
+const addDaysISO = (iso, n) => new Date(Date.parse(iso + "T00:00:00Z") + n * DAY_MS).toISOString().slice(0, 10);
+
+function median(xs) {
+  const s = xs.slice().sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+// daily: [{ date, daily }] ascending and sparse (as built by aggregate_weekly.toDaily).
+// Returns [{ date, stars, baseline, z, excess }].
+export function spikeDays(daily, opts = {}) {
+  const o = { ...ANOMALY_DEFAULTS, ...opts };
+  if (!daily.length) return [];
+  const counts = new Map(daily.map(r => [r.date, r.daily]));
+  const first = daily[0].date;
+  const last = daily.at(-1).date;
+  const out = [];
+  const win = [];
+  for (let d = first; d <= last; d = addDaysISO(d, 1)) {
+    const x = counts.get(d) || 0;
+    if (win.length === o.baseline_days) {
+      const med = median(win);
+      const mad = median(win.map(v => Math.abs(v - med)));
+      const scale = Math.max(1.4826 * mad, Math.sqrt(med), 1);
+      const z = (x - med) / scale;
+      if (z >= o.spike_z && x >= o.spike_min_stars && x >= o.spike_factor * Math.max(med, 1)) {
+        out.push({ date: d, stars: x, baseline: med, z: Number(z.toFixed(2)), excess: Math.round(x - med) });
+      }
+      win.shift();
+    }
+    win.push(x);
+  }
+  return out;
+}
+
+// timestamps: ascending ISO strings; spikes: from spikeDays().
+// Returns [{ date, start, end, stars, share }] for spike days whose stars are
+// concentrated in one window.
+export function clusteredBursts(timestamps, spikes, opts = {}) {
+  const o = { ...ANOMALY_DEFAULTS, ...opts };
+  const windowMs = o.burst_window_sec * 1000;
+  const byDay = new Map(spikes.map(s => [s.date, []]));
+  for (const ts of timestamps) byDay.get(ts.slice(0, 10))?.push(ts);
+  const out = [];
+  for (const s of spikes) {
+    const day = byDay.get(s.date);
+    const t = day.map(ts => Date.parse(ts));
+    let lo = 0, best = { n: 0, from: 0, to: 0 };
+    for (let hi = 0; hi < t.length; hi++) {
+      while (t[hi] - t[lo] >= windowMs) lo++;
+      if (hi - lo + 1 > best.n) best = { n: hi - lo + 1, from: lo, to: hi };
+    }
+    const share = day.length ? best.n / day.length : 0;
+    if (best.n >= o.burst_min_stars && share >= o.burst_share) {
+      out.push({ date: s.date, start: day[best.from], end: day[best.to], stars: best.n, share: Number(share.toFixed(2)) });
+    }
+  }
+  return out;
+}
+
+// accounts: [{ starred_at, created_at, followers, public_repos }]
+export function scoreAccounts(accounts, opts = {}) {
+  const o = { ...ANOMALY_DEFAULTS, ...opts };
+  const suspicious = accounts.filter(a => {
+    const ageDays = (Date.parse(a.starred_at) - Date.parse(a.created_at)) / DAY_MS;
+    return ageDays < o.new_account_days || (a.followers === 0 && a.public_repos === 0);
+  }).length;
+  return { sampled: accounts.length, suspicious, share: accounts.length ? Number((suspicious / accounts.length).toFixed(3)) : 0 };
+}
+
+// A burst (a clustered spike day) is what gets a repo flagged; spike days
+// alone are reported but may well be organic.
+export function anomalyFlags({ bursts, accounts }, opts = {}) {
+  const o = { ...ANOMALY_DEFAULTS, ...opts };
+  const flags = [];
+  if (bursts.length) flags.push("clustered_spike");
+  if (accounts && accounts.sampled >= o.min_sampled && accounts.share >= o.suspicious_share) flags.push("suspicious_accounts");
+  return flags;
+}
+
+// Removes the spike-day excess from a cumulative series ([{ date, value }]).
+export function deflateCumulative(cumulative, spikes) {
+  if (!spikes.length) return cumulative;
+  const excess = spikes.slice().sort((a, b) => a.date.localeCompare(b.date));
+  let i = 0, removed = 0;
+  return cumulative.map(r => {
+    while (i < excess.length && excess[i].date <= r.date) removed += excess[i++].excess;
+    return { date: r.date, value: r.value - removed };
+  });
+}
+
+// Whether `a` (a data/derived/anomalies file) has a flagged day inside
+// [start, end]: a clustered spike, or a sampled spike day when the account
+// sample looked suspicious. An old burst does not taint later periods.
+export function flaggedIn(a, start, end) {
+  if (!a?.flagged) return false;
+  const inRange = d => d >= start && d <= end;
+  if (a.bursts?.some(b => inRange(b.date))) return true;
+  return !!a.flags?.includes("suspicious_accounts") && !!a.accounts?.dates?.some(inRange);
+}
+
+// What the rankers embed per row: null for repos with nothing to report in
+// [start, end].
+export function anomalySummary(a, start, end) {
+  const spikes = (a?.spikes ?? []).filter(s => s.date >= start && s.date <= end);
+  const flagged = flaggedIn(a, start, end);
+  if (!flagged && !spikes.length) return null;
+  return { flagged, flags: flagged ? a.flags : [], spike_days: spikes.length, excess_stars: spikes.reduce((n, s) => n + s.excess, 0) };
+}
@@ -0,0 +1,141 @@
+// scripts/utils/args.js
+// One parser for year/quarter arguments, shared by scripts/cli.js and the
+// standalone scripts. Bad input throws instead of producing keys like "2025-QNaN".
+import { now, parsePeriod } from "./time.js";
+import { rossParams } from "./ross.js";
+import { ANOMALY_MODES } from "./anomaly.js";
+import { FEED_DEFAULTS } from "./feed.js";
+import { ENTITY_LABELS } from "./entity.js";
+
+export function parseYear(input) {
+  const s = String(input ?? "").trim();
+  if (!/^\d{4}$/.test(s)) throw new Error(`Invalid year "${input}" (expected YYYY)`);
+  return Number(s);
+}
+
+// Accepts "Q4", "q4", "4" or "2025-Q4"; returns { year, q } where year is
+// only set by the "YYYY-Qn" form.
+export function parseQuarter(input) {
+  const s = String(input ?? "").trim();
+  let m = s.match(/^(\d{4})-?[Qq]([1-4])$/);
+  if (m) return { year: Number(m[1]), q: Number(m[2]) };
+  m = s.match(/^[Qq]?([1-4])$/);
+  if (m) return { year: null, q: Number(m[1]) };
+  throw new Error(`Invalid quarter "${input}" (expected Q1..Q4, 1..4 or YYYY-Qn)`);
+}
+
+export function currentQuarter(date = now()) {
+  return { year: date.getUTCFullYear(), q: Math.floor(date.getUTCMonth() / 3) + 1 };
+}
+
+// Resolves optional year/quarter inputs against the current UTC quarter.
+export function resolveQuarter(yearInput, quarterInput) {
+  const cur = currentQuarter();
+  const parsed = quarterInput != null && quarterInput !== "" ? parseQuarter(quarterInput) : { year: null, q: cur.q };
+  const year = yearInput != null && yearInput !== "" ? parseYear(yearInput) : (parsed.year ?? cur.year);
+  if (parsed.year != null && parsed.year !== year) {
+    throw new Error(`Quarter "${quarterInput}" conflicts with year ${year}`);
+  }
+  return { year, q: parsed.q };
+}
+
+export function quarterKey(year, q) {
+  return `${year}-Q${q}`;
+}
+
+// "owner/repo" -> { owner, repo }
+export function parseRepo(input) {
+  const m = String(input ?? "").trim().match(/^([A-Za-z0-9-_.]+)\/([A-Za-z0-9-_.]+)$/);
+  if (!m) throw new Error(`Invalid repo "${input}" (expected owner/repo)`);
+  return { owner: m[1], repo: m[2] };
+}
+
+// util.parseArgs options shared by scripts/cli.js and scripts/rank_ross_quarter.js.
+export const ROSS_OPTIONS = {
+  window: { type: "string" },
+  "min-start": { type: "string" },
+  scoring: { type: "string" }
+};
+
+// { window, "min-start", scoring } strings -> validated ROSS params (defaults filled in).
+export function parseRossOptions(values = {}) {
+  const int = (name, v) => {
+    if (v == null) return undefined;
+    if (!/^\d+$/.test(String(v).trim())) throw new Error(`Invalid --${name} "${v}" (expected a whole number)`);
+    return Number(v);
+  };
+  return rossParams({
+    window_days: int("window", values.window),
+    min_start_stars: int("min-start", values["min-start"]),
+    scoring: values.scoring
+  });
+}
+
+// util.parseArgs options for the period-aware rankers.
+export const PERIOD_OPTIONS = {
+  period: { type: "string" },
+  top: { type: "string" }
+};
+
+// Leaderboard size; 100 when not given.
+export function parseTop(input) {
+  if (input == null || input === "") return 100;
+  const s = String(input).trim();
+  if (!/^\d+$/.test(s) || Number(s) < 1) throw new Error(`Invalid --top "${input}" (expected a positive whole number)`);
+  return Number(s);
+}
+
+// --period wins; then a single period positional ("2025-10"); otherwise the legacy "YEAR Q".
+export function periodFromArgs(values, positionals = []) {
+  if (values.period) return parsePeriod(values.period);
+  if (positionals.length === 1) return parsePeriod(positionals[0]);
+  const [yearInput, quarterInput] = positionals;
+  const { year, q } = parseQuarter(quarterInput);
+  return parsePeriod(quarterKey(year ?? parseYear(yearInput), q));
+}
+
+// --anomalies for the rankers: flag (default) | exclude | downweight.
+export const ANOMALY_OPTIONS = {
+  anomalies: { type: "string" }
+};
+
+export function parseAnomalyMode(input) {
+  if (input == null || input === "") return "flag";
+  const s = String(input).trim().toLowerCase();
+  if (!ANOMALY_MODES.includes(s)) throw new Error(`Invalid --anomalies "${input}" (expected ${ANOMALY_MODES.join("|")})`);
+  return s;
+}
+
+// util.parseArgs options for the breakout feeds (scripts/build_feeds.js).
+export const FEED_OPTIONS = {
+  "feed-top": { type: "string" },
+  "min-gain": { type: "string" }
+};
+
+// --feed-top N (rank that counts as breaking out) and --min-gain R (relative
+// gain, 1 = +100%) -> { top, min_gain } with defaults from utils/feed.js.
+export function parseFeedOptions(values = {}) {
+  const top = values["feed-top"];
+  const gain = values["min-gain"];
+  if (top != null && (!/^\d+$/.test(String(top).trim()) || Number(top) < 1)) throw new Error(`Invalid --feed-top "${top}" (expected a positive whole number)`);
+  if (gain != null && !/^\d+(\.\d+)?$/.test(String(gain).trim())) throw new Error(`Invalid --min-gain "${gain}" (expected a relative gain such as 1.5)`);
+  return {
+    top: top != null ? Number(top) : FEED_DEFAULTS.top,
+    min_gain: gain != null ? Number(gain) : FEED_DEFAULTS.min_gain
+  };
+}
+
+// --entity for the ROSS ranker: keep only repos with these labels (utils/entity.js).
+export const ENTITY_OPTIONS = {
+  entity: { type: "string" }
+};
+
+// "startup-backed,individual" -> ["individual", "startup-backed"]; [] keeps every repo.
+export function parseEntityFilter(input) {
+  if (input == null || input === "") return [];
+  const labels = String(input).split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  for (const l of labels) {
+    if (!ENTITY_LABELS.includes(l)) throw new Error(`Invalid --entity "${l}" (expected ${ENTITY_LABELS.join("|")})`);
+  }
+  return [...new Set(labels)].sort();
+}
@@ -0,0 +1,80 @@
+// scripts/utils/backtest.js
+// Rolling-origin backtest of the models in forecast_models.js.
+//
+// For each origin o (the last `origins` cut points, `step` weeks apart), every
+// model is fitted on series[0..o) and scored on series[o..o+horizon). Errors
+// are pooled over all origins and steps:
+//   mae    mean |f - a|
+//   mape   mean |f - a| / a over weeks with a > 0 (null when there are none)
+//   smape  mean 2|f - a| / (|f| + |a|), 0 when both are 0
+// Forecasts are clamped at 0 before scoring, as they are when published.
+// backtestModel also returns the raw errors ([step, actual - forecast]) that
+// forecast_intervals.js resamples.
+import { MODELS } from "./forecast_models.js";
+
+export const BACKTEST_DEFAULTS = { horizon: 12, origins: 6, step: 4, min_train: 8, metric: "mae" };
+export const METRICS = ["mae", "mape", "smape"];
+
+export function errorMetrics(actual, predicted) {
+  let abs = 0, pct = 0, pctN = 0, sym = 0;
+  for (let i = 0; i < actual.length; i++) {
+    const a = actual[i], f = predicted[i], e = Math.abs(f - a);
+    abs += e;
+    if (a > 0) { pct += e / a; pctN++; }
+    if (Math.abs(f) + Math.abs(a) > 0) sym += 2 * e / (Math.abs(f) + Math.abs(a));
+  }
+  const n = actual.length;
+  return {
+    mae: n ? abs / n : null,
+    mape: pctN ? pct / pctN : null,
+    smape: n ? sym / n : null
+  };
+}
+
+// Cut points, oldest first. Late origins get a shorter test slice so the most
+// recent weeks are always scored.
+export function backtestOrigins(n, opts = {}) {
+  const o = { ...BACKTEST_DEFAULTS, ...opts };
+  const out = [];
+  for (let k = 0; k < o.origins; k++) {
+    const origin = n - 1 - k * o.step;
+    if (origin < o.min_train) break;
+    out.unshift(origin);
+  }
+  return out;
+}
+
+// Scores one model. Returns null when no origin leaves it enough history.
+export function backtestModel(series, name, opts = {}) {
+  const o = { ...BACKTEST_DEFAULTS, ...opts };
+  const { fn, minLength } = MODELS[name];
+  const actual = [], predicted = [], residuals = [];
+  for (const origin of backtestOrigins(series.length, o)) {
+    if (origin < minLength) continue;
+    const test = series.slice(origin, origin + o.horizon);
+    const forecast = fn(series.slice(0, origin), test.length).forecast.map(v => Math.max(0, v));
+    test.forEach((a, i) => residuals.push([i + 1, a - forecast[i]]));
+    actual.push(...test);
+    predicted.push(...forecast);
+  }
+  if (!actual.length) return null;
+  return { ...errorMetrics(actual, predicted), points: actual.length, residuals };
+}
+
+// Backtests every model and picks the lowest `metric` (ties go to the simpler
+// model, i.e. the earlier MODELS entry). Falls back to naive without a score
+// when the series is too short to backtest.
+export function selectModel(series, opts = {}) {
+  const o = { ...BACKTEST_DEFAULTS, ...opts };
+  if (!METRICS.includes(o.metric)) throw new RangeError(`Invalid backtest metric "${o.metric}" (expected ${METRICS.join("|")})`);
+  const scores = {};
+  let best = null;
+  for (const name of Object.keys(MODELS)) {
+    const s = backtestModel(series, name, o);
+    if (!s) continue;
+    scores[name] = s;
+    if (s[o.metric] == null) continue;
+    if (!best || s[o.metric] < scores[best][o.metric]) best = name;
+  }
+  return { model: best ?? "naive", metric: o.metric, error: best ? scores[best] : null, scores };
+}
@@ -0,0 +1,166 @@
+// scripts/utils/candidate_sources.js
+// Where build_candidates.js finds repos. Each source is an async
+// ({ year, q, start, end, today }) -> [{ full: "owner/repo", ...extra }] and
+// is registered in SOURCES; `search: true` marks the ones that need a token.
+// mergeCandidates() de-duplicates across sources (case-insensitively, first
+// spelling wins) and records which sources found each repo.
+import fs from "fs";
+import path from "path";
+import { githubRequest } from "./github.js";
+import { addDays, quarterBounds, isoWeeksInQuarter } from "./time.js";
+import { trendingScores } from "./trending.js";
+import { parseRepo } from "./args.js";
+
+const TREND_DIRS = ["data/raw/daily_trending", "data/raw/weekly_trending", "data/raw/monthly_trending"];
+const STARS_DIR = "data/raw/stars";
+export const WATCHLIST = "data/watchlist.txt";
+
+export const SOURCE_DEFAULTS = {
+  // Created in the last `created_days` before the quarter ends (or today) with more than `min_stars`.
+  rising: { created_days: 90, min_stars: 300, pages: 3 },
+  topics: {
+    names: ["llm", "ai-agents", "rag", "mcp", "self-hosted", "developer-tools", "local-first", "observability"],
+    min_stars: 1000,
+    pages: 1
+  },
+  language_search: {
+    languages: ["javascript", "typescript", "python", "go", "rust", "java", "c++", "c", "php", "ruby", "kotlin", "shell", "dart"],
+    limit: 5000
+  }
+};
+
+// Snapshot files named by day (YYYY-MM-DD), ISO week or month inside the quarter.
+function inQuarter(year, q) {
+  const { start, end } = quarterBounds(year, q);
+  const weeks = new Set(isoWeeksInQuarter(year, q));
+  return key => weeks.has(key) || (/^\d{4}-\d{2}(-\d{2})?$/.test(key) && key >= start.slice(0, key.length) && key <= end.slice(0, key.length));
+}
+
+// Most-trended first: `score` adds 1 for every #1 spot down to 1/25 for #25,
+// over every list of every snapshot (utils/trending.js).
+async function trending({ year, q }) {
+  const wanted = inQuarter(year, q);
+  const snapshots = [];
+  for (const dir of TREND_DIRS) {
+    if (!fs.existsSync(dir)) continue;
+    for (const f of fs.readdirSync(dir).sort()) {
+      if (f.endsWith(".json") && wanted(f.replace(".json", ""))) snapshots.push(JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+    }
+  }
+  const scores = trendingScores(snapshots);
+  return [...scores.keys()]
+    .sort((a, b) => scores.get(b).score - scores.get(a).score || a.localeCompare(b))
+    .map(full => ({ full, trending: scores.get(full) }));
+}
+
+async function searchRepos(query, { pages = 1, sort = "stars" } = {}) {
+  const out = [];
+  for (let page = 1; page <= pages; page++) {
+    const res = await githubRequest(`/search/repositories?q=${encodeURIComponent(query).replace(/%20/g, "+")}&sort=${sort}&order=desc&per_page=100&page=${page}`);
+    if (!res.ok) throw new Error(`search "${query}": HTTP ${res.status}`);
+    const items = res.json?.items || [];
+    for (const it of items) out.push(`${it.owner.login}/${it.name}`);
+    if (items.length < 100) break;
+  }
+  return out;
+}
+
+// Young repos that already have a lot of stars: the fast risers a
+// total-stars search never reaches.
+async function rising({ end, today }) {
+  const { created_days, min_stars, pages } = SOURCE_DEFAULTS.rising;
+  const since = addDays(end < today ? end : today, -created_days);
+  return (await searchRepos(`created:>${since} stars:>${min_stars}`, { pages })).map(full => ({ full }));
+}
+
+async function topics({ start }) {
+  const { names, min_stars, pages } = SOURCE_DEFAULTS.topics;
+  const out = [];
+  for (const t of names) {
+    for (const full of await searchRepos(`topic:${t} stars:>${min_stars} pushed:>${start}`, { pages })) out.push({ full });
+  }
+  return out;
+}
+
+// One owner/repo per line; blank lines and # comments are ignored.
+export function readWatchlist(file = WATCHLIST) {
+  if (!fs.existsSync(file)) return [];
+  const out = [];
+  fs.readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+    const s = line.replace(/#.*/, "").trim();
+    if (!s) return;
+    try {
+      const { owner, repo } = parseRepo(s);
+      out.push(`${owner}/${repo}`);
+    } catch (e) {
+      throw new Error(`${file}:${i + 1}: ${e.message}`);
+    }
+  });
+  return out;
+}
+
+async function watchlist() {
+  return readWatchlist().map(full => ({ full }));
+}
+
+// Every repo already tracked keeps getting its stars refreshed.
+async function carryOver() {
+  if (!fs.existsSync(STARS_DIR)) return [];
+  return fs.readdirSync(STARS_DIR)
+    .filter(f => f.endsWith(".json") && f.includes("__"))
+    .sort()
+    .map(f => ({ full: f.replace(/\.json$/, "").replace("__", "/") }));
+}
+
+// The old fallback: the most-starred repos pushed this quarter, per language.
+async function languageSearch({ start }) {
+  const { languages, limit } = SOURCE_DEFAULTS.language_search;
+  const results = new Set();
+  for (const lang of languages) {
+    if (results.size >= limit) break;
+    for (const full of await searchRepos(`language:${lang} pushed:>${start}`, { pages: 10 })) results.add(full);
+  }
+  return [...results].slice(0, limit).sort().map(full => ({ full }));
+}
+
+export const SOURCES = {
+  trending: { fn: trending },
+  rising: { fn: rising, search: true },
+  topics: { fn: topics, search: true },
+  watchlist: { fn: watchlist },
+  carry_over: { fn: carryOver },
+  language_search: { fn: languageSearch, search: true }
+};
+
+// Used when no --sources / CANDIDATE_SOURCES is given. language_search is only
+// the fallback for when these find nothing.
+export const DEFAULT_SOURCES = ["trending", "rising", "topics", "watchlist", "carry_over"];
+
+export function parseSources(input) {
+  if (input == null || String(input).trim() === "") return DEFAULT_SOURCES;
+  const names = String(input).split(",").map(s => s.trim()).filter(Boolean);
+  for (const n of names) if (!SOURCES[n]) throw new Error(`Unknown candidate source "${n}" (expected ${Object.keys(SOURCES).join("|")})`);
+  return [...new Set(names)];
+}
+
+// results: [[sourceName, [{ full, ...extra }]]] in priority order ->
+// [{ owner, repo, sources, trending? }], trended repos first by score, the
+// rest alphabetically.
+export function mergeCandidates(results) {
+  const byKey = new Map();
+  for (const [source, rows] of results) {
+    for (const { full, trending: t } of rows) {
+      const key = full.toLowerCase();
+      if (!byKey.has(key)) byKey.set(key, { full, sources: [] });
+      const c = byKey.get(key);
+      if (!c.sources.includes(source)) c.sources.push(source);
+      if (t && !c.trending) c.trending = t;
+    }
+  }
+  return [...byKey.values()]
+    .sort((a, b) => (b.trending?.score ?? -1) - (a.trending?.score ?? -1) || a.full.localeCompare(b.full))
+    .map(({ full, sources, trending: t }) => {
+      const [owner, repo] = full.split("/");
+      return { owner, repo, sources, ...(t ? { trending: t } : {}) };
+    });
+}
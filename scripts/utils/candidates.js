@@ -0,0 +1,48 @@
+// scripts/utils/candidates.js
+import fs from "fs";
+import path from "path";
+import { parseRepo } from "./args.js";
+import { loadIdentity, canonicalName } from "./identity.js";
+
+const DERIVED_DIR = "data/derived";
+
+function listQuarterDirs() {
+  if (!fs.existsSync(DERIVED_DIR)) return [];
+  return fs.readdirSync(DERIVED_DIR).filter(d => /^\d{4}-Q[1-4]$/.test(d));
+}
+
+function readCandidates() {
+  const chunk = process.env.CANDIDATES_CHUNK;
+  if (chunk && fs.existsSync(chunk)) return JSON.parse(fs.readFileSync(chunk, "utf8"));
+  const dirs = listQuarterDirs().sort().reverse();
+  for (const d of dirs) {
+    const f = path.join(DERIVED_DIR, d, "candidates.json");
+    if (fs.existsSync(f)) return JSON.parse(fs.readFileSync(f, "utf8"));
+  }
+  return [];
+}
+
+// Candidate repos for the fetch stages: CANDIDATES_CHUNK if set, else the most
+// recent data/derived/YYYY-Qn/candidates.json. `only` ("owner/repo") bypasses
+// both so a single repo can be processed on demand. Former names are replaced
+// by the current one (utils/identity.js) and tombstoned repos are left out
+// unless `tombstoned` is set.
+export function loadCandidates({ only = null, tombstoned = false } = {}) {
+  const idn = loadIdentity();
+  const list = only ? [parseRepo(only)] : readCandidates();
+  const seen = new Set();
+  const out = [];
+  for (const c of list) {
+    const full = canonicalName(idn, `${c.owner}/${c.repo}`);
+    if (seen.has(full.toLowerCase()) || (!tombstoned && !only && idn.tombstones[full])) continue;
+    seen.add(full.toLowerCase());
+    const [owner, repo] = full.split("/");
+    out.push({ ...c, owner, repo });
+  }
+  return out;
+}
+
+// True when `file` (owner__repo.json) should be processed under `only`.
+export function matchesOnly(file, only) {
+  return !only || file.toLowerCase() === only.replace("/", "__").toLowerCase() + ".json";
+}
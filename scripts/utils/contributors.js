@@ -0,0 +1,94 @@
+// scripts/utils/contributors.js
+// Contributor concentration and commit cadence from GitHub's contributor and
+// stats endpoints. Pure functions; scripts/enrich_contributor_activity.js
+// fetches the data and appends the results to the meta history.
+//
+// - Shares and the bus factor use the all-time commit counts of
+//   /repos/{owner}/{repo}/contributors.
+// - First-commit weeks come from /stats/contributors, which only covers the
+//   top 100 authors; a window's new contributors are counted among those.
+// - Weekly cadence comes from /stats/commit_activity (the last 52 weeks).
+import { addDays } from "./time.js";
+
+// Share of all commits the bus factor's contributors have to cover.
+export const BUS_FACTOR_SHARE = 0.5;
+
+const round = x => Number(x.toFixed(4));
+const weekDate = unixSec => new Date(unixSec * 1000).toISOString().slice(0, 10);
+const descending = contributions => contributions.filter(n => n > 0).sort((a, b) => b - a);
+
+// Share of all commits by the top contributor and the top three; null without commits.
+export function contributionShares(contributions) {
+  const sorted = descending(contributions);
+  const total = sorted.reduce((a, b) => a + b, 0);
+  if (!total) return { top1: null, top3: null };
+  return { top1: round(sorted[0] / total), top3: round(sorted.slice(0, 3).reduce((a, b) => a + b, 0) / total) };
+}
+
+// Fewest contributors whose commits make up `share` of all commits; 0 without commits.
+export function busFactor(contributions, share = BUS_FACTOR_SHARE) {
+  const sorted = descending(contributions);
+  const target = sorted.reduce((a, b) => a + b, 0) * share;
+  let sum = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    sum += sorted[i];
+    if (sum >= target) return i + 1;
+  }
+  return 0;
+}
+
+// Start date (a Sunday, YYYY-MM-DD) of each author's first week with a commit, oldest first.
+export function firstCommitWeeks(stats) {
+  const out = [];
+  for (const s of Array.isArray(stats) ? stats : []) {
+    const first = (s?.weeks || []).find(w => w.c > 0);
+    if (first) out.push(weekDate(first.w));
+  }
+  return out.sort();
+}
+
+// [{ week, commits }] from /stats/commit_activity, oldest first.
+export function commitWeeks(activity) {
+  return (Array.isArray(activity) ? activity : [])
+    .map(a => ({ week: weekDate(a.week), commits: a.total ?? 0 }))
+    .sort((a, b) => a.week.localeCompare(b.week));
+}
+
+// The meta fields the enrichment stage writes. `stats` or `activity` is null
+// when GitHub had not computed them yet; their fields are then null too.
+export function activitySummary({ contributions, stats = null, activity = null, capped = false }) {
+  const { top1, top3 } = contributionShares(contributions);
+  const weeks = activity ? commitWeeks(activity) : null;
+  const commits = weeks?.reduce((a, w) => a + w.commits, 0) ?? 0;
+  return {
+    contributors_total: contributions.length,
+    top_contributor_share: top1,
+    top3_contributor_share: top3,
+    bus_factor: busFactor(contributions),
+    commits_per_week: weeks?.length ? round(commits / weeks.length) : null,
+    active_week_share: weeks?.length ? round(weeks.filter(w => w.commits > 0).length / weeks.length) : null,
+    contributor_activity: {
+      capped,
+      first_commit_weeks: stats ? firstCommitWeeks(stats) : null,
+      commit_weeks: weeks
+    }
+  };
+}
+
+const overlaps = (week, start, end) => week <= end && addDays(week, 6) >= start;
+
+// Contributor columns of a ROSS row for the window start..end: the meta
+// summary plus the contributors whose first commit week overlaps the window
+// and the mean weekly commits over the window's weeks that commit_activity covers.
+export function contributorColumns(meta, start, end) {
+  const a = meta?.contributor_activity;
+  const weeks = (a?.commit_weeks || []).filter(w => overlaps(w.week, start, end));
+  return {
+    contributors: meta?.contributors_total ?? null,
+    new_contributors: a?.first_commit_weeks ? a.first_commit_weeks.filter(w => overlaps(w, start, end)).length : null,
+    top_contributor_share: meta?.top_contributor_share ?? null,
+    top3_contributor_share: meta?.top3_contributor_share ?? null,
+    bus_factor: meta?.bus_factor ?? null,
+    commits_per_week: weeks.length ? round(weeks.reduce((s, w) => s + w.commits, 0) / weeks.length) : null
+  };
+}
@@ -0,0 +1,111 @@
+// scripts/utils/entity.js
+// Rules-based guess at who stands behind a repo, for telling venture-backable
+// projects from foundation, big-tech and hobby ones. Pure functions over the
+// owner file (enrich_owner.js) and the meta view (utils/meta_history.js),
+// including the README/homepage web_signals (enrich_web_signals.js);
+// rank_ross_quarter.js stores the result in every row and can filter on it.
+//
+// classifyEntity(meta, owner) →
+//   { label: "startup-backed", score: 4,
+//     signals: [{ label: "startup-backed", signal: "company_website", value: "acme.dev", weight: 1 }, ...] }
+//
+// Every rule that fires adds a signal with a weight towards one label; the
+// label with the highest total wins if it reaches MIN_SCORE, else "unknown".
+// Ties go to the label listed first in ENTITY_LABELS. A repo owned by an org
+// in utils/entity_orgs.js, or published on one of its domains, outweighs any
+// combination of the softer signals.
+import { BIG_TECH, FOUNDATIONS } from "./entity_orgs.js";
+import { now } from "./time.js";
+
+export const ENTITY_LABELS = ["big-tech", "foundation", "startup-backed", "individual", "unknown"];
+
+export const MIN_SCORE = 2;
+
+// An org younger than this counts as a sign of a company built around the project.
+const YOUNG_ORG_YEARS = 6;
+const SOURCE_AVAILABLE = new Set(["BUSL-1.1", "SSPL-1.0", "Elastic-2.0", "FSL-1.1-MIT", "FSL-1.1-ALv2", "Commons-Clause"]);
+const OPEN_CORE = new Set(["AGPL-3.0", "AGPL-3.0-only", "AGPL-3.0-or-later"]);
+const COMMERCIAL_TOPICS = new Set(["saas", "open-core", "opencore", "enterprise", "cloud-hosted", "managed-service"]);
+const COMPANY_WORDS = /\b(inc|llc|ltd|gmbh|corp|labs?|technologies|startup|y ?combinator|yc [swf]\d{2}|backed by|series [a-c])\b/i;
+const FOUNDATION_WORDS = /\b(foundation|non-?profit|501\(c\)|stiftung|fondation|fundaci[oó]n|conservancy)\b/i;
+const FOUNDER_WORDS = /\b(co-?founder|founder|ceo|cto)\b/i;
+// Domains anyone can publish a page on; they say nothing about the owner.
+const HOSTING_DOMAINS = ["github.io", "github.com", "gitlab.io", "gitlab.com", "netlify.app", "vercel.app", "pages.dev", "readthedocs.io", "medium.com", "substack.com", "linkedin.com", "twitter.com", "x.com", "huggingface.co"];
+
+export function hostOf(url) {
+  if (!url) return null;
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+const onDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+const findByDomain = (list, host) => host ? list.find(o => o.domains.some(d => onDomain(host, d))) : undefined;
+const findByLogin = (list, login) => login ? list.find(o => o.logins.includes(login.toLowerCase())) : undefined;
+const findByCompany = (list, company) => {
+  const c = String(company ?? "").toLowerCase().replace(/^@/, "").replace(/[,.]?\s*(inc|llc|ltd|corp)\.?$/, "").trim();
+  return c ? list.find(o => o.names.includes(c) || o.logins.includes(c)) : undefined;
+};
+// "docs.acme.dev" -> "acme.dev"; good enough to compare a homepage with the owner's site.
+const baseDomain = host => host.split(".").slice(-2).join(".");
+
+// { label, score, signals } for one repo; owner may be null (not enriched yet).
+export function classifyEntity(meta, owner, { today = now() } = {}) {
+  const signals = [];
+  const add = (label, signal, value, weight) => signals.push({ label, signal, value, weight });
+  const login = owner?.owner ?? meta?.repo?.split("/")[0] ?? null;
+  const isOrg = owner?.owner_type === "Organization";
+  const website = hostOf(owner?.website);
+  const homepage = hostOf(meta?.homepage);
+  const ownSite = host => host && !HOSTING_DOMAINS.some(d => onDomain(host, d));
+
+  for (const [label, list] of [["big-tech", BIG_TECH], ["foundation", FOUNDATIONS]]) {
+    const byLogin = findByLogin(list, login);
+    if (byLogin) add(label, "owner_org", byLogin.name, 5);
+    const bySite = findByDomain(list, website);
+    if (bySite) add(label, "owner_website", bySite.name, 3);
+    const byHomepage = findByDomain(list, homepage);
+    if (byHomepage) add(label, "homepage", byHomepage.name, 2);
+  }
+  const known = signals.length > 0;
+
+  const about = [owner?.name, owner?.bio].filter(Boolean).join(" — ");
+  if (FOUNDATION_WORDS.test(about)) add("foundation", "owner_bio", about.match(FOUNDATION_WORDS)[0], 2);
+
+  if (isOrg) {
+    if (!known && ownSite(website)) add("startup-backed", "company_website", website, 1);
+    if (COMPANY_WORDS.test(about)) add("startup-backed", "owner_bio", about.match(COMPANY_WORDS)[0], 2);
+    if (!known && ownSite(website) && homepage && baseDomain(homepage) === baseDomain(website)) add("startup-backed", "homepage_on_owner_site", homepage, 1);
+    const created = owner?.created_at ? Date.parse(owner.created_at) : NaN;
+    if (!known && created && (today.getTime() - created) / (365.25 * 86400000) < YOUNG_ORG_YEARS) add("startup-backed", "young_org", owner.created_at.slice(0, 10), 1);
+  } else if (owner?.owner_type === "User") {
+    add("individual", "owner_type", owner.followers != null ? `User, ${owner.followers} followers` : "User", 2);
+    const employer = findByCompany(BIG_TECH, owner.company);
+    if (employer) add("big-tech", "owner_company", employer.name, 1);
+    if (FOUNDER_WORDS.test(owner.bio ?? "") && (owner.company || ownSite(website))) add("startup-backed", "founder_bio", owner.bio.match(FOUNDER_WORDS)[0], 2);
+  }
+
+  const license = meta?.license ?? null;
+  if (SOURCE_AVAILABLE.has(license)) add("startup-backed", "license", license, 2);
+  else if (OPEN_CORE.has(license) && isOrg && !known) add("startup-backed", "license", license, 1);
+  const topics = (meta?.topics ?? []).filter(t => COMMERCIAL_TOPICS.has(t));
+  if (topics.length) add("startup-backed", "topics", topics.join(","), 1);
+
+  // README and homepage signals (enrich_web_signals.js).
+  const web = meta?.web_signals;
+  if (!known && web?.pricing?.length) add("startup-backed", "pricing_page", web.pricing[0], 2);
+  if (!known && web?.demo?.length) add("startup-backed", "book_demo", web.demo[0], 2);
+  if (!known && web?.hosted?.length) add("startup-backed", "hosted_offering", web.hosted.join(","), 1);
+
+  const scores = Object.fromEntries(ENTITY_LABELS.map(l => [l, 0]));
+  for (const s of signals) scores[s.label] += s.weight;
+  const best = ENTITY_LABELS.reduce((a, b) => scores[b] > scores[a] ? b : a);
+  const label = scores[best] >= MIN_SCORE ? best : "unknown";
+  return { label, score: scores[best], signals };
+}
+
+// File-name suffix for a filtered board: "__entity-individual+startup-backed".
+export function entitySuffix(labels = []) {
+  return labels.length ? `__entity-${labels.join("+")}` : "";
+}
@@ -0,0 +1,46 @@
+// scripts/utils/entity_orgs.js
+// Organizations utils/entity.js recognizes by name: big-tech companies and
+// open-source foundations, with the GitHub orgs and web domains they publish
+// under. Logins and domains match case-insensitively; a domain also matches
+// its subdomains ("opensource.google" covers "developers.opensource.google").
+// `names` are what people put in a profile's company field ("@google", "Google LLC").
+//
+// Keep entries alphabetical. Add an org here rather than special-casing it in
+// the classifier.
+
+export const BIG_TECH = [
+  { name: "Adobe", logins: ["adobe", "adobe-research"], domains: ["adobe.com"], names: ["adobe"] },
+  { name: "Alibaba", logins: ["alibaba", "aliyun", "alibaba-damo-academy", "qwenlm", "modelscope"], domains: ["alibaba.com", "alibabacloud.com", "aliyun.com"], names: ["alibaba", "alibaba group", "alibaba cloud"] },
+  { name: "Amazon", logins: ["aws", "awslabs", "aws-samples", "amzn", "amazon-science", "aws-cloudformation"], domains: ["amazon.com", "aws.amazon.com", "amazon.science"], names: ["amazon", "aws", "amazon web services"] },
+  { name: "Apple", logins: ["apple", "swiftlang"], domains: ["apple.com"], names: ["apple"] },
+  { name: "Baidu", logins: ["baidu", "paddlepaddle", "baidu-research"], domains: ["baidu.com"], names: ["baidu"] },
+  { name: "ByteDance", logins: ["bytedance", "volcengine", "cloudwego"], domains: ["bytedance.com", "volcengine.com"], names: ["bytedance", "tiktok"] },
+  { name: "Google", logins: ["google", "googleapis", "googlecloudplatform", "google-research", "google-deepmind", "googlecodelabs", "tensorflow", "angular", "flutter", "golang", "chromium"], domains: ["google.com", "opensource.google", "abc.xyz", "deepmind.com", "deepmind.google"], names: ["google", "alphabet", "deepmind", "google deepmind"] },
+  { name: "Huawei", logins: ["huawei", "huawei-noah", "mindspore-ai"], domains: ["huawei.com"], names: ["huawei"] },
+  { name: "IBM", logins: ["ibm", "ibm-granite", "red-hat-data-services"], domains: ["ibm.com", "redhat.com"], names: ["ibm", "red hat", "redhat"] },
+  { name: "Intel", logins: ["intel", "openvinotoolkit", "intellabs"], domains: ["intel.com"], names: ["intel"] },
+  { name: "Meta", logins: ["facebook", "facebookresearch", "facebookincubator", "meta-llama", "metaopensource"], domains: ["meta.com", "fb.com", "facebook.com", "opensource.fb.com"], names: ["meta", "facebook", "meta platforms"] },
+  { name: "Microsoft", logins: ["microsoft", "azure", "azure-samples", "dotnet", "microsoftdocs", "powershell", "microsoft-research"], domains: ["microsoft.com", "opensource.microsoft.com", "azure.com"], names: ["microsoft", "msft", "microsoft research"] },
+  { name: "Netflix", logins: ["netflix"], domains: ["netflix.com", "netflixtechblog.com"], names: ["netflix"] },
+  { name: "NVIDIA", logins: ["nvidia", "nvlabs", "nvidia-ai-iot"], domains: ["nvidia.com"], names: ["nvidia"] },
+  { name: "Oracle", logins: ["oracle", "graalvm", "oracle-samples"], domains: ["oracle.com"], names: ["oracle"] },
+  { name: "Salesforce", logins: ["salesforce", "forcedotcom"], domains: ["salesforce.com"], names: ["salesforce"] },
+  { name: "Tencent", logins: ["tencent", "tencentarc", "tencent-hunyuan"], domains: ["tencent.com", "qq.com"], names: ["tencent"] },
+  { name: "Uber", logins: ["uber", "uber-go"], domains: ["uber.com"], names: ["uber"] }
+];
+
+export const FOUNDATIONS = [
+  { name: "Apache Software Foundation", logins: ["apache"], domains: ["apache.org"], names: ["apache software foundation", "asf"] },
+  { name: "Blender Foundation", logins: ["blender"], domains: ["blender.org"], names: ["blender foundation"] },
+  { name: "CNCF", logins: ["cncf", "kubernetes", "kubernetes-sigs", "prometheus", "envoyproxy", "etcd-io", "open-telemetry"], domains: ["cncf.io", "kubernetes.io", "prometheus.io", "opentelemetry.io"], names: ["cncf", "cloud native computing foundation"] },
+  { name: "Eclipse Foundation", logins: ["eclipse", "eclipse-ee4j", "eclipse-theia"], domains: ["eclipse.org"], names: ["eclipse foundation"] },
+  { name: "Godot Foundation", logins: ["godotengine"], domains: ["godotengine.org"], names: ["godot foundation"] },
+  { name: "Linux Foundation", logins: ["linuxfoundation", "lfai", "openssf", "opentofu", "valkey-io", "pytorch"], domains: ["linuxfoundation.org", "lfaidata.foundation", "openssf.org", "opentofu.org", "pytorch.org"], names: ["linux foundation", "the linux foundation"] },
+  { name: "LLVM Foundation", logins: ["llvm"], domains: ["llvm.org"], names: ["llvm foundation"] },
+  { name: "Mozilla Foundation", logins: ["mozilla", "mozilla-ai"], domains: ["mozilla.org"], names: ["mozilla", "mozilla foundation"] },
+  { name: "NumFOCUS", logins: ["numfocus", "numpy", "scipy", "pandas-dev", "jupyter", "matplotlib"], domains: ["numfocus.org", "numpy.org", "scipy.org", "pandas.pydata.org", "jupyter.org", "matplotlib.org"], names: ["numfocus"] },
+  { name: "OpenJS Foundation", logins: ["openjs-foundation", "nodejs", "electron", "webpack"], domains: ["openjsf.org", "nodejs.org", "electronjs.org"], names: ["openjs foundation"] },
+  { name: "Python Software Foundation", logins: ["python", "psf", "pypa"], domains: ["python.org"], names: ["python software foundation", "psf"] },
+  { name: "Rust Foundation", logins: ["rust-lang", "rustfoundation"], domains: ["rust-lang.org", "rustfoundation.org"], names: ["rust foundation"] },
+  { name: "Software Freedom Conservancy", logins: ["conservancy", "git", "inkscape"], domains: ["sfconservancy.org", "git-scm.com", "inkscape.org"], names: ["software freedom conservancy"] }
+];
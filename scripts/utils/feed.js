@@ -0,0 +1,135 @@
+// scripts/utils/feed.js
+// Breakout-repo feed entries and their Atom / JSON Feed rendering.
+//
+// A repo gets one entry per period, the first time its ROSS row either ranks
+// in the top `top` or reaches `min_gain` relative gain. The entry is frozen at
+// that moment (stats, description, first_seen) and kept in the feed state file,
+// so weekly reruns neither duplicate nor rewrite it; its id only depends on
+// the period and the repo.
+import { esc } from "./report.js";
+import { now } from "./time.js";
+
+export const FEED_DEFAULTS = { top: 25, min_gain: 1 };
+export const FEED_MAX_ENTRIES = 50;
+
+export function entryId(period, repo) {
+  return `urn:ross-feed:${period}:${repo.toLowerCase()}`;
+}
+
+// "C++" -> "cpp", "C#" -> "csharp", "Jupyter Notebook" -> "jupyter-notebook"; null -> "other".
+export function languageSlug(language) {
+  if (!language) return "other";
+  return language.toLowerCase().replace(/\+/g, "p").replace(/#/g, "sharp").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "other";
+}
+
+// Why `row` belongs in the feed, or [] if it does not.
+export function feedReasons(row, { top = FEED_DEFAULTS.top, min_gain = FEED_DEFAULTS.min_gain } = {}) {
+  const reasons = [];
+  if (row.rank <= top) reasons.push(`top_${top}`);
+  const rel = row.rel_gain ?? row.rel_gain_90d;
+  if (rel != null && rel >= min_gain) reasons.push("relative_gain");
+  return reasons;
+}
+
+// New entries for `rows` (a ROSS board of `period`) that `known` (entry ids
+// already issued) does not have yet. Flagged repos (anomaly.flagged) are left
+// out. `meta` maps repo -> data/derived/meta record.
+export function newEntries(period, rows, known, meta, opts = {}, seenAt = now().toISOString()) {
+  const out = [];
+  for (const r of rows) {
+    const id = entryId(period, r.repo);
+    if (known.has(id) || r.anomaly?.flagged) continue;
+    const reasons = feedReasons(r, opts);
+    if (!reasons.length) continue;
+    const m = meta.get(r.repo) ?? {};
+    out.push({
+      id,
+      repo: r.repo,
+      period,
+      first_seen: seenAt,
+      reasons,
+      rank: r.rank,
+      window_start: r.best_window_start ?? null,
+      window_end: r.best_window_end ?? null,
+      window_start_stars: r.window_start_stars ?? null,
+      abs_gain: r.abs_gain ?? r.abs_gain_90d ?? null,
+      rel_gain: r.rel_gain ?? r.rel_gain_90d ?? null,
+      stars_now: r.stars_now ?? m.stars_now ?? null,
+      description: m.description ?? null,
+      language: m.language ?? null,
+      topics: m.topics ?? []
+    });
+  }
+  return out;
+}
+
+const int = n => n == null ? "?" : Math.round(n).toLocaleString("en-US");
+const pct = x => x == null ? "?" : `${Math.round(x * 100).toLocaleString("en-US")}%`;
+
+export function entryTitle(e) {
+  return `${e.repo}: +${pct(e.rel_gain)} stars in ${e.period} (ROSS #${e.rank})`;
+}
+
+export function entryText(e) {
+  const lines = [];
+  if (e.description) lines.push(e.description);
+  lines.push(`Gained ${int(e.abs_gain)} stars (+${pct(e.rel_gain)}) from ${e.window_start} to ${e.window_end}, starting from ${int(e.window_start_stars)}; ${int(e.stars_now)} stars when spotted.`);
+  const tags = [e.language, ...e.topics].filter(Boolean);
+  if (tags.length) lines.push(`Language/topics: ${tags.join(", ")}`);
+  return lines.join("\n");
+}
+
+function entryHTML(e) {
+  return entryText(e).split("\n").map(l => `<p>${esc(l)}</p>`).join("");
+}
+
+// feed: { id, title, self, home }; entries newest first.
+export function atomFeed(feed, entries) {
+  const updated = entries[0]?.first_seen ?? "1970-01-01T00:00:00.000Z";
+  const lines = [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <id>${esc(feed.id)}</id>`,
+    `  <title>${esc(feed.title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    ...(feed.self ? [`  <link rel="self" href="${esc(feed.self)}"/>`] : []),
+    ...(feed.home ? [`  <link rel="alternate" href="${esc(feed.home)}"/>`] : []),
+    `  <author><name>${esc(feed.author ?? "ROSS tracker")}</name></author>`
+  ];
+  for (const e of entries) {
+    lines.push(
+      `  <entry>`,
+      `    <id>${esc(e.id)}</id>`,
+      `    <title>${esc(entryTitle(e))}</title>`,
+      `    <link rel="alternate" href="https://github.com/${esc(e.repo)}"/>`,
+      `    <published>${e.first_seen}</published>`,
+      `    <updated>${e.first_seen}</updated>`,
+      ...[e.language, ...e.topics].filter(Boolean).map(t => `    <category term="${esc(t)}"/>`),
+      `    <content type="html">${esc(entryHTML(e))}</content>`,
+      `  </entry>`
+    );
+  }
+  lines.push(`</feed>`);
+  return lines.join("\n") + "\n";
+}
+
+// JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/).
+export function jsonFeed(feed, entries) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    ...(feed.home ? { home_page_url: feed.home } : {}),
+    ...(feed.self ? { feed_url: feed.self } : {}),
+    authors: [{ name: feed.author ?? "ROSS tracker" }],
+    items: entries.map(e => ({
+      id: e.id,
+      url: `https://github.com/${e.repo}`,
+      title: entryTitle(e),
+      content_text: entryText(e),
+      content_html: entryHTML(e),
+      date_published: e.first_seen,
+      tags: [e.language, ...e.topics].filter(Boolean),
+      _ross: { period: e.period, rank: e.rank, reasons: e.reasons, abs_gain: e.abs_gain, rel_gain: e.rel_gain, window_start: e.window_start, window_end: e.window_end }
+    }))
+  };
+}
@@ -0,0 +1,95 @@
+// scripts/utils/forecast_intervals.js
+// Prediction intervals for the weekly forecasts, by simulation.
+//
+// Each simulated path adds to every forecast week an error drawn from the
+// model's backtest errors (backtest.js residuals) at a similar step ahead
+// (±1 week, all steps when that leaves fewer than MIN_POOL), clamped at 0.
+// Weekly and cumulative intervals are quantiles over the paths. Draws are
+// independent week to week, so cumulative ranges lean narrow when a repo's
+// errors persist (a launch that keeps outrunning its forecast).
+// The errors are not re-centred: a model that has been over-forecasting a
+// cooling repo gets intervals below its point forecast.
+// The generator is seeded so reruns on the same data write the same files.
+
+export const LEVELS = [0.8, 0.95];
+export const SIM_PATHS = 1000;
+export const MILESTONES = [1e3, 2e3, 3e3, 5e3, 7.5e3, 1e4, 2e4, 3e4, 5e4, 7.5e4, 1e5, 2e5, 3e5, 5e5, 7.5e5, 1e6];
+const MIN_POOL = 5;
+
+// mulberry32
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Linear-interpolated quantile of an ascending array.
+export function quantile(sorted, p) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+const levelKey = l => String(Math.round(l * 100));
+
+// { "80": [lo, hi], "95": [lo, hi] } from unsorted samples.
+export function intervalsOf(samples, levels = LEVELS) {
+  const s = Float64Array.from(samples).sort();
+  return Object.fromEntries(levels.map(l => [levelKey(l), [Math.round(quantile(s, (1 - l) / 2)), Math.round(quantile(s, (1 + l) / 2))]]));
+}
+
+// point: weekly point forecast (>= 0); residuals: [[step, actual - forecast]].
+// Returns paths[p][h] of simulated weekly stars, or null without residuals.
+export function simulatePaths(point, residuals, { paths = SIM_PATHS, seed = 1 } = {}) {
+  if (!residuals?.length) return null;
+  const maxStep = Math.max(...residuals.map(([s]) => s));
+  const pools = point.map((_, i) => {
+    const h = Math.min(i + 1, maxStep);
+    const near = residuals.filter(([s]) => Math.abs(s - h) <= 1).map(([, e]) => e);
+    return near.length >= MIN_POOL ? near : residuals.map(([, e]) => e);
+  });
+  const rand = rng(seed);
+  const out = [];
+  for (let p = 0; p < paths; p++) {
+    out.push(point.map((v, i) => {
+      const pool = pools[i];
+      return Math.max(0, v + pool[Math.floor(rand() * pool.length)]);
+    }));
+  }
+  return out;
+}
+
+// Running totals of every path, starting from `base` stars.
+export function cumulativePaths(paths, base) {
+  return paths.map(path => {
+    let c = base;
+    return path.map(v => (c += v));
+  });
+}
+
+// For the next `count` milestones above `base`: the week the point forecast
+// crosses it (null if not within the horizon), the share of paths that cross
+// within the horizon, and the weeks the upper/lower bound of the widest level
+// cross (earliest / latest).
+export function milestoneCrossings(base, cumPoint, cumPaths, { levels = LEVELS, count = 3 } = {}) {
+  const targets = MILESTONES.filter(m => m > base).slice(0, count);
+  const widest = Math.max(...levels);
+  const weekOf = series => target => {
+    const i = series.findIndex(v => v >= target);
+    return i < 0 ? null : i + 1;
+  };
+  const bands = cumPaths && cumPoint.map((_, h) => intervalsOf(cumPaths.map(p => p[h]), [widest])[levelKey(widest)]);
+  return targets.map(stars => ({
+    stars,
+    week: weekOf(cumPoint)(stars),
+    probability: cumPaths ? Number((cumPaths.filter(p => p.at(-1) >= stars).length / cumPaths.length).toFixed(3)) : null,
+    earliest: bands ? weekOf(bands.map(b => b[1]))(stars) : null,
+    latest: bands ? weekOf(bands.map(b => b[0]))(stars) : null
+  }));
+}
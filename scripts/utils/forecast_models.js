@@ -0,0 +1,120 @@
+// scripts/utils/forecast_models.js
+// Weekly star forecasting models.
+//
+// Every entry in MODELS fits its own parameters to `series` (grid search on
+// in-sample one-step squared error) and returns { forecast, params } with a
+// raw (unrounded, possibly negative) forecast; callers round and clamp.
+// scripts/utils/backtest.js scores them against each other.
+
+// Runs the additive Holt-Winters recursion; `sse` is the in-sample one-step error.
+function hwRun(series, seasonLen, alpha, beta, gamma) {
+  let level = series[0];
+  let trend = series[1] - series[0];
+  const season = series.slice(0, seasonLen).map((y)=>y - level);
+  let sse = 0;
+  for (let t=0; t<series.length; t++) {
+    const y = series[t];
+    const sIdx = (t % seasonLen);
+    if (t > 0) sse += (y - (level + trend + season[sIdx])) ** 2;
+    const lastLevel = level;
+    level = alpha * (y - season[sIdx]) + (1 - alpha) * (level + trend);
+    trend = beta  * (level - lastLevel) + (1 - beta) * trend;
+    season[sIdx] = gamma * (y - level) + (1 - gamma) * season[sIdx];
+  }
+  return { level, trend, season, sse };
+}
+
+export function holtWintersAdditive(series, seasonLen=52, alpha=0.3, beta=0.1, gamma=0.3, horizon=12) {
+  if (series.length < seasonLen + 2) return { forecast: Array(horizon).fill(0) };
+  const { level, trend, season } = hwRun(series, seasonLen, alpha, beta, gamma);
+  const fc = [];
+  const lastIdx = series.length - 1;
+  for (let h=1; h<=horizon; h++) {
+    const sIdx = ((lastIdx + h) % seasonLen);
+    fc.push((level + h * trend) + season[sIdx]);
+  }
+  return { forecast: fc.map(x => Math.max(0, Math.round(x))) };
+}
+
+const GRID = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const TREND_GRID = [0.01, 0.05, 0.1, 0.2];
+const PHI_GRID = [0.8, 0.9, 0.98];
+
+function argmin(candidates, cost) {
+  let best = null, bestCost = Infinity;
+  for (const c of candidates) {
+    const v = cost(c);
+    if (v < bestCost) { best = c; bestCost = v; }
+  }
+  return best;
+}
+
+export function naive(series, horizon) {
+  const last = series.at(-1) ?? 0;
+  return { forecast: Array(horizon).fill(last), params: {} };
+}
+
+// Straight line from the first to the last observation.
+export function drift(series, horizon) {
+  const n = series.length;
+  const slope = n > 1 ? (series[n - 1] - series[0]) / (n - 1) : 0;
+  return { forecast: Array.from({ length: horizon }, (_, i) => (series[n - 1] ?? 0) + slope * (i + 1)), params: { slope } };
+}
+
+function sesRun(series, alpha) {
+  let level = series[0], sse = 0;
+  for (let t = 1; t < series.length; t++) {
+    sse += (series[t] - level) ** 2;
+    level = alpha * series[t] + (1 - alpha) * level;
+  }
+  return { level, sse };
+}
+
+export function ses(series, horizon) {
+  const alpha = argmin(GRID, a => sesRun(series, a).sse);
+  return { forecast: Array(horizon).fill(sesRun(series, alpha).level), params: { alpha } };
+}
+
+function dampedRun(series, alpha, beta, phi) {
+  let level = series[0], trend = series[1] - series[0], sse = 0;
+  for (let t = 1; t < series.length; t++) {
+    sse += (series[t] - (level + phi * trend)) ** 2;
+    const lastLevel = level;
+    level = alpha * series[t] + (1 - alpha) * (level + phi * trend);
+    trend = beta * (level - lastLevel) + (1 - beta) * phi * trend;
+  }
+  return { level, trend, sse };
+}
+
+// Holt's linear trend with the trend damped by phi per step; no seasonality.
+export function dampedHolt(series, horizon) {
+  const combos = GRID.flatMap(alpha => TREND_GRID.flatMap(beta => PHI_GRID.map(phi => ({ alpha, beta, phi }))));
+  const p = argmin(combos, c => dampedRun(series, c.alpha, c.beta, c.phi).sse);
+  const { level, trend } = dampedRun(series, p.alpha, p.beta, p.phi);
+  const forecast = [];
+  let damp = 0;
+  for (let h = 1; h <= horizon; h++) {
+    damp += p.phi ** h;
+    forecast.push(level + damp * trend);
+  }
+  return { forecast, params: p };
+}
+
+// Holt-Winters with alpha/beta/gamma fitted; needs two full seasons of history.
+export function fittedHoltWinters(series, horizon, seasonLen = 52) {
+  const combos = [0.1, 0.3, 0.5].flatMap(alpha => [0.01, 0.1].flatMap(beta => [0.1, 0.3].map(gamma => ({ alpha, beta, gamma }))));
+  const p = argmin(combos, c => hwRun(series, seasonLen, c.alpha, c.beta, c.gamma).sse);
+  const { level, trend, season } = hwRun(series, seasonLen, p.alpha, p.beta, p.gamma);
+  const lastIdx = series.length - 1;
+  const forecast = Array.from({ length: horizon }, (_, i) => level + (i + 1) * trend + season[(lastIdx + i + 1) % seasonLen]);
+  return { forecast, params: { ...p, season_len: seasonLen } };
+}
+
+// name -> { fn, minLength }: the shortest training series a model accepts.
+export const MODELS = {
+  naive: { fn: naive, minLength: 1 },
+  drift: { fn: drift, minLength: 2 },
+  ses: { fn: ses, minLength: 2 },
+  damped_holt: { fn: dampedHolt, minLength: 4 },
+  holt_winters: { fn: fittedHoltWinters, minLength: 104 }
+};
@@ -0,0 +1,763 @@
+// scripts/utils/gazetteer.js
+// Offline gazetteer for utils/geocode.js: countries, first-level subdivisions
+// and the cities developers most often put in a GitHub profile, with common
+// abbreviations and non-English names. Matching ignores case and accents.
+//
+// Rows are "|"-separated, aliases ","-separated:
+//   COUNTRY_ROWS      ISO 3166-1 alpha-2 | name | region | aliases
+//   SUBDIVISION_ROWS  ISO 3166-2 code | name | aliases
+//   CITY_ROWS         name | ISO 3166-1 or 3166-2 code | aliases
+// A name listed under several entries (Cambridge, Georgia, Victoria) resolves
+// to the first one unless the rest of the location says otherwise.
+
+// Bumped whenever the rows change, so geocode_locations.js re-resolves.
+export const GAZETTEER_VERSION = 1;
+
+export const REGIONS = [
+  "North America", "Latin America", "Europe", "Middle East", "Africa",
+  "South Asia", "East Asia", "Southeast Asia", "Central Asia", "Oceania"
+];
+
+// Subdivision codes ("Seattle, WA") are only matched for these countries,
+// where they are the usual way to write a state or province.
+export const CODE_COUNTRIES = ["US", "CA", "AU", "BR"];
+
+const COUNTRY_ROWS = `
+US|United States|North America|usa,us of a,united states of america,estados unidos,etats-unis,etats unis,vereinigte staaten,stati uniti,美国,美國,アメリカ,アメリカ合衆国,미국,сша,соединенные штаты
+CA|Canada|North America|kanada,加拿大,カナダ,캐나다,канада
+MX|Mexico|Latin America|mejico,estados unidos mexicanos,墨西哥,メキシコ,мексика
+GT|Guatemala|Latin America|
+BZ|Belize|Latin America|
+HN|Honduras|Latin America|
+SV|El Salvador|Latin America|
+NI|Nicaragua|Latin America|
+CR|Costa Rica|Latin America|
+PA|Panama|Latin America|
+CU|Cuba|Latin America|
+DO|Dominican Republic|Latin America|republica dominicana
+HT|Haiti|Latin America|
+JM|Jamaica|Latin America|
+PR|Puerto Rico|Latin America|
+TT|Trinidad and Tobago|Latin America|trinidad
+BS|Bahamas|Latin America|the bahamas
+BB|Barbados|Latin America|
+CO|Colombia|Latin America|
+VE|Venezuela|Latin America|
+EC|Ecuador|Latin America|
+PE|Peru|Latin America|
+BO|Bolivia|Latin America|
+CL|Chile|Latin America|智利
+AR|Argentina|Latin America|阿根廷
+UY|Uruguay|Latin America|
+PY|Paraguay|Latin America|
+BR|Brazil|Latin America|brasil,巴西,ブラジル,브라질,бразилия
+GY|Guyana|Latin America|
+SR|Suriname|Latin America|
+GB|United Kingdom|Europe|uk,great britain,britain,united kingdom of great britain and northern ireland,royaume-uni,reino unido,vereinigtes konigreich,英国,英國,イギリス,영국,великобритания
+IE|Ireland|Europe|eire,republic of ireland,irland,爱尔兰
+FR|France|Europe|frankreich,francia,法国,法國,フランス,프랑스,франция
+DE|Germany|Europe|deutschland,alemania,allemagne,germania,niemcy,nemecko,德国,德國,ドイツ,독일,германия
+NL|Netherlands|Europe|the netherlands,nederland,holland,pays-bas,paises bajos,niederlande,荷兰,オランダ,нидерланды
+BE|Belgium|Europe|belgie,belgique,belgien,比利时
+LU|Luxembourg|Europe|luxemburg
+CH|Switzerland|Europe|schweiz,suisse,svizzera,svizra,瑞士,スイス,швейцария
+AT|Austria|Europe|osterreich,autriche,奥地利,オーストリア,австрия
+LI|Liechtenstein|Europe|
+IT|Italy|Europe|italia,italien,italie,意大利,イタリア,이탈리아,италия
+ES|Spain|Europe|espana,spanien,espagne,spagna,西班牙,スペイン,스페인,испания
+PT|Portugal|Europe|葡萄牙
+AD|Andorra|Europe|
+MC|Monaco|Europe|
+MT|Malta|Europe|
+DK|Denmark|Europe|danmark,danemark,dänemark,丹麦
+SE|Sweden|Europe|sverige,schweden,suede,瑞典,スウェーデン,швеция
+NO|Norway|Europe|norge,noreg,norwegen,挪威
+FI|Finland|Europe|suomi,finnland,芬兰,финляндия
+IS|Iceland|Europe|
+EE|Estonia|Europe|eesti
+LV|Latvia|Europe|latvija
+LT|Lithuania|Europe|lietuva
+PL|Poland|Europe|polska,polen,pologne,波兰,ポーランド,польша
+CZ|Czechia|Europe|czech republic,cesko,ceska republika,tschechien,捷克
+SK|Slovakia|Europe|slovak republic,slovensko,slowakei
+HU|Hungary|Europe|magyarorszag,ungarn,匈牙利
+SI|Slovenia|Europe|slovenija
+HR|Croatia|Europe|hrvatska,kroatien
+BA|Bosnia and Herzegovina|Europe|bosnia,bosna i hercegovina
+RS|Serbia|Europe|srbija,србија,сербия
+ME|Montenegro|Europe|crna gora
+MK|North Macedonia|Europe|macedonia
+AL|Albania|Europe|shqiperi,shqiperia
+XK|Kosovo|Europe|
+GR|Greece|Europe|hellas,ellada,ελλαδα,griechenland,希腊
+CY|Cyprus|Europe|
+BG|Bulgaria|Europe|българия,болгария
+RO|Romania|Europe|rumanien
+MD|Moldova|Europe|
+UA|Ukraine|Europe|ukraina,україна,украина,乌克兰,ウクライナ
+BY|Belarus|Europe|беларусь,белоруссия
+RU|Russia|Europe|russian federation,rossiya,russland,russie,россия,российская федерация,俄罗斯,俄羅斯,ロシア,러시아
+GE|Georgia|Europe|sakartvelo,საქართველო
+AM|Armenia|Europe|hayastan,հայաստան
+AZ|Azerbaijan|Europe|azerbaycan
+TR|Turkey|Middle East|turkiye,turkei,turquie,土耳其,トルコ,турция
+IL|Israel|Middle East|ישראל,以色列
+PS|Palestine|Middle East|
+LB|Lebanon|Middle East|
+JO|Jordan|Middle East|
+SY|Syria|Middle East|
+IQ|Iraq|Middle East|
+IR|Iran|Middle East|ایران,伊朗
+SA|Saudi Arabia|Middle East|ksa,kingdom of saudi arabia,السعودية
+AE|United Arab Emirates|Middle East|uae,emirates,الإمارات
+QA|Qatar|Middle East|
+KW|Kuwait|Middle East|
+BH|Bahrain|Middle East|
+OM|Oman|Middle East|
+YE|Yemen|Middle East|
+EG|Egypt|Africa|مصر,埃及
+MA|Morocco|Africa|maroc,المغرب
+DZ|Algeria|Africa|algerie,الجزائر
+TN|Tunisia|Africa|tunisie,تونس
+LY|Libya|Africa|
+SD|Sudan|Africa|
+ET|Ethiopia|Africa|
+KE|Kenya|Africa|
+UG|Uganda|Africa|
+TZ|Tanzania|Africa|
+RW|Rwanda|Africa|
+NG|Nigeria|Africa|尼日利亚
+GH|Ghana|Africa|
+SN|Senegal|Africa|
+CI|Côte d'Ivoire|Africa|ivory coast,cote divoire
+CM|Cameroon|Africa|cameroun
+ZA|South Africa|Africa|rsa,suid-afrika,南非
+ZW|Zimbabwe|Africa|
+ZM|Zambia|Africa|
+MZ|Mozambique|Africa|
+AO|Angola|Africa|
+NA|Namibia|Africa|
+BW|Botswana|Africa|
+MW|Malawi|Africa|
+MG|Madagascar|Africa|
+MU|Mauritius|Africa|
+CD|DR Congo|Africa|drc,dr congo,democratic republic of the congo,congo-kinshasa
+CG|Republic of the Congo|Africa|congo,congo-brazzaville
+BJ|Benin|Africa|
+TG|Togo|Africa|
+BF|Burkina Faso|Africa|
+ML|Mali|Africa|
+NE|Niger|Africa|
+SO|Somalia|Africa|
+IN|India|South Asia|bharat,भारत,印度,インド,인도,индия
+PK|Pakistan|South Asia|پاکستان
+BD|Bangladesh|South Asia|বাংলাদেশ
+LK|Sri Lanka|South Asia|
+NP|Nepal|South Asia|नेपाल
+BT|Bhutan|South Asia|
+MV|Maldives|South Asia|
+AF|Afghanistan|South Asia|
+CN|China|East Asia|prc,peoples republic of china,people's republic of china,mainland china,chine,中国,中國,中华人民共和国,中国大陆,중국,китай
+JP|Japan|East Asia|nippon,nihon,japon,日本,일본,япония
+KR|South Korea|East Asia|korea,republic of korea,대한민국,한국,韩国,韓国,coree du sud,южная корея
+KP|North Korea|East Asia|dprk
+TW|Taiwan|East Asia|republic of china,roc,台湾,台灣,臺灣
+HK|Hong Kong|East Asia|hong kong sar,香港
+MO|Macau|East Asia|macao,澳门,澳門
+MN|Mongolia|East Asia|монгол
+SG|Singapore|Southeast Asia|singapura,新加坡,シンガポール,싱가포르
+MY|Malaysia|Southeast Asia|马来西亚
+ID|Indonesia|Southeast Asia|印度尼西亚,インドネシア
+TH|Thailand|Southeast Asia|ประเทศไทย,ไทย,泰国,タイ
+VN|Vietnam|Southeast Asia|viet nam,việt nam,越南,ベトナム
+PH|Philippines|Southeast Asia|pilipinas,菲律宾
+MM|Myanmar|Southeast Asia|burma
+KH|Cambodia|Southeast Asia|
+LA|Laos|Southeast Asia|
+BN|Brunei|Southeast Asia|
+TL|Timor-Leste|Southeast Asia|east timor
+KZ|Kazakhstan|Central Asia|qazaqstan,казахстан
+UZ|Uzbekistan|Central Asia|ozbekiston
+KG|Kyrgyzstan|Central Asia|кыргызстан
+TJ|Tajikistan|Central Asia|
+TM|Turkmenistan|Central Asia|
+AU|Australia|Oceania|澳大利亚,澳洲,オーストラリア,호주,австралия
+NZ|New Zealand|Oceania|aotearoa,新西兰
+FJ|Fiji|Oceania|
+PG|Papua New Guinea|Oceania|
+`;
+
+const SUBDIVISION_ROWS = `
+US-AL|Alabama|
+US-AK|Alaska|
+US-AZ|Arizona|
+US-AR|Arkansas|
+US-CA|California|socal,norcal,silicon valley,bay area,sf bay area,san francisco bay area,加州
+US-CO|Colorado|
+US-CT|Connecticut|
+US-DE|Delaware|
+US-FL|Florida|
+US-GA|Georgia|
+US-HI|Hawaii|
+US-ID|Idaho|
+US-IL|Illinois|
+US-IN|Indiana|
+US-IA|Iowa|
+US-KS|Kansas|
+US-KY|Kentucky|
+US-LA|Louisiana|
+US-ME|Maine|
+US-MD|Maryland|
+US-MA|Massachusetts|
+US-MI|Michigan|
+US-MN|Minnesota|
+US-MS|Mississippi|
+US-MO|Missouri|
+US-MT|Montana|
+US-NE|Nebraska|
+US-NV|Nevada|
+US-NH|New Hampshire|
+US-NJ|New Jersey|
+US-NM|New Mexico|
+US-NY|New York State|ny state
+US-NC|North Carolina|
+US-ND|North Dakota|
+US-OH|Ohio|
+US-OK|Oklahoma|
+US-OR|Oregon|
+US-PA|Pennsylvania|
+US-RI|Rhode Island|
+US-SC|South Carolina|
+US-SD|South Dakota|
+US-TN|Tennessee|
+US-TX|Texas|
+US-UT|Utah|
+US-VT|Vermont|
+US-VA|Virginia|
+US-WA|Washington|washington state
+US-WV|West Virginia|
+US-WI|Wisconsin|
+US-WY|Wyoming|
+US-DC|District of Columbia|washington dc,washington d c
+CA-ON|Ontario|
+CA-QC|Quebec|
+CA-BC|British Columbia|
+CA-AB|Alberta|
+CA-MB|Manitoba|
+CA-SK|Saskatchewan|
+CA-NS|Nova Scotia|
+CA-NB|New Brunswick|
+CA-NL|Newfoundland and Labrador|newfoundland
+CA-PE|Prince Edward Island|
+CA-YT|Yukon|
+CA-NT|Northwest Territories|
+CA-NU|Nunavut|
+AU-NSW|New South Wales|
+AU-VIC|Victoria|
+AU-QLD|Queensland|
+AU-WA|Western Australia|
+AU-SA|South Australia|
+AU-TAS|Tasmania|
+AU-ACT|Australian Capital Territory|
+AU-NT|Northern Territory|
+BR-SP|Sao Paulo State|
+BR-RJ|Rio de Janeiro State|
+BR-MG|Minas Gerais|
+BR-RS|Rio Grande do Sul|
+BR-PR|Parana|
+BR-SC|Santa Catarina|
+BR-BA|Bahia|
+BR-PE|Pernambuco|
+BR-CE|Ceara|
+BR-DF|Distrito Federal|
+GB-ENG|England|inglaterra,angleterre,英格兰
+GB-SCT|Scotland|alba,ecosse
+GB-WLS|Wales|cymru
+GB-NIR|Northern Ireland|
+DE-BW|Baden-Württemberg|baden-wurttemberg,baden-wuerttemberg
+DE-BY|Bavaria|bayern,baviere
+DE-BB|Brandenburg|
+DE-HE|Hesse|hessen
+DE-NI|Lower Saxony|niedersachsen
+DE-MV|Mecklenburg-Vorpommern|
+DE-NW|North Rhine-Westphalia|nordrhein-westfalen,nrw
+DE-RP|Rhineland-Palatinate|rheinland-pfalz
+DE-SL|Saarland|
+DE-SN|Saxony|sachsen
+DE-ST|Saxony-Anhalt|sachsen-anhalt
+DE-SH|Schleswig-Holstein|
+DE-TH|Thuringia|thuringen
+IN-KA|Karnataka|
+IN-MH|Maharashtra|
+IN-TG|Telangana|
+IN-TN|Tamil Nadu|
+IN-WB|West Bengal|
+IN-UP|Uttar Pradesh|
+IN-HR|Haryana|
+IN-GJ|Gujarat|
+IN-RJ|Rajasthan|
+IN-KL|Kerala|
+IN-MP|Madhya Pradesh|
+IN-AP|Andhra Pradesh|
+IN-OR|Odisha|orissa
+IN-PB|Punjab|
+IN-BR|Bihar|
+IN-AS|Assam|
+IN-GA|Goa|
+CN-GD|Guangdong|广东,廣東
+CN-ZJ|Zhejiang|浙江
+CN-JS|Jiangsu|江苏,江蘇
+CN-SC|Sichuan|四川
+CN-HB|Hubei|湖北
+CN-HN|Hunan|湖南
+CN-FJ|Fujian|福建
+CN-SD|Shandong|山东,山東
+CN-HA|Henan|河南
+CN-HE|Hebei|河北
+CN-AH|Anhui|安徽
+CN-LN|Liaoning|辽宁,遼寧
+CN-SN|Shaanxi|陕西,陝西
+CN-YN|Yunnan|云南,雲南
+CN-JX|Jiangxi|江西
+CN-GX|Guangxi|广西,廣西
+CN-HL|Heilongjiang|黑龙江,黑龍江
+CN-JL|Jilin|吉林
+CN-SX|Shanxi|山西
+CN-GZ|Guizhou|贵州,貴州
+CN-HI|Hainan|海南
+CN-XJ|Xinjiang|新疆
+CN-NM|Inner Mongolia|内蒙古,內蒙古
+CN-GS|Gansu|甘肃,甘肅
+`;
+
+const CITY_ROWS = `
+San Francisco|US-CA|sf,san fran,旧金山,舊金山,サンフランシスコ
+San Jose|US-CA|
+Mountain View|US-CA|
+Palo Alto|US-CA|
+Sunnyvale|US-CA|
+Menlo Park|US-CA|
+Cupertino|US-CA|
+Santa Clara|US-CA|
+Oakland|US-CA|
+Berkeley|US-CA|
+Los Angeles|US-CA|洛杉矶,洛杉磯,ロサンゼルス
+San Diego|US-CA|
+Irvine|US-CA|
+Sacramento|US-CA|
+Seattle|US-WA|西雅图,西雅圖,シアトル
+Redmond|US-WA|
+Bellevue|US-WA|
+Portland|US-OR|pdx
+New York City|US-NY|new york,nyc,manhattan,brooklyn,queens,纽约,紐約,ニューヨーク,뉴욕,нью-йорк
+Boston|US-MA|波士顿
+Cambridge|GB-ENG|
+Cambridge|US-MA|
+Somerville|US-MA|
+Chicago|US-IL|芝加哥
+Austin|US-TX|
+Dallas|US-TX|
+Houston|US-TX|
+San Antonio|US-TX|
+Denver|US-CO|
+Boulder|US-CO|
+Salt Lake City|US-UT|slc
+Provo|US-UT|
+Phoenix|US-AZ|
+Atlanta|US-GA|atl
+Miami|US-FL|
+Orlando|US-FL|
+Tampa|US-FL|
+Washington|US-DC|dc
+Philadelphia|US-PA|philly
+Pittsburgh|US-PA|
+Minneapolis|US-MN|
+Detroit|US-MI|
+Ann Arbor|US-MI|
+Raleigh|US-NC|
+Durham|US-NC|
+Charlotte|US-NC|
+Nashville|US-TN|
+Columbus|US-OH|
+Cleveland|US-OH|
+Cincinnati|US-OH|
+Indianapolis|US-IN|
+St. Louis|US-MO|saint louis,st louis
+Kansas City|US-MO|
+Madison|US-WI|
+Baltimore|US-MD|
+Las Vegas|US-NV|
+Honolulu|US-HI|
+New Orleans|US-LA|
+Richmond|US-VA|
+Arlington|US-VA|
+Boise|US-ID|
+Albuquerque|US-NM|
+Omaha|US-NE|
+Des Moines|US-IA|
+Toronto|CA-ON|多伦多,多倫多
+Ottawa|CA-ON|
+Waterloo|CA-ON|kitchener-waterloo
+Montreal|CA-QC|montréal
+Quebec City|CA-QC|ville de quebec
+Vancouver|CA-BC|温哥华,溫哥華
+Victoria|CA-BC|
+Calgary|CA-AB|
+Edmonton|CA-AB|
+Winnipeg|CA-MB|
+Halifax|CA-NS|
+Mexico City|MX|cdmx,ciudad de mexico,mexico df
+Guadalajara|MX|
+Monterrey|MX|
+São Paulo|BR-SP|sao paulo,sampa,圣保罗
+Rio de Janeiro|BR-RJ|rio
+Belo Horizonte|BR-MG|bh
+Brasília|BR-DF|brasilia
+Porto Alegre|BR-RS|poa
+Curitiba|BR-PR|
+Florianópolis|BR-SC|florianopolis,floripa
+Recife|BR-PE|
+Fortaleza|BR-CE|
+Campinas|BR-SP|
+Buenos Aires|AR|caba,capital federal
+Córdoba|AR|cordoba
+Rosario|AR|
+Santiago|CL|santiago de chile
+Bogotá|CO|bogota
+Medellín|CO|medellin
+Lima|PE|
+Montevideo|UY|
+Caracas|VE|
+Quito|EC|
+San José|CR|
+London|GB-ENG|londres,londra,londyn,伦敦,倫敦,ロンドン,런던,лондон
+Manchester|GB-ENG|
+Oxford|GB-ENG|
+Bristol|GB-ENG|
+Birmingham|GB-ENG|
+Leeds|GB-ENG|
+Liverpool|GB-ENG|
+Sheffield|GB-ENG|
+Newcastle|GB-ENG|newcastle upon tyne
+Nottingham|GB-ENG|
+Brighton|GB-ENG|
+Reading|GB-ENG|
+Edinburgh|GB-SCT|
+Glasgow|GB-SCT|
+Aberdeen|GB-SCT|
+Cardiff|GB-WLS|
+Belfast|GB-NIR|
+Dublin|IE|baile atha cliath
+Cork|IE|
+Paris|FR|parigi,巴黎,パリ,파리,париж
+Lyon|FR|
+Marseille|FR|
+Toulouse|FR|
+Bordeaux|FR|
+Lille|FR|
+Nantes|FR|
+Nice|FR|
+Grenoble|FR|
+Strasbourg|FR|
+Montpellier|FR|
+Rennes|FR|
+Berlin|DE-BE|柏林,ベルリン,베를린,берлин
+Munich|DE-BY|münchen,muenchen,monaco di baviera,慕尼黑,ミュンヘン
+Hamburg|DE-HH|汉堡
+Frankfurt|DE-HE|frankfurt am main
+Cologne|DE-NW|köln,koeln
+Stuttgart|DE-BW|
+Düsseldorf|DE-NW|dusseldorf,duesseldorf
+Leipzig|DE-SN|
+Dresden|DE-SN|
+Karlsruhe|DE-BW|
+Heidelberg|DE-BW|
+Hanover|DE-NI|hannover
+Nuremberg|DE-BY|nürnberg,nuernberg
+Bonn|DE-NW|
+Darmstadt|DE-HE|
+Aachen|DE-NW|
+Bremen|DE-HB|
+Dortmund|DE-NW|
+Essen|DE-NW|
+Freiburg|DE-BW|freiburg im breisgau
+Mannheim|DE-BW|
+Potsdam|DE-BB|
+Kiel|DE-SH|
+Mainz|DE-RP|
+Ulm|DE-BW|
+Amsterdam|NL|阿姆斯特丹
+Rotterdam|NL|
+The Hague|NL|den haag,'s-gravenhage
+Utrecht|NL|
+Eindhoven|NL|
+Delft|NL|
+Leiden|NL|
+Groningen|NL|
+Brussels|BE|bruxelles,brussel
+Antwerp|BE|antwerpen,anvers
+Ghent|BE|gent
+Leuven|BE|louvain
+Zurich|CH|zürich,zuerich,zurigo,苏黎世
+Geneva|CH|genève,genf,ginevra
+Lausanne|CH|
+Bern|CH|berne
+Basel|CH|bâle
+Vienna|AT|wien,vienne,viena,维也纳,ウィーン
+Graz|AT|
+Linz|AT|
+Salzburg|AT|
+Innsbruck|AT|
+Rome|IT|roma,罗马
+Milan|IT|milano,mailand,米兰
+Turin|IT|torino
+Naples|IT|napoli
+Florence|IT|firenze
+Bologna|IT|
+Venice|IT|venezia
+Genoa|IT|genova
+Pisa|IT|
+Padua|IT|padova
+Madrid|ES|马德里
+Barcelona|ES|巴塞罗那
+Valencia|ES|
+Seville|ES|sevilla
+Bilbao|ES|
+Málaga|ES|malaga
+Zaragoza|ES|
+Lisbon|PT|lisboa,lissabon,里斯本
+Porto|PT|oporto
+Braga|PT|
+Coimbra|PT|
+Copenhagen|DK|københavn,kobenhavn,koebenhavn
+Aarhus|DK|århus
+Stockholm|SE|斯德哥尔摩
+Gothenburg|SE|göteborg,goteborg
+Malmö|SE|malmo
+Uppsala|SE|
+Oslo|NO|
+Bergen|NO|
+Trondheim|NO|
+Helsinki|FI|helsingfors
+Espoo|FI|
+Tampere|FI|
+Reykjavík|IS|reykjavik
+Tallinn|EE|
+Tartu|EE|
+Riga|LV|
+Vilnius|LT|
+Kaunas|LT|
+Warsaw|PL|warszawa,warschau,华沙
+Kraków|PL|krakow,cracow
+Wrocław|PL|wroclaw
+Gdańsk|PL|gdansk
+Poznań|PL|poznan
+Łódź|PL|lodz
+Gdynia|PL|
+Prague|CZ|praha,prag
+Brno|CZ|
+Bratislava|SK|
+Košice|SK|kosice
+Budapest|HU|
+Ljubljana|SI|
+Zagreb|HR|
+Belgrade|RS|beograd,београд,белград
+Novi Sad|RS|нови сад
+Sofia|BG|софия
+Bucharest|RO|bucuresti
+Cluj-Napoca|RO|cluj
+Iași|RO|iasi
+Athens|GR|athina,αθηνα
+Thessaloniki|GR|θεσσαλονικη
+Kyiv|UA|kiev,київ,киев,基辅
+Kharkiv|UA|kharkov,харків,харьков
+Lviv|UA|lvov,львів,львов
+Odesa|UA|odessa,одеса,одесса
+Dnipro|UA|dnipropetrovsk,дніпро,днепр
+Minsk|BY|минск,мінск
+Moscow|RU|moskva,moskau,москва,莫斯科,モスクワ
+Saint Petersburg|RU|st petersburg,spb,санкт-петербург,питер
+Novosibirsk|RU|новосибирск
+Yekaterinburg|RU|ekaterinburg,екатеринбург
+Kazan|RU|казань
+Nizhny Novgorod|RU|нижний новгород
+Rostov-on-Don|RU|rostov,ростов-на-дону
+Istanbul|TR|stambul,伊斯坦布尔
+Ankara|TR|
+Izmir|TR|
+Tel Aviv|IL|tel aviv-yafo,תל אביב
+Jerusalem|IL|ירושלים
+Haifa|IL|חיפה
+Dubai|AE|دبي,迪拜
+Abu Dhabi|AE|
+Riyadh|SA|الرياض
+Jeddah|SA|
+Sana'a|YE|sanaa
+Doha|QA|
+Cairo|EG|القاهرة
+Alexandria|EG|
+Tehran|IR|تهران
+Amman|JO|
+Beirut|LB|
+Lagos|NG|
+Abuja|NG|
+Nairobi|KE|
+Accra|GH|
+Kigali|RW|
+Kampala|UG|
+Addis Ababa|ET|
+Cape Town|ZA|kaapstad
+Johannesburg|ZA|joburg,jozi
+Pretoria|ZA|
+Durban|ZA|
+Casablanca|MA|
+Rabat|MA|
+Tunis|TN|
+Algiers|DZ|alger
+Dakar|SN|
+Dar es Salaam|TZ|
+Kinshasa|CD|
+Harare|ZW|
+Lusaka|ZM|
+Bangalore|IN-KA|bengaluru,बेंगलुरु,班加罗尔
+Mumbai|IN-MH|bombay,मुंबई
+Delhi|IN-DL|new delhi,ncr,delhi ncr,दिल्ली,नई दिल्ली
+Hyderabad|IN-TG|
+Chennai|IN-TN|madras
+Pune|IN-MH|
+Kolkata|IN-WB|calcutta
+Noida|IN-UP|
+Gurgaon|IN-HR|gurugram
+Ahmedabad|IN-GJ|
+Jaipur|IN-RJ|
+Kochi|IN-KL|cochin
+Thiruvananthapuram|IN-KL|trivandrum
+Indore|IN-MP|
+Chandigarh|IN-CH|
+Coimbatore|IN-TN|
+Lucknow|IN-UP|
+Bhubaneswar|IN-OR|
+Karachi|PK|
+Lahore|PK|
+Islamabad|PK|
+Dhaka|BD|ঢাকা
+Colombo|LK|
+Kathmandu|NP|काठमाडौं
+Beijing|CN-BJ|peking,北京,ペキン,베이징,пекин
+Shanghai|CN-SH|上海,シャンハイ,상하이,шанхай
+Shenzhen|CN-GD|深圳
+Guangzhou|CN-GD|canton,广州,廣州
+Hangzhou|CN-ZJ|杭州
+Chengdu|CN-SC|成都
+Nanjing|CN-JS|南京
+Wuhan|CN-HB|武汉,武漢
+Xi'an|CN-SN|xian,西安
+Suzhou|CN-JS|苏州,蘇州
+Tianjin|CN-TJ|天津
+Chongqing|CN-CQ|重庆,重慶
+Xiamen|CN-FJ|厦门,廈門
+Changsha|CN-HN|长沙,長沙
+Hefei|CN-AH|合肥
+Jinan|CN-SD|济南,濟南
+Qingdao|CN-SD|青岛,青島
+Dalian|CN-LN|大连,大連
+Shenyang|CN-LN|沈阳,瀋陽
+Harbin|CN-HL|哈尔滨,哈爾濱
+Zhengzhou|CN-HA|郑州,鄭州
+Fuzhou|CN-FJ|福州
+Kunming|CN-YN|昆明
+Ningbo|CN-ZJ|宁波,寧波
+Dongguan|CN-GD|东莞,東莞
+Zhuhai|CN-GD|珠海
+Taipei|TW|台北,臺北
+Hsinchu|TW|新竹
+Taichung|TW|台中,臺中
+Kaohsiung|TW|高雄
+Tainan|TW|台南,臺南
+Tokyo|JP|東京,东京,とうきょう,도쿄,токио
+Osaka|JP|大阪
+Kyoto|JP|京都
+Yokohama|JP|横浜,横滨
+Nagoya|JP|名古屋
+Fukuoka|JP|福岡,福冈
+Sapporo|JP|札幌
+Kobe|JP|神戸,神户
+Sendai|JP|仙台
+Saitama|JP|埼玉
+Seoul|KR|서울,首尔,首爾,ソウル,сеул
+Busan|KR|pusan,부산
+Incheon|KR|인천
+Daejeon|KR|대전
+Seongnam|KR|성남,pangyo,판교
+Ulaanbaatar|MN|ulan bator,улаанбаатар
+Kuala Lumpur|MY|kl,吉隆坡
+Penang|MY|槟城
+Johor Bahru|MY|jb
+Jakarta|ID|雅加达
+Bandung|ID|
+Surabaya|ID|
+Yogyakarta|ID|jogja,jogjakarta
+Bali|ID|
+Bangkok|TH|กรุงเทพ,กรุงเทพมหานคร,曼谷
+Chiang Mai|TH|เชียงใหม่
+Hanoi|VN|ha noi,hà nội
+Ho Chi Minh City|VN|saigon,sai gon,hcmc,ho chi minh,tp hcm,thanh pho ho chi minh
+Da Nang|VN|đà nẵng
+Manila|PH|
+Quezon City|PH|
+Cebu|PH|cebu city
+Sydney|AU-NSW|悉尼,シドニー
+Melbourne|AU-VIC|墨尔本
+Brisbane|AU-QLD|
+Perth|AU-WA|
+Adelaide|AU-SA|
+Canberra|AU-ACT|
+Hobart|AU-TAS|
+Gold Coast|AU-QLD|
+Auckland|NZ|
+Wellington|NZ|
+Christchurch|NZ|
+Almaty|KZ|алматы
+Astana|KZ|астана
+Tashkent|UZ|toshkent,ташкент
+Bishkek|KG|бишкек
+Yerevan|AM|երևան,ереван
+Tbilisi|GE|თბილისი,тбилиси
+Baku|AZ|baki
+`;
+
+// Locations that name a region but no country.
+export const REGION_ALIASES = {
+  "europe": "Europe", "eu": "Europe", "european union": "Europe", "scandinavia": "Europe", "nordics": "Europe",
+  "north america": "North America",
+  "latin america": "Latin America", "latam": "Latin America", "south america": "Latin America", "central america": "Latin America",
+  "middle east": "Middle East", "mena": "Middle East",
+  "africa": "Africa", "west africa": "Africa", "east africa": "Africa",
+  "south asia": "South Asia",
+  "east asia": "East Asia",
+  "southeast asia": "Southeast Asia", "south east asia": "Southeast Asia",
+  "central asia": "Central Asia",
+  "oceania": "Oceania", "australasia": "Oceania", "anz": "Oceania"
+};
+
+// Places often written together with another country ("Hong Kong, China",
+// "San Juan, Puerto Rico, USA"): naming that country agrees with them rather
+// than competing.
+export const WRITTEN_WITH = { HK: "CN", MO: "CN", TW: "CN", PR: "US" };
+
+// Profile locations that are not places.
+export const NOT_PLACES = [
+  "remote", "earth", "planet earth", "the earth", "world", "the world", "worldwide", "world wide", "global", "globe",
+  "internet", "the internet", "online", "cyberspace", "cloud", "the cloud", "everywhere", "anywhere", "nowhere",
+  "somewhere", "here", "home", "localhost", "unknown", "none", "null", "undefined",
+  "space", "mars", "moon", "the moon", "universe", "milky way", "matrix", "the matrix", "github", "distributed"
+];
+
+const rows = text => text.trim().split("\n").map(l => l.split("|"));
+const aliases = s => (s ?? "").split(",").map(a => a.trim()).filter(Boolean);
+
+export const COUNTRIES = rows(COUNTRY_ROWS).map(([code, name, region, a]) => ({ code, name, region, aliases: aliases(a) }));
+export const SUBDIVISIONS = rows(SUBDIVISION_ROWS).map(([code, name, a]) => ({ code, country: code.slice(0, 2), name, aliases: aliases(a) }));
+export const CITIES = rows(CITY_ROWS).map(([name, code, a]) => ({
+  name, country: code.slice(0, 2), subdivision: code.length > 2 ? code : null, aliases: aliases(a)
+}));
@@ -0,0 +1,204 @@
+// scripts/utils/geocode.js
+// Offline geocoding of free-text profile locations against utils/gazetteer.js.
+// Pure functions; the stage that writes the results into the meta history is
+// scripts/geocode_locations.js.
+//
+// resolveLocation("Chengdu, Sichuan") →
+//   { country: "CN", subdivision: "CN-SC", city: "Chengdu", region: "East Asia", confidence: 0.95 }
+//
+// The text is split on commas, slashes and the like; each part is looked up
+// whole, then word by word ("living in berlin"), and flag emoji count as
+// country names. Every country the parts point to is scored by how many parts
+// it explains, so "Atlanta, Georgia" is the US state and "Tbilisi, Georgia"
+// the country. Confidence:
+//   1.0   a country name, or several parts that agree
+//   0.85  a single city or subdivision
+//   0.6   a bare code ("DE", "WA")
+// scaled down by the share of matched parts that disagree with the result,
+// ×0.6 when another country explains as many parts (Cambridge, Victoria),
+// ×0.8 when the match came from inside free text. "Europe" and the like give a
+// region with no country. null for anything the gazetteer does not know or that
+// is not a place ("Remote", "Earth").
+import { COUNTRIES, SUBDIVISIONS, CITIES, CODE_COUNTRIES, REGION_ALIASES, NOT_PLACES, WRITTEN_WITH } from "./gazetteer.js";
+
+// Below this a resolution does not count as located.
+export const MIN_CONFIDENCE = 0.5;
+
+const STRENGTH = { country: 3, subdivision: 2, city: 2, code: 1 };
+const BASE = { country: 1, subdivision: 0.85, city: 0.85, code: 0.6 };
+const CJK = /[\u1100-\u11ff\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+const SEPARATORS = /[,;|/\\()[\]·•、，。（）]+|\s[-–—]\s/;
+
+// Lowercase, no accents, "u.s.a." → "usa", other dots and hyphens → spaces.
+export function normalizePlace(s) {
+  return String(s).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/[’`]/g, "'")
+    .replace(/\b(?:\p{L}\.){2,}/gu, m => m.replace(/\./g, ""))
+    .replace(/[^\p{L}\p{M}\p{N}'\s]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+let index = null;
+
+function buildIndex() {
+  const names = new Map();
+  const codes = new Map();
+  const add = (map, key, cand) => {
+    const k = normalizePlace(key);
+    if (!k) return;
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(cand);
+  };
+  const regionOf = new Map(COUNTRIES.map(c => [c.code, c.region]));
+  for (const c of COUNTRIES) {
+    for (const key of [c.name, ...c.aliases]) add(names, key, { kind: "country", country: c.code });
+    add(codes, c.code, { kind: "code", country: c.code });
+  }
+  for (const s of SUBDIVISIONS) {
+    for (const key of [s.name, ...s.aliases]) add(names, key, { kind: "subdivision", country: s.country, subdivision: s.code });
+    if (CODE_COUNTRIES.includes(s.country)) add(codes, s.code.slice(3), { kind: "code", country: s.country, subdivision: s.code });
+  }
+  for (const c of CITIES) {
+    for (const key of [c.name, ...c.aliases]) add(names, key, { kind: "city", country: c.country, subdivision: c.subdivision, city: c.name });
+  }
+  for (const [key, region] of Object.entries(REGION_ALIASES)) add(names, key, { kind: "region", region });
+  const cjkKeys = [...names.keys()].filter(k => CJK.test(k)).sort((a, b) => b.length - a.length);
+  return { names, codes, cjkKeys, regionOf, notPlaces: new Set(NOT_PLACES.map(normalizePlace)) };
+}
+
+function flagCountries(text) {
+  const out = [];
+  for (const m of text.matchAll(/([\u{1F1E6}-\u{1F1FF}])([\u{1F1E6}-\u{1F1FF}])/gu)) {
+    out.push(String.fromCharCode(m[1].codePointAt(0) - 0x1F1A5, m[2].codePointAt(0) - 0x1F1A5));
+  }
+  return out;
+}
+
+// Matches inside a part that is not a name as a whole: the longest runs of up
+// to four words first, single words only from four letters up, and for
+// Chinese, Japanese and Korean text every known name it contains.
+function freeTextMatches(part, idx) {
+  const found = [];
+  const words = part.split(" ");
+  for (let i = 0; i < words.length;) {
+    let n = Math.min(4, words.length - i);
+    for (; n > 0; n--) {
+      const key = words.slice(i, i + n).join(" ");
+      if (idx.names.has(key) && (n > 1 || key.length >= 4 || CJK.test(key))) break;
+    }
+    if (n > 0) found.push(idx.names.get(words.slice(i, i + n).join(" ")));
+    i += Math.max(n, 1);
+  }
+  if (!found.length && CJK.test(part)) {
+    let rest = part;
+    for (const key of idx.cjkKeys) {
+      if (!rest.includes(key)) continue;
+      found.push(idx.names.get(key));
+      rest = rest.split(key).join(" ");
+    }
+  }
+  return found;
+}
+
+// One entry per part that matched anything: its candidates and whether they
+// came from free text.
+function matchParts(text, idx) {
+  const parts = flagCountries(text).filter(code => idx.regionOf.has(code))
+    .map(country => ({ cands: [{ kind: "country", country }], fuzzy: false }));
+  for (const raw of text.replace(/\p{Extended_Pictographic}|[\u{1F1E6}-\u{1F1FF}]/gu, " ").split(SEPARATORS)) {
+    const part = normalizePlace(raw);
+    if (!part || idx.notPlaces.has(part)) continue;
+    const whole = [...(idx.names.get(part) ?? []), ...(idx.codes.get(part) ?? [])];
+    if (whole.length) parts.push({ cands: whole, fuzzy: false });
+    else for (const cands of freeTextMatches(part, idx)) parts.push({ cands, fuzzy: true });
+  }
+  return parts;
+}
+
+const round = x => Math.round(x * 100) / 100;
+
+export function resolveLocation(text) {
+  if (text == null || !String(text).trim()) return null;
+  index ??= buildIndex();
+  const parts = matchParts(String(text), index);
+  const placed = parts.filter(p => p.cands.some(c => c.country));
+  if (!placed.length) {
+    const region = parts.find(p => p.cands[0]?.region);
+    if (!region) return null;
+    return { country: null, subdivision: null, city: null, region: region.cands[0].region, confidence: region.fuzzy ? 0.68 : 0.85 };
+  }
+
+  // Per country: parts it explains, summed strength of its best candidate per
+  // part. A part naming the country a territory is written with explains the
+  // territory too. Ties go to the later part ("Canton, Ohio"): locations run
+  // from the specific to the broad.
+  const countries = new Set(placed.flatMap(p => p.cands.map(c => c.country)).filter(Boolean));
+  const scores = new Map();
+  placed.forEach((p, pi) => {
+    const best = new Map();
+    for (const c of p.cands) {
+      if (!c.country) continue;
+      const explains = [c.country, ...Object.keys(WRITTEN_WITH).filter(t => WRITTEN_WITH[t] === c.country && countries.has(t))];
+      for (const country of explains) {
+        if (!best.has(country) || STRENGTH[c.kind] > STRENGTH[best.get(country).kind]) best.set(country, c);
+      }
+    }
+    for (const [country, c] of best) {
+      if (!scores.has(country)) scores.set(country, { country, covered: [], strength: 0, order: (placed.length - pi) * 100 + p.cands.indexOf(c) });
+      const s = scores.get(country);
+      s.covered.push({ part: p, cand: c });
+      s.strength += STRENGTH[c.kind];
+    }
+  });
+  const ranked = [...scores.values()].sort((a, b) => b.covered.length - a.covered.length || b.strength - a.strength || a.order - b.order);
+  const [top, next] = ranked;
+
+  let base = Math.max(...top.covered.map(({ cand }) => BASE[cand.kind]));
+  if (top.covered.length > 1) base = Math.min(1, base + 0.1);
+  let confidence = base * top.covered.length / placed.length;
+  if (next && next.covered.length === top.covered.length) confidence *= 0.6;
+  if (top.covered.every(({ part }) => part.fuzzy)) confidence *= 0.8;
+
+  // Subdivision most parts point to (a named subdivision or code outweighs a
+  // city's), and the city that lies in it.
+  const votes = new Map();
+  for (const { part } of top.covered) {
+    const weights = new Map();
+    for (const c of part.cands) {
+      if (c.country === top.country && c.subdivision) weights.set(c.subdivision, Math.max(weights.get(c.subdivision) ?? 0, c.kind === "city" ? 1 : 2));
+    }
+    for (const [sub, w] of weights) votes.set(sub, (votes.get(sub) ?? 0) + w);
+  }
+  const subdivision = [...votes].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+  const city = top.covered.flatMap(({ part }) => part.cands)
+    .find(c => c.kind === "city" && c.country === top.country && (!subdivision || c.subdivision === subdivision))?.city ?? null;
+
+  return { country: top.country, subdivision, city, region: index.regionOf.get(top.country), confidence: round(confidence) };
+}
+
+const byCount = counts => Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+
+// Contributor counts per country and per region for a contributor_locations
+// map ({ "<profile location>": contributors }, "unknown" for none). `located`
+// counts contributors resolved to a country with at least `minConfidence`;
+// `located_share` is their share of all contributors.
+export function locationDistribution(locations, { minConfidence = MIN_CONFIDENCE } = {}) {
+  const countries = {}, regions = {};
+  let located = 0, total = 0;
+  for (const [text, n] of Object.entries(locations ?? {})) {
+    total += n;
+    const geo = text === "unknown" ? null : resolveLocation(text);
+    if (!geo || geo.confidence < minConfidence) continue;
+    regions[geo.region] = (regions[geo.region] ?? 0) + n;
+    if (!geo.country) continue;
+    countries[geo.country] = (countries[geo.country] ?? 0) + n;
+    located += n;
+  }
+  return { countries: byCount(countries), regions: byCount(regions), located, total, located_share: total ? round(located / total) : null };
+}
+
+// The country most located contributors are in, or null.
+export function topCountry(countries) {
+  return Object.keys(byCount(countries ?? {}))[0] ?? null;
+}
@@ -0,0 +1,202 @@
+// scripts/utils/github.js
+// Shared GitHub API client for every fetching script.
+//
+// - Budgets the token's rate limit per resource (core/search/graphql): keeps
+//   GH_RATE_RESERVE requests untouched, paces requests once half the quota is
+//   spent, and waits for the reset (up to GH_MAX_WAIT_MS) instead of failing.
+// - GH_REQUEST_BUDGET caps the total number of requests for the run (0 = no cap).
+// - Honors Retry-After on 403/429 secondary limits, backs off exponentially on
+//   5xx, and gives up after GH_MAX_RETRIES attempts.
+// - `conditional: true` sends If-None-Match with the last ETag seen for the URL;
+//   304 answers are served from data/cache/http and do not spend quota.
+//   Disabled under HTTP_MODE=record/replay so fixtures never depend on cache state.
+// - Counts requests per endpoint; call logRequestStats() at the end of a run.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { httpFetch, httpMode, sleep } from "./http.js";
+import { now } from "./time.js";
+import { isDryRun } from "./io.js";
+
+const API_URL = process.env.GITHUB_API_URL || "https://api.github.com";
+const CACHE_DIR = "data/cache/http";
+const MAX_RETRIES = Number(process.env.GH_MAX_RETRIES || 5);
+const RATE_RESERVE = Number(process.env.GH_RATE_RESERVE || 50);
+const REQUEST_BUDGET = Number(process.env.GH_REQUEST_BUDGET || 0);
+const MAX_WAIT_MS = Number(process.env.GH_MAX_WAIT_MS || 65 * 60 * 1000);
+const MIN_DELAY_MS = Number(process.env.GH_MIN_DELAY_MS || 150);
+
+const rate = Object.create(null);    // resource -> { limit, remaining, reset }
+const stats = Object.create(null);   // "GET /repos/:owner/:repo" -> { requests, not_modified, retries, errors }
+let spent = 0;
+
+export function githubToken() {
+  return process.env.GH_TOKEN || process.env.GITHUB_TOKEN || "";
+}
+
+export function isBudgetError(e) {
+  return e?.code === "GH_BUDGET_EXHAUSTED";
+}
+function budgetError(msg) {
+  const e = new Error(msg);
+  e.code = "GH_BUDGET_EXHAUSTED";
+  return e;
+}
+
+function resourceFor(url) {
+  const p = new URL(url).pathname;
+  if (p.startsWith("/graphql")) return "graphql";
+  if (p.startsWith("/search/")) return "search";
+  return "core";
+}
+
+// Collapses concrete paths into endpoint templates for the request counters.
+export function endpointKey(method, url) {
+  const segs = new URL(url).pathname.split("/").filter(Boolean);
+  if (segs[0] === "repos" && segs.length >= 3) { segs[1] = ":owner"; segs[2] = ":repo"; }
+  if ((segs[0] === "users" || segs[0] === "orgs") && segs.length >= 2) segs[1] = segs[0] === "users" ? ":login" : ":org";
+  return `${method} /${segs.join("/")}`;
+}
+function bump(key, field) {
+  const s = stats[key] || (stats[key] = { requests: 0, not_modified: 0, retries: 0, errors: 0 });
+  s[field]++;
+}
+
+function readRateHeaders(res, resource) {
+  const limit = Number(res.headers.get("x-ratelimit-limit") || "0");
+  const remaining = res.headers.get("x-ratelimit-remaining");
+  const reset = Number(res.headers.get("x-ratelimit-reset") || "0");
+  const name = res.headers.get("x-ratelimit-resource") || resource;
+  if (remaining != null) rate[name] = { limit, remaining: Number(remaining), reset };
+  return { remaining: remaining == null ? null : Number(remaining), reset };
+}
+
+// Waits as needed so the run never eats into the reserve, and spreads the
+// second half of the quota evenly until the reset.
+async function awaitBudget(resource) {
+  if (REQUEST_BUDGET && spent >= REQUEST_BUDGET) {
+    throw budgetError(`request budget of ${REQUEST_BUDGET} spent for this run`);
+  }
+  const r = rate[resource];
+  if (!r) return sleep(MIN_DELAY_MS);
+  const untilReset = Math.max(0, r.reset * 1000 - now().getTime());
+  // The search quota is only 30 a minute, less than the reserve itself.
+  const reserve = r.limit ? Math.min(RATE_RESERVE, Math.floor(r.limit / 10)) : RATE_RESERVE;
+  if (r.remaining <= reserve) {
+    if (untilReset > MAX_WAIT_MS) {
+      throw budgetError(`${resource} quota at reserve (${r.remaining} left), reset in ${Math.round(untilReset / 1000)}s`);
+    }
+    console.log(`${resource} quota at reserve (${r.remaining} left); sleeping ${untilReset + 2000}ms`);
+    await sleep(untilReset + 2000);
+    delete rate[resource];
+    return;
+  }
+  let delay = MIN_DELAY_MS;
+  if (r.limit && r.remaining < r.limit / 2) {
+    delay = Math.max(delay, Math.floor(untilReset / (r.remaining - reserve)));
+  }
+  await sleep(Math.min(delay, MAX_WAIT_MS));
+}
+
+function cachePath(url) {
+  return path.join(CACHE_DIR, crypto.createHash("sha1").update(url).digest("hex") + ".json");
+}
+function readCache(url) {
+  try {
+    const f = cachePath(url);
+    if (fs.existsSync(f)) return JSON.parse(fs.readFileSync(f, "utf8"));
+  } catch {}
+  return null;
+}
+// Skipped under --dry-run without a log line per request; a failed write
+// throws like any other data/ write.
+function writeCache(url, etag, json) {
+  if (isDryRun()) return;
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  fs.writeFileSync(cachePath(url), JSON.stringify({ url, etag, json }));
+}
+
+async function parseJSON(res) {
+  try { return await res.json(); } catch { return null; }
+}
+
+// Returns { ok, status, json, headers: { remaining, reset }, fromCache }.
+// Non-2xx answers are returned (not thrown) once retries are exhausted;
+// only an exhausted rate budget throws.
+export async function githubRequest(pathOrUrl, { method = "GET", body = null, accept = "application/vnd.github+json", conditional = false, token = githubToken() } = {}) {
+  const url = /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : API_URL + pathOrUrl;
+  const resource = resourceFor(url);
+  const key = endpointKey(method, url);
+  const useCache = conditional && httpMode() === "live";
+  const cached = useCache ? readCache(url) : null;
+  const headers = {
+    "Accept": accept,
+    "X-GitHub-Api-Version": "2022-11-28",
+    ...(token ? { "Authorization": `Bearer ${token}` } : {}),
+    ...(body ? { "Content-Type": "application/json" } : {}),
+    ...(cached?.etag ? { "If-None-Match": cached.etag } : {})
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    await awaitBudget(resource);
+    spent++;
+    bump(key, "requests");
+    const res = await httpFetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const rl = readRateHeaders(res, resource);
+
+    if (res.status === 304 && cached) {
+      bump(key, "not_modified");
+      return { ok: true, status: 200, json: cached.json, headers: rl, fromCache: true };
+    }
+
+    const retryAfter = Number(res.headers.get("retry-after") || "0");
+    const limited = res.status === 429 || (res.status === 403 && (retryAfter || rl.remaining === 0));
+    const retryable = limited || res.status >= 500;
+    if (retryable && attempt < MAX_RETRIES) {
+      let waitMs;
+      if (retryAfter) waitMs = retryAfter * 1000 + 1000;
+      else if (limited && rl.reset) waitMs = Math.max(0, rl.reset * 1000 - now().getTime()) + 2000;
+      else waitMs = Math.min(120000, 1000 * Math.pow(2, attempt));
+      if (waitMs > MAX_WAIT_MS) {
+        throw budgetError(`${res.status} on ${key}; retry would wait ${Math.round(waitMs / 1000)}s`);
+      }
+      console.log(`${res.status} on ${key}; retry ${attempt}/${MAX_RETRIES - 1} in ${waitMs}ms`);
+      bump(key, "retries");
+      await sleep(waitMs);
+      continue;
+    }
+
+    const json = await parseJSON(res);
+    if (!res.ok) {
+      bump(key, "errors");
+      return { ok: false, status: res.status, json, headers: rl, fromCache: false };
+    }
+    const etag = res.headers.get("etag");
+    if (useCache && etag) writeCache(url, etag, json);
+    return { ok: true, status: res.status, json, headers: rl, fromCache: false };
+  }
+}
+
+// Returns { ok, status, data, errors }. GraphQL errors (e.g. NOT_FOUND) come
+// back in `errors` next to whatever partial data GitHub sent.
+export async function githubGraphQL(query, variables = {}, opts = {}) {
+  const res = await githubRequest("/graphql", { ...opts, method: "POST", body: { query, variables } });
+  return { ok: res.ok, status: res.status, data: res.json?.data ?? null, errors: res.json?.errors ?? null };
+}
+
+export function requestStats() {
+  return { spent, endpoints: { ...stats }, rate: { ...rate } };
+}
+
+export function logRequestStats() {
+  const keys = Object.keys(stats).sort();
+  if (!keys.length) return;
+  console.log(`GitHub requests this run: ${spent}`);
+  for (const k of keys) {
+    const s = stats[k];
+    console.log(`  ${k}: ${s.requests} requests, ${s.not_modified} not modified, ${s.retries} retries, ${s.errors} errors`);
+  }
+  for (const [name, r] of Object.entries(rate)) {
+    console.log(`  quota ${name}: ${r.remaining}/${r.limit} left, resets ${new Date(r.reset * 1000).toISOString()}`);
+  }
+}
@@ -0,0 +1,80 @@
+// scripts/utils/http.js
+// Single HTTP entry point for every script, with record/replay for offline runs.
+//
+// HTTP_MODE:
+// - live (default): plain node-fetch
+// - record: node-fetch, and every response (status, rate-limit headers, body)
+//   is appended to a fixture file under HTTP_FIXTURES
+// - replay: never touches the network; serves the recorded responses in the
+//   order they were recorded and fails loudly on anything unrecorded
+//
+// Fixtures are keyed by method + path + query + request body, not by host, so a
+// set recorded against the stand-in server (scripts/dev/fake_github.js) replays
+// against the real URLs and vice versa.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import fetch, { Response } from "node-fetch";
+
+const KEPT_HEADERS = [
+  "content-type", "etag", "link", "retry-after",
+  "x-ratelimit-limit", "x-ratelimit-remaining", "x-ratelimit-reset", "x-ratelimit-resource", "x-ratelimit-used"
+];
+
+const replayCursor = Object.create(null);   // fixture key -> next response index
+
+export function httpMode() {
+  const m = (process.env.HTTP_MODE || "live").toLowerCase();
+  if (!["live", "record", "replay"].includes(m)) throw new Error(`Unknown HTTP_MODE "${m}" (live|record|replay)`);
+  return m;
+}
+export function fixturesDir() {
+  return process.env.HTTP_FIXTURES || "fixtures/pipeline";
+}
+
+function fixtureKey(method, url, body) {
+  const u = new URL(url);
+  return `${method} ${u.pathname}${u.search}${body ? " " + crypto.createHash("sha1").update(String(body)).digest("hex") : ""}`;
+}
+function fixturePath(key) {
+  return path.join(fixturesDir(), crypto.createHash("sha1").update(key).digest("hex") + ".json");
+}
+
+async function record(key, res) {
+  const body = await res.text();
+  const headers = {};
+  for (const h of KEPT_HEADERS) {
+    const v = res.headers.get(h);
+    if (v != null) headers[h] = v;
+  }
+  const f = fixturePath(key);
+  const existing = fs.existsSync(f) ? JSON.parse(fs.readFileSync(f, "utf8")) : { key, responses: [] };
+  existing.responses.push({ status: res.status, headers, body });
+  fs.mkdirSync(path.dirname(f), { recursive: true });
+  fs.writeFileSync(f, JSON.stringify(existing, null, 2));
+  return new Response(body, { status: res.status, headers });
+}
+
+function replay(key) {
+  const f = fixturePath(key);
+  if (!fs.existsSync(f)) throw new Error(`replay: no fixture for ${key} (${f})`);
+  const { responses } = JSON.parse(fs.readFileSync(f, "utf8"));
+  const i = replayCursor[key] ?? 0;
+  replayCursor[key] = i + 1;
+  const r = responses[Math.min(i, responses.length - 1)];
+  return new Response(r.body, { status: r.status, headers: r.headers });
+}
+
+export async function httpFetch(url, init = {}) {
+  const mode = httpMode();
+  if (mode === "live") return fetch(url, init);
+  const key = fixtureKey((init.method || "GET").toUpperCase(), url, init.body);
+  if (mode === "replay") return replay(key);
+  return record(key, await fetch(url, init));
+}
+
+// Sleeps are pointless (and slow) when replaying recorded responses.
+export function sleep(ms) {
+  if (httpMode() === "replay" || ms <= 0) return Promise.resolve();
+  return new Promise(r => setTimeout(r, ms));
+}
@@ -0,0 +1,100 @@
+// scripts/utils/identity.js
+// Canonical repo identity. Files are keyed by owner__repo, but a repo keeps
+// its numeric GitHub id through renames and transfers, so the id decides which
+// name is current and every former name becomes an alias of it.
+//
+// data/derived/identity.json
+// {
+//   "ids":        { "123456": "owner/repo" },          // GitHub repo id -> current name
+//   "aliases":    { "old-owner/old-name": "owner/repo" },   // lowercased former name -> current
+//   "tombstones": { "owner/repo": { "status": "deleted" | "blocked" | "disabled",
+//                                   "since": "...", "checked_at": "...", "http_status": 404 } }
+// }
+// Tombstoned repos keep their data and leaderboard rows; fetch_stars.js skips
+// them and fetch_repo_meta.js keeps re-checking, clearing the tombstone if
+// the repo comes back.
+import { now } from "./time.js";
+import { readJSON, writeJSON } from "./io.js";
+
+export const IDENTITY_FILE = "data/derived/identity.json";
+
+const empty = () => ({ ids: {}, aliases: {}, tombstones: {} });
+
+export function loadIdentity(file = IDENTITY_FILE) {
+  return { ...empty(), ...readJSON(file, {}) };
+}
+
+export function saveIdentity(idn, file = IDENTITY_FILE) {
+  writeJSON(file, idn);
+}
+
+// Follows aliases to the current name; names without one are already current.
+export function canonicalName(idn, name) {
+  let cur = name;
+  const seen = new Set();
+  while (idn.aliases[cur.toLowerCase()] && !seen.has(cur.toLowerCase())) {
+    seen.add(cur.toLowerCase());
+    cur = idn.aliases[cur.toLowerCase()];
+  }
+  return cur;
+}
+
+function addAlias(idn, from, to) {
+  if (from === to) return;
+  idn.aliases[from.toLowerCase()] = to;
+  // Older names that pointed at `from` now skip straight to `to`.
+  for (const [k, v] of Object.entries(idn.aliases)) if (v === from) idn.aliases[k] = to;
+  // A repo renamed back drops its old alias; a case-only rename keeps it.
+  if (from.toLowerCase() !== to.toLowerCase()) delete idn.aliases[to.toLowerCase()];
+}
+
+// Records what /repos/{requested} answered. Returns the former names whose data
+// should move to `full_name` (the requested name if GitHub redirected, and the
+// name this id was last seen under).
+export function recordRepo(idn, { id, requested, full_name }) {
+  const former = new Set();
+  if (requested && requested !== full_name) former.add(requested);
+  if (id != null) {
+    const prev = idn.ids[String(id)];
+    if (prev && prev !== full_name) former.add(prev);
+    idn.ids[String(id)] = full_name;
+  }
+  for (const f of former) {
+    addAlias(idn, f, full_name);
+    delete idn.tombstones[f];
+  }
+  return [...former];
+}
+
+export function tombstone(idn, name, { status, http_status = null } = {}) {
+  const at = now().toISOString();
+  const prev = idn.tombstones[name];
+  idn.tombstones[name] = {
+    status,
+    since: prev?.status === status ? prev.since : at,
+    checked_at: at,
+    ...(http_status != null ? { http_status } : {})
+  };
+  return idn.tombstones[name];
+}
+
+export function clearTombstone(idn, name) {
+  delete idn.tombstones[name];
+}
+
+export function tombstoneOf(idn, name) {
+  return idn.tombstones[canonicalName(idn, name)] ?? null;
+}
+
+// A leaderboard read back with every row under its current name; renamed rows
+// keep the name they were ranked under in `renamed_from`.
+export function currentNames(board, idn = loadIdentity()) {
+  if (!Object.keys(idn.aliases).length) return board;
+  return {
+    ...board,
+    rows: board.rows.map(r => {
+      const cur = canonicalName(idn, r.repo);
+      return cur === r.repo ? r : { ...r, repo: cur, renamed_from: r.repo };
+    })
+  };
+}
@@ -0,0 +1,59 @@
+// scripts/utils/io.js
+// JSON file helpers. Every data/ output goes through writeJSON, writeText or
+// appendJSONL (or checks isDryRun() first, like the HTTP cache in github.js)
+// so --dry-run (or DRY_RUN=1) can run a stage end to end without touching the tree.
+import fs from "fs";
+import path from "path";
+
+let dryRun = process.env.DRY_RUN === "1";
+
+export function setDryRun(v) { dryRun = !!v; }
+export function isDryRun() { return dryRun; }
+
+export function readJSON(file, fallback = null) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch { return fallback; }
+}
+
+export function writeJSON(file, data) {
+  if (dryRun) {
+    console.log("[dry-run] would write", file);
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+// Same dry-run handling for generated text (HTML, Markdown).
+export function writeText(file, text) {
+  if (dryRun) {
+    console.log("[dry-run] would write", file);
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+}
+
+// One JSON record per line, appended; for histories that only ever grow.
+export function appendJSONL(file, record) {
+  if (dryRun) {
+    console.log("[dry-run] would append to", file);
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(record) + "\n");
+}
+
+// owner/repo -> owner__repo.json, the key every per-repo data file uses.
+export function repoFile(fullName) {
+  return fullName.replace("/", "__") + ".json";
+}
+
+// Leaderboards are { period, start, end, ..., rows }; files written before
+// periods existed are a bare array of rows.
+export function readLeaderboard(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data) ? { rows: data } : data;
+}
@@ -0,0 +1,37 @@
+// scripts/utils/leaderboard.js
+// Rank movement between two versions of a leaderboard. Rows only need { repo, rank }.
+
+const byRepo = rows => new Map(rows.map(r => [r.repo.toLowerCase(), r]));
+
+// For every row of `cur`: where it sat in `prev` (null when new) and how far it
+// moved (positive = climbed). Repos in `prev` but not in `cur` are `dropped`.
+export function diffRows(prevRows, curRows) {
+  const prev = byRepo(prevRows);
+  const cur = byRepo(curRows);
+  const rows = curRows.map(r => {
+    const p = prev.get(r.repo.toLowerCase());
+    return {
+      repo: r.repo,
+      rank: r.rank,
+      prev_rank: p ? p.rank : null,
+      rank_change: p ? p.rank - r.rank : null,
+      new_entry: !p
+    };
+  });
+  const dropped = prevRows
+    .filter(r => !cur.has(r.repo.toLowerCase()))
+    .map(r => ({ repo: r.repo, prev_rank: r.rank }));
+  return { rows, dropped };
+}
+
+// repo (lowercased) -> number of snapshots listing it.
+export function weeksOnChart(snapshots) {
+  const counts = new Map();
+  for (const s of snapshots) {
+    for (const r of s.rows) {
+      const k = r.repo.toLowerCase();
+      counts.set(k, (counts.get(k) || 0) + 1);
+    }
+  }
+  return counts;
+}
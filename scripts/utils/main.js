@@ -0,0 +1,9 @@
+// scripts/utils/main.js
+import path from "path";
+import { fileURLToPath } from "url";
+
+// True when the module at `metaUrl` is the script node was started with,
+// so scripts can be imported (tests, scripts/cli.js) without running.
+export function isMain(metaUrl) {
+  return !!process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(metaUrl);
+}
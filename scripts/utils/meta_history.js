@@ -0,0 +1,103 @@
+// scripts/utils/meta_history.js
+// Repo metadata as an append-only history per repo, and the latest view
+// derived from it.
+//
+// data/raw/meta/owner__repo.jsonl, one snapshot per line, oldest first:
+//   { "at": "...", "section": "repo", "data": { ...fields fetch_repo_meta.js reads } }
+//   { "at": "...", "section": "contributor_locations", "data": { contributor_locations, contributor_locations_updated_at } }
+//   { "at": "...", "section": "contributor_activity", "data": { contributors_total, bus_factor, ..., contributor_activity } }
+//   { "at": "...", "section": "web_signals", "data": { web_signals } }
+//   { "at": "...", "section": "tombstone", "data": { tombstone } }   // data {} clears it
+// Each stage appends its own section, so one never overwrites another's fields.
+// data/derived/meta/owner__repo.json, what site/, reports and rankers read, is
+// rebuilt on every append: the newest `repo` snapshot with the newest snapshot
+// of every other section merged on top.
+import fs from "fs";
+import path from "path";
+import { now } from "./time.js";
+import { readJSON, writeJSON, appendJSONL, repoFile } from "./io.js";
+
+export const HISTORY_DIR = "data/raw/meta";
+export const META_DIR = "data/derived/meta";
+
+// Counters whose growth rank_ross_quarter.js reports for the ROSS window.
+export const GROWTH_FIELDS = ["forks", "open_issues", "subscribers"];
+
+export const historyFile = name => path.join(HISTORY_DIR, repoFile(name) + "l");
+
+export function readHistory(name, file = historyFile(name)) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+}
+
+export function hasMeta(name) {
+  return fs.existsSync(historyFile(name)) || fs.existsSync(path.join(META_DIR, repoFile(name)));
+}
+
+// Newest `repo` snapshot, then the other sections' newest data by section name.
+export function metaView(records) {
+  const latest = new Map();
+  for (const r of records) latest.set(r.section, r);
+  if (!latest.size) return null;
+  const view = { ...(latest.get("repo")?.data ?? {}) };
+  for (const section of [...latest.keys()].filter(s => s !== "repo").sort()) Object.assign(view, latest.get(section).data);
+  return view;
+}
+
+// Splits a meta file written before the history existed into its sections.
+export function sectionsOfView(view) {
+  const { contributor_locations, contributor_locations_updated_at, tombstone, ...repo } = view;
+  const at = repo.fetched_at ?? now().toISOString();
+  const out = [{ at, section: "repo", data: repo }];
+  if (contributor_locations !== undefined) {
+    out.push({ at: contributor_locations_updated_at ?? at, section: "contributor_locations", data: { contributor_locations, contributor_locations_updated_at } });
+  }
+  if (tombstone) out.push({ at: tombstone.checked_at ?? at, section: "tombstone", data: { tombstone } });
+  return out.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+// Appends one snapshot of `section` and rewrites the derived view. A repo whose
+// meta file predates the history gets that file as its first snapshots.
+export function appendSnapshot(name, section, data, at = now().toISOString()) {
+  const file = historyFile(name);
+  const viewFile = path.join(META_DIR, repoFile(name));
+  let records = readHistory(name, file);
+  if (!records.length) {
+    const legacy = readJSON(viewFile);
+    if (legacy) {
+      records = sectionsOfView(legacy);
+      for (const r of records) appendJSONL(file, r);
+    }
+  }
+  const record = { at, section, data };
+  appendJSONL(file, record);
+  records.push(record);
+  writeJSON(viewFile, metaView(records));
+  return record;
+}
+
+// The newest data of `section`, or null.
+export function latestSection(records, section) {
+  for (let i = records.length - 1; i >= 0; i--) if (records[i].section === section) return records[i].data;
+  return null;
+}
+
+const count = (d, f) => d[f] ?? d[`${f}_count`] ?? null;
+
+// Change of GROWTH_FIELDS between the `repo` snapshot in force at `start`
+// (or, without one, the first inside the window) and the last one by `end`.
+// `from`/`to` are the snapshot dates actually compared; null with fewer than
+// two snapshots to compare.
+export function metaGrowth(records, start, end) {
+  const snaps = records.filter(r => r.section === "repo" && r.at.slice(0, 10) <= end);
+  if (!snaps.length) return null;
+  const from = snaps.findLast(r => r.at.slice(0, 10) <= start) ?? snaps[0];
+  const to = snaps.at(-1);
+  if (from === to) return null;
+  const out = { from: from.at.slice(0, 10), to: to.at.slice(0, 10) };
+  for (const f of GROWTH_FIELDS) {
+    const a = count(from.data, f), b = count(to.data, f);
+    out[f] = a == null || b == null ? null : b - a;
+  }
+  return out;
+}
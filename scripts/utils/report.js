@@ -0,0 +1,52 @@
+// scripts/utils/report.js
+// Formatting helpers for scripts/build_report.js: HTML escaping, number
+// formats, inline SVG sparklines and Markdown tables. All output is a pure
+// function of the input so regenerated reports only change when data does.
+
+export function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+export function fmtInt(n) {
+  return n == null ? "–" : Math.round(n).toLocaleString("en-US");
+}
+
+export function fmtPct(x) {
+  return x == null ? "–" : `${(x * 100).toLocaleString("en-US", { maximumFractionDigits: 1 })}%`;
+}
+
+// "▲3", "▼2", "=", "new", or "" when there is nothing to compare with.
+export function fmtMove(m) {
+  if (!m) return "";
+  if (m.new_entry) return "new";
+  if (!m.rank_change) return "=";
+  return m.rank_change > 0 ? `▲${m.rank_change}` : `▼${-m.rank_change}`;
+}
+
+// Inline SVG: a polyline ("line") or one bar per value ("bars"), scaled to
+// the values' own range. Empty for an empty series.
+export function sparkline(values, { width = 120, height = 24, kind = "line", color = "#2563eb" } = {}) {
+  if (!values.length) return "";
+  const lo = kind === "bars" ? 0 : Math.min(...values);
+  const hi = Math.max(lo + 1, ...values);
+  const y = v => (height - 1 - (v - lo) / (hi - lo) * (height - 2)).toFixed(1);
+  let body;
+  if (kind === "bars") {
+    const w = width / values.length;
+    body = values.map((v, i) => `<rect x="${(i * w).toFixed(1)}" y="${y(v)}" width="${Math.max(0.5, w - 0.5).toFixed(1)}" height="${(height - 1 - y(v)).toFixed(1)}" fill="${color}"/>`).join("");
+  } else {
+    const step = values.length > 1 ? width / (values.length - 1) : 0;
+    body = `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${values.map((v, i) => `${(i * step).toFixed(1)},${y(v)}`).join(" ")}"/>`;
+  }
+  return `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">${body}</svg>`;
+}
+
+const mdCell = v => String(v ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+export function mdTable(headers, rows) {
+  return [
+    `| ${headers.map(mdCell).join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map(r => `| ${r.map(mdCell).join(" | ")} |`)
+  ].join("\n");
+}
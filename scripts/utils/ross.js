@@ -0,0 +1,111 @@
+// scripts/utils/ross.js
+// ROSS window math shared by the quarter rankers.
+//
+// A ROSS config is { window_days, min_start_stars, scoring }:
+// - window_days: 30 | 60 | 90 | 180, inclusive of both ends
+// - min_start_stars: stars required at window start
+// - scoring: how a window is scored
+//     relative   gain / start
+//     absolute   gain
+//     log-ratio  ln(end / start)
+//     blended    ln(end / start) * log10(1 + gain): relative growth, damped for tiny gains
+
+export const WINDOW_DAYS = [30, 60, 90, 180];
+export const DEFAULT_ROSS = { window_days: 90, min_start_stars: 1000, scoring: "relative" };
+
+export const SCORING = {
+  relative: (s, e) => (e - s) / s,
+  absolute: (s, e) => e - s,
+  "log-ratio": (s, e) => Math.log(e / s),
+  blended: (s, e) => Math.log(e / s) * Math.log10(1 + e - s)
+};
+
+const DAY_MS = 86400000;
+const dayNum = iso => Date.parse(iso + "T00:00:00Z") / DAY_MS;
+const dayISO = n => new Date(n * DAY_MS).toISOString().slice(0, 10);
+
+// Validates and fills in a (possibly partial) config. Throws RangeError on bad input.
+export function rossParams({ window_days, min_start_stars, scoring } = {}) {
+  const p = {
+    window_days: window_days ?? DEFAULT_ROSS.window_days,
+    min_start_stars: min_start_stars ?? DEFAULT_ROSS.min_start_stars,
+    scoring: scoring ?? DEFAULT_ROSS.scoring
+  };
+  if (!WINDOW_DAYS.includes(p.window_days)) throw new RangeError(`Invalid ROSS window "${p.window_days}" (expected ${WINDOW_DAYS.join("/")})`);
+  if (!Number.isInteger(p.min_start_stars) || p.min_start_stars < 0) throw new RangeError(`Invalid minimum start stars "${p.min_start_stars}"`);
+  if (!SCORING[p.scoring]) throw new RangeError(`Invalid ROSS scoring "${p.scoring}" (expected ${Object.keys(SCORING).join("|")})`);
+  return p;
+}
+
+// "" for the default config (keeps data/derived/quarter-ross/YYYY-Qn.json),
+// "__w60-min500-log-ratio" style otherwise.
+export function rossSuffix(params) {
+  const p = rossParams(params);
+  const d = DEFAULT_ROSS;
+  if (p.window_days === d.window_days && p.min_start_stars === d.min_start_stars && p.scoring === d.scoring) return "";
+  return `__w${p.window_days}-min${p.min_start_stars}-${p.scoring}`;
+}
+
+// Day-number index over a cumulative series so lookups are a binary search
+// instead of a scan. `cumulative` is already the prefix sum of daily stars.
+export function cumIndex(cumulative) {
+  const days = new Float64Array(cumulative.length);
+  const values = new Float64Array(cumulative.length);
+  cumulative.forEach((r, i) => { days[i] = dayNum(r.date); values[i] = r.value; });
+  return { days, values };
+}
+
+function valueAtDay({ days, values }, day) {
+  let lo = 0, hi = days.length;   // first index with days[i] > day
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (days[mid] <= day) lo = mid + 1; else hi = mid;
+  }
+  return lo === 0 ? 0 : values[lo - 1];
+}
+
+// Cumulative star count at the end of `dateISO` (0 before the first star).
+export function cumAt(cumulative, dateISO) {
+  return valueAtDay(cumIndex(cumulative), dayNum(dateISO));
+}
+
+// Best-scoring window ending inside [rangeStart, rangeEnd] under `params`.
+// `series` is a cumulative array or a cumIndex() of one.
+// knownFrom: for truncated histories, the first date with trustworthy totals;
+// windows starting earlier are skipped rather than scored against missing data.
+export function bestRossWindow(series, rangeStart, rangeEnd, params = DEFAULT_ROSS, knownFrom = null) {
+  const { window_days, min_start_stars, scoring } = rossParams(params);
+  const idx = Array.isArray(series) ? cumIndex(series) : series;
+  const score = SCORING[scoring];
+  let best = { score: 0, rel_gain: 0, abs_gain: 0, log_ratio: 0, start: null, end: null, start_val: 0, end_val: 0 };
+  if (!idx.days.length) return best;
+
+  const first = knownFrom ? Math.max(dayNum(rangeStart), dayNum(knownFrom) + window_days - 1) : dayNum(rangeStart);
+  const last = dayNum(rangeEnd);
+  for (let end = first; end <= last; end++) {
+    const start = end - (window_days - 1);
+    const startVal = valueAtDay(idx, start);
+    if (startVal < min_start_stars || startVal === 0) continue;
+    const endVal = valueAtDay(idx, end);
+    if (endVal <= startVal) continue;
+    const s = score(startVal, endVal);
+    if (s > best.score) {
+      best = {
+        score: s,
+        rel_gain: (endVal - startVal) / startVal,
+        abs_gain: endVal - startVal,
+        log_ratio: Math.log(endVal / startVal),
+        start: dayISO(start), end: dayISO(end), start_val: startVal, end_val: endVal
+      };
+    }
+  }
+  return best;
+}
+
+// Maximum relative 90-day star growth among windows ending inside the quarter,
+// requiring at least 1000 stars at window start.
+export function maxRossWindowForQuarter(cumulative, quarterStart, quarterEnd, knownFrom=null) {
+  const { rel_gain, abs_gain, start, end, start_val, end_val } =
+    bestRossWindow(cumulative || [], quarterStart, quarterEnd, DEFAULT_ROSS, knownFrom);
+  return { rel_gain, abs_gain, start, end, start_val, end_val };
+}
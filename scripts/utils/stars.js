@@ -0,0 +1,63 @@
+// scripts/utils/stars.js
+// Read/write helpers for data/raw/stars/owner__repo.json.
+//
+// Current layout:
+// {
+//   "repo": "owner/repo",
+//   "history": "complete" | "truncated",
+//   "stargazer_count": 12345,        // GitHub's count at fetch time
+//   "backfill_cursor": "..." | null, // where to resume walking older stars
+//   "fetched_at": "...",
+//   "stars": ["2025-01-01T00:00:00Z", ...]  // ascending
+// }
+//
+// Older files are a bare ascending array of timestamps fetched oldest-first
+// through REST; those are reported with history "unknown".
+import fs from "fs";
+import { now } from "./time.js";
+import { writeJSON } from "./io.js";
+
+export function readStarHistory(fpath, fullName = null) {
+  const empty = { repo: fullName, history: "unknown", stargazer_count: null, backfill_cursor: null, fetched_at: null, stars: [] };
+  if (!fs.existsSync(fpath)) return { ...empty, legacy: false, exists: false };
+  const raw = JSON.parse(fs.readFileSync(fpath, "utf8"));
+  if (Array.isArray(raw)) return { ...empty, stars: raw.slice().sort(), legacy: true, exists: true };
+  return {
+    ...empty,
+    ...raw,
+    repo: raw.repo ?? fullName,
+    stars: Array.isArray(raw.stars) ? raw.stars.slice().sort() : [],
+    legacy: false,
+    exists: true
+  };
+}
+
+export function writeStarHistory(fpath, h) {
+  const payload = {
+    repo: h.repo,
+    history: h.history,
+    stargazer_count: h.stargazer_count ?? null,
+    backfill_cursor: h.backfill_cursor ?? null,
+    fetched_at: h.fetched_at ?? now().toISOString(),
+    stars: h.stars
+  };
+  writeJSON(fpath, payload);
+}
+
+// Stars GitHub reports that are older than anything we have on disk.
+// Only meaningful for truncated histories; complete ones report 0.
+export function missingOlderStars(h) {
+  if (h.history !== "truncated" || h.stargazer_count == null) return 0;
+  return Math.max(0, h.stargazer_count - h.stars.length);
+}
+
+// New stars from a newest-first catch-up walk that stopped at the first star
+// older than the newest one on disk. Stars sharing that second are common on
+// trending repos, so the walk keeps the whole boundary second and this drops
+// as many of them as are already stored.
+export function newSinceStored(fresh, known) {
+  const newest = known.at(-1);
+  let stored = 0;
+  for (let i = known.length - 1; i >= 0 && known[i] === newest; i--) stored++;
+  return fresh.filter(ts => !(ts === newest && stored-- > 0));
+}
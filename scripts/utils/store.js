@@ -0,0 +1,127 @@
+// scripts/utils/store.js
+// Optional SQLite copy of the JSON data tree (data/store.sqlite, or STORE_FILE).
+// better-sqlite3 is an optional dependency: nothing imports it until a store is
+// opened, and the JSON files stay the default. With STORE=sqlite the rankers
+// read from the store instead (utils/store_query.js); store_import.js fills it
+// from the JSON layout and store_export.js writes that layout back.
+//
+// Tables (repo_id -> repos.id):
+//   repos            name, star history status, the stars file it was imported from
+//   stars            one row per stargazer timestamp
+//   daily            stars per day and the cumulative total (missing_older included)
+//   meta_snapshots   every data/derived/meta file seen, by fetched_at
+//   owners           data/derived/owner
+//   trending_snapshots / trending   snapshot files and one row per listed repo
+//   leaderboards / leaderboard_rows data/derived/quarter and quarter-ross
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+
+export const STORE_FILE = process.env.STORE_FILE || "data/store.sqlite";
+
+export const SCHEMA = `
+CREATE TABLE IF NOT EXISTS repos (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  history TEXT NOT NULL DEFAULT 'unknown',
+  known_from TEXT,
+  missing_older INTEGER NOT NULL DEFAULT 0,
+  stargazer_count INTEGER,
+  backfill_cursor TEXT,
+  fetched_at TEXT,
+  legacy INTEGER NOT NULL DEFAULT 0,
+  source TEXT
+);
+CREATE TABLE IF NOT EXISTS stars (
+  repo_id INTEGER NOT NULL REFERENCES repos(id),
+  starred_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS stars_repo ON stars(repo_id);
+CREATE TABLE IF NOT EXISTS daily (
+  repo_id INTEGER NOT NULL REFERENCES repos(id),
+  date TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  cumulative INTEGER NOT NULL,
+  PRIMARY KEY (repo_id, date)
+) WITHOUT ROWID;
+CREATE INDEX IF NOT EXISTS daily_date ON daily(date);
+CREATE TABLE IF NOT EXISTS meta_snapshots (
+  repo_id INTEGER NOT NULL REFERENCES repos(id),
+  fetched_at TEXT NOT NULL,
+  json TEXT NOT NULL,
+  PRIMARY KEY (repo_id, fetched_at)
+) WITHOUT ROWID;
+CREATE TABLE IF NOT EXISTS owners (
+  repo_id INTEGER PRIMARY KEY REFERENCES repos(id),
+  json TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS trending_snapshots (
+  since TEXT NOT NULL,
+  key TEXT NOT NULL,
+  captured_at TEXT,
+  json TEXT NOT NULL,
+  PRIMARY KEY (since, key)
+) WITHOUT ROWID;
+CREATE TABLE IF NOT EXISTS trending (
+  since TEXT NOT NULL,
+  key TEXT NOT NULL,
+  list TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  repo TEXT NOT NULL,
+  stars INTEGER,
+  period_stars INTEGER
+);
+CREATE INDEX IF NOT EXISTS trending_repo ON trending(repo);
+CREATE TABLE IF NOT EXISTS leaderboards (
+  board TEXT NOT NULL,
+  name TEXT NOT NULL,
+  period TEXT,
+  start TEXT,
+  end TEXT,
+  json TEXT,
+  PRIMARY KEY (board, name)
+) WITHOUT ROWID;
+CREATE TABLE IF NOT EXISTS leaderboard_rows (
+  board TEXT NOT NULL,
+  name TEXT NOT NULL,
+  pos INTEGER NOT NULL,
+  rank INTEGER,
+  repo TEXT,
+  json TEXT NOT NULL,
+  PRIMARY KEY (board, name, pos)
+) WITHOUT ROWID;
+`;
+
+export function useStore() {
+  return process.env.STORE === "sqlite";
+}
+
+function loadDriver() {
+  try {
+    return createRequire(import.meta.url)("better-sqlite3");
+  } catch (e) {
+    if (e.code !== "MODULE_NOT_FOUND") throw e;
+    throw new Error("The SQLite store needs better-sqlite3 (an optional dependency): run `npm install better-sqlite3`, or unset STORE to use the JSON files");
+  }
+}
+
+// Opens (and with readonly=false creates) the store. A read-only open of a
+// store that was never imported is an error rather than an empty ranking.
+export function openStore({ file = STORE_FILE, readonly = false } = {}) {
+  const Database = loadDriver();
+  if (readonly) {
+    if (!fs.existsSync(file)) throw new Error(`No SQLite store at ${file}; run node scripts/store_import.js first`);
+    return new Database(file, { readonly: true });
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.exec(SCHEMA);
+  return db;
+}
+
+// repos.id for `name`, creating the row if needed.
+export function repoId(db, name) {
+  const row = db.prepare("SELECT id FROM repos WHERE name = ?").get(name);
+  if (row) return row.id;
+  return db.prepare("INSERT INTO repos (name) VALUES (?)").run(name).lastInsertRowid;
+}
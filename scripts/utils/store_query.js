@@ -0,0 +1,58 @@
+// scripts/utils/store_query.js
+// Queries over the SQLite store (utils/store.js) in the shapes the JSON files
+// have, so a ranker can swap readdir + JSON.parse for one of these.
+import { toWeekly } from "../aggregate_weekly.js";
+
+// Repos with a star history (the ones data/derived/weekly has a file for) and
+// its status, as in the weekly file's `history`.
+export function listRepos(db) {
+  return db.prepare("SELECT name, history, known_from, missing_older FROM repos WHERE source IS NOT NULL ORDER BY name").all()
+    .map(r => ({ repo: r.name, history: { status: r.history, known_from: r.known_from, missing_older: r.missing_older } }));
+}
+
+// "owner/repo" -> cumulative stars at the end of `date` (0 before the first
+// star), for every repo listRepos() returns: cumAt() over all weekly files in
+// one query.
+export function cumulativeOn(db, date) {
+  const rows = db.prepare(`
+    SELECT r.name, COALESCE((SELECT d.cumulative FROM daily d WHERE d.repo_id = r.id AND d.date <= ? ORDER BY d.date DESC LIMIT 1), 0) AS value
+    FROM repos r WHERE r.source IS NOT NULL ORDER BY r.name`).all(date);
+  return new Map(rows.map(r => [r.name, r.value]));
+}
+
+// [{ date, value }], the `cumulative` array of data/derived/weekly.
+export function cumulativeSeries(db, repo) {
+  return db.prepare("SELECT d.date, d.cumulative AS value FROM daily d JOIN repos r ON r.id = d.repo_id WHERE r.name = ? ORDER BY d.date").all(repo);
+}
+
+export function dailyCounts(db, repo) {
+  return db.prepare("SELECT d.date, d.count AS daily FROM daily d JOIN repos r ON r.id = d.repo_id WHERE r.name = ? ORDER BY d.date").all(repo);
+}
+
+// The data/derived/weekly/owner__repo.json payload aggregate_weekly.js writes.
+export function weeklyPayload(db, repo) {
+  const r = db.prepare("SELECT name, history, known_from, missing_older FROM repos WHERE name = ?").get(repo);
+  if (!r) return null;
+  return {
+    repo: r.name,
+    history: { status: r.history, known_from: r.known_from, missing_older: r.missing_older },
+    weekly: toWeekly(dailyCounts(db, repo)),
+    cumulative: cumulativeSeries(db, repo)
+  };
+}
+
+// The newest meta snapshot (data/derived/meta file) of `repo`, or null.
+export function latestMeta(db, repo) {
+  const row = db.prepare("SELECT m.json FROM meta_snapshots m JOIN repos r ON r.id = m.repo_id WHERE r.name = ? ORDER BY m.fetched_at DESC LIMIT 1").get(repo);
+  return row ? JSON.parse(row.json) : null;
+}
+
+export function ownerOf(db, repo) {
+  const row = db.prepare("SELECT o.json FROM owners o JOIN repos r ON r.id = o.repo_id WHERE r.name = ?").get(repo);
+  return row ? JSON.parse(row.json) : null;
+}
+
+// [{ since, key, list, position, stars, period_stars }] for every trending list `repo` was on.
+export function trendingAppearances(db, repo) {
+  return db.prepare("SELECT since, key, list, position, stars, period_stars FROM trending WHERE repo = ? COLLATE NOCASE ORDER BY since, key, list").all(repo);
+}
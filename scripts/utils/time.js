@@ -1,4 +1,10 @@
 // scripts/utils/time.js
+
+// Current time; PIPELINE_NOW (ISO timestamp) pins it for reproducible offline runs.
+export function now() {
+  return process.env.PIPELINE_NOW ? new Date(process.env.PIPELINE_NOW) : new Date();
+}
+
 export function isoWeekKey(isoDate) {
   const d = new Date(isoDate + "T00:00:00Z");
   const day = (d.getUTCDay() + 6) % 7;
@@ -12,10 +18,10 @@ export function isoWeekKey(isoDate) {
 
 export function weeksToBounds(weekKey) {
   const [y, w] = weekKey.split("-W").map(Number);
-  const simple = new Date(Date.UTC(y, 0, 1 + (w - 1) * 7));
-  const dow = (simple.getUTCDay() + 6) % 7;
-  const monday = new Date(simple);
-  monday.setUTCDate(simple.getUTCDate() - dow);
+  // ISO week 1 is the week holding January 4th.
+  const jan4 = new Date(Date.UTC(y, 0, 4));
+  const monday = new Date(jan4);
+  monday.setUTCDate(jan4.getUTCDate() - (jan4.getUTCDay() + 6) % 7 + (w - 1) * 7);
   const sunday = new Date(monday);
   sunday.setUTCDate(monday.getUTCDate() + 6);
   return {
@@ -25,6 +31,8 @@ export function weeksToBounds(weekKey) {
 }
 
 export function quarterBounds(year, q) {
+  if (!Number.isInteger(year) || year < 2000 || year > 9999) throw new RangeError(`Invalid year: ${year}`);
+  if (!Number.isInteger(q) || q < 1 || q > 4) throw new RangeError(`Invalid quarter: ${q} (expected 1..4)`);
   const starts = ["01-01","04-01","07-01","10-01"];
   const ends   = ["03-31","06-30","09-30","12-31"];
   return {
@@ -32,3 +40,109 @@ export function quarterBounds(year, q) {
     end:   `${year}-${ends[q-1]}`
   };
 }
+
+export function addDays(iso, days) {
+  const d = new Date(iso + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0,10);
+}
+
+export function isoWeeksInQuarter(year, q) {
+  const {start, end} = quarterBounds(year, q);
+  const weeks = new Set();
+  for (let d = start; d <= end; d = addDays(d, 7)) weeks.add(isoWeekKey(d));
+  weeks.add(isoWeekKey(end));
+  return [...weeks];
+}
+
+function checkYear(year) {
+  if (!Number.isInteger(year) || year < 2000 || year > 9999) throw new RangeError(`Invalid year: ${year}`);
+}
+function lastDayOfMonth(year, m) {
+  return new Date(Date.UTC(year, m, 0)).getUTCDate();
+}
+function validISODate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s + "T00:00:00Z")) &&
+    new Date(s + "T00:00:00Z").toISOString().slice(0, 10) === s;
+}
+
+// Leaderboard periods. Returns { kind, key, start, end } with inclusive ISO dates;
+// `key` names the output file.
+//   2025-10                  month
+//   2025-Q4                  quarter
+//   2025-H2                  half year
+//   2025                     year
+//   2025-YTD, YTD            Jan 1 .. today (capped at Dec 31)
+//   rolling-30d              the last 30 days, today included
+//   2025-10-05..2025-11-04   custom range (key "2025-10-05_2025-11-04")
+// "today" is the UTC date of now(), so PIPELINE_NOW pins rolling periods too.
+export function parsePeriod(input, today = now().toISOString().slice(0, 10)) {
+  const s = String(input ?? "").trim();
+  let m;
+  if ((m = s.match(/^(\d{4})-(\d{2})$/))) {
+    const year = Number(m[1]), month = Number(m[2]);
+    checkYear(year);
+    if (month < 1 || month > 12) throw new RangeError(`Invalid month: ${s}`);
+    return { kind: "month", key: s, start: `${s}-01`, end: `${s}-${String(lastDayOfMonth(year, month)).padStart(2, "0")}` };
+  }
+  if ((m = s.match(/^(\d{4})-[Qq]([1-4])$/))) {
+    const year = Number(m[1]), q = Number(m[2]);
+    return { kind: "quarter", key: `${year}-Q${q}`, ...quarterBounds(year, q) };
+  }
+  if ((m = s.match(/^(\d{4})-[Hh]([12])$/))) {
+    const year = Number(m[1]), h = Number(m[2]);
+    checkYear(year);
+    return { kind: "half", key: `${year}-H${h}`, start: `${year}-${h === 1 ? "01-01" : "07-01"}`, end: `${year}-${h === 1 ? "06-30" : "12-31"}` };
+  }
+  if ((m = s.match(/^(\d{4})$/))) {
+    const year = Number(m[1]);
+    checkYear(year);
+    return { kind: "year", key: s, start: `${year}-01-01`, end: `${year}-12-31` };
+  }
+  if ((m = s.match(/^(?:(\d{4})-)?ytd$/i))) {
+    const year = m[1] ? Number(m[1]) : Number(today.slice(0, 4));
+    checkYear(year);
+    const start = `${year}-01-01`;
+    if (today < start) throw new RangeError(`${s} has not started yet (today is ${today})`);
+    const end = today < `${year}-12-31` ? today : `${year}-12-31`;
+    return { kind: "ytd", key: `${year}-YTD`, start, end };
+  }
+  if ((m = s.match(/^rolling-(\d+)d$/i))) {
+    const days = Number(m[1]);
+    if (days < 1 || days > 3660) throw new RangeError(`Invalid rolling period: ${s}`);
+    return { kind: "rolling", key: `rolling-${days}d`, start: addDays(today, -(days - 1)), end: today, days };
+  }
+  if ((m = s.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/))) {
+    const [, start, end] = m;
+    if (!validISODate(start) || !validISODate(end) || start > end) throw new RangeError(`Invalid date range: ${s}`);
+    return { kind: "range", key: `${start}_${end}`, start, end };
+  }
+  throw new RangeError(`Invalid period "${input}" (expected YYYY-MM, YYYY-Qn, YYYY-Hn, YYYY, [YYYY-]YTD, rolling-Nd or START..END)`);
+}
+
+// The period immediately before `period` (same kind and length), or null for
+// periods that only make sense relative to today (YTD, rolling).
+export function previousPeriod(period) {
+  const y = Number(period.key.slice(0, 4));
+  switch (period.kind) {
+    case "month": {
+      const m = Number(period.key.slice(5, 7));
+      return parsePeriod(m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, "0")}`);
+    }
+    case "quarter": {
+      const q = Number(period.key.slice(-1));
+      return parsePeriod(q === 1 ? `${y - 1}-Q4` : `${y}-Q${q - 1}`);
+    }
+    case "half":
+      return parsePeriod(period.key.endsWith("H1") ? `${y - 1}-H2` : `${y}-H1`);
+    case "year":
+      return parsePeriod(String(y - 1));
+    case "range": {
+      const days = Math.round((Date.parse(period.end) - Date.parse(period.start)) / 86400000) + 1;
+      const end = addDays(period.start, -1);
+      return parsePeriod(`${addDays(end, -(days - 1))}..${end}`);
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,109 @@
+// scripts/utils/trending.js
+// Parser for github.com/trending pages and the weighting build_candidates.js
+// applies to trending appearances.
+//
+// Each <article class="Box-row"> becomes
+//   { owner, repo, position, description, language, stars, forks, period_stars, built_by: [login] }
+// parseTrending() refuses pages it does not understand (articles it cannot
+// read, missing counts, no rows without GitHub's empty-state message) so a
+// markup change fails the scrape instead of writing an empty snapshot.
+
+export const SINCE = ["daily", "weekly", "monthly"];
+export const MAX_ROWS = 25;
+
+const PERIOD_LABEL = { daily: "today", weekly: "this week", monthly: "this month" };
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function text(html) {
+  return html
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+      if (e[0] !== "#") return ENTITIES[e.toLowerCase()] ?? m;
+      return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const count = s => {
+  const m = s == null ? null : text(s).match(/[\d,]+/);
+  return m ? Number(m[0].replace(/,/g, "")) : null;
+};
+
+function parseRow(article, position) {
+  const name = article.match(/<h2[^>]*>\s*<a[^>]*href="\/([^/"]+)\/([^/"]+)"/);
+  if (!name) return null;
+  const [, owner, repo] = name;
+  const full = `${owner}/${repo}`.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const link = suffix => article.match(new RegExp(`<a[^>]*href="/${full}/(?:${suffix})"[^>]*>([\\s\\S]*?)</a>`))?.[1];
+  const desc = article.match(/<p[^>]*class="[^"]*col-9[^"]*"[^>]*>([\s\S]*?)<\/p>/);
+  const lang = article.match(/<span[^>]*itemprop="programmingLanguage"[^>]*>([\s\S]*?)<\/span>/);
+  const period = text(article).match(/([\d,]+) stars? (today|this week|this month)/);
+  const builtBy = article.match(/Built by([\s\S]*?)<\/span>/)?.[1] ?? "";
+  return {
+    owner,
+    repo,
+    position,
+    description: desc ? text(desc[1]) || null : null,
+    language: lang ? text(lang[1]) || null : null,
+    stars: count(link("stargazers")),
+    forks: count(link("forks|network/members")),
+    period_stars: period ? Number(period[1].replace(/,/g, "")) : null,
+    period_label: period ? period[2] : null,
+    built_by: [...builtBy.matchAll(/alt="@([^"]+)"/g)].map(m => m[1])
+  };
+}
+
+// Rows of a trending page fetched with ?since=`since`. Throws when the page
+// does not look like the markup this parser was written against.
+export function parseTrending(html, since = "weekly") {
+  const articles = html.split(/<article[^>]*class="[^"]*\bBox-row\b[^"]*"[^>]*>/).slice(1).map(a => a.split(/<\/article>/)[0]);
+  if (!articles.length) {
+    if (/we don.{1,8}t have any trending repositories/i.test(text(html))) return [];
+    throw new Error("trending: no repository rows and no empty-state message; the page markup has probably changed");
+  }
+  const rows = articles.map((a, i) => parseRow(a, i + 1));
+  const broken = rows.filter(r => !r || r.stars == null || r.period_stars == null).length;
+  if (broken) throw new Error(`trending: ${broken} of ${rows.length} rows without a repo link, star count or "stars ${PERIOD_LABEL[since]}"; the page markup has probably changed`);
+  if (rows.length > MAX_ROWS) throw new Error(`trending: ${rows.length} rows, GitHub lists at most ${MAX_ROWS}; the page markup has probably changed`);
+  const names = new Set(rows.map(r => `${r.owner}/${r.repo}`.toLowerCase()));
+  if (names.size !== rows.length) throw new Error("trending: the same repo appears twice; the page markup has probably changed");
+  const wrong = rows.find(r => r.period_label !== PERIOD_LABEL[since]);
+  if (wrong) throw new Error(`trending: expected "stars ${PERIOD_LABEL[since]}" for since=${since}, got "stars ${wrong.period_label}"`);
+  return rows.map(({ period_label, ...r }) => r);
+}
+
+// Weight of one trending appearance: 1 for #1 down to 1/MAX_ROWS for the last
+// row. Old snapshots have no position, so their list order stands in.
+export function appearanceWeight(position) {
+  return (MAX_ROWS + 1 - Math.min(Math.max(position, 1), MAX_ROWS)) / MAX_ROWS;
+}
+
+// Every list in a snapshot (overall, per language, per spoken language).
+export function snapshotLists(snapshot) {
+  return [
+    snapshot.overall || [],
+    ...Object.values(snapshot.by_language || {}),
+    ...Object.values(snapshot.by_spoken_language || {})
+  ];
+}
+
+// "owner/repo" -> { appearances, best_position, score } over `snapshots`.
+export function trendingScores(snapshots) {
+  const out = new Map();
+  for (const snap of snapshots) {
+    for (const list of snapshotLists(snap)) {
+      list.forEach((r, i) => {
+        const key = `${r.owner}/${r.repo}`;
+        const pos = r.position ?? i + 1;
+        const s = out.get(key) ?? { appearances: 0, best_position: null, score: 0 };
+        s.appearances++;
+        s.best_position = s.best_position == null ? pos : Math.min(s.best_position, pos);
+        s.score += appearanceWeight(pos);
+        out.set(key, s);
+      });
+    }
+  }
+  for (const s of out.values()) s.score = Math.round(s.score * 1000) / 1000;
+  return out;
+}
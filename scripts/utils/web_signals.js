@@ -0,0 +1,155 @@
+// scripts/utils/web_signals.js
+// Commercial and community signals from a repo's README, its FUNDING.yml and
+// the HTML of its homepage and owner website. Pure functions over the text;
+// scripts/enrich_web_signals.js fetches and caches the pages.
+//
+// extractWebSignals({ readme, funding, pages: [{ url, html }] }) →
+// {
+//   summary: "Fast self-hosted workflow engine for data teams.",   // README's first paragraph, else the page description
+//   pricing: ["https://acme.dev/pricing"],                          // pricing / plans links
+//   demo: ["https://acme.dev/demo"],                                // "book a demo", "talk to sales"
+//   hosted: ["managed cloud", "free tier"],                         // phrases announcing a hosted offering
+//   community: { discord: "https://discord.gg/acme", slack: null },
+//   funding: [{ platform: "open_collective", account: "acme" }]     // FUNDING.yml and sponsor links
+// }
+// Links in the README are kept only when absolute; links in pages are
+// resolved against the page URL.
+
+const MAX_LINKS = 5;
+const SUMMARY_CHARS = 200;
+
+const PRICING = /\b(pricing|plans (?:&|and) pricing|see plans|compare plans)\b/i;
+const PRICING_PATH = /\/(pricing|plans)(\/|$|\?|#|\.html?$)/i;
+const DEMO = /\b(book|request|schedule|get) (a |your )?(free )?demo\b|\b(talk|contact) (to |with )?(sales|our sales team)\b/i;
+const DEMO_PATH = /\/(demo|book-a-demo|request-demo|contact-sales)(\/|$|\?|#)/i;
+const HOSTED = /\b(?:managed (?:service|cloud|hosting|offering|version)|hosted (?:version|offering|service)|cloud (?:version|offering|edition|service|plan)|fully[- ]managed|free tier|sign up for (?:free|cloud))\b/gi;
+
+// GitHub's FUNDING.yml keys and the sponsor platforms recognized in links.
+const FUNDING_HOSTS = [
+  ["github", /^https?:\/\/(?:www\.)?github\.com\/sponsors\/([\w-]+)/i],
+  ["open_collective", /^https?:\/\/(?:www\.)?opencollective\.com\/([\w-]+)/i],
+  ["patreon", /^https?:\/\/(?:www\.)?patreon\.com\/([\w-]+)/i],
+  ["ko_fi", /^https?:\/\/(?:www\.)?ko-fi\.com\/([\w-]+)/i],
+  ["buy_me_a_coffee", /^https?:\/\/(?:www\.)?buymeacoffee\.com\/([\w-]+)/i],
+  ["liberapay", /^https?:\/\/(?:www\.)?liberapay\.com\/([\w-]+)/i],
+  ["polar", /^https?:\/\/(?:www\.)?polar\.sh\/([\w-]+)/i],
+  ["thanks_dev", /^https?:\/\/(?:www\.)?thanks\.dev\/([\w/-]+)/i]
+];
+const COMMUNITY_HOSTS = {
+  discord: /^https?:\/\/(?:www\.)?(?:discord\.gg|discord\.com\/invite|discordapp\.com\/invite)\/[\w-]+/i,
+  slack: /^https?:\/\/(?:[\w-]+\.slack\.com|join\.slack\.com)\//i
+};
+
+const decodeEntities = s => s.replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&#39;|&#x27;/g, "'").replace(/&nbsp;/g, " ");
+const stripTags = s => decodeEntities(s.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+
+// [{ url, text }] for every Markdown, HTML and bare link; relative URLs are
+// resolved against `base`, or dropped without one.
+export function extractLinks(text, base = null) {
+  const out = [];
+  const push = (href, label) => {
+    let url;
+    try { url = new URL(decodeEntities(href.trim()), base ?? undefined).href; } catch { return; }
+    if (/^https?:/.test(url)) out.push({ url, text: stripTags(label ?? "") });
+  };
+  const s = String(text ?? "");
+  for (const m of s.matchAll(/<a\b[^>]*\bhref\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) push(m[1], m[2]);
+  for (const m of s.matchAll(/\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) push(m[2], m[1]);
+  for (const m of s.matchAll(/(?<![("'=\]])\bhttps?:\/\/[^\s<>()"'\]]+/g)) push(m[0].replace(/[.,;:!?]+$/, ""), "");
+  return out;
+}
+
+// { key: [values] } from FUNDING.yml's flat "key: value" / "key: [a, b]" / "- item" lines.
+export function parseFundingYml(text) {
+  const out = {};
+  let key = null;
+  for (const raw of String(text ?? "").split("\n")) {
+    const line = raw.replace(/\s+#.*$/, "").trimEnd();
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const item = line.match(/^\s+-\s*(.+)$/);
+    if (item && key) { out[key].push(unquote(item[1])); continue; }
+    const kv = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!kv) continue;
+    key = kv[1];
+    const v = kv[2].trim();
+    out[key] = !v ? [] : v.startsWith("[") ? v.replace(/^\[|\]$/g, "").split(",").map(unquote).filter(Boolean) : [unquote(v)];
+  }
+  for (const k of Object.keys(out)) if (!out[k].length || out[k].every(v => v === "null" || v === "~")) delete out[k];
+  return out;
+}
+function unquote(s) {
+  return s.trim().replace(/^["']|["']$/g, "");
+}
+
+// First README paragraph that reads like prose: no heading, badge, image,
+// table or HTML-only line; links keep their text. Cut to SUMMARY_CHARS at a
+// sentence end when there is one.
+export function readmeSummary(readme) {
+  const text = String(readme ?? "").replace(/\r/g, "").replace(/<!--[\s\S]*?-->/g, "").replace(/```[\s\S]*?```/g, "");
+  for (const block of text.split(/\n\s*\n/)) {
+    const lines = block.split("\n").map(l => l.trim()).filter(l => l && !/^(#|\||!\[|\[!\[|---|===|>?\s*\[!(NOTE|TIP|WARNING|IMPORTANT)\])/i.test(l));
+    if (!lines.length) continue;
+    const prose = stripTags(lines.join(" ")
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/^>\s*/, "")
+      .replace(/[*_`]+/g, ""));
+    if (prose.replace(/[^\p{L}]/gu, "").length < 20) continue;
+    return clip(prose);
+  }
+  return null;
+}
+function clip(s) {
+  if (s.length <= SUMMARY_CHARS) return s;
+  const cut = s.slice(0, SUMMARY_CHARS);
+  const end = [...cut.matchAll(/[.!?。](?=\s|$)/g)].at(-1)?.index ?? -1;
+  return end > 40 ? cut.slice(0, end + 1) : cut.replace(/\s+\S*$/, "") + "…";
+}
+
+// <meta name="description"> or og:description of a page.
+export function pageDescription(html) {
+  for (const m of String(html ?? "").matchAll(/<meta\b[^>]*>/gi)) {
+    const tag = m[0];
+    if (!/\b(?:name|property)\s*=\s*["'](?:description|og:description)["']/i.test(tag)) continue;
+    const content = tag.match(/\bcontent\s*=\s*"([^"]*)"|\bcontent\s*=\s*'([^']*)'/i);
+    const text = content && stripTags(content[1] ?? content[2]);
+    if (text) return clip(text);
+  }
+  return null;
+}
+
+const uniq = xs => [...new Set(xs)].slice(0, MAX_LINKS);
+
+export function extractWebSignals({ readme = null, funding = null, pages = [] } = {}) {
+  const links = [
+    ...extractLinks(readme),
+    ...pages.flatMap(p => extractLinks(p.html, p.url))
+  ];
+  const texts = [readme ?? "", ...pages.map(p => stripTags(String(p.html ?? "").replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")))];
+
+  const fundingList = [];
+  const addFunding = (platform, account) => {
+    if (account && !fundingList.some(f => f.platform === platform && f.account === account)) fundingList.push({ platform, account });
+  };
+  for (const [key, values] of Object.entries(parseFundingYml(funding))) {
+    for (const v of values) addFunding(key, v);
+  }
+  for (const { url } of links) {
+    for (const [platform, re] of FUNDING_HOSTS) {
+      const m = url.match(re);
+      if (m) addFunding(platform, m[1]);
+    }
+  }
+
+  const community = {};
+  for (const [name, re] of Object.entries(COMMUNITY_HOSTS)) community[name] = links.find(l => re.test(l.url))?.url ?? null;
+
+  return {
+    summary: readmeSummary(readme) ?? pages.map(p => pageDescription(p.html)).find(Boolean) ?? null,
+    pricing: uniq(links.filter(l => PRICING_PATH.test(new URL(l.url).pathname) || PRICING.test(l.text)).map(l => l.url)),
+    demo: uniq(links.filter(l => DEMO_PATH.test(new URL(l.url).pathname) || DEMO.test(l.text)).map(l => l.url)),
+    hosted: uniq(texts.flatMap(t => [...t.matchAll(HOSTED)].map(m => m[0].toLowerCase().replace(/\s+/g, " ")))),
+    community,
+    funding: fundingList
+  };
+}
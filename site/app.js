@@ -0,0 +1,446 @@
+// site/app.js
+// Static dashboard over data/derived. Everything it needs is listed in
+// data/derived/index.json (scripts/build_site_index.js); the selected view
+// lives in the URL hash so it can be shared. Curve alignment for the compare
+// view is in compare.js.
+//
+// The page expects to be served from the repo root (site/index.html next to
+// data/); ?data=URL points it at another copy of data/derived.
+
+import { alignCurves, compareSVG, toCSV, COLORS } from "./compare.js";
+
+const DATA = new URLSearchParams(location.search).get("data") || "../data/derived";
+
+const STATE_KEYS = ["period", "board", "variant", "q", "lang", "license", "owner", "community", "min", "max", "sort", "dir", "repo", "chart",
+  "compare", "align", "span", "scale"];
+const DEFAULTS = { board: "ross", sort: "rank", dir: "asc", chart: "weekly", align: "calendar", span: "180", scale: "linear" };
+
+let index = null;
+let rows = [];
+let state = {};
+
+const $ = id => document.getElementById(id);
+const esc = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+const fmt = n => n == null ? "–" : Number(n).toLocaleString("en-US", { maximumFractionDigits: 2 });
+const pct = n => n == null ? "–" : (n * 100).toLocaleString("en-US", { maximumFractionDigits: 1 }) + "%";
+const repoFile = repo => repo.replace("/", "__") + ".json";
+const compared = () => (state.compare ?? "").split(",").filter(Boolean);
+
+// A missing file (no forecast yet, no owner record) is null, not an error.
+async function fetchJSON(url) {
+  const r = await fetch(url);
+  if (!r.ok) return null;
+  return r.json();
+}
+
+function readHash() {
+  const p = new URLSearchParams(location.hash.slice(1));
+  state = { ...DEFAULTS };
+  for (const k of STATE_KEYS) if (p.has(k)) state[k] = p.get(k);
+}
+
+function writeHash() {
+  const p = new URLSearchParams();
+  for (const k of STATE_KEYS) if (state[k] && state[k] !== DEFAULTS[k]) p.set(k, state[k]);
+  history.replaceState(null, "", "#" + p.toString());
+}
+
+function setState(patch) {
+  Object.assign(state, patch);
+  writeHash();
+}
+
+// Legacy ROSS rows carry abs_gain_90d / rel_gain_90d instead of abs_gain / rel_gain.
+const COLUMNS = {
+  ross: [
+    { key: "rank", label: "Rank", num: true, get: r => r.rank },
+    { key: "repo", label: "Repo", get: r => r.repo },
+    { key: "language", label: "Language", get: r => r.info.language },
+    { key: "stars", label: "Stars", num: true, get: r => r.stars_now ?? r.info.stars_now, fmt },
+    { key: "window", label: "Best window", get: r => r.best_window_start ? `${r.best_window_start} → ${r.best_window_end}` : null },
+    { key: "gain", label: "Gain", num: true, get: r => r.abs_gain ?? r.abs_gain_90d, fmt },
+    { key: "rel", label: "Relative", num: true, get: r => r.rel_gain ?? r.rel_gain_90d, fmt: pct },
+    { key: "owner", label: "Owner", get: r => r.owner_type ?? r.info.owner_type }
+  ],
+  delta: [
+    { key: "rank", label: "Rank", num: true, get: r => r.rank },
+    { key: "repo", label: "Repo", get: r => r.repo },
+    { key: "language", label: "Language", get: r => r.info.language },
+    { key: "license", label: "License", get: r => r.info.license },
+    { key: "stars", label: "Stars", num: true, get: r => r.info.stars_now, fmt },
+    { key: "delta", label: "Delta", num: true, get: r => r.delta, fmt },
+    { key: "owner", label: "Owner", get: r => r.info.owner_type }
+  ]
+};
+
+function currentPeriod() {
+  return index.periods.find(p => p.key === state.period) ?? index.periods[0];
+}
+
+function fillSelect(el, values, selected, allLabel = null) {
+  el.innerHTML = (allLabel ? `<option value="">${allLabel}</option>` : "") +
+    values.map(v => `<option value="${esc(v.value)}"${v.value === selected ? " selected" : ""}>${esc(v.label)}</option>`).join("");
+}
+
+function renderControls() {
+  fillSelect($("period"), index.periods.map(p => ({ value: p.key, label: p.start ? `${p.key} (${p.start} – ${p.end})` : p.key })), currentPeriod()?.key);
+  const boards = currentPeriod()?.[state.board] ?? [];
+  fillSelect($("variant"), boards.map(b => ({ value: b.variant, label: b.variant ? b.variant.replace(/^__/, "").replaceAll("__", ", ") : "default" })), state.variant ?? "");
+  $("variant").disabled = boards.length < 2;
+  document.querySelectorAll("#board button").forEach(b => b.classList.toggle("active", b.dataset.board === state.board));
+}
+
+function renderFilterOptions() {
+  const distinct = get => [...new Set(rows.map(get).filter(Boolean))].sort().map(v => ({ value: v, label: v }));
+  fillSelect($("language"), distinct(r => r.info.language), state.lang, "All");
+  fillSelect($("license"), distinct(r => r.info.license), state.license, "All");
+  fillSelect($("owner"), distinct(r => r.owner_type ?? r.info.owner_type), state.owner, "All");
+  const countryName = code => index.countries?.[code] ?? code;
+  fillSelect($("community"), [
+    ...distinct(r => r.info.community_region),
+    ...distinct(r => r.info.community_country).map(v => ({ ...v, label: countryName(v.value) })).sort((a, b) => a.label.localeCompare(b.label))
+  ], state.community, "Anywhere");
+  $("search").value = state.q ?? "";
+  $("min").value = state.min ?? "";
+  $("max").value = state.max ?? "";
+}
+
+async function loadBoard() {
+  const period = currentPeriod();
+  const boards = period?.[state.board] ?? [];
+  const board = boards.find(b => b.variant === (state.variant ?? "")) ?? boards[0];
+  renderControls();
+  if (!board) {
+    rows = [];
+    $("status").textContent = period ? `No ${state.board} leaderboard for ${period.key}.` : "No leaderboards yet.";
+    renderTable();
+    return;
+  }
+  const data = await fetchJSON(`${DATA}/${board.file}`);
+  if (!data) $("status").textContent = `Could not load ${board.file}.`;
+  const list = Array.isArray(data) ? data : data?.rows ?? [];
+  rows = list.map(r => {
+    const repo = index.aliases?.[r.repo.toLowerCase()] ?? r.repo;
+    return { ...r, repo, info: index.repos[repo] ?? {} };
+  });
+  renderFilterOptions();
+  renderTable();
+  renderCompare();   // ROSS-aligned curves depend on the period's board
+}
+
+function filtered() {
+  const q = (state.q ?? "").toLowerCase();
+  const min = state.min ? Number(state.min) : null;
+  const max = state.max ? Number(state.max) : null;
+  return rows.filter(r => {
+    const stars = r.stars_now ?? r.info.stars_now;
+    if (q && !r.repo.toLowerCase().includes(q) && !(r.info.description ?? "").toLowerCase().includes(q)) return false;
+    if (state.lang && r.info.language !== state.lang) return false;
+    if (state.license && r.info.license !== state.license) return false;
+    if (state.owner && (r.owner_type ?? r.info.owner_type) !== state.owner) return false;
+    if (state.community && r.info.community_country !== state.community && r.info.community_region !== state.community) return false;
+    if (min != null && !(stars >= min)) return false;
+    if (max != null && !(stars <= max)) return false;
+    return true;
+  });
+}
+
+function renderTable() {
+  const cols = COLUMNS[state.board];
+  const col = cols.find(c => c.key === state.sort) ?? cols[0];
+  const sign = state.dir === "desc" ? -1 : 1;
+  const list = filtered().sort((a, b) => {
+    const x = col.get(a), y = col.get(b);
+    if (x == null || y == null) return (x == null) - (y == null);
+    return sign * (typeof x === "number" ? x - y : String(x).localeCompare(String(y)));
+  });
+
+  const picked = new Set(compared());
+  $("top").querySelector("thead tr").innerHTML = `<th title="Compare"></th>` + cols.map(c =>
+    `<th data-key="${c.key}" class="${c.key === col.key ? `sorted ${state.dir}` : ""}">${c.label}</th>`).join("");
+  $("top").querySelector("tbody").innerHTML = list.map(r =>
+    `<tr data-repo="${esc(r.repo)}" class="${r.anomaly?.flagged ? "flagged" : ""}${r.tombstone ?? r.info.tombstone ? " gone" : ""}">` +
+    `<td class="pick"><input type="checkbox" data-compare${picked.has(r.repo) ? " checked" : ""} title="Compare"></td>` +
+    cols.map(c => {
+      const v = c.get(r);
+      return `<td class="${c.num ? "num" : ""}">${esc(c.fmt ? c.fmt(v) : v ?? "–")}</td>`;
+    }).join("") + "</tr>").join("");
+  if (rows.length) $("status").textContent = `${list.length} of ${rows.length} repos`;
+}
+
+// --- drawer ---
+
+function dl(el, pairs) {
+  const shown = pairs.filter(([, v]) => v != null && v !== "");
+  el.innerHTML = shown.length ? shown.map(([k, v]) => `<dt>${esc(k)}</dt><dd>${v}</dd>`).join("") : `<dd class="muted">No data.</dd>`;
+}
+
+// README / homepage signals (enrich_web_signals.js), when the meta file has them.
+function renderWebSignals(w) {
+  const links = urls => (urls ?? []).map(u => `<a href="${esc(u)}" target="_blank" rel="noopener">${esc(u)}</a>`).join("<br>") || null;
+  dl($("webSignals"), w ? [
+    ["Summary", esc(w.summary)], ["Pricing", links(w.pricing)], ["Demo", links(w.demo)], ["Hosted", esc((w.hosted ?? []).join(", "))],
+    ["Discord", links(w.community?.discord ? [w.community.discord] : [])], ["Slack", links(w.community?.slack ? [w.community.slack] : [])],
+    ["Funding", esc((w.funding ?? []).map(f => `${f.platform}: ${f.account}`).join(", "))]
+  ] : []);
+}
+
+function renderLocations(meta) {
+  const locs = meta?.contributor_locations;
+  const el = $("locations");
+  if (!locs || !Object.keys(locs).length) { el.innerHTML = `<p class="muted">Not collected.</p>`; return; }
+  const unknown = locs.unknown ?? 0;
+  const known = Object.entries(locs).filter(([k]) => k !== "unknown").sort((a, b) => b[1] - a[1]);
+  const top = known.slice(0, 12);
+  const rest = known.slice(12).reduce((n, [, v]) => n + v, 0);
+  if (rest) top.push(["other", rest]);
+  const maxN = Math.max(1, ...top.map(([, v]) => v));
+  el.innerHTML = `<div class="loc">` + top.map(([k, v]) =>
+    `<span>${esc(k)}</span><span><div class="meter" style="width:${(v / maxN) * 100}%"></div></span><span class="num">${v}</span>`).join("") +
+    `</div><p class="muted">${unknown} contributors without a location.</p>` + renderCountries(meta);
+}
+
+// Geocoded countries (geocode_locations.js), when the meta file has them.
+function renderCountries(meta) {
+  const countries = Object.entries(meta.contributor_countries ?? {});
+  if (!countries.length) return "";
+  const shown = countries.slice(0, 8).map(([code, n]) => `${esc(index.countries?.[code] ?? code)} ${n}`).join(", ");
+  return `<p>By country: ${shown}${countries.length > 8 ? ", …" : ""} <span class="muted">(${pct(meta.contributor_located_share)} of contributors located)</span></p>`;
+}
+
+const dayMs = 86400000;
+const t = iso => Date.parse(iso + "T00:00:00Z");
+
+// Weekly bars or the cumulative line, with the forecast's point line and
+// 80% / 95% bands after the last complete week.
+function renderChart(weekly, fc, mode) {
+  const W = 700, H = 260, pad = { l: 50, r: 10, t: 10, b: 20 };
+  const hist = weekly?.weekly ?? [];
+  const fcRows = fc?.forecast ?? [];
+  if (!hist.length) { $("chart").innerHTML = `<p class="muted">No weekly history.</p>`; return; }
+  const from = t(hist[Math.max(0, hist.length - 104)].start);
+
+  let points, pred, bands;
+  if (mode === "cumulative") {
+    points = (weekly.cumulative ?? []).filter(r => t(r.date) >= from).map(r => [t(r.date), r.value]);
+    pred = fcRows.map(f => [t(f.end), f.cumulative?.pred]);
+    bands = level => fcRows.map(f => [t(f.end), f.cumulative?.interval?.[level]]);
+  } else {
+    points = hist.filter(w => t(w.start) >= from).map(w => [t(w.start), w.total]);
+    pred = fcRows.map(f => [t(f.start), f.pred]);
+    bands = level => fcRows.map(f => [t(f.start), f.interval?.[level]]);
+  }
+  if (!points.length) { $("chart").innerHTML = `<p class="muted">No ${mode} history.</p>`; return; }
+  const b95 = bands("95").filter(([, iv]) => iv);
+  const b80 = bands("80").filter(([, iv]) => iv);
+  const xs = [...points.map(p => p[0]), ...pred.map(p => p[0])];
+  const ys = [...points.map(p => p[1]), ...pred.map(p => p[1] ?? 0), ...b95.flatMap(([, iv]) => iv)];
+  const yMin = mode === "cumulative" ? Math.min(...ys) : 0;
+  const x0 = Math.min(...xs), x1 = Math.max(...xs) + 7 * dayMs, y1 = Math.max(yMin + 1, ...ys);
+  const X = x => pad.l + (x - x0) / (x1 - x0) * (W - pad.l - pad.r);
+  const Y = y => H - pad.b - (y - yMin) / (y1 - yMin) * (H - pad.t - pad.b);
+  const line = pts => pts.map(([x, y], i) => `${i ? "L" : "M"}${X(x).toFixed(1)},${Y(y).toFixed(1)}`).join("");
+  const area = b => b.length ? line(b.map(([x, iv]) => [x, iv[1]])) + b.slice().reverse().map(([x, iv]) => `L${X(x).toFixed(1)},${Y(iv[0]).toFixed(1)}`).join("") + "Z" : "";
+
+  const barW = Math.max(1, X(x0 + 6 * dayMs) - X(x0));
+  const body = mode === "cumulative"
+    ? `<path class="cum" d="${line(points)}"/>`
+    : points.map(([x, y]) => `<rect class="bar" x="${X(x).toFixed(1)}" y="${Y(y).toFixed(1)}" width="${barW.toFixed(1)}" height="${(Y(yMin) - Y(y)).toFixed(1)}"/>`).join("");
+  const axis = [yMin, (yMin + y1) / 2, y1].map(v => `<text class="axis" x="${pad.l - 4}" y="${Y(v) + 3}" text-anchor="end">${fmt(Math.round(v))}</text>`).join("") +
+    [x0, x1 - 7 * dayMs].map(x => `<text class="axis" x="${X(x)}" y="${H - 4}">${new Date(x).toISOString().slice(0, 10)}</text>`).join("");
+  $("chart").innerHTML = `<svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">${axis}${body}` +
+    `<path class="band95" d="${area(b95)}"/><path class="band80" d="${area(b80)}"/>` +
+    (pred.length ? `<path class="pred" d="${line(pred.filter(([, y]) => y != null))}"/>` : "") + `</svg>`;
+}
+
+function forecastNote(fc) {
+  if (!fc) return "No forecast for this repo.";
+  const parts = [`Model: ${fc.model ?? "holt-winters"}`];
+  if (fc.backtest?.error) parts.push(`backtest MAE ${fmt(fc.backtest.error.mae)}/week`);
+  const qe = fc.quarter_end;
+  if (qe?.interval?.["80"]) parts.push(`${qe.date}: ${fmt(qe.pred)} stars (80%: ${fmt(qe.interval["80"][0])}–${fmt(qe.interval["80"][1])})`);
+  const m = fc.milestones?.find(x => x.week);
+  if (m) parts.push(`crosses ${fmt(m.stars)} around week ${m.week}${m.earliest ? ` (${m.earliest} to ${m.latest ?? "later"})` : ""}`);
+  return parts.join(" · ");
+}
+
+async function openDrawer(repo) {
+  const [owner, name] = repo.split("/");
+  const file = repoFile(repo);
+  $("drawer").hidden = false;
+  $("repoTitle").innerHTML = `<a href="https://github.com/${esc(owner)}/${esc(name)}" target="_blank" rel="noopener">${esc(repo)}</a>`;
+  const [weekly, fc, meta, ownerInfo] = await Promise.all([
+    fetchJSON(`${DATA}/weekly/${file}`),
+    fetchJSON(`${DATA}/forecast/${file}`),
+    fetchJSON(`${DATA}/meta/${file}`),
+    fetchJSON(`${DATA}/owner/${file}`)
+  ]);
+  if (state.repo !== repo) return;   // another repo was opened meanwhile
+  $("repoDesc").textContent = meta?.description ?? "";
+  document.querySelectorAll("#chartMode button").forEach(b => b.classList.toggle("active", b.dataset.mode === state.chart));
+  renderChart(weekly, fc, state.chart);
+  $("forecastNote").textContent = forecastNote(fc);
+  dl($("meta"), [
+    ["Language", esc(meta?.language)], ["License", esc(meta?.license)], ["Stars", fmt(meta?.stars_now)], ["Forks", fmt(meta?.forks)],
+    ["Open issues", fmt(meta?.open_issues)], ["Watchers", fmt(meta?.subscribers)], ["Created", esc(meta?.created_at?.slice(0, 10))],
+    ["Last push", esc(meta?.pushed_at?.slice(0, 10))], ["Topics", esc((meta?.topics ?? []).join(", "))],
+    ["Homepage", meta?.homepage ? `<a href="${esc(meta.homepage)}" target="_blank" rel="noopener">${esc(meta.homepage)}</a>` : null],
+    ["Archived", meta?.archived ? "yes" : null],
+    ["Gone", meta?.tombstone ? esc(`${meta.tombstone.status} since ${meta.tombstone.since.slice(0, 10)}`) : null]
+  ]);
+  dl($("ownerInfo"), ownerInfo ? [
+    ["Login", esc(ownerInfo.owner)], ["Type", esc(ownerInfo.owner_type)], ["Name", esc(ownerInfo.name)], ["Company", esc(ownerInfo.company)],
+    ["Location", esc(ownerInfo.location)], ["Website", ownerInfo.website ? `<a href="${esc(ownerInfo.website)}" target="_blank" rel="noopener">${esc(ownerInfo.website)}</a>` : null],
+    ["Followers", ownerInfo.followers != null ? fmt(ownerInfo.followers) : null], ["Public repos", ownerInfo.public_repos != null ? fmt(ownerInfo.public_repos) : null],
+    ["Bio", esc(ownerInfo.bio)]
+  ] : []);
+  renderWebSignals(meta?.web_signals);
+  renderLocations(meta);
+  $("drawer")._data = { weekly, fc };
+}
+
+// --- compare ---
+
+const weeklyCache = new Map();
+function loadWeekly(repo) {
+  if (!weeklyCache.has(repo)) weeklyCache.set(repo, fetchJSON(`${DATA}/weekly/${repoFile(repo)}`));
+  return weeklyCache.get(repo);
+}
+
+// repo -> best_window_start on the period's ROSS board (the one on screen when
+// the ROSS view is open, the default config otherwise).
+async function rossStarts() {
+  let list = rows;
+  if (state.board !== "ross") {
+    const board = currentPeriod()?.ross.find(b => b.variant === "") ?? currentPeriod()?.ross[0];
+    const data = board ? await fetchJSON(`${DATA}/${board.file}`) : null;
+    list = Array.isArray(data) ? data : data?.rows ?? [];
+  }
+  return new Map(list.map(r => [r.repo, r.best_window_start ?? null]));
+}
+
+let lastCompare = null;
+
+async function renderCompare() {
+  const repos = compared();
+  $("compare").hidden = !repos.length;
+  $("compareList").innerHTML = repos.map(r => `<span class="chip">${esc(r)}<button data-remove="${esc(r)}" title="Remove">×</button></span>`).join("");
+  $("align").value = state.align;
+  $("span").value = state.span;
+  document.querySelectorAll("#scale button").forEach(b => b.classList.toggle("active", b.dataset.scale === state.scale));
+  if (!repos.length) return;
+
+  const [weeklies, starts] = await Promise.all([Promise.all(repos.map(loadWeekly)), state.align === "ross" ? rossStarts() : new Map()]);
+  const inputs = repos.map((repo, i) => ({ repo, cumulative: weeklies[i]?.cumulative ?? [], history: weeklies[i]?.history, ross_start: starts.get(repo) }));
+  const span = state.span === "all" ? null : Number(state.span);
+  const { series, skipped } = alignCurves(inputs, state.align, { span });
+  lastCompare = { series, align: state.align };
+  $("compareChart").innerHTML = compareSVG(series, { align: state.align, log: state.scale === "log" }) || `<p class="muted">Nothing to plot.</p>`;
+  $("compareLegend").innerHTML = series.map((s, i) =>
+    `<span><i style="background:${COLORS[i % COLORS.length]}"></i>${esc(s.repo)}${s.day0 ? ` <span class="muted">day 0 ${s.day0}</span>` : ""}</span>`).join("");
+  $("compareNote").textContent = skipped.map(s => `${s.repo}: ${s.reason}`).join(" · ");
+}
+
+function setCompare(repos) {
+  setState({ compare: [...new Set(repos)].join(",") });
+  renderTable();
+  renderCompare();
+}
+
+function exportCompare() {
+  if (!lastCompare?.series.length) return;
+  const blob = new Blob([toCSV(lastCompare.series, lastCompare.align)], { type: "text/csv" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `compare-${lastCompare.align}.csv`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+function closeDrawer() {
+  $("drawer").hidden = true;
+  setState({ repo: "" });
+}
+
+// --- wiring ---
+
+function bind() {
+  $("period").addEventListener("change", e => { setState({ period: e.target.value, variant: "" }); loadBoard(); });
+  $("variant").addEventListener("change", e => { setState({ variant: e.target.value }); loadBoard(); });
+  $("board").addEventListener("click", e => {
+    const b = e.target.closest("button");
+    if (!b || b.dataset.board === state.board) return;
+    setState({ board: b.dataset.board, variant: "", sort: "rank", dir: "asc" });
+    loadBoard();
+  });
+  const filter = (id, key) => $(id).addEventListener("input", e => { setState({ [key]: e.target.value }); renderTable(); });
+  filter("search", "q"); filter("language", "lang"); filter("license", "license"); filter("owner", "owner"); filter("community", "community"); filter("min", "min"); filter("max", "max");
+  $("top").querySelector("thead").addEventListener("click", e => {
+    const th = e.target.closest("th");
+    if (!th) return;
+    const key = th.dataset.key;
+    setState({ sort: key, dir: state.sort === key && state.dir === "asc" ? "desc" : "asc" });
+    renderTable();
+  });
+  $("top").querySelector("tbody").addEventListener("click", e => {
+    const tr = e.target.closest("tr[data-repo]");
+    if (!tr) return;
+    if (e.target.matches("input[data-compare]")) {
+      const repo = tr.dataset.repo;
+      setCompare(e.target.checked ? [...compared(), repo] : compared().filter(r => r !== repo));
+      return;
+    }
+    setState({ repo: tr.dataset.repo });
+    openDrawer(tr.dataset.repo);
+  });
+  $("chartMode").addEventListener("click", e => {
+    const b = e.target.closest("button");
+    if (!b) return;
+    setState({ chart: b.dataset.mode });
+    document.querySelectorAll("#chartMode button").forEach(x => x.classList.toggle("active", x === b));
+    const { weekly, fc } = $("drawer")._data ?? {};
+    renderChart(weekly, fc, state.chart);
+  });
+  $("close").addEventListener("click", closeDrawer);
+  $("addCompare").addEventListener("click", () => { if (state.repo) setCompare([...compared(), state.repo]); });
+  $("compareList").addEventListener("click", e => {
+    const b = e.target.closest("button[data-remove]");
+    if (b) setCompare(compared().filter(r => r !== b.dataset.remove));
+  });
+  $("compareAdd").addEventListener("change", e => {
+    const repo = e.target.value.trim();
+    e.target.value = "";
+    if (index.repos[repo]) setCompare([...compared(), repo]);
+  });
+  $("align").addEventListener("change", e => { setState({ align: e.target.value }); renderCompare(); });
+  $("span").addEventListener("change", e => { setState({ span: e.target.value }); renderCompare(); });
+  $("scale").addEventListener("click", e => {
+    const b = e.target.closest("button");
+    if (b) { setState({ scale: b.dataset.scale }); renderCompare(); }
+  });
+  $("exportCsv").addEventListener("click", exportCompare);
+  $("compareClear").addEventListener("click", () => setCompare([]));
+  document.addEventListener("keydown", e => { if (e.key === "Escape" && !$("drawer").hidden) closeDrawer(); });
+  window.addEventListener("hashchange", async () => {
+    const before = JSON.stringify(state);
+    readHash();
+    if (JSON.stringify(state) === before) return;
+    await loadBoard();
+    if (state.repo) openDrawer(state.repo); else $("drawer").hidden = true;
+  });
+}
+
+async function main() {
+  index = await fetchJSON(`${DATA}/index.json`);
+  if (!index) {
+    $("status").textContent = `Could not load ${DATA}/index.json; run node scripts/build_site_index.js (or the pipeline) first.`;
+    return;
+  }
+  readHash();
+  $("repoNames").innerHTML = Object.keys(index.repos).map(r => `<option value="${esc(r)}">`).join("");
+  bind();
+  await loadBoard();
+  if (state.repo) openDrawer(state.repo);
+}
+
+main();
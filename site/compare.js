@@ -0,0 +1,115 @@
+// site/compare.js
+// Overlaid cumulative star curves for the compare view. No DOM access here:
+// app.js fetches the series and puts the returned SVG / CSV on the page.
+//
+// Alignments:
+//   calendar  x = date
+//   stars     x = days since the repo first reached `threshold` stars
+//   ross      x = days since its ROSS best_window_start
+// A repo whose day 0 is unknown (never reached the threshold, crossed it
+// before its fetched history starts, or has no ROSS window) is left out and
+// reported in `skipped`.
+
+export const ALIGNMENTS = ["calendar", "stars", "ross"];
+export const ALIGN_STARS = 1000;
+export const COLORS = ["#2563eb", "#dc2626", "#16a34a", "#9333ea", "#ea580c", "#0891b2", "#ca8a04", "#db2777"];
+
+const DAY_MS = 86400000;
+const dayNum = iso => Date.parse(iso + "T00:00:00Z") / DAY_MS;
+const dayISO = n => new Date(n * DAY_MS).toISOString().slice(0, 10);
+
+// First date the cumulative series is at or above `threshold`; null if it never
+// is, or if it already was before the history begins (stars older than the
+// fetched history, see aggregate_weekly.js `missing_older`).
+export function crossingDate(cumulative, threshold, history = null) {
+  const i = cumulative.findIndex(r => r.value >= threshold);
+  if (i < 0) return null;
+  if ((history?.missing_older ?? 0) >= threshold) return null;
+  return cumulative[i].date;
+}
+
+// [[x, stars]] with one point per day from the first star (or `from`) to the
+// last, values carried forward; x is a day number relative to `day0` (or the
+// absolute day number when day0 is null).
+export function dailyPoints(cumulative, day0 = null, { from = null, to = null } = {}) {
+  if (!cumulative.length) return [];
+  const zero = day0 ? dayNum(day0) : 0;
+  const first = dayNum(cumulative[0].date), last = dayNum(cumulative.at(-1).date);
+  const lo = from == null ? first : Math.max(first, zero + from);
+  const hi = to == null ? last : Math.min(last, zero + to);
+  const out = [];
+  let i = 0, v = 0;
+  for (let d = first; d <= hi; d++) {
+    while (i < cumulative.length && dayNum(cumulative[i].date) <= d) v = cumulative[i++].value;
+    if (d >= lo) out.push([d - zero, v]);
+  }
+  return out;
+}
+
+// inputs: [{ repo, cumulative, history, ross_start }]
+// Returns { series: [{ repo, day0, points }], skipped: [{ repo, reason }] }.
+export function alignCurves(inputs, align = "calendar", { span = null, threshold = ALIGN_STARS } = {}) {
+  if (!ALIGNMENTS.includes(align)) throw new RangeError(`Invalid alignment "${align}"`);
+  const series = [], skipped = [];
+  for (const r of inputs) {
+    if (!r.cumulative?.length) { skipped.push({ repo: r.repo, reason: "no star history" }); continue; }
+    if (align === "calendar") {
+      series.push({ repo: r.repo, day0: null, points: dailyPoints(r.cumulative) });
+      continue;
+    }
+    const day0 = align === "stars" ? crossingDate(r.cumulative, threshold, r.history) : r.ross_start ?? null;
+    if (!day0) {
+      skipped.push({ repo: r.repo, reason: align === "stars" ? `crossing of ${threshold} stars not in history` : "no ROSS window in this period" });
+      continue;
+    }
+    series.push({ repo: r.repo, day0, points: dailyPoints(r.cumulative, day0, { from: -30, to: span }) });
+  }
+  return { series, skipped };
+}
+
+// One row per x with every series' value (blank where a series has none).
+export function toCSV(series, align) {
+  const xs = [...new Set(series.flatMap(s => s.points.map(p => p[0])))].sort((a, b) => a - b);
+  const maps = series.map(s => new Map(s.points));
+  const head = [align === "calendar" ? "date" : "day", ...series.map(s => s.day0 ? `${s.repo} (day 0 ${s.day0})` : s.repo)];
+  const quote = v => /[",\n]/.test(v) ? `"${v.replaceAll('"', '""')}"` : v;
+  const lines = [head.map(quote).join(",")];
+  for (const x of xs) lines.push([align === "calendar" ? dayISO(x) : x, ...maps.map(m => m.get(x) ?? "")].join(","));
+  return lines.join("\n") + "\n";
+}
+
+function ticks(lo, hi, log) {
+  if (log) {
+    const out = [];
+    for (let e = Math.floor(Math.log10(lo)); 10 ** e <= hi; e++) if (10 ** e >= lo) out.push(10 ** e);
+    return out.length ? out : [lo, hi];
+  }
+  return [lo, (lo + hi) / 2, hi];
+}
+
+// SVG markup for aligned series. `log` plots stars on a log10 scale (values
+// below 1 are drawn at 1).
+export function compareSVG(series, { align = "calendar", log = false, width = 900, height = 320 } = {}) {
+  const pts = series.flatMap(s => s.points);
+  if (!pts.length) return "";
+  const pad = { l: 56, r: 10, t: 10, b: 22 };
+  const xs = pts.map(p => p[0]), ys = pts.map(p => Math.max(log ? 1 : 0, p[1]));
+  const x0 = Math.min(...xs), x1 = Math.max(x0 + 1, ...xs);
+  const y0 = log ? Math.max(1, Math.min(...ys)) : 0, y1 = Math.max(y0 + 1, ...ys);
+  const f = log ? Math.log10 : v => v;
+  const X = x => pad.l + (x - x0) / (x1 - x0) * (width - pad.l - pad.r);
+  const Y = y => height - pad.b - (f(Math.max(y, y0)) - f(y0)) / (f(y1) - f(y0)) * (height - pad.t - pad.b);
+  const label = x => align === "calendar" ? dayISO(x) : `day ${x}`;
+  const yTicks = ticks(y0, y1, log).map(v =>
+    `<text class="axis" x="${pad.l - 4}" y="${(Y(v) + 3).toFixed(1)}" text-anchor="end">${Math.round(v).toLocaleString("en-US")}</text>`).join("");
+  const xTicks = [x0, x1].map((x, i) => `<text class="axis" x="${X(x).toFixed(1)}" y="${height - 6}" text-anchor="${i ? "end" : "start"}">${label(x)}</text>`).join("") +
+    (align !== "calendar" && x0 < 0 ? `<line class="zero" x1="${X(0).toFixed(1)}" x2="${X(0).toFixed(1)}" y1="${pad.t}" y2="${height - pad.b}"/>` : "");
+  // Thin long daily series so the path stays a few thousand points at most.
+  const lines = series.map((s, i) => {
+    const step = Math.max(1, Math.floor(s.points.length / 1500));
+    const kept = s.points.filter((_, j) => j % step === 0 || j === s.points.length - 1);
+    const d = kept.map(([x, y], j) => `${j ? "L" : "M"}${X(x).toFixed(1)},${Y(y).toFixed(1)}`).join("");
+    return `<path class="series" stroke="${COLORS[i % COLORS.length]}" d="${d}"/>`;
+  }).join("");
+  return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${yTicks}${xTicks}${lines}</svg>`;
+}
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { startFakeGitHub } from "../scripts/dev/fake_github.js";
+import { activityEvents, activityKnownFrom, engagementColumns } from "../scripts/utils/activity.js";
+import { activitySeries } from "../scripts/aggregate_weekly.js";
+
+const conn = (items, extra = {}) => ({ history: "complete", newest: null, oldest: null, backfill_cursor: null, items, ...extra });
+const activity = (over = {}) => ({
+  exists: true,
+  releases: conn({ "v2.0": "2025-09-10T00:00:00Z", "v1.0": "2025-07-01T00:00:00Z" }),
+  forks: conn({ "a/x": "2025-09-02T00:00:00Z", "b/x": "2025-09-03T00:00:00Z", "c/x": "2025-10-20T00:00:00Z" }),
+  issues: conn({ 1: ["2025-06-01T00:00:00Z", "2025-09-05T00:00:00Z"], 2: ["2025-09-06T00:00:00Z", null] }),
+  pull_requests: conn({ 7: "2025-09-08T00:00:00Z", 8: null }),
+  ...over
+});
+
+test("events flatten every connection into sorted timestamps per metric", () => {
+  const e = activityEvents(activity());
+  assert.deepEqual(e.releases, ["2025-07-01T00:00:00Z", "2025-09-10T00:00:00Z"]);
+  assert.deepEqual(e.issues_opened, ["2025-06-01T00:00:00Z", "2025-09-06T00:00:00Z"]);
+  assert.deepEqual(e.issues_closed, ["2025-09-05T00:00:00Z"]);
+  assert.deepEqual(e.prs_merged, ["2025-09-08T00:00:00Z"]);
+  assert.equal(e.forks.length, 3);
+});
+
+test("a truncated connection is only known from its oldest sort key", () => {
+  const a = activity({ issues: conn({ 2: ["2025-09-06T00:00:00Z", null] }, { history: "truncated", oldest: "2025-09-01T12:00:00Z", backfill_cursor: "c" }) });
+  assert.deepEqual(activityKnownFrom(a), {
+    releases: null, issues_opened: "2025-09-01", issues_closed: "2025-09-01", prs_merged: null, forks: null
+  });
+});
+
+test("engagement counts the window and divides by the star gain", () => {
+  const cols = engagementColumns(activity(), "2025-09-01", "2025-09-30", 10);
+  assert.deepEqual(cols, { releases: 1, issues_opened: 1, issues_closed: 1, prs_merged: 1, forks: 2, per_star: 0.5 });
+  assert.equal(engagementColumns(activity(), "2025-09-01", "2025-09-30", 0).per_star, null);
+  assert.equal(engagementColumns({ exists: false }, "2025-09-01", "2025-09-30", 10), null);
+  assert.equal(engagementColumns(null, "2025-09-01", "2025-09-30", 10), null);
+});
+
+test("metrics whose history does not reach the window start are null", () => {
+  const a = activity({
+    forks: conn({ "a/x": "2025-09-20T00:00:00Z" }, { history: "truncated", oldest: "2025-09-15T00:00:00Z", backfill_cursor: "c" }),
+    releases: conn({}, { history: "unknown" })
+  });
+  const cols = engagementColumns(a, "2025-09-01", "2025-09-30", 10);
+  assert.equal(cols.forks, null);
+  assert.equal(cols.releases, null);
+  assert.equal(cols.issues_opened, 1);
+  assert.equal(cols.per_star, null);
+  assert.equal(engagementColumns(a, "2025-09-15", "2025-09-30", 10).forks, 1);
+});
+
+test("the weekly aggregate gains a series per metric", () => {
+  const s = activitySeries(activity());
+  assert.deepEqual(Object.keys(s), ["known_from", "releases", "issues_opened", "issues_closed", "prs_merged", "forks"]);
+  assert.equal(s.forks.reduce((n, w) => n + w.total, 0), 3);
+  assert.equal(s.forks.length, 2);
+  assert.equal(s.known_from.forks, null);
+  assert.equal(activitySeries({ exists: false }), null);
+});
+
+test("fetching twice backfills truncated connections and catches up on new nodes", async () => {
+  const seed = JSON.parse(fs.readFileSync("fixtures/fake_github/seed.json", "utf8"));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "activity-"));
+  const cwd = process.cwd();
+  let fake = await startFakeGitHub({ seed: path.resolve("fixtures/fake_github/seed.json") });
+  const port = Number(new URL(fake.url).port);
+  // Read once at import, so set before loading the stage.
+  Object.assign(process.env, { GITHUB_API_URL: fake.url, GH_TOKEN: "fake", GH_MIN_DELAY_MS: "0", ACTIVITY_MAX_PAGES: "1" });
+  const { fetchActivity } = await import("../scripts/fetch_activity.js");
+  const { readActivity: read } = await import("../scripts/utils/activity.js");
+  const file = path.join(dir, "data/raw/activity/acme__rocket.json");
+  const state = () => Object.fromEntries(["releases", "forks", "issues", "pull_requests"].map(c => {
+    const x = read(file)[c];
+    return [c, [x.history, Object.keys(x.items).length]];
+  }));
+  process.chdir(dir);
+  try {
+    await fetchActivity({ only: "acme/rocket" });
+    assert.deepEqual(state(), { releases: ["complete", 5], forks: ["truncated", 100], issues: ["truncated", 100], pull_requests: ["complete", 85] });
+    assert.ok(read(file).forks.backfill_cursor);
+
+    // Two new releases: one in the same second as the newest stored one.
+    await fake.close();
+    http.globalAgent.destroy();   // drop keep-alive sockets to the stopped server
+    const repo = seed.repos["acme/rocket"];
+    repo.releases = [...repo.releases, "2025-10-30", "2025-11-10"];
+    fs.writeFileSync("seed.json", JSON.stringify(seed));
+    fake = await startFakeGitHub({ seed: path.join(dir, "seed.json"), port });
+
+    await fetchActivity({ only: "acme/rocket" });
+    assert.deepEqual(state(), { releases: ["complete", 7], forks: ["complete", 140], issues: ["complete", 157], pull_requests: ["complete", 85] });
+    const a = read(file);
+    assert.equal(a.forks.backfill_cursor, null);
+    assert.equal(a.releases.newest, "2025-11-10T12:00:00Z");
+    assert.equal(activityEvents(a).issues_closed.length, 120);
+
+    // Caught up: a third run re-reads only the boundary second and changes nothing.
+    await fetchActivity({ only: "acme/rocket" });
+    assert.deepEqual({ ...read(file), fetched_at: null }, { ...a, fetched_at: null });
+  } finally {
+    process.chdir(cwd);
+    await fake.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
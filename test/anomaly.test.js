@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spikeDays, clusteredBursts, scoreAccounts, anomalyFlags, deflateCumulative, anomalySuffix, flaggedIn, anomalySummary } from "../scripts/utils/anomaly.js";
+import { addDays } from "../scripts/utils/time.js";
+
+// 60 quiet days (10/day, with some noise), one 400-star day, then quiet again.
+function series(spikeDay = 40, spike = 400) {
+  const out = [];
+  for (let i = 0; i < 60; i++) out.push({ date: addDays("2025-01-01", i), daily: i === spikeDay ? spike : 8 + (i % 5) });
+  return out;
+}
+
+test("spikeDays flags a day far above the rolling baseline", () => {
+  const spikes = spikeDays(series());
+  assert.equal(spikes.length, 1);
+  assert.equal(spikes[0].date, "2025-02-10");
+  assert.equal(spikes[0].stars, 400);
+  assert.equal(spikes[0].baseline, 10);
+  assert.equal(spikes[0].excess, 390);
+});
+
+test("spikeDays ignores days without a full baseline and modest bumps", () => {
+  assert.deepEqual(spikeDays(series(5)), []);        // launch week: no baseline yet
+  assert.deepEqual(spikeDays(series(40, 45)), []);   // under spike_min_stars
+  assert.deepEqual(spikeDays([]), []);
+});
+
+test("clusteredBursts flags spike days whose stars land in one hour", () => {
+  const at = (day, start, n, stepSec) => Array.from({ length: n }, (_, i) => new Date(Date.parse(`${day}T${start}Z`) + i * stepSec * 1000).toISOString());
+  const bought = [...at("2025-02-10", "03:00:00", 300, 10), ...at("2025-02-10", "12:00:00", 100, 300)];   // 300 in 50 min + 100 spread
+  const organic = at("2025-02-11", "00:00:00", 400, 200);                                                  // 400 over ~22 h
+  const spikes = [{ date: "2025-02-10" }, { date: "2025-02-11" }];
+  const bursts = clusteredBursts([...bought, ...organic].sort(), spikes);
+  assert.equal(bursts.length, 1);
+  assert.deepEqual(bursts[0], { date: "2025-02-10", start: bought[0], end: bought[299], stars: 300, share: 0.75 });
+  assert.deepEqual(clusteredBursts(bought, []), []);
+});
+
+test("scoreAccounts counts fresh and empty accounts", () => {
+  const s = scoreAccounts([
+    { starred_at: "2025-02-10T00:00:00Z", created_at: "2025-02-01T00:00:00Z", followers: 3, public_repos: 2 },  // 9 days old
+    { starred_at: "2025-02-10T00:00:00Z", created_at: "2019-01-01T00:00:00Z", followers: 0, public_repos: 0 },  // empty
+    { starred_at: "2025-02-10T00:00:00Z", created_at: "2019-01-01T00:00:00Z", followers: 0, public_repos: 4 },
+    { starred_at: "2025-02-10T00:00:00Z", created_at: "2018-01-01T00:00:00Z", followers: 12, public_repos: 9 }
+  ]);
+  assert.deepEqual(s, { sampled: 4, suspicious: 2, share: 0.5 });
+});
+
+test("anomalyFlags needs a clustered spike day, or enough suspicious accounts", () => {
+  const burst = [{ date: "2025-02-10", start: "2025-02-10T03:00:00Z", end: "2025-02-10T03:25:00Z", stars: 150, share: 0.8 }];
+  assert.deepEqual(anomalyFlags({ bursts: burst, accounts: null }), ["clustered_spike"]);
+  assert.deepEqual(anomalyFlags({ bursts: [], accounts: null }), []);
+  assert.deepEqual(anomalyFlags({ bursts: [], accounts: { sampled: 40, suspicious: 30, share: 0.75 } }), ["suspicious_accounts"]);
+  assert.deepEqual(anomalyFlags({ bursts: [], accounts: { sampled: 5, suspicious: 5, share: 1 } }), []);
+});
+
+test("deflateCumulative removes spike excess from that day on", () => {
+  const cum = [{ date: "2025-02-09", value: 100 }, { date: "2025-02-10", value: 500 }, { date: "2025-02-11", value: 510 }];
+  assert.deepEqual(deflateCumulative(cum, [{ date: "2025-02-10", excess: 390 }]),
+    [{ date: "2025-02-09", value: 100 }, { date: "2025-02-10", value: 110 }, { date: "2025-02-11", value: 120 }]);
+  assert.equal(deflateCumulative(cum, []), cum);
+});
+
+test("anomalySuffix names exclude/downweight boards", () => {
+  assert.equal(anomalySuffix("flag"), "");
+  assert.equal(anomalySuffix("exclude"), "__exclude-flagged");
+  assert.equal(anomalySuffix("downweight"), "__downweight-flagged");
+  assert.throws(() => anomalySuffix("hide"), RangeError);
+});
+
+test("flaggedIn and anomalySummary only count the ranked range", () => {
+  const a = {
+    flagged: true, flags: ["clustered_spike"],
+    spikes: [{ date: "2018-01-06", excess: 5000 }, { date: "2025-10-05", excess: 300 }],
+    bursts: [{ date: "2018-01-06" }]
+  };
+  assert.equal(flaggedIn(a, "2018-01-01", "2018-03-31"), true);
+  assert.equal(flaggedIn(a, "2025-10-01", "2025-12-31"), false);
+  assert.deepEqual(anomalySummary(a, "2025-10-01", "2025-12-31"), { flagged: false, flags: [], spike_days: 1, excess_stars: 300 });
+  assert.equal(anomalySummary(a, "2024-01-01", "2024-12-31"), null);
+  assert.equal(anomalySummary(null, "2024-01-01", "2024-12-31"), null);
+  const sampled = { flagged: true, flags: ["suspicious_accounts"], spikes: [], bursts: [], accounts: { dates: ["2025-11-02"] } };
+  assert.equal(flaggedIn(sampled, "2025-10-01", "2025-12-31"), true);
+  assert.equal(flaggedIn(sampled, "2025-07-01", "2025-09-30"), false);
+});
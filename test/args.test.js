@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseYear, parseQuarter, resolveQuarter, parseRepo, parseRossOptions, periodFromArgs } from "../scripts/utils/args.js";
+import { parseCli } from "../scripts/cli.js";
+
+test("parseQuarter accepts Qn, n and YYYY-Qn", () => {
+  assert.deepEqual(parseQuarter("Q4"), { year: null, q: 4 });
+  assert.deepEqual(parseQuarter("q1"), { year: null, q: 1 });
+  assert.deepEqual(parseQuarter("3"), { year: null, q: 3 });
+  assert.deepEqual(parseQuarter("2025-Q2"), { year: 2025, q: 2 });
+});
+
+test("parseQuarter rejects anything else", () => {
+  for (const bad of ["", "Q", "Q5", "0", "Q0", "2025-Q", "2025-Q7", "four", "Q4x", undefined]) {
+    assert.throws(() => parseQuarter(bad), /Invalid quarter/, String(bad));
+  }
+});
+
+test("parseYear requires four digits", () => {
+  assert.equal(parseYear("2025"), 2025);
+  assert.equal(parseYear(2024), 2024);
+  for (const bad of ["", "25", "20255", "NaN", "2025a"]) assert.throws(() => parseYear(bad), /Invalid year/);
+});
+
+test("resolveQuarter defaults to the current UTC quarter", () => {
+  process.env.PIPELINE_NOW = "2025-11-16T06:17:00Z";
+  try {
+    assert.deepEqual(resolveQuarter(), { year: 2025, q: 4 });
+    assert.deepEqual(resolveQuarter("2024"), { year: 2024, q: 4 });
+    assert.deepEqual(resolveQuarter(undefined, "Q1"), { year: 2025, q: 1 });
+    assert.deepEqual(resolveQuarter(undefined, "2023-Q2"), { year: 2023, q: 2 });
+    assert.throws(() => resolveQuarter("2024", "2023-Q2"), /conflicts/);
+  } finally {
+    delete process.env.PIPELINE_NOW;
+  }
+});
+
+test("parseRepo validates owner/repo", () => {
+  assert.deepEqual(parseRepo("curl/curl"), { owner: "curl", repo: "curl" });
+  assert.deepEqual(parseRepo("HiEventsDev/Hi.Events"), { owner: "HiEventsDev", repo: "Hi.Events" });
+  assert.throws(() => parseRepo("curl"), /Invalid repo/);
+  assert.throws(() => parseRepo("a/b/c"), /Invalid repo/);
+});
+
+test("parseCli validates commands and options", () => {
+  const ctx = parseCli(["ross", "--year", "2025", "--quarter", "Q3", "--only", "curl/curl", "--dry-run", "--window", "60"]);
+  assert.deepEqual(ctx, {
+    command: "ross", year: 2025, q: 3, only: "curl/curl", dryRun: true,
+    period: { kind: "quarter", key: "2025-Q3", start: "2025-07-01", end: "2025-09-30" }, explicitPeriod: false, top: 100,
+    anomalies: "flag", sampleAccounts: 0, feed: { top: 25, min_gain: 1 }, entity: [],
+    ross: { window_days: 60, min_start_stars: 1000, scoring: "relative" }
+  });
+  const monthly = parseCli(["rank", "--period", "2025-10", "--top", "25"]);
+  assert.equal(monthly.period.key, "2025-10");
+  assert.equal(monthly.top, 25);
+  assert.throws(() => parseCli(["rank", "--top", "0"]), /Invalid --top/);
+  assert.throws(() => parseCli(["rank", "--period", "2025-13"]), /Invalid month/);
+  assert.equal(parseCli(["ross", "--anomalies", "exclude"]).anomalies, "exclude");
+  assert.throws(() => parseCli(["ross", "--anomalies", "hide"]), /Invalid --anomalies/);
+  assert.throws(() => parseCli(["anomalies", "--sample-accounts", "lots"]), /Invalid --sample-accounts/);
+  assert.deepEqual(parseCli(["feeds", "--feed-top", "10", "--min-gain", "2.5"]).feed, { top: 10, min_gain: 2.5 });
+  assert.throws(() => parseCli(["feeds", "--min-gain", "lots"]), /Invalid --min-gain/);
+  assert.deepEqual(parseCli(["ross", "--entity", "startup-backed, Individual"]).entity, ["individual", "startup-backed"]);
+  assert.throws(() => parseCli(["ross", "--entity", "vc"]), /Invalid --entity/);
+  assert.throws(() => parseCli(["launch"]), /Unknown command/);
+  assert.throws(() => parseCli(["rank", "--quarter", "QNaN"]), /Invalid quarter/);
+  assert.throws(() => parseCli(["rank", "--bogus"]), /Unknown option/);
+  assert.throws(() => parseCli(["stars", "--only", "nope"]), /Invalid repo/);
+  assert.throws(() => parseCli(["ross", "--scoring", "loud"]), /Invalid ROSS scoring/);
+});
+
+test("parseRossOptions fills defaults and rejects bad values", () => {
+  assert.deepEqual(parseRossOptions({}), { window_days: 90, min_start_stars: 1000, scoring: "relative" });
+  assert.deepEqual(parseRossOptions({ window: "30", "min-start": "250", scoring: "blended" }),
+    { window_days: 30, min_start_stars: 250, scoring: "blended" });
+  assert.throws(() => parseRossOptions({ window: "7" }), /Invalid ROSS window/);
+  assert.throws(() => parseRossOptions({ "min-start": "1e3" }), /Invalid --min-start/);
+  assert.throws(() => parseRossOptions({ scoring: "hype" }), /Invalid ROSS scoring/);
+});
+
+test("periodFromArgs prefers --period, then a single positional, then YEAR Q", () => {
+  assert.equal(periodFromArgs({ period: "2025-H1" }, ["2024", "Q1"]).key, "2025-H1");
+  assert.equal(periodFromArgs({}, ["2025-10"]).key, "2025-10");
+  assert.equal(periodFromArgs({}, ["2025", "Q4"]).key, "2025-Q4");
+  assert.equal(periodFromArgs({}, ["2025", "4"]).end, "2025-12-31");
+  assert.throws(() => periodFromArgs({}, []), /Invalid quarter/);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { errorMetrics, backtestOrigins, backtestModel, selectModel } from "../scripts/utils/backtest.js";
+
+test("error metrics: MAPE skips zero actuals, sMAPE counts 0 vs 0 as exact", () => {
+  const m = errorMetrics([0, 10, 20], [0, 15, 10]);
+  assert.equal(m.mae, 5);
+  assert.equal(m.mape, (0.5 + 0.5) / 2);
+  assert.ok(Math.abs(m.smape - (0 + 10 / 25 + 20 / 30) / 3) < 1e-12);
+  assert.equal(errorMetrics([0, 0], [1, 1]).mape, null);
+});
+
+test("origins step back from the end and stop at the minimum training length", () => {
+  assert.deepEqual(backtestOrigins(30, { origins: 3, step: 4, min_train: 8 }), [21, 25, 29]);
+  assert.deepEqual(backtestOrigins(12, { origins: 6, step: 4, min_train: 8 }), [11]);
+  assert.deepEqual(backtestOrigins(5), []);
+});
+
+test("models without enough history are not scored", () => {
+  assert.equal(backtestModel(Array(40).fill(1), "holt_winters"), null);
+  assert.ok(backtestModel(Array(40).fill(1), "naive"));
+});
+
+test("selection picks drift for a steady climb and falls back to naive when too short", () => {
+  const climb = Array.from({ length: 60 }, (_, i) => 10 + 3 * i);
+  const sel = selectModel(climb);
+  assert.ok(["drift", "damped_holt"].includes(sel.model));
+  assert.ok(sel.error.mae < sel.scores.naive.mae);
+  assert.deepEqual(selectModel([1, 2, 3]), { model: "naive", metric: "mae", error: null, scores: {} });
+  assert.throws(() => selectModel(climb, { metric: "rmse" }), RangeError);
+});
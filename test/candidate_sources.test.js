@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseSources, mergeCandidates, readWatchlist, DEFAULT_SOURCES } from "../scripts/utils/candidate_sources.js";
+
+test("parseSources defaults and validates names", () => {
+  assert.deepEqual(parseSources(undefined), DEFAULT_SOURCES);
+  assert.deepEqual(parseSources("watchlist, trending,watchlist"), ["watchlist", "trending"]);
+  assert.throws(() => parseSources("trending,hackernews"), /Unknown candidate source "hackernews"/);
+});
+
+test("mergeCandidates de-duplicates across sources and keeps trended repos first", () => {
+  const merged = mergeCandidates([
+    ["trending", [{ full: "b/two", trending: { appearances: 1, best_position: 3, score: 0.92 } }, { full: "a/one", trending: { appearances: 2, best_position: 1, score: 2 } }]],
+    ["rising", [{ full: "A/One" }, { full: "c/three" }]],
+    ["carry_over", [{ full: "c/three" }, { full: "a/zero" }]]
+  ]);
+  assert.deepEqual(merged.map(c => `${c.owner}/${c.repo}`), ["a/one", "b/two", "a/zero", "c/three"]);
+  assert.deepEqual(merged[0].sources, ["trending", "rising"]);
+  assert.equal(merged[0].trending.score, 2);
+  assert.deepEqual(merged[3], { owner: "c", repo: "three", sources: ["rising", "carry_over"] });
+});
+
+test("readWatchlist skips comments and reports bad lines", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "watchlist-"));
+  const file = path.join(dir, "watchlist.txt");
+  fs.writeFileSync(file, "# curated\nacme/rocket\n\n  jdoe/tinydb  # db\n");
+  assert.deepEqual(readWatchlist(file), ["acme/rocket", "jdoe/tinydb"]);
+  fs.writeFileSync(file, "acme/rocket\nnot-a-repo\n");
+  assert.throws(() => readWatchlist(file), /watchlist\.txt:2: Invalid repo/);
+  assert.deepEqual(readWatchlist(path.join(dir, "missing.txt")), []);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crossingDate, dailyPoints, alignCurves, toCSV, compareSVG } from "../site/compare.js";
+
+const cum = [
+  { date: "2025-01-01", value: 400 },
+  { date: "2025-01-03", value: 1200 },
+  { date: "2025-01-06", value: 1500 }
+];
+
+test("crossing date is unknown when the threshold was passed before the fetched history", () => {
+  assert.equal(crossingDate(cum, 1000), "2025-01-03");
+  assert.equal(crossingDate(cum, 5000), null);
+  assert.equal(crossingDate(cum, 300, { missing_older: 350 }), null);
+  assert.equal(crossingDate(cum, 380, { missing_older: 350 }), "2025-01-01");
+});
+
+test("daily points carry values forward and are relative to day 0", () => {
+  assert.deepEqual(dailyPoints(cum, "2025-01-03", { from: -1, to: 2 }), [[-1, 400], [0, 1200], [1, 1200], [2, 1200]]);
+  assert.equal(dailyPoints(cum).length, 6);
+});
+
+test("alignment skips repos without a day 0 and exports one CSV row per day", () => {
+  const inputs = [{ repo: "a/a", cumulative: cum, ross_start: "2025-01-02" }, { repo: "b/b", cumulative: cum.slice(0, 1) }];
+  const { series, skipped } = alignCurves(inputs, "ross", { span: 3 });
+  assert.deepEqual(series.map(s => s.repo), ["a/a"]);
+  assert.equal(skipped[0].repo, "b/b");
+  assert.equal(alignCurves(inputs, "stars").skipped.length, 1);
+  const csv = toCSV(alignCurves(inputs, "calendar").series, "calendar").trim().split("\n");
+  assert.equal(csv[0], "date,a/a,b/b");
+  assert.equal(csv[2], "2025-01-02,400,");
+  assert.throws(() => alignCurves(inputs, "weekly"), RangeError);
+});
+
+test("log scale keeps zero-star days on the chart", () => {
+  const svg = compareSVG([{ repo: "a/a", points: [[0, 0], [1, 10], [2, 1000]] }], { log: true });
+  assert.match(svg, /<path class="series"/);
+  assert.doesNotMatch(svg, /NaN|Infinity/);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { contributionShares, busFactor, firstCommitWeeks, commitWeeks, activitySummary, contributorColumns } from "../scripts/utils/contributors.js";
+
+const sec = iso => Date.parse(iso + "T00:00:00Z") / 1000;
+
+test("shares and bus factor measure how concentrated the commits are", () => {
+  assert.deepEqual(contributionShares([10, 70, 10, 5, 5]), { top1: 0.7, top3: 0.9 });
+  assert.deepEqual(contributionShares([]), { top1: null, top3: null });
+  assert.equal(busFactor([70, 10, 10, 5, 5]), 1);
+  assert.equal(busFactor([30, 30, 20, 20]), 2);
+  assert.equal(busFactor([25, 25, 25, 25], 0.8), 4);
+  assert.equal(busFactor([]), 0);
+});
+
+test("first commit weeks and weekly cadence come from the stats endpoints", () => {
+  const stats = [
+    { author: { login: "b" }, weeks: [{ w: sec("2025-01-05"), c: 0 }, { w: sec("2025-01-12"), c: 3 }] },
+    { author: { login: "a" }, weeks: [{ w: sec("2025-01-05"), c: 1 }, { w: sec("2025-01-12"), c: 0 }] },
+    { author: { login: "idle" }, weeks: [{ w: sec("2025-01-05"), c: 0 }] }
+  ];
+  assert.deepEqual(firstCommitWeeks(stats), ["2025-01-05", "2025-01-12"]);
+  assert.deepEqual(firstCommitWeeks(null), []);
+  assert.deepEqual(commitWeeks([{ week: sec("2025-01-12"), total: 3 }, { week: sec("2025-01-05"), total: 1 }]),
+    [{ week: "2025-01-05", commits: 1 }, { week: "2025-01-12", commits: 3 }]);
+});
+
+test("ROSS columns count new contributors and commits over the window only", () => {
+  const activity = ["2025-08-31", "2025-09-07", "2025-09-14", "2025-09-21"].map((d, i) => ({ week: sec(d), total: i * 2 }));
+  const stats = ["2024-01-07", "2025-09-07", "2025-09-28"].map(d => ({ weeks: [{ w: sec(d), c: 1 }] }));
+  const meta = activitySummary({ contributions: [8, 2], stats, activity });
+  assert.equal(meta.commits_per_week, 3);
+  assert.equal(meta.active_week_share, 0.75);
+  assert.deepEqual(contributorColumns(meta, "2025-09-10", "2025-09-24"), {
+    contributors: 2, new_contributors: 1, top_contributor_share: 0.8, top3_contributor_share: 1, bus_factor: 1, commits_per_week: 4
+  });
+  // Stats not computed yet: the window columns stay unknown.
+  const pending = contributorColumns(activitySummary({ contributions: [1] }), "2025-09-10", "2025-09-24");
+  assert.equal(pending.new_contributors, null);
+  assert.equal(pending.commits_per_week, null);
+  assert.equal(contributorColumns(null, "2025-09-10", "2025-09-24").bus_factor, null);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { diffBoard } from "../scripts/diff_leaderboards.js";
+import { parsePeriod } from "../scripts/utils/time.js";
+
+function inTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diff-"));
+  const cwd = process.cwd();
+  const pinned = process.env.PIPELINE_NOW;
+  process.chdir(dir);
+  process.env.PIPELINE_NOW = "2025-11-16T00:00:00Z";
+  try {
+    return fn();
+  } finally {
+    if (pinned == null) delete process.env.PIPELINE_NOW; else process.env.PIPELINE_NOW = pinned;
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const board = key => {
+  const file = path.join("data/derived/quarter", `${key}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ period: key, rows: [{ repo: "acme/tool", rank: 1 }] }));
+};
+const snapshots = key => fs.existsSync(path.join("data/derived/history/quarter", key)) ? fs.readdirSync(path.join("data/derived/history/quarter", key)) : [];
+
+test("only periods that have started and are not over get weekly snapshots", () => inTmp(() => {
+  for (const key of ["2025-Q3", "2025-Q4", "2026-Q1", "rolling-30d"]) {
+    board(key);
+    diffBoard("quarter", key, parsePeriod(key));
+  }
+  assert.deepEqual(snapshots("2025-Q4"), ["2025-W46.json"]);
+  assert.deepEqual(snapshots("rolling-30d"), ["2025-W46.json"]);
+  assert.deepEqual(snapshots("2025-Q3"), []);
+  assert.deepEqual(snapshots("2026-Q1"), []);
+  assert.ok(fs.existsSync("data/derived/quarter/2026-Q1.diff.json"));
+}));
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyEntity, entitySuffix, hostOf } from "../scripts/utils/entity.js";
+
+const today = new Date("2025-11-16T00:00:00Z");
+const org = (o = {}) => ({ owner: "acme", owner_type: "Organization", name: null, bio: null, website: null, created_at: "2015-01-01T00:00:00Z", ...o });
+const user = (o = {}) => ({ owner: "jdoe", owner_type: "User", company: null, bio: null, website: null, followers: 10, ...o });
+const classify = (meta, owner) => classifyEntity({ repo: `${owner?.owner ?? "x"}/tool`, ...meta }, owner, { today });
+const signals = r => r.signals.map(s => s.signal).sort();
+
+test("known big-tech and foundation orgs win on login, website or homepage", () => {
+  assert.equal(classify({}, org({ owner: "GoogleCloudPlatform" })).label, "big-tech");
+  assert.equal(classify({}, org({ owner: "apache", bio: "Apache Labs" })).label, "foundation");
+  assert.equal(classify({ homepage: "https://developers.opensource.google/x" }, org({ owner: "tool-org", website: "https://opensource.google" })).label, "big-tech");
+  // A repo under a big-tech org stays big-tech even with a source-available license and commercial topics.
+  assert.equal(classify({ license: "BUSL-1.1", topics: ["saas"] }, org({ owner: "microsoft" })).label, "big-tech");
+  assert.equal(classify({}, org({ owner: "cool-org", name: "Cool Software Foundation" })).label, "foundation");
+});
+
+test("commercial signals add up to startup-backed for orgs and founders", () => {
+  const acme = classify({ homepage: "https://rocket.acme.dev", license: "Apache-2.0" }, org({ website: "https://acme.dev" }));
+  assert.equal(acme.label, "startup-backed");
+  assert.deepEqual(signals(acme), ["company_website", "homepage_on_owner_site"]);
+  assert.equal(classify({}, org({ bio: "Backed by Y Combinator" })).label, "startup-backed");
+  assert.equal(classify({ license: "AGPL-3.0" }, org({ created_at: "2023-05-01T00:00:00Z" })).label, "startup-backed");
+  // A website alone is not enough, and a GitHub Pages site is not a company website.
+  assert.equal(classify({}, org({ website: "https://acme.dev" })).label, "unknown");
+  assert.deepEqual(signals(classify({}, org({ website: "https://acme.github.io" }))), []);
+  // README and homepage signals from enrich_web_signals.js.
+  const web = classify({ web_signals: { pricing: ["https://acme.dev/pricing"], demo: [], hosted: ["free tier"] } }, org());
+  assert.equal(web.label, "startup-backed");
+  assert.deepEqual(signals(web), ["hosted_offering", "pricing_page"]);
+  const founder = classify({}, user({ bio: "Co-founder @ Newco", company: "Newco" }));
+  assert.equal(founder.label, "startup-backed");
+});
+
+test("user-owned repos are individual unless something else outweighs it", () => {
+  const solo = classify({ license: "MIT" }, user());
+  assert.equal(solo.label, "individual");
+  assert.deepEqual(solo.signals, [{ label: "individual", signal: "owner_type", value: "User, 10 followers", weight: 2 }]);
+  // Working at big tech is recorded but does not make a side project big-tech.
+  const googler = classify({}, user({ company: "@google" }));
+  assert.equal(googler.label, "individual");
+  assert.deepEqual(signals(googler), ["owner_company", "owner_type"]);
+  assert.equal(classify({}, null).label, "unknown");
+});
+
+test("hosts and board suffixes", () => {
+  assert.equal(hostOf("www.Acme.dev/pricing"), "acme.dev");
+  assert.equal(hostOf(null), null);
+  assert.equal(entitySuffix([]), "");
+  assert.equal(entitySuffix(["individual", "startup-backed"]), "__entity-individual+startup-backed");
+});
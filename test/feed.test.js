@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entryId, languageSlug, feedReasons, newEntries, atomFeed, jsonFeed } from "../scripts/utils/feed.js";
+
+const rows = [
+  { repo: "Acme/Rocket", rank: 1, rel_gain: 0.4, abs_gain: 800, stars_now: 3000, best_window_start: "2025-08-01", best_window_end: "2025-10-30", window_start_stars: 2000 },
+  { repo: "b/slow", rank: 40, rel_gain: 0.2 },
+  { repo: "c/spike", rank: 41, rel_gain_90d: 1.5, abs_gain_90d: 1500 },
+  { repo: "d/bots", rank: 2, rel_gain: 3, anomaly: { flagged: true } }
+];
+const meta = new Map([["Acme/Rocket", { description: "Fast <things>", language: "C++", topics: ["cli"] }]]);
+
+test("entry ids and language slugs are stable", () => {
+  assert.equal(entryId("2025-Q4", "Acme/Rocket"), "urn:ross-feed:2025-Q4:acme/rocket");
+  assert.equal(languageSlug("C++"), "cpp");
+  assert.equal(languageSlug("C#"), "csharp");
+  assert.equal(languageSlug("Jupyter Notebook"), "jupyter-notebook");
+  assert.equal(languageSlug(null), "other");
+  assert.deepEqual(feedReasons({ rank: 3, rel_gain: 2 }, { top: 5, min_gain: 1 }), ["top_5", "relative_gain"]);
+  assert.deepEqual(feedReasons({ rank: 30, rel_gain: 0.5 }), []);
+});
+
+test("new entries skip known, flagged and non-breakout repos", () => {
+  const first = newEntries("2025-Q4", rows, new Set(), meta, { top: 25, min_gain: 1 }, "2025-11-10T00:00:00.000Z");
+  assert.deepEqual(first.map(e => e.repo), ["Acme/Rocket", "c/spike"]);
+  assert.equal(first[0].language, "C++");
+  assert.equal(first[1].abs_gain, 1500);
+  assert.deepEqual(first[1].reasons, ["relative_gain"]);
+  const again = newEntries("2025-Q4", rows, new Set(first.map(e => e.id)), meta, {}, "2025-11-17T00:00:00.000Z");
+  assert.deepEqual(again, []);
+});
+
+test("atom and JSON feeds carry entry ids and escaped content", () => {
+  const entries = newEntries("2025-Q4", rows.slice(0, 1), new Set(), meta, {}, "2025-11-10T00:00:00.000Z");
+  const xml = atomFeed({ id: "urn:ross-feed:ross", title: "ROSS" }, entries);
+  assert.match(xml, /<id>urn:ross-feed:2025-Q4:acme\/rocket<\/id>/);
+  assert.match(xml, /<updated>2025-11-10T00:00:00.000Z<\/updated>/);
+  assert.match(xml, /<category term="C\+\+"\/>/);
+  assert.ok(!xml.includes("<things>"));
+  const json = jsonFeed({ title: "ROSS", self: "https://x/ross.json" }, entries);
+  assert.equal(json.feed_url, "https://x/ross.json");
+  assert.equal(json.items[0].id, entries[0].id);
+  assert.deepEqual(json.items[0].tags, ["C++", "cli"]);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { forecastTop } from "../scripts/forecast.js";
+import { toDaily, toWeekly, toCumulative } from "../scripts/aggregate_weekly.js";
+import { parsePeriod, addDays } from "../scripts/utils/time.js";
+
+function inTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "forecast-"));
+  const cwd = process.cwd();
+  const pinned = process.env.PIPELINE_NOW;
+  process.chdir(dir);
+  process.env.PIPELINE_NOW = "2025-11-16T00:00:00Z";
+  try {
+    return fn();
+  } finally {
+    if (pinned == null) delete process.env.PIPELINE_NOW; else process.env.PIPELINE_NOW = pinned;
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function writeWeekly(repo) {
+  const stars = [];
+  for (let d = "2025-01-06"; d < "2025-11-10"; d = addDays(d, 1)) stars.push(`${d}T12:00:00Z`, `${d}T13:00:00Z`);
+  const daily = toDaily(stars);
+  const file = path.join("data/derived/weekly", repo.replace("/", "__") + ".json");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ repo, weekly: toWeekly(daily), cumulative: toCumulative(daily) }));
+}
+const quarterEnd = repo => JSON.parse(fs.readFileSync(path.join("data/derived/forecast", repo.replace("/", "__") + ".json"), "utf8")).quarter_end.date;
+
+test("repos without a weekly file are skipped, not fatal", () => inTmp(() => {
+  assert.doesNotThrow(() => forecastTop(parsePeriod("2025-Q4"), 12, { only: "ghost/repo" }));
+  assert.equal(fs.existsSync("data/derived/forecast"), false);
+}));
+
+test("the projection ends with the period, or the current quarter for rolling ones", () => inTmp(() => {
+  writeWeekly("acme/tool");
+  forecastTop(parsePeriod("2026-Q1"), 12, { only: "acme/tool" });
+  assert.equal(quarterEnd("acme/tool"), "2026-03-31");
+  forecastTop(parsePeriod("2025-10"), 12, { only: "acme/tool" });
+  assert.equal(quarterEnd("acme/tool"), "2025-10-31");
+  forecastTop(parsePeriod("rolling-30d"), 12, { only: "acme/tool" });
+  assert.equal(quarterEnd("acme/tool"), "2025-12-31");
+}));
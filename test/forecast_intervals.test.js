@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { quantile, intervalsOf, simulatePaths, cumulativePaths, milestoneCrossings } from "../scripts/utils/forecast_intervals.js";
+
+test("quantiles interpolate and intervals nest by level", () => {
+  assert.equal(quantile([0, 10], 0.5), 5);
+  assert.equal(quantile([], 0.5), null);
+  const samples = Array.from({ length: 101 }, (_, i) => 100 - i);
+  const iv = intervalsOf(samples);
+  assert.deepEqual(iv["80"], [10, 90]);
+  assert.ok(iv["95"][0] < iv["80"][0] && iv["95"][1] > iv["80"][1]);
+});
+
+test("simulation is seeded, non-negative, and needs residuals", () => {
+  const residuals = [[1, -30], [1, 10], [2, 20], [2, -5], [3, 0], [3, 40]];
+  const a = simulatePaths([20, 20, 20], residuals, { paths: 50 });
+  assert.deepEqual(a, simulatePaths([20, 20, 20], residuals, { paths: 50 }));
+  assert.ok(a.flat().every(v => v >= 0));
+  assert.equal(simulatePaths([20], []), null);
+  assert.deepEqual(cumulativePaths([[1, 2, 3]], 100), [[101, 103, 106]]);
+});
+
+test("milestones report the crossing week, its range and the odds", () => {
+  const cumPoint = [900, 1000, 1100];
+  const cumPaths = [[950, 1050, 1150], [900, 950, 990], [1000, 1100, 1200], [920, 990, 1010]];
+  const [m, next] = milestoneCrossings(850, cumPoint, cumPaths, { levels: [0.5] });
+  assert.equal(m.stars, 1000);
+  assert.equal(m.week, 2);
+  assert.equal(m.probability, 0.75);
+  assert.ok(m.earliest <= m.week && (m.latest === null || m.latest >= m.week));
+  assert.deepEqual(next, { stars: 2000, week: null, probability: 0, earliest: null, latest: null });
+  assert.equal(milestoneCrossings(850, cumPoint, null)[0].probability, null);
+});
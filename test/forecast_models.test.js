@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { holtWintersAdditive, naive, drift, ses, dampedHolt, fittedHoltWinters } from "../scripts/utils/forecast_models.js";
+
+test("short series fall back to a flat zero forecast of the requested horizon", () => {
+  assert.deepEqual(holtWintersAdditive([], 52, 0.3, 0.1, 0.3, 4).forecast, [0, 0, 0, 0]);
+  assert.deepEqual(holtWintersAdditive(Array(53).fill(7), 52, 0.3, 0.1, 0.3, 3).forecast, [0, 0, 0]);
+});
+
+test("a constant series forecasts the constant", () => {
+  const { forecast } = holtWintersAdditive(Array(120).fill(10), 52, 0.3, 0.1, 0.3, 12);
+  assert.equal(forecast.length, 12);
+  for (const v of forecast) assert.equal(v, 10);
+});
+
+test("forecasts are non-negative integers", () => {
+  const falling = Array.from({ length: 110 }, (_, i) => Math.max(0, 200 - i * 3));
+  const { forecast } = holtWintersAdditive(falling, 52, 0.3, 0.1, 0.3, 12);
+  for (const v of forecast) {
+    assert.ok(Number.isInteger(v));
+    assert.ok(v >= 0);
+  }
+});
+
+test("seasonal peaks carry into the forecast", () => {
+  const season = i => (i % 4 === 0 ? 100 : 10);
+  const series = Array.from({ length: 48 }, (_, i) => season(i));
+  const { forecast } = holtWintersAdditive(series, 4, 0.3, 0.1, 0.3, 8);
+  // series ends at index 47, so horizons 1 and 5 land on season index 0
+  assert.ok(forecast[0] > forecast[1]);
+  assert.ok(forecast[4] > forecast[5]);
+});
+
+test("baselines: naive repeats the last week, drift extends the first-to-last line", () => {
+  assert.deepEqual(naive([3, 5, 9], 2).forecast, [9, 9]);
+  assert.deepEqual(drift([0, 2, 4, 6], 3).forecast, [8, 10, 12]);
+});
+
+test("ses and damped Holt fit their parameters", () => {
+  const noisy = [10, 12, 9, 11, 10, 12, 9, 11, 10, 12];
+  const s = ses(noisy, 3);
+  assert.ok(s.params.alpha > 0 && s.params.alpha < 1);
+  assert.equal(new Set(s.forecast).size, 1);
+  const linear = Array.from({ length: 30 }, (_, i) => 5 * i);
+  const d = dampedHolt(linear, 4);
+  assert.ok(d.params.phi <= 1);
+  // damping makes each step's gain no larger than the last
+  for (let i = 1; i < 4; i++) assert.ok(d.forecast[i] - d.forecast[i - 1] <= d.forecast[0] - linear.at(-1) + 1e-9);
+  assert.ok(d.forecast[0] > linear.at(-1));
+});
+
+test("fitted Holt-Winters follows the season", () => {
+  const series = Array.from({ length: 48 }, (_, i) => (i % 4 === 0 ? 100 : 10));
+  const { forecast, params } = fittedHoltWinters(series, 4, 4);
+  assert.equal(params.season_len, 4);
+  assert.ok(forecast[0] > forecast[1] && forecast[0] > forecast[3]);
+});
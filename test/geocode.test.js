@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { resolveLocation, locationDistribution, topCountry } from "../scripts/utils/geocode.js";
+import { geocodeLocations } from "../scripts/geocode_locations.js";
+import { readHistory } from "../scripts/utils/meta_history.js";
+
+const place = text => {
+  const r = resolveLocation(text);
+  return r && [r.country, r.subdivision, r.city].filter(Boolean).join(" ");
+};
+
+test("locations resolve to country, subdivision and city across spellings and languages", () => {
+  assert.equal(place("Chengdu, Sichuan"), "CN CN-SC Chengdu");
+  assert.equal(place("chengdu sichuan china"), "CN CN-SC Chengdu");
+  assert.equal(place("中国北京"), "CN CN-BJ Beijing");
+  assert.equal(place("Köln, Deutschland"), "DE DE-NW Cologne");
+  assert.equal(place("Санкт-Петербург"), "RU Saint Petersburg");
+  assert.equal(place("San Francisco Bay Area"), "US US-CA");
+  assert.equal(place("Washington, D.C."), "US US-DC Washington");
+  assert.equal(place("Kyiv 🇺🇦"), "UA Kyiv");
+  assert.equal(place("hong kong, china"), "HK");
+  assert.equal(resolveLocation("Europe").region, "Europe");
+  assert.equal(resolveLocation("Europe").country, null);
+  for (const t of ["Remote", "Earth", "your dream", "", null]) assert.equal(resolveLocation(t), null, t);
+});
+
+test("the rest of the location settles ambiguous names, and confidence shows how sure", () => {
+  assert.equal(place("Atlanta, Georgia"), "US US-GA Atlanta");
+  assert.equal(place("Tbilisi, Georgia"), "GE Tbilisi");
+  assert.equal(place("Perth, WA"), "AU AU-WA Perth");
+  assert.equal(place("Seattle, WA"), "US US-WA Seattle");
+  assert.equal(place("Cambridge, MA"), "US US-MA Cambridge");
+  assert.equal(resolveLocation("Paris, France").confidence, 1);
+  assert.equal(resolveLocation("Munich").confidence, 0.85);
+  assert.ok(resolveLocation("Living in Tokyo").confidence < 0.85);
+  assert.ok(resolveLocation("Cambridge").confidence < 0.6);
+  assert.ok(resolveLocation("CA").confidence < 0.5);
+});
+
+test("distributions count contributors and the share placed in a country", () => {
+  const d = locationDistribution({ unknown: 4, "beijing, china": 3, "北京": 1, "Berlin": 1, "Europe": 1, "CA": 1, "Mars": 1 });
+  assert.deepEqual(d.countries, { CN: 4, DE: 1 });
+  assert.deepEqual(d.regions, { "East Asia": 4, Europe: 2 });
+  assert.equal(d.located, 5);
+  assert.equal(d.total, 12);
+  assert.equal(d.located_share, 0.42);
+  assert.equal(topCountry(d.countries), "CN");
+  assert.equal(locationDistribution({}).located_share, null);
+});
+
+test("geocoding appends a contributor_geo section once per set of locations", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "geo-"));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    const meta = { repo: "acme/tool", fetched_at: "2025-09-01T00:00:00Z", contributor_locations: { unknown: 1, "Lagos, Nigeria": 3 }, contributor_locations_updated_at: "2025-09-02T00:00:00Z" };
+    fs.mkdirSync("data/derived/meta", { recursive: true });
+    fs.writeFileSync("data/derived/meta/acme__tool.json", JSON.stringify(meta));
+    geocodeLocations();
+    geocodeLocations();
+    assert.deepEqual(readHistory("acme/tool").map(r => r.section), ["repo", "contributor_locations", "contributor_geo"]);
+    const view = JSON.parse(fs.readFileSync("data/derived/meta/acme__tool.json", "utf8"));
+    assert.deepEqual(view.contributor_countries, { NG: 3 });
+    assert.deepEqual(view.contributor_regions, { Africa: 3 });
+    assert.equal(view.contributor_located_share, 0.75);
+    assert.deepEqual(view.contributor_locations, meta.contributor_locations);
+    geocodeLocations({ minConfidence: 0.9 });
+    assert.equal(readHistory("acme/tool").length, 4);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startFakeGitHub } from "../scripts/dev/fake_github.js";
+
+const SEED = path.resolve("fixtures/fake_github/seed.json");
+const FAULTS = [
+  { match: "^/repos/acme/rocket$", status: 403, retry_after: 1, times: 1 },
+  { match: "^/repos/jdoe/tinydb$", status: 502, times: 8 },
+  { match: "^/repos/newco/fresh$", status: 404, times: 1 },
+  { match: "^/users/carol$", status: 403, exhaust: true, reset_in: 7200, times: 1 }
+];
+
+let fake, gh, dir, cwd;
+const waits = [];
+
+before(async () => {
+  fake = await startFakeGitHub({ seed: SEED, faults: FAULTS });
+  // Read once at import, so set before loading the client.
+  Object.assign(process.env, { GITHUB_API_URL: fake.url, GH_TOKEN: "fake", GH_MIN_DELAY_MS: "0", GH_MAX_RETRIES: "8" });
+  gh = await import("../scripts/utils/github.js");
+  // Record retry waits instead of sleeping through them.
+  const realSetTimeout = globalThis.setTimeout;
+  mock.method(globalThis, "setTimeout", (fn, ms, ...rest) => {
+    if (ms >= 1000) waits.push(ms);
+    return realSetTimeout(fn, ms >= 1000 ? 0 : ms, ...rest);
+  });
+  // The ETag cache lives under data/cache/http of the working directory.
+  cwd = process.cwd();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "github-"));
+  process.chdir(dir);
+});
+
+after(async () => {
+  mock.restoreAll();
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+  await fake.close();
+});
+
+// Requests sent and retry waits taken by `fn`.
+async function measure(fn) {
+  const spent = gh.requestStats().spent;
+  waits.length = 0;
+  const result = await fn();
+  return { result, requests: gh.requestStats().spent - spent, waits: waits.slice() };
+}
+
+test("a 403 with Retry-After waits that long and retries", async () => {
+  const { result, requests, waits } = await measure(() => gh.githubRequest("/repos/acme/rocket"));
+  assert.equal(result.ok, true);
+  assert.equal(result.json.full_name, "acme/rocket");
+  assert.equal(requests, 2);
+  assert.deepEqual(waits, [2000]);
+});
+
+test("5xx answers back off exponentially up to the cap, then come back as errors", async () => {
+  const { result, requests, waits } = await measure(() => gh.githubRequest("/repos/jdoe/tinydb"));
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 502);
+  assert.equal(requests, 8);
+  assert.deepEqual(waits, [2000, 4000, 8000, 16000, 32000, 64000, 120000]);
+});
+
+test("a 404 is returned at once without retrying", async () => {
+  const { result, requests, waits } = await measure(() => gh.githubRequest("/repos/newco/fresh"));
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 404);
+  assert.equal(requests, 1);
+  assert.deepEqual(waits, []);
+});
+
+test("a conditional request is answered from the cache on 304 without spending quota", async () => {
+  const first = await gh.githubRequest("/repos/acme/rocket", { conditional: true });
+  assert.equal(first.fromCache, false);
+  assert.equal(fs.readdirSync("data/cache/http").length, 1);
+  const { result, requests } = await measure(() => gh.githubRequest("/repos/acme/rocket", { conditional: true }));
+  assert.equal(requests, 1);
+  assert.equal(result.fromCache, true);
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.json, first.json);
+  assert.equal(result.headers.remaining, first.headers.remaining);
+  assert.equal(gh.requestStats().endpoints["GET /repos/:owner/:repo"].not_modified, 1);
+});
+
+// Last: the exhausted core quota stays exhausted for the rest of the file.
+test("an exhausted quota whose reset is too far away raises the budget error", async () => {
+  await assert.rejects(gh.githubRequest("/users/carol"), e => gh.isBudgetError(e) && /retry would wait/.test(e.message));
+  await assert.rejects(gh.githubRequest("/users/alice"), e => gh.isBudgetError(e) && /quota at reserve/.test(e.message));
+});
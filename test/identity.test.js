@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { recordRepo, canonicalName, tombstone, currentNames } from "../scripts/utils/identity.js";
+import { mergeStarHistories, migrateIdentity } from "../scripts/migrate_identity.js";
+
+const fresh = () => ({ ids: {}, aliases: {}, tombstones: {} });
+
+test("renames and transfers become aliases of the id's current name", () => {
+  const idn = fresh();
+  assert.deepEqual(recordRepo(idn, { id: 7, requested: "jdoe/tool", full_name: "jdoe/tool" }), []);
+  // Requested under the old name, GitHub redirected to the new one.
+  assert.deepEqual(recordRepo(idn, { id: 7, requested: "jdoe/tool", full_name: "jdoe/tool2" }), ["jdoe/tool"]);
+  // Transferred to an org; only the id links it to the last name.
+  assert.deepEqual(recordRepo(idn, { id: 7, requested: "acme/tool2", full_name: "acme/tool2" }), ["jdoe/tool2"]);
+  assert.equal(canonicalName(idn, "JDoe/Tool"), "acme/tool2");
+  assert.equal(canonicalName(idn, "jdoe/tool2"), "acme/tool2");
+  assert.equal(canonicalName(idn, "other/repo"), "other/repo");
+  assert.equal(idn.ids["7"], "acme/tool2");
+  // Renamed back: no alias may point a name at itself.
+  recordRepo(idn, { id: 7, requested: "acme/tool2", full_name: "jdoe/tool" });
+  assert.equal(canonicalName(idn, "acme/tool2"), "jdoe/tool");
+  assert.equal(canonicalName(idn, "jdoe/tool"), "jdoe/tool");
+});
+
+test("tombstones keep their first date and leaderboards show current names", () => {
+  const idn = fresh();
+  const first = tombstone(idn, "gone/repo", { status: "deleted", http_status: 404 });
+  const again = tombstone(idn, "gone/repo", { status: "deleted", http_status: 404 });
+  assert.equal(again.since, first.since);
+  recordRepo(idn, { id: 1, requested: "old/name", full_name: "new/name" });
+  const board = currentNames({ period: "2025-Q4", rows: [{ repo: "old/name", rank: 1 }, { repo: "x/y", rank: 2 }] }, idn);
+  assert.deepEqual(board.rows, [{ repo: "new/name", rank: 1, renamed_from: "old/name" }, { repo: "x/y", rank: 2 }]);
+});
+
+test("merged star histories de-duplicate and stay complete only without a gap", () => {
+  const old = { repo: "old/name", history: "complete", stars: ["2024-01-01T00:00:00Z", "2025-01-01T00:00:00Z"], fetched_at: "2025-01-02T00:00:00Z", stargazer_count: 2 };
+  const cur = { repo: "new/name", history: "truncated", backfill_cursor: "c1", stars: ["2025-01-01T00:00:00Z", "2025-02-01T00:00:00Z"], fetched_at: "2025-02-02T00:00:00Z", stargazer_count: 3 };
+  const m = mergeStarHistories(old, cur);
+  assert.deepEqual(m, { repo: "new/name", history: "complete", stargazer_count: 3, backfill_cursor: null, fetched_at: "2025-02-02T00:00:00Z", stars: ["2024-01-01T00:00:00Z", "2025-01-01T00:00:00Z", "2025-02-01T00:00:00Z"] });
+  const gap = mergeStarHistories(old, { ...cur, stars: ["2025-03-01T00:00:00Z"] });
+  assert.equal(gap.history, "truncated");
+  assert.equal(gap.backfill_cursor, "c1");
+  // Stars sharing a second are kept as often as either history has them.
+  const same = mergeStarHistories(
+    { ...old, stars: ["2024-01-01T00:00:00Z", "2024-01-01T00:00:00Z", "2025-01-01T00:00:00Z"] },
+    { ...cur, stars: ["2025-01-01T00:00:00Z", "2025-01-01T00:00:00Z", "2025-02-01T00:00:00Z"] }
+  );
+  assert.deepEqual(same.stars, ["2024-01-01T00:00:00Z", "2024-01-01T00:00:00Z", "2025-01-01T00:00:00Z", "2025-01-01T00:00:00Z", "2025-02-01T00:00:00Z"]);
+});
+
+test("migrateIdentity moves and merges files filed under former names", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "identity-"));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    const write = (f, data) => { fs.mkdirSync(path.dirname(f), { recursive: true }); fs.writeFileSync(f, JSON.stringify(data)); };
+    write("data/raw/stars/old__name.json", ["2024-01-01T00:00:00Z"]);
+    write("data/raw/stars/new__name.json", { repo: "new/name", history: "complete", stars: ["2024-01-01T00:00:00Z", "2025-01-01T00:00:00Z"] });
+    write("data/derived/owner/old__name.json", { owner: "old", repo: "old/name", owner_type: "User" });
+    write("data/derived/weekly/old__name.json", { repo: "old/name" });
+    write("data/derived/weekly/new__name.json", { repo: "new/name" });
+    fs.mkdirSync("data/raw/meta", { recursive: true });
+    fs.writeFileSync("data/raw/meta/old__name.jsonl", JSON.stringify({ at: "2025-01-01T00:00:00Z", section: "repo", data: { repo: "old/name", forks: 1 } }) + "\n");
+    fs.writeFileSync("data/raw/meta/new__name.jsonl", JSON.stringify({ at: "2025-02-01T00:00:00Z", section: "repo", data: { repo: "new/name", forks: 2 } }) + "\n");
+    const idn = fresh();
+    recordRepo(idn, { id: 1, requested: "old/name", full_name: "new/name" });
+    const moves = migrateIdentity({ idn });
+    assert.deepEqual(moves.map(m => `${m.dir}:${m.action}`).sort(), ["data/derived/owner:moved", "data/derived/weekly:dropped", "data/raw/meta:merged", "data/raw/stars:merged"]);
+    assert.ok(!fs.existsSync("data/raw/stars/old__name.json"));
+    assert.deepEqual(JSON.parse(fs.readFileSync("data/raw/stars/new__name.json", "utf8")).stars, ["2024-01-01T00:00:00Z", "2025-01-01T00:00:00Z"]);
+    assert.deepEqual(JSON.parse(fs.readFileSync("data/derived/owner/new__name.json", "utf8")), { owner: "new", repo: "new/name", owner_type: "User" });
+    assert.deepEqual(JSON.parse(fs.readFileSync("data/derived/weekly/new__name.json", "utf8")), { repo: "new/name" });
+    assert.equal(fs.readFileSync("data/raw/meta/new__name.jsonl", "utf8").trim().split("\n").length, 2);
+    assert.deepEqual(JSON.parse(fs.readFileSync("data/derived/meta/new__name.json", "utf8")), { repo: "new/name", forks: 2 });
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffRows, weeksOnChart } from "../scripts/utils/leaderboard.js";
+
+const prev = [{ repo: "a/one", rank: 1 }, { repo: "b/two", rank: 2 }, { repo: "c/three", rank: 3 }];
+const cur = [{ repo: "B/Two", rank: 1 }, { repo: "d/four", rank: 2 }, { repo: "a/one", rank: 3 }];
+
+test("diffRows reports rank change, new entries and drop-outs", () => {
+  const { rows, dropped } = diffRows(prev, cur);
+  assert.deepEqual(rows, [
+    { repo: "B/Two", rank: 1, prev_rank: 2, rank_change: 1, new_entry: false },
+    { repo: "d/four", rank: 2, prev_rank: null, rank_change: null, new_entry: true },
+    { repo: "a/one", rank: 3, prev_rank: 1, rank_change: -2, new_entry: false }
+  ]);
+  assert.deepEqual(dropped, [{ repo: "c/three", prev_rank: 3 }]);
+});
+
+test("diffRows against an empty board marks everything new", () => {
+  const { rows, dropped } = diffRows([], cur);
+  assert.ok(rows.every(r => r.new_entry));
+  assert.deepEqual(dropped, []);
+});
+
+test("weeksOnChart counts snapshots per repo, case-insensitively", () => {
+  const counts = weeksOnChart([{ rows: prev }, { rows: cur }, { rows: [{ repo: "A/ONE", rank: 1 }] }]);
+  assert.equal(counts.get("a/one"), 3);
+  assert.equal(counts.get("b/two"), 2);
+  assert.equal(counts.get("d/four"), 1);
+  assert.equal(counts.get("z/none"), undefined);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { appendSnapshot, readHistory, metaView, metaGrowth, sectionsOfView } from "../scripts/utils/meta_history.js";
+
+const repo = (at, forks, extra = {}) => ({ at, section: "repo", data: { repo: "acme/tool", forks, open_issues: 10, subscribers: 5, fetched_at: at, ...extra } });
+
+test("the meta view is the newest repo snapshot with every section's newest data on top", () => {
+  const records = [
+    repo("2025-09-01T00:00:00Z", 1, { topics: ["a"] }),
+    { at: "2025-09-02T00:00:00Z", section: "contributor_locations", data: { contributor_locations: { berlin: 2 } } },
+    { at: "2025-09-03T00:00:00Z", section: "tombstone", data: { tombstone: { status: "disabled" } } },
+    repo("2025-09-08T00:00:00Z", 4, { topics: ["a", "b"] }),
+    { at: "2025-09-09T00:00:00Z", section: "tombstone", data: {} }
+  ];
+  assert.deepEqual(metaView(records), {
+    repo: "acme/tool", forks: 4, open_issues: 10, subscribers: 5, fetched_at: "2025-09-08T00:00:00Z", topics: ["a", "b"],
+    contributor_locations: { berlin: 2 }
+  });
+  assert.equal(metaView([]), null);
+});
+
+test("meta growth compares the snapshots in force at the window's start and end", () => {
+  const records = [repo("2025-06-01T00:00:00Z", 10), repo("2025-08-01T00:00:00Z", 15), repo("2025-09-20T00:00:00Z", 40), repo("2025-10-10T00:00:00Z", 90)];
+  assert.deepEqual(metaGrowth(records, "2025-07-01", "2025-09-29"), { from: "2025-06-01", to: "2025-09-20", forks: 30, open_issues: 0, subscribers: 0 });
+  // No snapshot before the window: growth since the first one inside it.
+  assert.deepEqual(metaGrowth(records, "2025-05-01", "2025-08-15").from, "2025-06-01");
+  assert.equal(metaGrowth(records, "2025-01-01", "2025-06-30"), null);
+  assert.equal(metaGrowth(records, "2025-11-01", "2025-11-30"), null);
+});
+
+test("appending keeps other stages' sections and adopts a pre-history meta file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "meta-"));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    const legacy = { repo: "acme/tool", forks: 1, fetched_at: "2025-09-01T00:00:00Z", contributor_locations: { tokyo: 1 }, contributor_locations_updated_at: "2025-09-02T00:00:00Z" };
+    fs.mkdirSync("data/derived/meta", { recursive: true });
+    fs.writeFileSync("data/derived/meta/acme__tool.json", JSON.stringify(legacy));
+    appendSnapshot("acme/tool", "repo", { repo: "acme/tool", forks: 3, fetched_at: "2025-09-08T00:00:00Z" }, "2025-09-08T00:00:00Z");
+    const history = readHistory("acme/tool");
+    assert.deepEqual(history.slice(0, 2), sectionsOfView(legacy));
+    assert.deepEqual(history.map(r => `${r.section}@${r.at.slice(0, 10)}`), ["repo@2025-09-01", "contributor_locations@2025-09-02", "repo@2025-09-08"]);
+    const view = JSON.parse(fs.readFileSync("data/derived/meta/acme__tool.json", "utf8"));
+    assert.equal(view.forks, 3);
+    assert.deepEqual(view.contributor_locations, { tokyo: 1 });
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
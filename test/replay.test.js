@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+
+const FIXTURES = path.resolve("fixtures/pipeline");
+const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURES, "manifest.json"), "utf8"));
+
+const STAGES = [["scrape_trending.js"], ["build_candidates.js", String(manifest.year), `Q${manifest.quarter}`], ["fetch_stars.js"]];
+
+// Runs the scrape, candidates and star stages from the recorded fixtures in a fresh
+// directory and returns every file they wrote, by path.
+function replayStages() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+  const env = { ...process.env, HTTP_MODE: "replay", HTTP_FIXTURES: FIXTURES, PIPELINE_NOW: manifest.recorded_at, GH_TOKEN: "replay" };
+  delete env.GITHUB_API_URL;
+  delete env.GITHUB_WEB_URL;
+  try {
+    for (const [script, ...args] of STAGES) {
+      const r = spawnSync(process.execPath, [path.resolve("scripts", script), ...args], { cwd: dir, env, encoding: "utf8", timeout: 60000 });
+      assert.equal(r.status, 0, `${script} failed:\n${r.stderr}`);
+    }
+    const files = {};
+    for (const f of fs.readdirSync(dir, { recursive: true })) {
+      const p = path.join(dir, f);
+      if (fs.statSync(p).isFile()) files[f] = fs.readFileSync(p, "utf8");
+    }
+    return files;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("replaying the same fixtures twice writes byte-identical data", () => {
+  const a = replayStages();
+  const b = replayStages();
+  assert.ok(Object.keys(a).some(f => f.startsWith(path.join("data", "raw", "stars"))), "no star histories written");
+  assert.deepEqual(Object.keys(b).sort(), Object.keys(a).sort());
+  for (const f of Object.keys(a)) assert.equal(b[f], a[f], `${f} differs between runs`);
+});
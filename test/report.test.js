@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { esc, fmtInt, fmtPct, fmtMove, sparkline, mdTable } from "../scripts/utils/report.js";
+
+test("formats numbers, percentages and rank moves", () => {
+  assert.equal(fmtInt(12345.6), "12,346");
+  assert.equal(fmtInt(null), "–");
+  assert.equal(fmtPct(2.3981), "239.8%");
+  assert.equal(fmtMove({ rank_change: 3 }), "▲3");
+  assert.equal(fmtMove({ rank_change: -2 }), "▼2");
+  assert.equal(fmtMove({ rank_change: 0 }), "=");
+  assert.equal(fmtMove({ new_entry: true, rank_change: null }), "new");
+  assert.equal(fmtMove(null), "");
+  assert.equal(esc(`<a href="x">&</a>`), "&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;");
+});
+
+test("sparklines are deterministic SVG and empty without data", () => {
+  assert.equal(sparkline([]), "");
+  const a = sparkline([1, 5, 3], { width: 30, height: 10 });
+  assert.equal(a, sparkline([1, 5, 3], { width: 30, height: 10 }));
+  assert.match(a, /^<svg[^>]*><polyline [^>]*points="0\.0,9\.0 15\.0,1\.0 30\.0,[\d.]+"\/><\/svg>$/);
+  assert.equal((sparkline([0, 2, 4], { kind: "bars" }).match(/<rect /g) || []).length, 3);
+});
+
+test("markdown tables escape pipes", () => {
+  assert.equal(mdTable(["a", "b"], [[1, "x|y"]]), "| a | b |\n| --- | --- |\n| 1 | x\\|y |");
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cumAt, cumIndex, bestRossWindow, maxRossWindowForQuarter, rossParams, rossSuffix, DEFAULT_ROSS } from "../scripts/utils/ross.js";
+
+const cumulative = [
+  { date: "2025-01-10", value: 10 },
+  { date: "2025-03-01", value: 500 },
+  { date: "2025-06-01", value: 1000 },
+  { date: "2025-10-15", value: 2000 }
+];
+
+test("cumAt returns the last value on or before the date", () => {
+  assert.equal(cumAt(cumulative, "2025-01-01"), 0);
+  assert.equal(cumAt(cumulative, "2025-01-10"), 10);
+  assert.equal(cumAt(cumulative, "2025-05-31"), 500);
+  assert.equal(cumAt(cumulative, "2026-01-01"), 2000);
+  assert.equal(cumAt([], "2025-01-01"), 0);
+});
+
+test("maxRossWindowForQuarter finds the best 90-day window ending in the quarter", () => {
+  const best = maxRossWindowForQuarter(cumulative, "2025-10-01", "2025-12-31");
+  assert.equal(best.end, "2025-10-15");
+  assert.equal(best.start, "2025-07-18");
+  assert.equal(best.start_val, 1000);
+  assert.equal(best.end_val, 2000);
+  assert.equal(best.abs_gain, 1000);
+  assert.equal(best.rel_gain, 1);
+});
+
+test("the 1000-star threshold is inclusive", () => {
+  const at999 = cumulative.map(r => r.date === "2025-06-01" ? { ...r, value: 999 } : r);
+  assert.equal(maxRossWindowForQuarter(at999, "2025-10-01", "2025-12-31").start, null);
+  assert.notEqual(maxRossWindowForQuarter(cumulative, "2025-10-01", "2025-12-31").start, null);
+});
+
+test("quarters with no stars yield no window", () => {
+  assert.deepEqual(maxRossWindowForQuarter([], "2025-10-01", "2025-12-31"),
+    { rel_gain: 0, abs_gain: 0, start: null, end: null, start_val: 0, end_val: 0 });
+  const flat = [{ date: "2024-01-01", value: 5000 }];
+  assert.equal(maxRossWindowForQuarter(flat, "2025-10-01", "2025-12-31").start, null);
+  assert.equal(maxRossWindowForQuarter(cumulative, "2024-01-01", "2024-03-31").start, null);
+});
+
+test("windows starting before knownFrom are skipped", () => {
+  const best = maxRossWindowForQuarter(cumulative, "2025-10-01", "2025-12-31", "2025-08-01");
+  assert.ok(best.start >= "2025-08-01");
+});
+
+test("windows are 90 days inclusive across a leap day", () => {
+  const leap = [{ date: "2023-11-01", value: 1000 }, { date: "2024-03-01", value: 1500 }];
+  const best = maxRossWindowForQuarter(leap, "2024-01-01", "2024-03-31");
+  assert.equal(best.end, "2024-03-01");
+  assert.equal(best.start, "2023-12-03");
+  assert.equal(best.rel_gain, 0.5);
+});
+
+test("bestRossWindow honours window length and start threshold", () => {
+  const best = bestRossWindow(cumulative, "2025-10-01", "2025-12-31", { window_days: 30, min_start_stars: 1000 });
+  assert.equal(best.end, "2025-10-15");
+  assert.equal(best.start, "2025-09-16");
+  assert.equal(bestRossWindow(cumulative, "2025-10-01", "2025-12-31", { min_start_stars: 1001 }).start, null);
+  const low = bestRossWindow(cumulative, "2025-03-01", "2025-03-31", { window_days: 60, min_start_stars: 10 });
+  assert.equal(low.start_val, 10);
+  assert.equal(low.end_val, 500);
+});
+
+test("scoring modes pick different windows", () => {
+  const series = [
+    { date: "2025-01-01", value: 100 },
+    { date: "2025-03-01", value: 500 },     // x5,   +400
+    { date: "2025-05-01", value: 2000 },    // x4,   +1500
+    { date: "2025-07-01", value: 8000 },    // x4,   +6000
+    { date: "2025-09-01", value: 20000 }    // x2.5, +12000
+  ];
+  const run = scoring => bestRossWindow(series, "2025-01-01", "2025-12-31", { window_days: 30, min_start_stars: 100, scoring });
+  assert.equal(run("relative").end, "2025-03-01");
+  assert.equal(run("log-ratio").end, "2025-03-01");
+  assert.ok(Math.abs(run("log-ratio").score - Math.log(5)) < 1e-12);
+  assert.equal(run("absolute").end, "2025-09-01");
+  assert.equal(run("absolute").score, 12000);
+  assert.equal(run("blended").end, "2025-07-01");
+});
+
+test("bestRossWindow accepts a prebuilt index", () => {
+  const idx = cumIndex(cumulative);
+  assert.deepEqual(bestRossWindow(idx, "2025-10-01", "2025-12-31"), bestRossWindow(cumulative, "2025-10-01", "2025-12-31"));
+});
+
+test("rossParams validates and rossSuffix names non-default configs", () => {
+  assert.deepEqual(rossParams(), DEFAULT_ROSS);
+  assert.throws(() => rossParams({ window_days: 45 }), RangeError);
+  assert.throws(() => rossParams({ min_start_stars: -1 }), RangeError);
+  assert.throws(() => rossParams({ scoring: "vibes" }), RangeError);
+  assert.equal(rossSuffix({}), "");
+  assert.equal(rossSuffix({ window_days: 60, min_start_stars: 500, scoring: "log-ratio" }), "__w60-min500-log-ratio");
+});
@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newSinceStored } from "../scripts/utils/stars.js";
+
+const known = ["2025-10-01T00:00:00Z", "2025-10-02T10:00:00Z", "2025-10-02T10:00:00Z"];
+
+test("stars sharing the newest stored second are kept beyond the stored count", () => {
+  const fresh = ["2025-10-03T00:00:00Z", "2025-10-02T10:00:00Z", "2025-10-02T10:00:00Z", "2025-10-02T10:00:00Z"];
+  assert.deepEqual(newSinceStored(fresh, known), ["2025-10-03T00:00:00Z", "2025-10-02T10:00:00Z"]);
+});
+
+test("a caught-up history adds nothing", () => {
+  assert.deepEqual(newSinceStored(["2025-10-02T10:00:00Z", "2025-10-02T10:00:00Z"], known), []);
+  assert.deepEqual(newSinceStored(["2025-10-02T10:00:00Z"], known), []);
+  assert.deepEqual(newSinceStored(["2025-10-05T00:00:00Z"], []), ["2025-10-05T00:00:00Z"]);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import { openStore } from "../scripts/utils/store.js";
+import { cumulativeOn, cumulativeSeries, latestMeta, listRepos, trendingAppearances } from "../scripts/utils/store_query.js";
+import { importStore } from "../scripts/store_import.js";
+import { exportStore } from "../scripts/store_export.js";
+import { aggregateWeekly } from "../scripts/aggregate_weekly.js";
+
+let skip = false;
+try { createRequire(import.meta.url)("better-sqlite3"); } catch { skip = "better-sqlite3 is not installed"; }
+
+const read = f => JSON.parse(fs.readFileSync(f, "utf8"));
+const write = (f, data) => { fs.mkdirSync(path.dirname(f), { recursive: true }); fs.writeFileSync(f, JSON.stringify(data, null, 2)); };
+
+function inTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    return fn();
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function seed() {
+  write("data/raw/stars/acme__tool.json", {
+    repo: "acme/tool", history: "truncated", stargazer_count: 10, backfill_cursor: "c1", fetched_at: "2025-10-01T00:00:00Z",
+    stars: ["2025-09-01T10:00:00Z", "2025-09-01T10:00:00Z", "2025-09-03T08:00:00Z"]
+  });
+  write("data/raw/stars/old__legacy.json", ["2024-01-01T00:00:00Z", "2024-02-01T00:00:00Z"]);
+  write("data/derived/meta/acme__tool.json", { repo: "acme/tool", stars_now: 10, fetched_at: "2025-10-01T00:00:00Z" });
+  write("data/derived/owner/acme__tool.json", { owner: "acme", owner_type: "Organization" });
+  write("data/raw/weekly_trending/2025-W40.json", {
+    since: "weekly", key: "2025-W40", captured_at: "2025-10-01T00:00:00Z",
+    overall: [{ owner: "acme", repo: "tool", position: 1, stars: 10, period_stars: 3 }],
+    by_language: { rust: [{ owner: "acme", repo: "tool", position: 2, stars: 10, period_stars: 3 }] }
+  });
+  write("data/derived/quarter/2025-Q3.json", { period: "2025-Q3", start: "2025-07-01", end: "2025-09-30", rows: [{ repo: "acme/tool", delta: 3, rank: 1 }] });
+  write("data/derived/quarter/2024-Q1.json", [{ repo: "old/legacy", delta: 2, rank: 1 }]);
+}
+
+test("the store round-trips the JSON layout and answers date queries", { skip }, () => inTmp(() => {
+  seed();
+  importStore();
+  aggregateWeekly();
+  exportStore({ out: "out" });
+  for (const f of ["raw/stars/acme__tool.json", "raw/stars/old__legacy.json", "derived/weekly/acme__tool.json", "derived/weekly/old__legacy.json",
+    "derived/meta/acme__tool.json", "derived/owner/acme__tool.json", "raw/weekly_trending/2025-W40.json",
+    "derived/quarter/2025-Q3.json", "derived/quarter/2024-Q1.json"]) {
+    assert.deepEqual(read(path.join("out", f)), read(path.join("data", f)), f);
+  }
+  const db = openStore({ readonly: true });
+  try {
+    // Truncated: the 7 stars older than the fetched history count from the first day.
+    assert.deepEqual(cumulativeSeries(db, "acme/tool"), [{ date: "2025-09-01", value: 9 }, { date: "2025-09-03", value: 10 }]);
+    assert.deepEqual([...cumulativeOn(db, "2025-09-02")], [["acme/tool", 9], ["old/legacy", 2]]);
+    assert.deepEqual([...cumulativeOn(db, "2023-12-31")], [["acme/tool", 0], ["old/legacy", 0]]);
+    assert.equal(listRepos(db)[0].history.known_from, "2025-09-01");
+    assert.deepEqual(trendingAppearances(db, "ACME/tool").map(t => `${t.list}#${t.position}`), ["language:rust#2", "overall#1"]);
+  } finally {
+    db.close();
+  }
+}));
+
+test("re-imports keep meta snapshots, skip unchanged stars and drop repos without files", { skip }, () => inTmp(() => {
+  seed();
+  importStore();
+  write("data/derived/meta/acme__tool.json", { repo: "acme/tool", stars_now: 12, fetched_at: "2025-10-08T00:00:00Z" });
+  fs.rmSync("data/raw/stars/old__legacy.json");
+  importStore();
+  const db = openStore({ readonly: true });
+  try {
+    assert.equal(db.prepare("SELECT COUNT(*) FROM meta_snapshots").pluck().get(), 2);
+    assert.equal(latestMeta(db, "acme/tool").stars_now, 12);
+    assert.deepEqual(db.prepare("SELECT name FROM repos").pluck().all(), ["acme/tool"]);
+    assert.equal(db.prepare("SELECT COUNT(*) FROM stars").pluck().get(), 3);
+  } finally {
+    db.close();
+  }
+}));
+
+test("leaderboard diffs next to a board are not imported as boards", { skip }, () => inTmp(() => {
+  seed();
+  write("data/derived/quarter/2025-Q3.diff.json", { period: "2025-Q3", rows: [{ repo: "acme/tool", rank_change: 1 }] });
+  importStore();
+  const db = openStore({ readonly: true });
+  try {
+    assert.deepEqual(db.prepare("SELECT name FROM leaderboards ORDER BY name").pluck().all(), ["2024-Q1", "2025-Q3"]);
+    assert.equal(db.prepare("SELECT COUNT(*) FROM leaderboard_rows").pluck().get(), 2);
+  } finally {
+    db.close();
+  }
+}));
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isoWeekKey, weeksToBounds, quarterBounds, isoWeeksInQuarter, addDays, parsePeriod, previousPeriod } from "../scripts/utils/time.js";
+
+test("isoWeekKey handles year boundaries and week 53", () => {
+  assert.equal(isoWeekKey("2020-12-31"), "2020-W53");
+  assert.equal(isoWeekKey("2021-01-03"), "2020-W53");
+  assert.equal(isoWeekKey("2021-01-04"), "2021-W01");
+  assert.equal(isoWeekKey("2024-12-30"), "2025-W01");
+  assert.equal(isoWeekKey("2026-12-31"), "2026-W53");
+  assert.equal(isoWeekKey("2025-01-01"), "2025-W01");
+});
+
+test("isoWeekKey on leap days", () => {
+  assert.equal(isoWeekKey("2024-02-29"), "2024-W09");
+  assert.equal(isoWeekKey("2020-02-29"), "2020-W09");
+});
+
+test("weeksToBounds returns Monday..Sunday of the ISO week", () => {
+  assert.deepEqual(weeksToBounds("2020-W53"), { start: "2020-12-28", end: "2021-01-03" });
+  assert.deepEqual(weeksToBounds("2021-W01"), { start: "2021-01-04", end: "2021-01-10" });
+  assert.deepEqual(weeksToBounds("2026-W01"), { start: "2025-12-29", end: "2026-01-04" });
+  assert.deepEqual(weeksToBounds("2026-W53"), { start: "2026-12-28", end: "2027-01-03" });
+});
+
+test("weeksToBounds round-trips every day from 2015 to 2027", () => {
+  for (let d = "2015-01-01"; d <= "2027-12-31"; d = addDays(d, 1)) {
+    const wk = isoWeekKey(d);
+    const { start, end } = weeksToBounds(wk);
+    assert.ok(start <= d && d <= end, `${d} not inside ${wk} ${start}..${end}`);
+    assert.equal(isoWeekKey(start), wk);
+  }
+});
+
+test("quarterBounds covers calendar quarters", () => {
+  assert.deepEqual(quarterBounds(2024, 1), { start: "2024-01-01", end: "2024-03-31" });
+  assert.deepEqual(quarterBounds(2025, 2), { start: "2025-04-01", end: "2025-06-30" });
+  assert.deepEqual(quarterBounds(2025, 3), { start: "2025-07-01", end: "2025-09-30" });
+  assert.deepEqual(quarterBounds(2025, 4), { start: "2025-10-01", end: "2025-12-31" });
+});
+
+test("quarterBounds rejects bad input instead of producing QNaN paths", () => {
+  assert.throws(() => quarterBounds(2025, 0), RangeError);
+  assert.throws(() => quarterBounds(2025, 5), RangeError);
+  assert.throws(() => quarterBounds(2025, NaN), RangeError);
+  assert.throws(() => quarterBounds(2025, 2.5), RangeError);
+  assert.throws(() => quarterBounds(NaN, 1), RangeError);
+});
+
+test("isoWeeksInQuarter includes the weeks straddling quarter edges", () => {
+  const q4 = isoWeeksInQuarter(2025, 4);
+  assert.equal(q4[0], "2025-W40");
+  assert.equal(q4.at(-1), "2026-W01");
+  assert.equal(new Set(q4).size, q4.length);
+  assert.ok(isoWeeksInQuarter(2020, 4).includes("2020-W53"));
+  assert.ok(isoWeeksInQuarter(2021, 1).includes("2020-W53"));
+});
+
+test("addDays crosses leap days and year ends", () => {
+  assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+  assert.equal(addDays("2023-02-28", 1), "2023-03-01");
+  assert.equal(addDays("2024-12-31", 1), "2025-01-01");
+  assert.equal(addDays("2024-03-01", -89), "2023-12-03");
+});
+
+test("parsePeriod covers calendar periods", () => {
+  assert.deepEqual(parsePeriod("2024-02"), { kind: "month", key: "2024-02", start: "2024-02-01", end: "2024-02-29" });
+  assert.deepEqual(parsePeriod("2025-q4"), { kind: "quarter", key: "2025-Q4", start: "2025-10-01", end: "2025-12-31" });
+  assert.deepEqual(parsePeriod("2025-H1"), { kind: "half", key: "2025-H1", start: "2025-01-01", end: "2025-06-30" });
+  assert.deepEqual(parsePeriod("2025"), { kind: "year", key: "2025", start: "2025-01-01", end: "2025-12-31" });
+  assert.deepEqual(parsePeriod("2025-10-05..2025-11-04"), { kind: "range", key: "2025-10-05_2025-11-04", start: "2025-10-05", end: "2025-11-04" });
+});
+
+test("parsePeriod resolves YTD and rolling periods against today", () => {
+  assert.deepEqual(parsePeriod("YTD", "2025-11-16"), { kind: "ytd", key: "2025-YTD", start: "2025-01-01", end: "2025-11-16" });
+  assert.equal(parsePeriod("2024-ytd", "2025-11-16").end, "2024-12-31");
+  assert.deepEqual(parsePeriod("rolling-30d", "2025-03-01"),
+    { kind: "rolling", key: "rolling-30d", start: "2025-01-31", end: "2025-03-01", days: 30 });
+  assert.throws(() => parsePeriod("2026-YTD", "2025-11-16"), RangeError);
+});
+
+test("parsePeriod rejects malformed periods", () => {
+  for (const bad of ["2025-00", "2025-13", "2025-Q5", "2025-H3", "1999", "rolling-0d", "2025-02-30..2025-03-01", "2025-03-02..2025-03-01", "last month", ""]) {
+    assert.throws(() => parsePeriod(bad, "2025-11-16"), RangeError, bad);
+  }
+});
+
+test("previousPeriod steps back one period of the same kind", () => {
+  const prev = p => previousPeriod(parsePeriod(p, "2025-11-16"))?.key ?? null;
+  assert.equal(prev("2025-01"), "2024-12");
+  assert.equal(prev("2025-10"), "2025-09");
+  assert.equal(prev("2025-Q1"), "2024-Q4");
+  assert.equal(prev("2025-Q4"), "2025-Q3");
+  assert.equal(prev("2025-H1"), "2024-H2");
+  assert.equal(prev("2025-H2"), "2025-H1");
+  assert.equal(prev("2025"), "2024");
+  assert.equal(prev("2024-03-01..2024-03-10"), "2024-02-20_2024-02-29");
+  assert.equal(prev("YTD"), null);
+  assert.equal(prev("rolling-30d"), null);
+});
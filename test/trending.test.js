@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTrending, trendingScores, appearanceWeight } from "../scripts/utils/trending.js";
+
+// Trimmed copy of a github.com/trending row.
+const row = (full, { stars = "12,345", period = "1,234 stars this week", desc = "Fast &amp; small <em>thing</em>", lang = "C++" } = {}) => `
+<article class="Box-row">
+  <div class="float-right d-flex"><a href="/login?return_to=%2F${full}" class="btn btn-sm">Star</a></div>
+  <h2 class="h3 lh-condensed">
+    <a data-hydro-click="{}" href="/${full}" data-view-component="true" class="Link">
+      <svg class="octicon octicon-repo"></svg>
+      <span data-view-component="true" class="text-normal">${full.split("/")[0]} /</span>
+      ${full.split("/")[1]}
+    </a>
+  </h2>
+  ${desc ? `<p class="col-9 color-fg-muted my-1 pr-4">\n    ${desc}\n  </p>` : ""}
+  <div class="f6 color-fg-muted mt-2">
+    ${lang ? `<span class="d-inline-block ml-0 mr-3"><span class="repo-language-color" style="background-color: #f34b7d"></span>
+      <span itemprop="programmingLanguage">${lang}</span></span>` : ""}
+    <a href="/${full}/stargazers" data-view-component="true" class="Link Link--muted d-inline-block mr-3"><svg aria-label="star"></svg>
+      ${stars}</a>
+    <a href="/${full}/forks" data-view-component="true" class="Link Link--muted d-inline-block mr-3"><svg aria-label="fork"></svg>
+      987</a>
+    <span data-view-component="true" class="d-inline-block mr-3">
+      Built by
+      <a class="d-inline-block" href="/alice"><img class="avatar mb-1 avatar-user" src="x" width="20" height="20" alt="@alice" /></a>
+      <a class="d-inline-block" href="/bob"><img class="avatar mb-1 avatar-user" src="x" width="20" height="20" alt="@bob" /></a>
+    </span>
+    <span data-view-component="true" class="d-inline-block float-sm-right"><svg class="octicon octicon-star"></svg>
+      ${period}</span>
+  </div>
+</article>`;
+const page = rows => `<html><body><div class="Box">${rows.join("")}</div></body></html>`;
+
+test("parses every field of a trending row", () => {
+  const rows = parseTrending(page([row("acme/rocket.js"), row("jdoe/tiny", { desc: null, lang: null, stars: "800", period: "12 stars this week" })]));
+  assert.deepEqual(rows[0], {
+    owner: "acme", repo: "rocket.js", position: 1, description: "Fast & small thing", language: "C++",
+    stars: 12345, forks: 987, period_stars: 1234, built_by: ["alice", "bob"]
+  });
+  assert.equal(rows[1].position, 2);
+  assert.equal(rows[1].description, null);
+  assert.equal(rows[1].language, null);
+  assert.equal(rows[1].period_stars, 12);
+  assert.equal(parseTrending(page([row("a/b", { period: "5 stars today" })]), "daily")[0].period_stars, 5);
+});
+
+test("fails loudly when the markup is not recognised", () => {
+  assert.deepEqual(parseTrending(`<div class="blankslate"><h3>It looks like we don’t have any trending repositories for Elm.</h3></div>`), []);
+  assert.throws(() => parseTrending("<html><body><div class=\"Box\"></div></body></html>"), /markup has probably changed/);
+  assert.throws(() => parseTrending(page([row("a/b", { period: "" })])), /1 of 1 rows/);
+  assert.throws(() => parseTrending(page([row("a/b"), row("a/b")])), /appears twice/);
+  assert.throws(() => parseTrending(page(Array.from({ length: 26 }, (_, i) => row(`o/r${i}`)))), /26 rows/);
+  assert.throws(() => parseTrending(page([row("a/b")]), "monthly"), /expected "stars this month"/);
+});
+
+test("trending scores weight appearances by position", () => {
+  assert.equal(appearanceWeight(1), 1);
+  assert.equal(appearanceWeight(25), 0.04);
+  const scores = trendingScores([
+    { overall: [{ owner: "a", repo: "x", position: 1 }, { owner: "b", repo: "y", position: 2 }], by_language: { go: [{ owner: "b", repo: "y", position: 1 }] } },
+    { overall: [{ owner: "b", repo: "y" }, { owner: "c", repo: "z" }] }
+  ]);
+  assert.deepEqual(scores.get("a/x"), { appearances: 1, best_position: 1, score: 1 });
+  assert.deepEqual(scores.get("b/y"), { appearances: 3, best_position: 1, score: 2.96 });
+  assert.deepEqual(scores.get("c/z"), { appearances: 1, best_position: 2, score: 0.96 });
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractLinks, parseFundingYml, readmeSummary, pageDescription, extractWebSignals } from "../scripts/utils/web_signals.js";
+
+const README = `<h1 align="center"><img src="logo.png"></h1>
+
+[![CI](https://img.shields.io/badge/ci-passing-green)](https://github.com/acme/rocket/actions) [![Discord](https://img.shields.io/discord/1)](https://discord.gg/acme-rocket)
+
+> **Rocket** is a fast, self-hosted workflow engine for data teams. It runs anywhere Docker does and scales to thousands of jobs. Prefer not to run it yourself? Try the fully managed [Rocket Cloud](https://acme.dev/cloud) with a free tier.
+
+## Links
+- [Docs](docs/README.md)
+- [Pricing](https://acme.dev/pricing)
+- Support us on https://opencollective.com/rocket.
+`;
+
+const HOMEPAGE = `<html><head><meta property="og:description" content="Workflows &amp; more"></head>
+<body><nav><a href="/pricing">Plans</a> <a href="/contact">Talk to sales</a> <a href="https://acme.slack.com/join">Slack</a></nav>
+<script>var x = "free tier";</script></body></html>`;
+
+test("links come from Markdown, HTML and bare URLs, relative ones only with a base", () => {
+  const urls = extractLinks(README).map(l => l.url);
+  assert.ok(urls.includes("https://discord.gg/acme-rocket"));
+  assert.ok(urls.includes("https://opencollective.com/rocket"));
+  assert.ok(!urls.some(u => u.includes("docs/README.md")));
+  assert.deepEqual(extractLinks(HOMEPAGE, "https://acme.dev/").map(l => [l.url, l.text]).slice(0, 2),
+    [["https://acme.dev/pricing", "Plans"], ["https://acme.dev/contact", "Talk to sales"]]);
+});
+
+test("FUNDING.yml keys become lists, empty ones are dropped", () => {
+  assert.deepEqual(parseFundingYml("# funding\ngithub: [alice, 'bob']\nopen_collective: rocket # main\npatreon: \ncustom:\n  - https://acme.dev/donate\nko_fi: ~\n"),
+    { github: ["alice", "bob"], open_collective: ["rocket"], custom: ["https://acme.dev/donate"] });
+});
+
+test("the summary is the first prose paragraph, clipped at a sentence end", () => {
+  assert.equal(readmeSummary(README),
+    "Rocket is a fast, self-hosted workflow engine for data teams. It runs anywhere Docker does and scales to thousands of jobs. Prefer not to run it yourself?");
+  assert.equal(readmeSummary("# Title\n\n![logo](x.png)\n"), null);
+  assert.equal(pageDescription(HOMEPAGE), "Workflows & more");
+});
+
+test("signals combine the README, FUNDING.yml and pages", () => {
+  const s = extractWebSignals({ readme: README, funding: "github: alice\nopen_collective: rocket\n", pages: [{ url: "https://acme.dev/", html: HOMEPAGE }] });
+  assert.deepEqual(s.pricing, ["https://acme.dev/pricing"]);
+  assert.deepEqual(s.demo, ["https://acme.dev/contact"]);
+  assert.deepEqual(s.hosted, ["fully managed", "free tier"]);
+  assert.deepEqual(s.community, { discord: "https://discord.gg/acme-rocket", slack: "https://acme.slack.com/join" });
+  assert.deepEqual(s.funding, [{ platform: "github", account: "alice" }, { platform: "open_collective", account: "rocket" }]);
+  assert.deepEqual(extractWebSignals({}), { summary: null, pricing: [], demo: [], hosted: [], community: { discord: null, slack: null }, funding: [] });
+});